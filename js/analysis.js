@@ -0,0 +1,361 @@
+/**
+ * Analysis module for graph structure questions that go beyond a single
+ * traversal, such as cycles in dependency graphs.
+ */
+const Analysis = (function() {
+    // Upper bound on the cycles collected, as their number can grow exponentially
+    const MAX_CYCLES = 200;
+    
+    /**
+     * Build directed adjacency sets between distinct nodes. Parallel edges
+     * collapse into one neighbour and self-loops are left out.
+     * 
+     * @param {Array} nodes - Array of node objects with id
+     * @param {Array} edges - Array of edge objects with source and target
+     * @returns {Map} Map of node ID to Set of neighbour IDs, in definition order
+     */
+    function buildNeighbours(nodes, edges) {
+        const neighbours = new Map(nodes.map(node => [node.id, new Set()]));
+        
+        edges.forEach(edge => {
+            if (edge.source === edge.target) return;
+            
+            if (!neighbours.has(edge.source)) neighbours.set(edge.source, new Set());
+            if (!neighbours.has(edge.target)) neighbours.set(edge.target, new Set());
+            neighbours.get(edge.source).add(edge.target);
+        });
+        
+        return neighbours;
+    }
+    
+    /**
+     * Tarjan's algorithm over a subset of the nodes.
+     * 
+     * @param {Array} nodeIds - IDs of the nodes to consider, in order
+     * @param {Map} neighbours - Adjacency sets from buildNeighbours()
+     * @param {Set} [allowed] - Only follow edges into these nodes (defaults to nodeIds)
+     * @returns {Array} Components as arrays of node IDs
+     */
+    function tarjan(nodeIds, neighbours, allowed = new Set(nodeIds)) {
+        const index = new Map();
+        const lowLink = new Map();
+        const onStack = new Set();
+        const stack = [];
+        const components = [];
+        let counter = 0;
+        
+        const connect = nodeId => {
+            index.set(nodeId, counter);
+            lowLink.set(nodeId, counter);
+            counter++;
+            stack.push(nodeId);
+            onStack.add(nodeId);
+            
+            (neighbours.get(nodeId) || new Set()).forEach(neighborId => {
+                if (!allowed.has(neighborId)) return;
+                
+                if (!index.has(neighborId)) {
+                    connect(neighborId);
+                    lowLink.set(nodeId, Math.min(lowLink.get(nodeId), lowLink.get(neighborId)));
+                } else if (onStack.has(neighborId)) {
+                    lowLink.set(nodeId, Math.min(lowLink.get(nodeId), index.get(neighborId)));
+                }
+            });
+            
+            // A root node pops its whole component off the stack
+            if (lowLink.get(nodeId) === index.get(nodeId)) {
+                const component = [];
+                let memberId;
+                do {
+                    memberId = stack.pop();
+                    onStack.delete(memberId);
+                    component.push(memberId);
+                } while (memberId !== nodeId);
+                components.push(component.reverse());
+            }
+        };
+        
+        nodeIds.forEach(nodeId => {
+            if (!index.has(nodeId)) {
+                connect(nodeId);
+            }
+        });
+        
+        return components;
+    }
+    
+    /**
+     * Find the strongly connected components of a directed graph: maximal
+     * sets of nodes that can all reach each other. Every node belongs to
+     * exactly one component, so acyclic graphs give one component per node.
+     * 
+     * @param {Array} nodes - Array of node objects with id
+     * @param {Array} edges - Array of edge objects with source and target
+     * @returns {Array} Components as arrays of node IDs
+     */
+    function findStronglyConnectedComponents(nodes, edges) {
+        const neighbours = buildNeighbours(nodes, edges);
+        return tarjan([...neighbours.keys()], neighbours);
+    }
+    
+    /**
+     * Find the elementary directed cycles (no repeated nodes) of a graph,
+     * using Johnson's algorithm. A cycle lists its nodes starting from the
+     * earliest defined one, and all edges along it, parallel edges included.
+     * Self-loops are cycles of one node.
+     * 
+     * @param {Array} nodes - Array of node objects with id
+     * @param {Array} edges - Array of edge objects with source, target and id
+     * @param {number} [maxCycles] - Stop after finding this many cycles
+     * @returns {Array} Cycles { nodes, edges }, shortest first
+     */
+    function findCycles(nodes, edges, maxCycles = Infinity) {
+        const neighbours = buildNeighbours(nodes, edges);
+        const order = [...neighbours.keys()];
+        
+        // Edge IDs between each ordered pair of nodes
+        const edgesBetween = new Map();
+        edges.forEach(edge => {
+            const key = edge.source + '\u0000' + edge.target;
+            if (!edgesBetween.has(key)) edgesBetween.set(key, []);
+            edgesBetween.get(key).push(edge.id);
+        });
+        
+        const cycles = [];
+        const addCycle = cycleNodes => {
+            const cycleEdges = [];
+            cycleNodes.forEach((nodeId, i) => {
+                const nextId = cycleNodes[(i + 1) % cycleNodes.length];
+                cycleEdges.push(...edgesBetween.get(nodeId + '\u0000' + nextId));
+            });
+            cycles.push({ nodes: cycleNodes, edges: cycleEdges });
+        };
+        
+        // Self-loops first
+        order.forEach(nodeId => {
+            if (cycles.length < maxCycles && edgesBetween.has(nodeId + '\u0000' + nodeId)) {
+                addCycle([nodeId]);
+            }
+        });
+        
+        // Cycles through each start node, using only the nodes after it
+        for (let i = 0; i < order.length && cycles.length < maxCycles; i++) {
+            const startId = order[i];
+            const remaining = new Set(order.slice(i));
+            const component = tarjan([startId], neighbours, remaining)
+                .find(members => members.includes(startId));
+            
+            if (component.length < 2) continue;
+            
+            const members = new Set(component);
+            const blocked = new Set();
+            const blockedBy = new Map(component.map(nodeId => [nodeId, new Set()]));
+            const stack = [];
+            
+            const unblock = nodeId => {
+                blocked.delete(nodeId);
+                blockedBy.get(nodeId).forEach(otherId => {
+                    blockedBy.get(nodeId).delete(otherId);
+                    if (blocked.has(otherId)) {
+                        unblock(otherId);
+                    }
+                });
+            };
+            
+            const circuit = nodeId => {
+                let found = false;
+                stack.push(nodeId);
+                blocked.add(nodeId);
+                
+                for (const neighborId of neighbours.get(nodeId)) {
+                    if (cycles.length >= maxCycles) break;
+                    if (!members.has(neighborId)) continue;
+                    
+                    if (neighborId === startId) {
+                        addCycle([...stack]);
+                        found = true;
+                    } else if (!blocked.has(neighborId) && circuit(neighborId)) {
+                        found = true;
+                    }
+                }
+                
+                if (found) {
+                    unblock(nodeId);
+                } else {
+                    neighbours.get(nodeId).forEach(neighborId => {
+                        if (members.has(neighborId)) {
+                            blockedBy.get(neighborId).add(nodeId);
+                        }
+                    });
+                }
+                
+                stack.pop();
+                return found;
+            };
+            
+            circuit(startId);
+        }
+        
+        return cycles.sort((a, b) => a.nodes.length - b.nodes.length);
+    }
+    
+    /**
+     * Identify a cycle independently of where it starts, so the same cycle
+     * can be recognised after an edit reorders the nodes.
+     * 
+     * @param {Object} cycle - Cycle from findCycles()
+     * @returns {string} Key of the rotation that starts at the smallest node ID
+     */
+    function cycleKey(cycle) {
+        const ids = cycle.nodes;
+        let start = 0;
+        ids.forEach((nodeId, i) => {
+            if (nodeId < ids[start]) start = i;
+        });
+        return ids.slice(start).concat(ids.slice(0, start)).join('\u0000');
+    }
+    
+    /**
+     * Analyse a graph for cycles. Only directed graphs are analysed; every
+     * undirected edge would otherwise count as a cycle.
+     * 
+     * @param {Array} nodes - Array of node objects with id
+     * @param {Array} edges - Array of edge objects with source, target and id
+     * @param {boolean} directed - Whether the graph is directed
+     * @param {number} [maxCycles] - Stop after finding this many cycles
+     * @returns {Object} { components, cycles, truncated } where components are the
+     *     strongly connected components that contain a cycle
+     */
+    function analyzeCycles(nodes, edges, directed, maxCycles = MAX_CYCLES) {
+        if (!directed) {
+            return { components: [], cycles: [], truncated: false };
+        }
+        
+        const selfLoops = new Set(edges
+            .filter(edge => edge.source === edge.target)
+            .map(edge => edge.source));
+        
+        const components = findStronglyConnectedComponents(nodes, edges)
+            .filter(component => component.length > 1 || selfLoops.has(component[0]));
+        const cycles = findCycles(nodes, edges, maxCycles);
+        
+        return { components, cycles, truncated: cycles.length >= maxCycles };
+    }
+    
+    /**
+     * Find the cycles of one analysis that were not in an earlier one.
+     * 
+     * @param {Array} previousCycles - Cycles before the change
+     * @param {Array} currentCycles - Cycles after the change
+     * @returns {Array} Cycles only present after the change
+     */
+    function findNewCycles(previousCycles, currentCycles) {
+        const previousKeys = new Set(previousCycles.map(cycleKey));
+        return currentCycles.filter(cycle => !previousKeys.has(cycleKey(cycle)));
+    }
+    
+    /**
+     * Compute per-node metrics from the graph model. Degrees count edges,
+     * so parallel edges and self-loops count each time; reachability and
+     * betweenness look at which nodes are connected.
+     * 
+     * Betweenness centrality uses Brandes' algorithm on unweighted shortest
+     * paths: how many shortest paths between other nodes pass through each
+     * node. Its breadth-first search from every node also yields the
+     * downstream count of that node, and the upstream counts of the nodes it
+     * reaches. Nodes are numbered so the searches can run on typed arrays.
+     * 
+     * @param {Array} nodes - Array of node objects with id
+     * @param {Array} edges - Array of edge objects with source, target and id
+     * @param {boolean} directed - Whether the graph is directed
+     * @returns {Array} One { id, inDegree, outDegree, downstream, upstream, betweenness } per node
+     */
+    function computeNodeMetrics(nodes, edges, directed) {
+        const index = Parser.buildIndex(nodes, edges, directed);
+        const nodeIds = [...index.outgoing.keys()];
+        const count = nodeIds.length;
+        const position = new Map(nodeIds.map((nodeId, i) => [nodeId, i]));
+        
+        // Distinct neighbours by number; undirected edges are indexed both ways
+        const neighbours = nodeIds.map(nodeId => [...new Set(
+            index.outgoing.get(nodeId).map(connection => position.get(connection.neighborId))
+        )]);
+        
+        const downstream = new Array(count).fill(0);
+        const upstream = new Array(count).fill(0);
+        const betweenness = new Float64Array(count);
+        
+        const distance = new Int32Array(count);
+        const pathCount = new Float64Array(count);
+        const dependency = new Float64Array(count);
+        const order = new Int32Array(count);
+        const predecessors = nodeIds.map(() => []);
+        
+        for (let source = 0; source < count; source++) {
+            distance.fill(-1);
+            pathCount.fill(0);
+            dependency.fill(0);
+            distance[source] = 0;
+            pathCount[source] = 1;
+            
+            // Count shortest paths breadth-first; order doubles as the queue
+            let head = 0;
+            let tail = 0;
+            order[tail++] = source;
+            while (head < tail) {
+                const current = order[head++];
+                neighbours[current].forEach(neighbor => {
+                    if (distance[neighbor] < 0) {
+                        distance[neighbor] = distance[current] + 1;
+                        predecessors[neighbor] = [];
+                        order[tail++] = neighbor;
+                    }
+                    if (distance[neighbor] === distance[current] + 1) {
+                        pathCount[neighbor] += pathCount[current];
+                        predecessors[neighbor].push(current);
+                    }
+                });
+            }
+            
+            downstream[source] = tail - 1;
+            
+            // Accumulate dependencies from the farthest nodes back
+            for (let i = tail - 1; i > 0; i--) {
+                const node = order[i];
+                upstream[node]++;
+                predecessors[node].forEach(predecessor => {
+                    dependency[predecessor] += pathCount[predecessor] / pathCount[node] * (1 + dependency[node]);
+                });
+                betweenness[node] += dependency[node];
+            }
+        }
+        
+        const degree = (nodeId, adjacency) =>
+            adjacency.get(nodeId).length + (index.selfLoops.get(nodeId) || []).length;
+        
+        return nodeIds.map((nodeId, i) => ({
+            id: nodeId,
+            inDegree: degree(nodeId, index.incoming),
+            outDegree: degree(nodeId, index.outgoing),
+            downstream: downstream[i],
+            upstream: upstream[i],
+            // Undirected paths were counted from both ends
+            betweenness: directed ? betweenness[i] : betweenness[i] / 2
+        }));
+    }
+    
+    // Public API
+    return {
+        findStronglyConnectedComponents,
+        findCycles,
+        cycleKey,
+        analyzeCycles,
+        findNewCycles,
+        computeNodeMetrics
+    };
+})();
+
+// Export for Node-based tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Analysis;
+}
@@ -22,11 +22,66 @@ const App = (function() {
   "Service C" -> "Service E" [label="events"];
   "Service D" -> "Service E" [label="metrics"];
 }`;
-
+    
+    // Number of earlier versions kept in local storage for comparing
+    const MAX_VERSIONS = 10;
+    
     // Private variables
     let nodes = [];
     let edges = [];
-    let serviceSelect;
+    let clusterSelect;
+    let targetSelect;
+    let allPathsCheckbox;
+    let pathOptions;
+    let pathStatus;
+    let queryInput;
+    let queryAsStartCheckbox;
+    let queryStatus;
+    let cyclePanel;
+    let cycleSummary;
+    let cycleSelect;
+    let cycleWarning;
+    let cycleAnalysis = { components: [], cycles: [], truncated: false };
+    let weightingControls;
+    let weightSelect;
+    let weightOptions;
+    let costBudgetInput;
+    let criticalPathCheckbox;
+    let criticalPathSummary;
+    let costRanking;
+    let edgeFilters;
+    let edgeFilterGroups;
+    let focusCheckbox;
+    let comparePanel;
+    let compareHistory;
+    let compareSource;
+    let compareNewerCheckbox;
+    let compareExitButton;
+    let compareStatus;
+    let compareChanges;
+    let comparing = false; // Whether the graph shows a comparison instead of the editor's source
+    let mergePanel;
+    let mergeInputList;
+    let mergeStatus;
+    let mergeConflicts;
+    let mergeInputs = []; // Sources to merge { name, source }
+    let lastMergeResult = null; // DOT source of the last merge, to tell whether it was edited since
+    let exportPanel;
+    let exportBackground;
+    let exportBackgroundColor;
+    let exportStatus;
+    let importPanel;
+    let importFormat;
+    let importSource;
+    let importMapping;
+    let importStatus;
+    let importWarnings;
+    let importExternal;
+    let importFiles = []; // Files loaded together { name, text }, for formats that read several at once
+    let metricsPanel;
+    let metricsTable;
+    let nodeMetrics = [];
+    let metricsSort = { key: 'betweenness', descending: true };
     let hopLimitSlider;
     let hopValueDisplay;
     let unlimitedHopsCheckbox;
@@ -43,18 +98,65 @@ const App = (function() {
         Editor.initialize(dotSource, updateDotSource);
         
         // Initialize the graph with node click handler
-        Graph.initialize(dotSource, handleNodeClick);
+        Graph.initialize(dotSource, handleNodeClick, handleClusterToggle);
         
         // Get the nodes and edges
         nodes = Graph.getNodes();
         edges = Graph.getEdges();
         
         // Set up UI references
-        serviceSelect = document.getElementById("node-select");
+        NodeSearch.initialize(document.getElementById("node-select"),
+                              document.getElementById("node-search-results"), handleNodeSearch);
+        clusterSelect = document.getElementById("cluster-select");
+        targetSelect = document.getElementById("target-select");
+        allPathsCheckbox = document.getElementById("all-paths");
+        pathOptions = document.getElementById("path-options");
+        pathStatus = document.getElementById("path-status");
+        queryInput = document.getElementById("query-input");
+        queryAsStartCheckbox = document.getElementById("query-as-start");
+        queryStatus = document.getElementById("query-status");
+        cyclePanel = document.getElementById("cycle-panel");
+        cycleSummary = document.getElementById("cycle-summary");
+        cycleSelect = document.getElementById("cycle-select");
+        cycleWarning = document.getElementById("cycle-warning");
+        weightingControls = document.getElementById("weighting");
+        weightSelect = document.getElementById("weight-attribute");
+        weightOptions = document.getElementById("weight-options");
+        costBudgetInput = document.getElementById("cost-budget");
+        criticalPathCheckbox = document.getElementById("critical-path");
+        criticalPathSummary = document.getElementById("critical-path-summary");
+        costRanking = document.getElementById("cost-ranking");
+        edgeFilters = document.getElementById("edge-filters");
+        edgeFilterGroups = document.getElementById("edge-filter-groups");
+        comparePanel = document.getElementById("compare-panel");
+        compareHistory = document.getElementById("compare-history");
+        compareSource = document.getElementById("compare-source");
+        compareNewerCheckbox = document.getElementById("compare-newer");
+        compareExitButton = document.getElementById("compare-exit");
+        compareStatus = document.getElementById("compare-status");
+        compareChanges = document.getElementById("compare-changes");
+        mergePanel = document.getElementById("merge-panel");
+        mergeInputList = document.getElementById("merge-inputs");
+        mergeStatus = document.getElementById("merge-status");
+        mergeConflicts = document.getElementById("merge-conflicts");
+        exportPanel = document.getElementById("export-panel");
+        exportBackground = document.getElementById("export-background");
+        exportBackgroundColor = document.getElementById("export-background-color");
+        exportStatus = document.getElementById("export-status");
+        importPanel = document.getElementById("import-panel");
+        importFormat = document.getElementById("import-format");
+        importSource = document.getElementById("import-source");
+        importMapping = document.getElementById("import-mapping");
+        importStatus = document.getElementById("import-status");
+        importWarnings = document.getElementById("import-warnings");
+        importExternal = document.getElementById("import-external");
+        metricsPanel = document.getElementById("metrics-panel");
+        metricsTable = document.getElementById("metrics-table");
         hopLimitSlider = document.getElementById("hop-limit");
         hopValueDisplay = document.getElementById("hop-value");
         unlimitedHopsCheckbox = document.getElementById("unlimited-hops");
         viewModeRadios = document.querySelectorAll('input[name="view-mode"]');
+        focusCheckbox = document.getElementById("focus-mode");
         
         // Set default view mode to downstream
         const downstreamRadio = document.querySelector('input[name="view-mode"][value="downstream"]');
@@ -66,19 +168,37 @@ const App = (function() {
         unlimitedHopsCheckbox.checked = false;
         hopLimitSlider.disabled = false;
         
-        // Populate node select dropdown
+        // Populate node and cluster select dropdowns
         populateNodeSelect();
+        populateClusterSelect();
+        populateWeightSelect();
+        populateEdgeFilters();
+        
+        // Look for cycles
+        updateCycleAnalysis();
+        
+        // Compute node metrics
+        updateMetrics();
+        
+        // Show the view modes that make sense for this kind of graph
+        updateViewModeOptions(Graph.isDirected());
+        
+        // Keep the loaded source as a version to compare against later
+        saveVersion(dotSource);
         
         // Set up event listeners
         setupEventListeners();
     }
     
     /**
-     * Populate the node select dropdown.
+     * Populate the node search and the path target select dropdown.
      */
     function populateNodeSelect() {
+        // The search leaves out invisible nodes itself
+        NodeSearch.setNodes(nodes);
+        
         // Clear existing options
-        serviceSelect.innerHTML = '<option value="">Select a node...</option>';
+        targetSelect.innerHTML = '<option value="">Select a target...</option>';
         
         // Sort nodes by ID for a better user experience
         const sortedNodes = [...nodes].sort((a, b) => {
@@ -88,23 +208,350 @@ const App = (function() {
         // Add new options, filtering out invisible nodes
         sortedNodes.forEach(node => {
             // Skip invisible/hidden nodes
-            if (node.attrs && 
-                (node.attrs.includes('style="invis"') || 
-                 node.attrs.includes('style=invis') || 
-                 node.attrs.includes('style="invisible"') || 
-                 node.attrs.includes('style=invisible') ||
-                 node.attrs.includes('style="hidden"') ||
-                 node.attrs.includes('style=hidden'))) {
+            if (Parser.getStyleFlags(node.attrs).invisible) {
                 return;
             }
             
             const option = document.createElement("option");
             option.value = node.id;
             option.textContent = node.id;
-            serviceSelect.appendChild(option);
+            targetSelect.appendChild(option);
         });
     }
-
+    
+    /**
+     * Populate the cluster select dropdown, indenting nested clusters.
+     */
+    function populateClusterSelect() {
+        // Clear existing options
+        clusterSelect.innerHTML = '<option value="">Select a cluster...</option>';
+        
+        const subgraphs = Graph.getSubgraphs();
+        const subgraphMap = new Map(subgraphs.map(subgraph => [subgraph.id, subgraph]));
+        
+        // Legends aren't useful starting points
+        const clusters = subgraphs.filter(subgraph => subgraph.isCluster && !subgraph.legend);
+        
+        // Depth is the number of enclosing clusters
+        const depthOf = cluster => {
+            let depth = 0;
+            let parent = subgraphMap.get(cluster.parent);
+            while (parent) {
+                if (parent.isCluster) depth++;
+                parent = subgraphMap.get(parent.parent);
+            }
+            return depth;
+        };
+        
+        clusters.forEach(cluster => {
+            const option = document.createElement("option");
+            option.value = cluster.id;
+            option.textContent = '\u00a0\u00a0'.repeat(depthOf(cluster)) + (cluster.label || cluster.id);
+            clusterSelect.appendChild(option);
+        });
+        
+        // Only show the dropdown when there is something to pick
+        clusterSelect.style.display = clusters.length > 0 ? '' : 'none';
+    }
+    
+    /**
+     * Populate the edge cost dropdown with the numeric edge attributes,
+     * keeping the current choice if the graph still has it.
+     */
+    function populateWeightSelect() {
+        const current = weightSelect.value;
+        const attributes = Parser.getNumericEdgeAttributes(edges);
+        
+        weightSelect.innerHTML = '<option value="">Hops (unweighted)</option>';
+        attributes.forEach(attribute => {
+            const option = document.createElement("option");
+            option.value = attribute;
+            option.textContent = attribute;
+            weightSelect.appendChild(option);
+        });
+        weightSelect.value = attributes.includes(current) ? current : "";
+        
+        // Only offer weighting when there is something to weigh by
+        weightingControls.style.display = attributes.length > 0 ? '' : 'none';
+        updateHopControls();
+    }
+    
+    /**
+     * List the edge labels, colors and styles of the graph as filter
+     * checkboxes. Values the user unchecked stay unchecked across edits.
+     */
+    function populateEdgeFilters() {
+        const facetNames = { label: 'Label', color: 'Color', style: 'Style' };
+        
+        // Remember what was unchecked
+        const unchecked = new Set();
+        edgeFilterGroups.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+            if (!checkbox.checked) {
+                unchecked.add(checkbox.dataset.facet + '\u0000' + checkbox.value);
+            }
+        });
+        
+        edgeFilterGroups.innerHTML = '';
+        const facets = Parser.getEdgeFacets(edges);
+        Object.keys(facets).forEach(facet => {
+            const values = facets[facet];
+            
+            // A facet no edge sets can't tell edges apart
+            if (!values.some(value => value !== '')) {
+                return;
+            }
+            
+            const group = document.createElement("fieldset");
+            const legend = document.createElement("legend");
+            legend.textContent = facetNames[facet] || facet;
+            group.appendChild(legend);
+            
+            values.forEach(value => {
+                const label = document.createElement("label");
+                const checkbox = document.createElement("input");
+                checkbox.type = 'checkbox';
+                checkbox.dataset.facet = facet;
+                checkbox.value = value;
+                checkbox.checked = !unchecked.has(facet + '\u0000' + value);
+                label.appendChild(checkbox);
+                
+                const text = document.createElement("span");
+                text.textContent = value === '' ? '(none)' : value;
+                if (value === '') {
+                    text.className = 'no-value';
+                }
+                label.appendChild(text);
+                group.appendChild(label);
+            });
+            
+            edgeFilterGroups.appendChild(group);
+        });
+        
+        edgeFilters.style.display = edgeFilterGroups.children.length > 0 ? '' : 'none';
+    }
+    
+    /**
+     * Enable the controls that apply: a cost budget replaces the hop limit
+     * when traversal is weighted.
+     */
+    function updateHopControls() {
+        const weighted = !!weightSelect.value;
+        weightOptions.style.display = weighted ? '' : 'none';
+        unlimitedHopsCheckbox.disabled = weighted;
+        hopLimitSlider.disabled = weighted || unlimitedHopsCheckbox.checked;
+    }
+    
+    /**
+     * Format a cost for display.
+     * 
+     * @param {number} cost - Cumulative cost
+     * @returns {string} The cost, rounded to two decimals
+     */
+    function formatCost(cost) {
+        return String(Math.round(cost * 100) / 100);
+    }
+    
+    /**
+     * Show the results of a weighted traversal: reached nodes ranked by
+     * cumulative cost, and the critical path if one was requested.
+     * 
+     * @param {Object|undefined} result - Summary from Graph.updateView() or Graph.updateClusterView()
+     */
+    function showWeightedResults(result) {
+        costRanking.innerHTML = '';
+        criticalPathSummary.textContent = '';
+        
+        if (!weightSelect.value || !result) {
+            return;
+        }
+        
+        const ranked = [...result.costs].sort((a, b) => a[1] - b[1] || a[0].localeCompare(b[0]));
+        ranked.forEach(([nodeId, cost]) => {
+            const item = document.createElement("li");
+            const costLabel = document.createElement("span");
+            costLabel.className = 'cost';
+            costLabel.textContent = formatCost(cost);
+            item.appendChild(costLabel);
+            item.appendChild(document.createTextNode(nodeId));
+            costRanking.appendChild(item);
+        });
+        
+        const path = result.criticalPath;
+        if (path) {
+            const cyclesNote = path.cyclesIgnored ? ' (edges closing a cycle were ignored)' : '';
+            criticalPathSummary.textContent = path.edges.length > 0
+                ? `Critical path, cost ${formatCost(path.cost)}: ${path.nodes.join(' \u2192 ')}${cyclesNote}`
+                : 'No edges to follow from this node.';
+        }
+    }
+    
+    /**
+     * Analyse the current graph for cycles and list them in the controls.
+     * Collapsed clusters are left out of it: placeholders would join up
+     * edges into cycles that aren't there.
+     * 
+     * @returns {Array} Cycles that were not in the previous analysis
+     */
+    function updateCycleAnalysis() {
+        const previousCycles = cycleAnalysis.cycles;
+        const directed = Graph.isDirected();
+        const fullModel = Graph.getFullModel();
+        cycleAnalysis = Analysis.analyzeCycles(fullModel.nodes, fullModel.edges, directed);
+        const { components, cycles, truncated } = cycleAnalysis;
+        
+        // Cycles are only reported for directed graphs
+        cyclePanel.style.display = directed ? '' : 'none';
+        
+        if (cycles.length === 0) {
+            cycleSummary.textContent = 'No cycles';
+        } else {
+            const cycleCount = truncated ? `${cycles.length}+ cycles` : `${cycles.length} cycle${cycles.length === 1 ? '' : 's'}`;
+            const componentCount = `${components.length} strongly connected component${components.length === 1 ? '' : 's'}`;
+            cycleSummary.textContent = `${cycleCount} in ${componentCount}`;
+        }
+        cycleSummary.classList.toggle('has-cycles', cycles.length > 0);
+        
+        // Cycles are listed by index into the analysis, shortest first
+        cycleSelect.innerHTML = '<option value="">Select a cycle...</option>';
+        cycles.forEach((cycle, index) => {
+            const option = document.createElement("option");
+            option.value = index;
+            option.textContent = cycle.nodes.concat(cycle.nodes[0]).join(' \u2192 ');
+            cycleSelect.appendChild(option);
+        });
+        cycleSelect.style.display = cycles.length > 0 ? '' : 'none';
+        
+        return Analysis.findNewCycles(previousCycles, cycles);
+    }
+    
+    /**
+     * Recompute the node metrics for the current graph and refresh the table.
+     * Betweenness is costly on large graphs, so nothing is computed while
+     * the panel is hidden.
+     */
+    function updateMetrics() {
+        if (metricsPanel.style.display === 'none') {
+            return;
+        }
+        
+        // Metrics are for the full graph, whatever clusters are collapsed.
+        // Invisible nodes are left out of the table, as in the node dropdown
+        const fullModel = Graph.getFullModel();
+        const invisibleNodes = new Set(fullModel.nodes
+            .filter(node => Parser.getStyleFlags(node.attrs).invisible)
+            .map(node => node.id));
+        nodeMetrics = Analysis.computeNodeMetrics(fullModel.nodes, fullModel.edges, Graph.isDirected())
+            .filter(metrics => !invisibleNodes.has(metrics.id));
+        renderMetricsTable();
+    }
+    
+    /**
+     * Render the node metrics table in the current sort order.
+     */
+    function renderMetricsTable() {
+        const { key, descending } = metricsSort;
+        const sorted = [...nodeMetrics].sort((a, b) => {
+            const order = key === 'id'
+                ? a.id.localeCompare(b.id, undefined, { sensitivity: 'base' })
+                : a[key] - b[key];
+            return descending ? -order : order;
+        });
+        
+        // Mark the sorted column
+        metricsTable.querySelectorAll('th').forEach(header => {
+            header.classList.toggle('sorted-asc', header.dataset.key === key && !descending);
+            header.classList.toggle('sorted-desc', header.dataset.key === key && descending);
+        });
+        
+        const tbody = metricsTable.querySelector('tbody');
+        tbody.innerHTML = '';
+        sorted.forEach(metrics => {
+            const row = document.createElement('tr');
+            row.dataset.nodeId = metrics.id;
+            row.classList.toggle('selected', metrics.id === NodeSearch.getValue());
+            
+            [
+                metrics.id,
+                metrics.inDegree,
+                metrics.outDegree,
+                metrics.downstream,
+                metrics.upstream,
+                Math.round(metrics.betweenness * 100) / 100
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            
+            // Clicking a row selects the node and brings it into view, like
+            // the node dropdown; a node in a collapsed cluster selects its placeholder
+            row.addEventListener("click", function() {
+                const nodeId = Graph.getDisplayedNodeId(metrics.id);
+                NodeSearch.setValue(nodeId);
+                handleNodeSearch(nodeId);
+            });
+            
+            tbody.appendChild(row);
+        });
+    }
+    
+    /**
+     * Show or hide the warning about cycles introduced by an edit. Clicking
+     * the warning selects the first new cycle.
+     * 
+     * @param {Array} newCycles - Cycles introduced by the edit
+     */
+    function showCycleWarning(newCycles) {
+        if (newCycles.length === 0) {
+            cycleWarning.style.display = 'none';
+            return;
+        }
+        
+        cycleWarning.textContent = `\u26a0 ${newCycles.length} new cycle${newCycles.length === 1 ? '' : 's'}`;
+        cycleWarning.style.display = '';
+        cycleWarning.onclick = function() {
+            cycleWarning.style.display = 'none';
+            cycleSelect.value = cycleAnalysis.cycles.indexOf(newCycles[0]);
+            NodeSearch.setValue("");
+            clusterSelect.value = "";
+            updateView();
+        };
+    }
+    
+    /**
+     * Show the view modes that apply to the current graph. Undirected graphs
+     * have no up- or downstream, so those options collapse into "neighbourhood".
+     * 
+     * @param {boolean} directed - Whether the graph is directed
+     */
+    function updateViewModeOptions(directed) {
+        const directedModes = ['downstream', 'upstream', 'bidirectional'];
+        
+        viewModeRadios.forEach(radio => {
+            let visible = true;
+            if (directedModes.includes(radio.value)) {
+                visible = directed;
+            } else if (radio.value === 'neighbourhood') {
+                visible = !directed;
+            }
+            
+            const label = radio.closest ? radio.closest('label') : null;
+            if (label) {
+                label.style.display = visible ? '' : 'none';
+            }
+            
+            // Move the selection off a mode that was just hidden
+            if (!visible && radio.checked) {
+                const fallback = document.querySelector(
+                    `input[name="view-mode"][value="${directed ? 'downstream' : 'neighbourhood'}"]`
+                );
+                if (fallback) {
+                    fallback.checked = true;
+                }
+            }
+        });
+    }
+    
     function toggleUnlimitedHops() {
         if (unlimitedHopsCheckbox.checked) {
             hopLimitSlider.disabled = true;
@@ -126,8 +573,214 @@ const App = (function() {
             radio.addEventListener("change", updateView);
         });
         
-        // Service select change
-        serviceSelect.addEventListener("change", updateView);
+        // Cluster select change
+        clusterSelect.addEventListener("change", function() {
+            NodeSearch.setValue("");
+            cycleSelect.value = "";
+            queryInput.value = "";
+            updateView();
+        });
+        
+        // Cycle select change; a highlighted cycle replaces the node or cluster view
+        cycleSelect.addEventListener("change", function() {
+            NodeSearch.setValue("");
+            clusterSelect.value = "";
+            queryInput.value = "";
+            updateView();
+        });
+        
+        // Query box; its matches replace the node or cluster view
+        queryInput.addEventListener("input", function() {
+            NodeSearch.setValue("");
+            clusterSelect.value = "";
+            cycleSelect.value = "";
+            updateView();
+        });
+        queryAsStartCheckbox.addEventListener("change", updateView);
+        
+        // Compare panel
+        document.getElementById("toggle-compare").addEventListener("click", function() {
+            comparePanel.style.display = comparePanel.style.display === 'none' ? '' : 'none';
+            mergePanel.style.display = 'none';
+            exportPanel.style.display = 'none';
+            importPanel.style.display = 'none';
+            populateCompareHistory();
+        });
+        compareHistory.addEventListener("change", function() {
+            const version = loadVersions()[this.value];
+            if (version) {
+                compareSource.value = version.source;
+                compareNewerCheckbox.checked = false;
+            }
+        });
+        document.getElementById("compare-file").addEventListener("change", function() {
+            const file = this.files[0];
+            if (!file) {
+                return;
+            }
+            file.text()
+                .then(text => {
+                    compareSource.value = text;
+                })
+                .catch(error => {
+                    console.error("Could not read file:", error);
+                    showCompareStatus(`Could not read ${file.name}`, true);
+                });
+        });
+        document.getElementById("compare-run").addEventListener("click", runComparison);
+        compareExitButton.addEventListener("click", exitComparison);
+        
+        // Merge panel
+        document.getElementById("toggle-merge").addEventListener("click", function() {
+            mergePanel.style.display = mergePanel.style.display === 'none' ? '' : 'none';
+            comparePanel.style.display = 'none';
+            exportPanel.style.display = 'none';
+            importPanel.style.display = 'none';
+        });
+        document.getElementById("merge-files").addEventListener("change", function() {
+            const files = Array.from(this.files);
+            Promise.all(files.map(file => file.text().then(source => ({ name: file.name, source }))))
+                .then(loaded => {
+                    loaded.forEach(input => addMergeInput(input.name, input.source));
+                    this.value = '';
+                })
+                .catch(error => {
+                    console.error("Could not read files:", error);
+                    showMergeStatus('Could not read the selected files', true);
+                });
+        });
+        document.getElementById("merge-add").addEventListener("click", function() {
+            const pasted = document.getElementById("merge-paste");
+            if (pasted.value.trim()) {
+                addMergeInput(`Pasted source ${mergeInputs.length + 1}`, pasted.value);
+                pasted.value = '';
+            }
+        });
+        document.getElementById("merge-add-current").addEventListener("click", function() {
+            addMergeInput('Current graph', Editor.getContent());
+        });
+        document.getElementById("merge-run").addEventListener("click", runMerge);
+        
+        // Export panel
+        document.getElementById("toggle-export").addEventListener("click", function() {
+            exportPanel.style.display = exportPanel.style.display === 'none' ? '' : 'none';
+            comparePanel.style.display = 'none';
+            mergePanel.style.display = 'none';
+            importPanel.style.display = 'none';
+        });
+        exportBackground.addEventListener("change", function() {
+            exportBackgroundColor.disabled = this.value !== 'color';
+        });
+        document.getElementById("export-svg").addEventListener("click", () => runExport('svg'));
+        document.getElementById("export-png").addEventListener("click", () => runExport('png'));
+        document.getElementById("export-pdf").addEventListener("click", () => runExport('pdf'));
+        document.getElementById("export-data-download").addEventListener("click", () => runDataExport(false));
+        document.getElementById("export-data-copy").addEventListener("click", () => runDataExport(true));
+        
+        // Import panel
+        document.getElementById("toggle-import").addEventListener("click", function() {
+            importPanel.style.display = importPanel.style.display === 'none' ? '' : 'none';
+            comparePanel.style.display = 'none';
+            mergePanel.style.display = 'none';
+            exportPanel.style.display = 'none';
+        });
+        document.getElementById("import-file").addEventListener("change", function() {
+            if (this.files.length === 0) {
+                return;
+            }
+            Utils.readFiles(this.files)
+                .then(loaded => loadImportFiles(loaded))
+                .catch(error => {
+                    console.error("Could not read files:", error);
+                    showImportStatus('Could not read the selected files', true);
+                });
+        });
+        document.getElementById("import-folder").addEventListener("change", function() {
+            if (this.files.length === 0) {
+                return;
+            }
+            const format = getFolderImportFormat();
+            Utils.readFiles(this.files, Importers.FORMATS[format].accepts)
+                .then(loaded => loadImportFiles(loaded, format))
+                .catch(error => {
+                    console.error("Could not read folder:", error);
+                    showImportStatus('Could not read the selected folder', true);
+                });
+        });
+        // Files and folders dropped on the graph or the panel are imported
+        const graphContainer = document.getElementById("graph-container");
+        [graphContainer, importPanel].forEach(target => {
+            target.addEventListener("dragover", function(event) {
+                if (event.dataTransfer.types.includes('Files')) {
+                    event.preventDefault();
+                    graphContainer.classList.add('drop-target');
+                }
+            });
+            target.addEventListener("dragleave", function() {
+                graphContainer.classList.remove('drop-target');
+            });
+            target.addEventListener("drop", function(event) {
+                if (!event.dataTransfer.types.includes('Files')) {
+                    return;
+                }
+                event.preventDefault();
+                graphContainer.classList.remove('drop-target');
+                importPanel.style.display = '';
+                comparePanel.style.display = 'none';
+                mergePanel.style.display = 'none';
+                exportPanel.style.display = 'none';
+                
+                const format = getFolderImportFormat();
+                showImportStatus('Reading dropped files...');
+                Utils.readDroppedFiles(event.dataTransfer, {
+                    acceptFile: Importers.FORMATS[format].accepts,
+                    acceptFolder: path => !Importers.isSkippedFolder(path)
+                })
+                    // Files from folders are named by their path
+                    .then(loaded => loadImportFiles(loaded, loaded.some(file => file.name.includes('/')) ? format : null))
+                    .catch(error => {
+                        console.error("Could not read dropped files:", error);
+                        showImportStatus('Could not read the dropped files', true);
+                    });
+            });
+        });
+        // Typing or pasting replaces files loaded together
+        importSource.addEventListener("input", function() {
+            importFiles = [];
+        });
+        importFormat.addEventListener("change", updateImportMapping);
+        importSource.addEventListener("change", updateImportMapping);
+        document.getElementById("import-run").addEventListener("click", runImport);
+        
+        // Metrics panel toggle and sortable columns
+        document.getElementById("toggle-metrics").addEventListener("click", function() {
+            metricsPanel.style.display = metricsPanel.style.display === 'none' ? '' : 'none';
+            updateMetrics();
+        });
+        metricsTable.querySelectorAll('th').forEach(header => {
+            header.addEventListener("click", function() {
+                const key = this.dataset.key;
+                metricsSort = metricsSort.key === key
+                    ? { key, descending: !metricsSort.descending }
+                    : { key, descending: key !== 'id' };
+                renderMetricsTable();
+            });
+        });
+        
+        // Weighted traversal controls
+        weightSelect.addEventListener("change", function() {
+            updateHopControls();
+            updateView();
+        });
+        costBudgetInput.addEventListener("input", updateView);
+        criticalPathCheckbox.addEventListener("change", updateView);
+        
+        // Edge filter checkboxes
+        edgeFilterGroups.addEventListener("change", updateView);
+        
+        // Path target and "all paths" toggle
+        targetSelect.addEventListener("change", updateView);
+        allPathsCheckbox.addEventListener("change", updateView);
         
         // Hop limit slider
         hopLimitSlider.addEventListener("input", function() {
@@ -137,69 +790,737 @@ const App = (function() {
         
         // Unlimited hops checkbox
         unlimitedHopsCheckbox.addEventListener("change", toggleUnlimitedHops);
+        
+        // Focus mode re-renders only the highlighted part of the graph
+        focusCheckbox.addEventListener("change", function() {
+            Graph.setFocusMode(this.checked);
+        });
     }
     
     /**
      * Handle node click event.
      * 
      * @param {string} nodeId - ID of the clicked node
+     * @param {Object} [options] - Click details; options.target is set when the node was picked as a path target
      */
-    function handleNodeClick(nodeId) {
-        serviceSelect.value = nodeId;
+    function handleNodeClick(nodeId, options = {}) {
+        if (options.target) {
+            targetSelect.value = nodeId;
+        } else {
+            NodeSearch.setValue(nodeId);
+        }
+        clusterSelect.value = "";
+        cycleSelect.value = "";
+        queryInput.value = "";
         updateView();
     }
     
+    /**
+     * Re-render the graph after a cluster was collapsed or expanded. The
+     * source is unchanged, so no version is saved; during a comparison the
+     * URL is left alone too.
+     */
+    function handleClusterToggle() {
+        updateDotSource(Graph.getDotSource(), { preview: comparing, layoutOnly: true });
+    }
+    
+    /**
+     * Handle a node picked in the node search, bringing it into view; a
+     * node and a cluster can't both be the start point.
+     * 
+     * @param {string} nodeId - ID of the picked node
+     */
+    function handleNodeSearch(nodeId) {
+        clusterSelect.value = "";
+        cycleSelect.value = "";
+        queryInput.value = "";
+        updateView();
+        Graph.focusNode(nodeId);
+    }
+    
+    /**
+     * Highlight the matches of the query box and report how many there are.
+     * With "use matches as start points" checked, every match becomes a
+     * selection traversed with the current settings. The query runs on the
+     * full graph, so nodes in a collapsed cluster match as its placeholder.
+     * 
+     * @param {Object} settings - Selection settings { viewMode, maxHops, weighting, edgeFilter }
+     * @returns {Object|undefined} Summary of the highlighting when the matches are start points
+     */
+    function applyQuery(settings) {
+        let matches;
+        try {
+            matches = Query.evaluate(queryInput.value, Graph.getFullModel());
+        } catch (error) {
+            queryStatus.textContent = error.message;
+            queryStatus.classList.add('query-error');
+            return undefined;
+        }
+        
+        queryStatus.classList.remove('query-error');
+        queryStatus.textContent = `${matches.length} matching node${matches.length === 1 ? '' : 's'}`;
+        
+        const displayedMatches = Array.from(new Set(matches.map(Graph.getDisplayedNodeId)));
+        if (queryAsStartCheckbox.checked && displayedMatches.length > 0) {
+            return Graph.setSelections(displayedMatches.map(nodeId => Object.assign({ nodeId }, settings)));
+        }
+        Graph.highlightNodes(displayedMatches);
+        return undefined;
+    }
+    
+    /**
+     * Highlight the paths between the selected source and target and report
+     * the result, saying so explicitly when there is no path.
+     * 
+     * @param {string} sourceId - ID of the source node
+     * @param {string} targetId - ID of the target node
+     * @param {number} maxHops - Maximum number of hops for all paths
+     */
+    function updatePathView(sourceId, targetId, maxHops) {
+        pathStatus.classList.remove('no-path');
+        
+        if (!sourceId || !targetId) {
+            pathStatus.textContent = 'Select a source and a target node (shift-click a node to make it the target).';
+            return;
+        }
+        
+        const allPaths = allPathsCheckbox.checked;
+        const { paths, truncated } = Graph.updatePathView(sourceId, targetId, maxHops, allPaths);
+        const hops = count => `${count} hop${count === 1 ? '' : 's'}`;
+        
+        if (paths.length === 0) {
+            const limit = allPaths && maxHops < Number.MAX_SAFE_INTEGER ? ` within ${hops(maxHops)}` : '';
+            pathStatus.textContent = `No path from "${sourceId}" to "${targetId}"${limit}.`;
+            pathStatus.classList.add('no-path');
+        } else if (allPaths) {
+            const shown = truncated ? `Showing the first ${paths.length} paths` : `${paths.length} path${paths.length === 1 ? '' : 's'}`;
+            pathStatus.textContent = `${shown}, shortest ${hops(paths[0].edges.length)}.`;
+        } else {
+            pathStatus.textContent = `Shortest path: ${hops(paths[0].edges.length)}.`;
+        }
+    }
+    
     /**
      * Update the view based on current selections.
      */
     function updateView() {
-        const selectedNodeId = serviceSelect.value;
+        const selectedNodeId = NodeSearch.getValue();
+        const selectedClusterId = clusterSelect.value;
+        const selectedCycle = cycleAnalysis.cycles[cycleSelect.value];
         const viewMode = document.querySelector('input[name="view-mode"]:checked').value;
         const unlimitedHops = unlimitedHopsCheckbox.checked;
         const maxHops = unlimitedHops ? Number.MAX_SAFE_INTEGER : parseInt(hopLimitSlider.value);
+        const weighting = Graph.readWeighting();
+        let weightedResult;
+        
+        // First clear previous highlighting
+        Graph.resetHighlights();
         
-        // First clear previous selections using direct DOM manipulation
-        d3.selectAll(".node")
-            .classed("highlighted", false)
-            .classed("faded", false)
-            .classed("selected", false)
-            .classed("selected-node", false);
-            
-        d3.selectAll(".edge")
-            .classed("highlighted", false)
-            .classed("faded", false)
-            .classed("selected-arrow", false);
-            
-        d3.selectAll(".cluster")
-            .classed("highlighted-cluster", false)
-            .classed("faded-cluster", false);
-            
         // Reset the Graph's internal selection array
         if (window.Graph && window.Graph.currentSelection) {
             window.Graph.currentSelection = [];
         }
         
+        // Mark the selected node in the metrics table
+        metricsTable.querySelectorAll('tbody tr').forEach(row => {
+            row.classList.toggle('selected', row.dataset.nodeId === selectedNodeId);
+        });
+        
+        // Path options only apply in path mode
+        pathOptions.style.display = viewMode === 'path' ? '' : 'none';
+        
+        if (!queryInput.value.trim()) {
+            queryStatus.textContent = '';
+            queryStatus.classList.remove('query-error');
+        }
+        
         // Now apply new highlighting if needed
-        if (selectedNodeId) {
-            Graph.updateView(selectedNodeId, viewMode, maxHops);
+        if (selectedCycle) {
+            Graph.highlightCycle(selectedCycle);
+        } else if (viewMode === 'path') {
+            updatePathView(selectedNodeId, targetSelect.value, maxHops);
+        } else if (selectedClusterId || selectedNodeId) {
+            // Settings apply to the latest selection; earlier multi-selections keep theirs
+            const selection = selectedClusterId ? { clusterId: selectedClusterId } : { nodeId: selectedNodeId };
+            weightedResult = Graph.updateSelection(Object.assign(selection, {
+                viewMode,
+                maxHops,
+                weighting,
+                edgeFilter: Graph.readEdgeFilter()
+            }));
+        } else if (queryInput.value.trim()) {
+            weightedResult = applyQuery({ viewMode, maxHops, weighting, edgeFilter: Graph.readEdgeFilter() });
+        }
+        
+        showWeightedResults(weightedResult);
+        
+        // Focus mode follows whatever is highlighted now
+        Graph.refreshFocus();
+    }
+    
+    /**
+     * Load the versions of the graph kept in local storage.
+     * 
+     * @returns {Array} Versions { source, savedAt }, newest first
+     */
+    function loadVersions() {
+        try {
+            return JSON.parse(localStorage.getItem('graphVersions')) || [];
+        } catch (error) {
+            console.warn("Could not read saved versions:", error);
+            return [];
+        }
+    }
+    
+    /**
+     * Keep a version of the graph in local storage so it can be compared
+     * against later.
+     * 
+     * @param {string} dotSource - DOT source to keep
+     */
+    function saveVersion(dotSource) {
+        const versions = loadVersions();
+        if (versions.length > 0 && versions[0].source === dotSource) {
+            return;
+        }
+        
+        versions.unshift({ source: dotSource, savedAt: Date.now() });
+        try {
+            localStorage.setItem('graphVersions', JSON.stringify(versions.slice(0, MAX_VERSIONS)));
+        } catch (error) {
+            console.warn("Could not save version:", error);
         }
     }
     
+    /**
+     * Populate the dropdown of earlier versions to compare against.
+     */
+    function populateCompareHistory() {
+        compareHistory.innerHTML = '<option value="">Earlier version...</option>';
+        loadVersions().forEach((version, position) => {
+            const option = document.createElement("option");
+            option.value = position;
+            option.textContent = new Date(version.savedAt).toLocaleString();
+            compareHistory.appendChild(option);
+        });
+    }
+    
+    /**
+     * Show a message in the compare panel.
+     * 
+     * @param {string} message - Message to show
+     * @param {boolean} [isError=false] - Whether the message reports an error
+     */
+    function showCompareStatus(message, isError = false) {
+        compareStatus.textContent = message;
+        compareStatus.classList.toggle('compare-error', isError);
+    }
+    
+    /**
+     * Compare the editor's source with the version in the compare panel and
+     * show the combined graph and the list of changes.
+     */
+    function runComparison() {
+        const otherSource = Utils.getDotSourceFromShareUrl(compareSource.value) || compareSource.value;
+        const currentSource = Editor.getContent();
+        
+        let result;
+        try {
+            result = compareNewerCheckbox.checked
+                ? Diff.compareSources(currentSource, otherSource)
+                : Diff.compareSources(otherSource, currentSource);
+        } catch (error) {
+            showCompareStatus(`Could not compare: ${error.message}`, true);
+            return;
+        }
+        
+        updateDotSource(result.dotSource, { preview: true });
+        comparing = true;
+        compareExitButton.disabled = false;
+        renderChangeList(result.changes);
+    }
+    
+    /**
+     * Leave compare mode and show the editor's source again.
+     */
+    function exitComparison() {
+        updateDotSource(Editor.getContent());
+    }
+    
+    /**
+     * Show the changes of a comparison as a list; clicking a change locates
+     * it in the graph.
+     * 
+     * @param {Array} changes - Changes from Diff.compareModels()
+     */
+    function renderChangeList(changes) {
+        const count = status => changes.filter(change => change.status === status).length;
+        showCompareStatus(changes.length === 0
+            ? 'No differences'
+            : `${count('added')} added, ${count('removed')} removed, ${count('changed')} changed`);
+        
+        const formatValue = value => value === undefined ? '(none)' : value;
+        compareChanges.innerHTML = '';
+        changes.forEach(change => {
+            const item = document.createElement('li');
+            item.classList.add(change.status);
+            item.textContent = change.kind === 'graph'
+                ? 'Graph attributes changed'
+                : `${change.kind === 'node' ? 'Node' : 'Edge'} ${change.id} ${change.status}`;
+            
+            if (change.attrs.length > 0) {
+                const detail = document.createElement('span');
+                detail.className = 'change-detail';
+                detail.textContent = change.attrs
+                    .map(attr => `${attr.name}: ${formatValue(attr.before)} → ${formatValue(attr.after)}`)
+                    .join('; ');
+                item.appendChild(detail);
+            }
+            
+            item.addEventListener('click', function() {
+                compareChanges.querySelectorAll('li.selected').forEach(selected => selected.classList.remove('selected'));
+                item.classList.add('selected');
+                locateChange(change);
+            });
+            compareChanges.appendChild(item);
+        });
+    }
+    
+    /**
+     * Highlight a changed node or edge and bring it into view.
+     * 
+     * @param {Object} change - Change from Diff.compareModels()
+     */
+    function locateChange(change) {
+        if (change.kind === 'node') {
+            Graph.highlightNodes([change.id]);
+            Graph.focusNode(change.id);
+        } else if (change.kind === 'edge') {
+            const edge = edges.find(candidate => candidate.id === change.id);
+            if (edge) {
+                Graph.highlightNodes([edge.source, edge.target], [edge.id]);
+                Graph.focusEdge(edge.id);
+            }
+        }
+    }
+    
+    /**
+     * Add a source to merge. A source with the same name as an existing one
+     * replaces it, e.g. when a changed file is picked again.
+     * 
+     * @param {string} name - Name of the source, e.g. its file name
+     * @param {string} source - DOT source
+     */
+    function addMergeInput(name, source) {
+        const existing = mergeInputs.find(input => input.name === name);
+        if (existing) {
+            existing.source = source;
+        } else {
+            mergeInputs.push({ name, source });
+        }
+        renderMergeInputs();
+        
+        if (existing) {
+            regenerateMerge();
+        }
+    }
+    
+    /**
+     * Show the sources to merge, each with an editor for its source and a
+     * button to remove it.
+     */
+    function renderMergeInputs() {
+        mergeInputList.innerHTML = '';
+        mergeInputs.forEach(input => {
+            const item = document.createElement('li');
+            
+            const name = document.createElement('span');
+            name.className = 'merge-input-name';
+            name.textContent = input.name;
+            
+            const remove = document.createElement('button');
+            remove.className = 'merge-input-remove';
+            remove.textContent = '✕';
+            remove.title = 'Remove this source';
+            remove.addEventListener('click', function() {
+                mergeInputs = mergeInputs.filter(other => other !== input);
+                renderMergeInputs();
+                regenerateMerge();
+            });
+            
+            // Editing a source regenerates the merge
+            const details = document.createElement('details');
+            const summary = document.createElement('summary');
+            summary.textContent = 'Edit';
+            const textarea = document.createElement('textarea');
+            textarea.spellcheck = false;
+            textarea.value = input.source;
+            textarea.addEventListener('change', function() {
+                input.source = textarea.value;
+                regenerateMerge();
+            });
+            details.appendChild(summary);
+            details.appendChild(textarea);
+            
+            item.appendChild(remove);
+            item.appendChild(name);
+            item.appendChild(details);
+            mergeInputList.appendChild(item);
+        });
+    }
+    
+    /**
+     * Show a message in the merge panel.
+     * 
+     * @param {string} message - Message to show
+     * @param {boolean} [isError=false] - Whether the message reports an error
+     */
+    function showMergeStatus(message, isError = false) {
+        mergeStatus.textContent = message;
+        mergeStatus.classList.toggle('merge-error', isError);
+    }
+    
+    /**
+     * Merge the sources and open the result like any other source.
+     */
+    function runMerge() {
+        if (mergeInputs.length < 2) {
+            showMergeStatus('Add at least two sources to merge', true);
+            return;
+        }
+        
+        let result;
+        try {
+            result = Merge.mergeSources(mergeInputs, {
+                clusterPerSource: document.getElementById("merge-cluster-per-source").checked
+            });
+        } catch (error) {
+            showMergeStatus(`Could not merge: ${error.message}`, true);
+            return;
+        }
+        
+        lastMergeResult = result.dotSource;
+        loadDotSource(result.dotSource);
+        
+        showMergeStatus(`Merged ${mergeInputs.length} sources` + (result.conflicts.length > 0
+            ? `; ${result.conflicts.length} attribute conflict${result.conflicts.length === 1 ? '' : 's'}, the first source's value was kept`
+            : ''));
+        mergeConflicts.innerHTML = '';
+        result.conflicts.forEach(conflict => {
+            const item = document.createElement('li');
+            const owner = conflict.kind === 'graph' ? 'Graph' : `${conflict.kind === 'node' ? 'Node' : 'Edge'} ${conflict.id}`;
+            item.textContent = `${owner}, ${conflict.attr}: ` +
+                conflict.values.map(({ source, value }) => `${value} (${source})`).join(' vs ');
+            mergeConflicts.appendChild(item);
+        });
+    }
+    
+    /**
+     * Merge again after a source changed or was removed, unless the merged
+     * graph was edited since; regenerating would throw those edits away.
+     */
+    function regenerateMerge() {
+        if (lastMergeResult === null) {
+            return;
+        }
+        if (Editor.getContent() !== lastMergeResult) {
+            showMergeStatus('The merged graph was edited since the last merge; press Merge to regenerate it');
+            return;
+        }
+        runMerge();
+    }
+    
+    /**
+     * Show a message in the export panel.
+     * 
+     * @param {string} message - Message to show
+     * @param {boolean} [isError=false] - Whether the message reports an error
+     */
+    function showExportStatus(message, isError = false) {
+        exportStatus.textContent = message;
+        exportStatus.classList.toggle('export-error', isError);
+    }
+    
+    /**
+     * Export the rendered graph with the settings of the export panel.
+     * 
+     * @param {string} format - 'svg', 'png' or 'pdf'
+     */
+    function runExport(format) {
+        const svgElement = document.querySelector("#graph svg");
+        if (!svgElement) {
+            showExportStatus('There is no rendered graph to export', true);
+            return;
+        }
+        
+        const options = {
+            area: document.querySelector('input[name="export-area"]:checked').value,
+            background: exportBackground.value === 'color' ? exportBackgroundColor.value : exportBackground.value,
+            scale: parseInt(document.getElementById("export-scale").value),
+            pageSize: document.getElementById("export-page-size").value,
+            orientation: document.getElementById("export-orientation").value,
+            fit: document.getElementById("export-fit").checked
+        };
+        
+        try {
+            if (format === 'svg') {
+                ImageExport.exportSvg(svgElement, options);
+                showExportStatus('SVG exported');
+            } else if (format === 'png') {
+                showExportStatus('Drawing PNG...');
+                ImageExport.exportPng(svgElement, options)
+                    .then(() => showExportStatus('PNG exported'))
+                    .catch(error => {
+                        console.error("Error exporting PNG:", error);
+                        showExportStatus(error.message, true);
+                    });
+            } else {
+                const pageCount = ImageExport.printPages(svgElement, options);
+                showExportStatus(`Opened ${pageCount} page${pageCount === 1 ? '' : 's'} for printing; choose "Save as PDF" to get a PDF`);
+            }
+        } catch (error) {
+            console.error("Error exporting graph:", error);
+            showExportStatus(error.message, true);
+        }
+    }
+    
+    /**
+     * Export the graph's data in the format picked in the export panel, as a
+     * download or to the clipboard. Collapsed clusters are exported in full.
+     * 
+     * @param {boolean} copy - Whether to copy the text instead of downloading it
+     */
+    function runDataExport(copy) {
+        const formatKey = document.getElementById("export-format").value;
+        const format = Exporters.FORMATS[formatKey];
+        let text;
+        try {
+            // A comparison on display isn't the user's graph
+            text = Exporters.exportSource(Graph.getSharedDotSource(), formatKey);
+        } catch (error) {
+            console.error("Error exporting graph data:", error);
+            showExportStatus(`Could not export: ${error.message}`, true);
+            return;
+        }
+        
+        if (!copy) {
+            Utils.downloadBlob(new Blob([text], { type: format.mimeType }), `graph.${format.extension}`);
+            showExportStatus(`${format.name} exported`);
+            return;
+        }
+        
+        navigator.clipboard.writeText(text)
+            .then(() => showExportStatus(`${format.name} copied to the clipboard`))
+            .catch(error => {
+                console.error("Could not copy export:", error);
+                showExportStatus('Could not copy to the clipboard; use Download instead', true);
+            });
+    }
+    
+    /**
+     * Show a message in the import panel.
+     * 
+     * @param {string} message - Message to show
+     * @param {boolean} [isError=false] - Whether the message reports an error
+     */
+    function showImportStatus(message, isError = false) {
+        importStatus.textContent = message;
+        importStatus.classList.toggle('import-error', isError);
+    }
+    
+    /**
+     * Format to read a folder as: the chosen format if it can pick its files
+     * out of a folder, or else JavaScript modules.
+     * 
+     * @returns {string} Key of Importers.FORMATS
+     */
+    function getFolderImportFormat() {
+        return Importers.FORMATS[importFormat.value].accepts ? importFormat.value : 'modules';
+    }
+    
+    /**
+     * Put files read for import into the import panel. A single file is
+     * shown in the text area; several are kept to be imported together.
+     * 
+     * @param {Array} loaded - Files { name, text }
+     * @param {string|null} [format=null] - Format to import them as; guessed from the file names when null
+     */
+    function loadImportFiles(loaded, format = null) {
+        if (loaded.length === 0) {
+            showImportStatus('No files to import were found', true);
+            return;
+        }
+        const formats = new Set(loaded.map(file => Importers.formatForFile(file.name)));
+        if (format) {
+            importFormat.value = format;
+        } else if (formats.size === 1 && !formats.has(null)) {
+            importFormat.value = Array.from(formats)[0];
+        }
+        
+        if (loaded.length === 1 && !format) {
+            importFiles = [];
+            importSource.value = loaded[0].text;
+            updateImportMapping();
+        } else {
+            importFiles = loaded;
+            importSource.value = '';
+            updateImportMapping();
+            const names = loaded.length > 5 ? `${loaded.slice(0, 5).map(file => file.name).join(', ')}, ...` : loaded.map(file => file.name).join(', ');
+            showImportStatus(`${loaded.length} file${loaded.length === 1 ? '' : 's'} loaded: ${names}`);
+        }
+    }
+    
+    /**
+     * Offer the fields of the text in the import panel for the format's
+     * mappings, e.g. which CSV column holds the labels. Choices that still
+     * exist are kept; the rest are guessed again. The external packages
+     * option only shows for JavaScript modules.
+     */
+    function updateImportMapping() {
+        const format = Importers.FORMATS[importFormat.value];
+        document.getElementById("import-external-option").style.display = importFormat.value === 'modules' ? '' : 'none';
+        if (!format.fields || !importSource.value.trim()) {
+            importMapping.style.display = 'none';
+            return;
+        }
+        
+        let fields;
+        try {
+            fields = format.fields(importSource.value);
+        } catch (error) {
+            importMapping.style.display = 'none';
+            showImportStatus(`Could not read the fields: ${error.message}`, true);
+            return;
+        }
+        
+        const previous = getImportMapping();
+        importMapping.innerHTML = '';
+        format.mappings.forEach(key => {
+            const mapping = Importers.MAPPINGS[key];
+            const label = document.createElement('label');
+            label.textContent = mapping.name;
+            label.htmlFor = `import-map-${key}`;
+            const select = document.createElement('select');
+            select.id = `import-map-${key}`;
+            select.dataset.mapping = key;
+            const choices = (mapping.required ? [] : ['']).concat(fields.fields);
+            choices.forEach(field => {
+                const option = document.createElement('option');
+                option.value = field;
+                option.textContent = field || '(none)';
+                select.appendChild(option);
+            });
+            select.value = fields.fields.includes(previous[key]) ? previous[key] : fields.mapping[key];
+            importMapping.appendChild(label);
+            importMapping.appendChild(select);
+        });
+        importMapping.style.display = '';
+        showImportStatus('');
+    }
+    
+    /**
+     * Get the fields chosen in the import panel's mapping.
+     * 
+     * @returns {Object} Field names by mapping key, see Importers.MAPPINGS
+     */
+    function getImportMapping() {
+        const mapping = {};
+        importMapping.querySelectorAll('select').forEach(select => {
+            mapping[select.dataset.mapping] = select.value;
+        });
+        return mapping;
+    }
+    
+    /**
+     * Convert the text in the import panel to DOT and open it, listing what
+     * could not be converted, such as malformed rows.
+     */
+    function runImport() {
+        const format = Importers.FORMATS[importFormat.value];
+        importWarnings.innerHTML = '';
+        let result;
+        try {
+            if (importFiles.length > 0) {
+                result = Importers.importFiles(importFiles, importFormat.value, { external: importExternal.value });
+            } else {
+                // Without a mapping on display the importer guesses one
+                const mapping = format.fields && importMapping.style.display !== 'none' ? getImportMapping() : undefined;
+                result = Importers.importText(importSource.value, importFormat.value, mapping);
+            }
+        } catch (error) {
+            console.error("Error importing graph:", error);
+            showImportStatus(`Could not import: ${error.message}`, true);
+            return;
+        }
+        
+        loadDotSource(result.dotSource);
+        showImportStatus(`Imported ${result.nodeCount} node${result.nodeCount === 1 ? '' : 's'} and ` +
+            `${result.edgeCount} edge${result.edgeCount === 1 ? '' : 's'} (${format.name})` +
+            (result.warnings.length > 0 ? `, with ${result.warnings.length} warning${result.warnings.length === 1 ? '' : 's'}:` : ''));
+        result.warnings.forEach(warning => {
+            const item = document.createElement('li');
+            item.textContent = warning;
+            importWarnings.appendChild(item);
+        });
+    }
+    
+    /**
+     * Open new DOT source in the editor and the graph, as if it had been
+     * typed in and applied.
+     * 
+     * @param {string} dotSource - DOT source to open
+     */
+    function loadDotSource(dotSource) {
+        Editor.updateContent(dotSource);
+        updateDotSource(dotSource);
+    }
+    
     /**
      * Update the DOT source and refresh the graph.
      * 
      * @param {string} newDotSource - New DOT source
+     * @param {Object} [options] - Update options
+     * @param {boolean} [options.preview=false] - Whether the source is only shown, like a
+     *   comparison, rather than being the graph's new source
+     * @param {boolean} [options.layoutOnly=false] - Whether only the way the source is
+     *   shown changed, e.g. a cluster was collapsed
      */
-    function updateDotSource(newDotSource) {
+    function updateDotSource(newDotSource, options = {}) {
+        // A new source replaces any comparison on display
+        if (!options.preview && comparing) {
+            comparing = false;
+            compareExitButton.disabled = true;
+            compareChanges.innerHTML = '';
+            showCompareStatus('');
+        }
+        
         // Update the graph with new DOT source
-        const { nodes: newNodes, edges: newEdges } = Graph.updateGraph(newDotSource, handleNodeClick);
+        const { nodes: newNodes, edges: newEdges, directed } = Graph.updateGraph(newDotSource, handleNodeClick, {
+            updateUrl: !options.preview
+        });
         
         // Update nodes and edges
         nodes = newNodes;
         edges = newEdges;
         
-        // Repopulate the node select dropdown
+        // Repopulate the node and cluster select dropdowns
         populateNodeSelect();
+        populateClusterSelect();
+        populateWeightSelect();
+        populateEdgeFilters();
+        
+        // Warn when the edit introduced a cycle
+        const newCycles = updateCycleAnalysis();
+        if (!options.preview && !options.layoutOnly) {
+            showCycleWarning(newCycles);
+            saveVersion(newDotSource);
+        }
+        
+        // Recompute node metrics
+        updateMetrics();
+        
+        // Switch view modes if the graph changed between directed and undirected
+        updateViewModeOptions(directed);
         
         // Update the view
         updateView();
@@ -214,4 +1535,9 @@ const App = (function() {
 // Initialize the application when the DOM is loaded
 document.addEventListener('DOMContentLoaded', function() {
     App.initialize();
-}); 
\ No newline at end of file
+});
+
+// Export for Node-based tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = App;
+}
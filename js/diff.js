@@ -0,0 +1,186 @@
+/**
+ * Diff module: compares two versions of a graph and builds a combined
+ * graph showing what was added, removed and changed.
+ */
+const Diff = (function() {
+    // Classes given to changed elements in the combined graph; Graphviz
+    // copies them onto the SVG elements
+    const CLASSES = {
+        added: 'diff-added',
+        removed: 'diff-removed',
+        changed: 'diff-changed'
+    };
+    
+    /**
+     * Compare two attribute maps.
+     * 
+     * @param {Object} before - Attribute map of the old version
+     * @param {Object} after - Attribute map of the new version
+     * @returns {Array} Differences { name, before, after } sorted by name; a missing value is undefined
+     */
+    function compareAttrs(before, after) {
+        const names = new Set(Object.keys(before || {}).concat(Object.keys(after || {})));
+        return Array.from(names)
+            .filter(name => (before || {})[name] !== (after || {})[name])
+            .sort()
+            .map(name => ({ name, before: (before || {})[name], after: (after || {})[name] }));
+    }
+    
+    /**
+     * Compare the nodes and edges of two graph models. Nodes are matched by
+     * ID and edges by their edge ID, so parallel edges are matched in order.
+     * A node moved to another cluster counts as a change of its "cluster".
+     * 
+     * @param {Object} before - Model of the old version, from Parser.buildModel()
+     * @param {Object} after - Model of the new version
+     * @returns {Array} Changes { kind: 'graph'|'node'|'edge', id, status: 'added'|'removed'|'changed', attrs }
+     */
+    function compareModels(before, after) {
+        const changes = [];
+        
+        const beforeGraph = before.graph ? before.graph.attrs : {};
+        const afterGraph = after.graph ? after.graph.attrs : {};
+        const graphAttrs = compareAttrs(beforeGraph, afterGraph);
+        if (graphAttrs.length > 0) {
+            changes.push({ kind: 'graph', id: '', status: 'changed', attrs: graphAttrs });
+        }
+        
+        // Lists of items keyed by ID, compared in order of the new version
+        // with removed items after
+        const compareItems = (kind, beforeItems, afterItems, getAttrs) => {
+            const beforeMap = new Map(beforeItems.map(item => [item.id, item]));
+            const afterIds = new Set(afterItems.map(item => item.id));
+            
+            afterItems.forEach(item => {
+                const previous = beforeMap.get(item.id);
+                if (!previous) {
+                    changes.push({ kind, id: item.id, status: 'added', attrs: [] });
+                    return;
+                }
+                const attrs = compareAttrs(getAttrs(previous), getAttrs(item));
+                if (attrs.length > 0) {
+                    changes.push({ kind, id: item.id, status: 'changed', attrs });
+                }
+            });
+            
+            beforeItems.filter(item => !afterIds.has(item.id)).forEach(item => {
+                changes.push({ kind, id: item.id, status: 'removed', attrs: [] });
+            });
+        };
+        
+        compareItems('node', before.nodes, after.nodes, node =>
+            node.cluster ? Object.assign({}, node.attrs, { cluster: node.cluster }) : node.attrs);
+        compareItems('edge', before.edges, after.edges, edge => edge.attrs);
+        
+        return changes;
+    }
+    
+    /**
+     * Add a class to an attribute map, keeping any class it already has.
+     * 
+     * @param {Object} attrs - Attribute map
+     * @param {string} className - Class to add
+     * @returns {Object} New attribute map
+     */
+    function withClass(attrs, className) {
+        const classes = attrs.class ? `${attrs.class} ${className}` : className;
+        return Object.assign({}, attrs, { class: classes });
+    }
+    
+    /**
+     * Combine two versions of a graph into one model that shows both: the new
+     * version, with removed nodes, edges and the clusters they were in added
+     * back, and every changed element marked with a diff-* class.
+     * 
+     * @param {Object} before - Model of the old version
+     * @param {Object} after - Model of the new version
+     * @param {Array} changes - Changes from compareModels()
+     * @returns {Object} Combined model
+     */
+    function mergeModels(before, after, changes) {
+        const statusOf = new Map(changes
+            .filter(change => change.kind !== 'graph')
+            .map(change => [`${change.kind}\u0000${change.id}`, change.status]));
+        const mark = (kind, item) => {
+            const status = statusOf.get(`${kind}\u0000${item.id}`);
+            return status ? Object.assign({}, item, { attrs: withClass(item.attrs, CLASSES[status]) }) : item;
+        };
+        
+        const nodes = after.nodes.map(node => mark('node', node));
+        const edges = after.edges.map(edge => mark('edge', edge));
+        const subgraphs = after.subgraphs.map(subgraph => Object.assign({}, subgraph, { nodes: subgraph.nodes.slice() }));
+        const subgraphMap = new Map(subgraphs.map(subgraph => [subgraph.id, subgraph]));
+        const beforeSubgraphs = new Map(before.subgraphs.map(subgraph => [subgraph.id, subgraph]));
+        
+        // Bring back a removed cluster along with any removed ancestor clusters.
+        // Anonymous subgraphs are numbered by position, so they can't be matched
+        // between versions and are skipped.
+        const restoreSubgraph = clusterId => {
+            if (!clusterId || subgraphMap.has(clusterId) || !beforeSubgraphs.has(clusterId)) {
+                return subgraphMap.get(clusterId);
+            }
+            const original = beforeSubgraphs.get(clusterId);
+            let ancestor = beforeSubgraphs.get(original.parent);
+            while (ancestor && !ancestor.isCluster) {
+                ancestor = beforeSubgraphs.get(ancestor.parent);
+            }
+            const parent = ancestor ? restoreSubgraph(ancestor.id) : null;
+            const restored = Object.assign({}, original, {
+                attrs: withClass(original.attrs, CLASSES.removed),
+                parent: parent ? parent.id : null,
+                children: [],
+                nodes: []
+            });
+            subgraphs.push(restored);
+            subgraphMap.set(restored.id, restored);
+            return restored;
+        };
+        
+        const removed = (kind, items) => items.filter(item => statusOf.get(`${kind}\u0000${item.id}`) === 'removed');
+        
+        removed('node', before.nodes).forEach(node => {
+            nodes.push(mark('node', node));
+            const cluster = restoreSubgraph(node.cluster);
+            if (cluster) {
+                cluster.nodes.push(node.id);
+            }
+        });
+        removed('edge', before.edges).forEach(edge => {
+            edges.push(mark('edge', edge));
+        });
+        
+        return { graph: after.graph || before.graph, nodes, edges, subgraphs };
+    }
+    
+    /**
+     * Compare two DOT sources and write the combined graph.
+     * 
+     * @param {string} beforeSource - DOT source of the old version
+     * @param {string} afterSource - DOT source of the new version
+     * @returns {Object} Result { changes, dotSource } with the combined graph's DOT source
+     * @throws {SyntaxError} If either source is not valid DOT
+     */
+    function compareSources(beforeSource, afterSource) {
+        const before = Parser.buildModel(Parser.parse(beforeSource));
+        const after = Parser.buildModel(Parser.parse(afterSource));
+        
+        const changes = compareModels(before, after);
+        const dotSource = Serializer.fromModel(mergeModels(before, after, changes));
+        
+        return { changes, dotSource };
+    }
+    
+    // Public API
+    return {
+        CLASSES,
+        compareAttrs,
+        compareModels,
+        mergeModels,
+        compareSources
+    };
+})();
+
+// Export for Node-based tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Diff;
+}
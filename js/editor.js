@@ -7,6 +7,7 @@ const Editor = (function() {
     let errorDecorations = []; // Move to module scope so it persists across function calls
     let validationTimeout = null; // For debouncing validation
     let autoApplyChanges = localStorage.getItem('autoApplyChanges') === 'true'; // Load from localStorage
+    let formatOnApply = localStorage.getItem('formatOnApply') === 'true'; // Load from localStorage
     let lastGraphvizError = null; // For tracking Graphviz errors
     
     /**
@@ -137,8 +138,52 @@ const Editor = (function() {
                     autoApplyContainer.appendChild(autoApplyToggle);
                     autoApplyContainer.appendChild(autoApplyLabel);
                     editorHeader.insertBefore(autoApplyContainer, editorHeader.firstChild);
+                    
+                    // Create container for format-on-apply toggle
+                    const formatOnApplyContainer = document.createElement('div');
+                    formatOnApplyContainer.className = 'auto-apply-container';
+                    
+                    // Create toggle switch
+                    const formatOnApplyToggle = document.createElement('input');
+                    formatOnApplyToggle.type = 'checkbox';
+                    formatOnApplyToggle.id = 'format-on-apply-toggle';
+                    formatOnApplyToggle.checked = formatOnApply;
+                    
+                    // Create label
+                    const formatOnApplyLabel = document.createElement('label');
+                    formatOnApplyLabel.htmlFor = 'format-on-apply-toggle';
+                    formatOnApplyLabel.textContent = 'Format on apply';
+                    
+                    // Add event listener
+                    formatOnApplyToggle.addEventListener('change', function() {
+                        formatOnApply = this.checked;
+                        // Save to localStorage
+                        localStorage.setItem('formatOnApply', formatOnApply);
+                    });
+                    
+                    // Append elements
+                    formatOnApplyContainer.appendChild(formatOnApplyToggle);
+                    formatOnApplyContainer.appendChild(formatOnApplyLabel);
+                    editorHeader.insertBefore(formatOnApplyContainer, autoApplyContainer.nextSibling);
                 }
                 
+                // Register "Format Document" (Shift+Alt+F and the context menu)
+                monaco.languages.registerDocumentFormattingEditProvider('dot', {
+                    provideDocumentFormattingEdits: function(model, options) {
+                        try {
+                            const indent = options.insertSpaces ? ' '.repeat(options.tabSize) : '\t';
+                            return [{
+                                range: model.getFullModelRange(),
+                                text: Serializer.formatDotSource(model.getValue(), { indent })
+                            }];
+                        } catch (error) {
+                            // Leave the document alone if it doesn't parse
+                            showFormatError(error);
+                            return [];
+                        }
+                    }
+                });
+                
                 // Register a callback for Graphviz rendering errors
                 window.handleGraphvizError = function(error) {
                     console.log("Handling Graphviz error in editor:", error);
@@ -162,7 +207,7 @@ const Editor = (function() {
                 
                 // Set up apply changes button
                 document.getElementById('apply-changes').addEventListener('click', function() {
-                    const newDotSource = monacoEditor.getValue();
+                    let newDotSource = monacoEditor.getValue();
                     
                     // Clear previous error decorations
                     clearErrorHighlighting();
@@ -195,6 +240,11 @@ const Editor = (function() {
                             validationStatus.textContent = 'Applying changes...';
                             validationStatus.classList.add('validating');
                             
+                            // Format the document first if enabled
+                            if (formatOnApply) {
+                                newDotSource = formatContent(newDotSource);
+                            }
+                            
                             // Call the callback with the new source
                             onApplyChanges(newDotSource);
                             
@@ -453,7 +503,7 @@ const Editor = (function() {
                 document.getElementById('editor-toggle').addEventListener('click', function() {
                     toggleEditor();
                 });
-                
+            
             } catch (error) {
                 console.error("Error initializing editor:", error);
                 alert("There was an error initializing the editor. Some features may not work properly.");
@@ -798,6 +848,49 @@ const Editor = (function() {
         }
     }
     
+    /**
+     * Format DOT source and, if it changed, replace the editor content with
+     * the result as a single undoable edit.
+     * 
+     * @param {string} dotSource - The DOT source to format
+     * @returns {string} The formatted source, or the original if it doesn't parse
+     */
+    function formatContent(dotSource) {
+        let formatted;
+        try {
+            formatted = Serializer.formatDotSource(dotSource);
+        } catch (error) {
+            showFormatError(error);
+            return dotSource;
+        }
+        
+        if (monacoEditor && formatted !== dotSource) {
+            monacoEditor.pushUndoStop();
+            monacoEditor.executeEdits('format-on-apply', [{
+                range: monacoEditor.getModel().getFullModelRange(),
+                text: formatted
+            }]);
+            monacoEditor.pushUndoStop();
+        }
+        
+        return formatted;
+    }
+    
+    /**
+     * Report DOT source that can't be formatted, marking where in the editor
+     * it went wrong. Formatting replaces the whole document, so source it
+     * can't read in full, such as text after the graph, is left alone.
+     * 
+     * @param {Error} error - Error from Serializer.formatDotSource()
+     */
+    function showFormatError(error) {
+        console.warn("Could not format DOT source:", error.message);
+        if (error.location) {
+            const { line, column } = error.location.start;
+            highlightErrorInEditor(line, column, `Could not format: ${error.message}`);
+        }
+    }
+    
     /**
      * Toggle the editor visibility.
      */
@@ -880,7 +973,7 @@ const Editor = (function() {
     
     // Add a custom console error interceptor for catching Graphviz errors
     const originalConsoleError = console.error;
-
+    
     // Override console.error to intercept Graphviz errors
     console.error = function() {
         // Call the original console.error
@@ -920,4 +1013,9 @@ const Editor = (function() {
         validateDOTSyntax,
         sanitizeDotSource
     };
-})(); 
\ No newline at end of file
+})();
+
+// Export for Node-based tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Editor;
+}
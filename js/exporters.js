@@ -0,0 +1,360 @@
+/**
+ * Exporters module: writes the graph model in formats other tools read,
+ * such as GraphML for yEd, CSV edge lists for spreadsheets and Mermaid for
+ * Markdown documents.
+ */
+const Exporters = (function() {
+    // Mermaid node shapes for Graphviz shapes, as opening and closing brackets
+    const MERMAID_SHAPES = {
+        box: ['[', ']'],
+        rect: ['[', ']'],
+        rectangle: ['[', ']'],
+        square: ['[', ']'],
+        ellipse: ['(', ')'],
+        oval: ['(', ')'],
+        circle: ['((', '))'],
+        doublecircle: ['(((', ')))'],
+        diamond: ['{', '}'],
+        hexagon: ['{{', '}}'],
+        cylinder: ['[(', ')]'],
+        parallelogram: ['[/', '/]'],
+        trapezium: ['[/', '\\]'],
+        invtrapezium: ['[\\', '/]']
+    };
+    
+    // Words Mermaid reads as keywords, so they can't be node IDs
+    const MERMAID_KEYWORDS = new Set(['end', 'graph', 'flowchart', 'subgraph', 'style', 'class', 'classdef', 'click', 'linkstyle', 'direction']);
+    
+    /**
+     * Turn a label into plain text: Graphviz escapes like "\n" become line
+     * breaks and HTML labels lose their markup.
+     * 
+     * @param {string} value - Attribute value
+     * @param {string} id - ID of the labelled node, edge or graph, for "\N" and similar escapes
+     * @param {boolean} html - Whether the value is an HTML string
+     * @returns {string} Plain text
+     */
+    function toPlainText(value, id, html) {
+        if (html) {
+            return value
+                .replace(/<br\s*\/?>/gi, '\n')
+                .replace(/<[^>]*>/g, '')
+                .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&')
+                .trim();
+        }
+        return value
+            .replace(/\\[NGEHT]/g, id)
+            .replace(/\\[nlr]/g, '\n')
+            .replace(/\\(.)/g, '$1')
+            .replace(/\n$/, '');
+    }
+    
+    /**
+     * Get the label of a node, edge or cluster as plain text.
+     * 
+     * @param {Object} item - Node, edge or subgraph from the model
+     * @param {string} fallback - Label to use when none is set
+     * @returns {string} Label
+     */
+    function getLabel(item, fallback) {
+        const label = item.attrs && item.attrs.label;
+        return label !== undefined && label !== '' ? toPlainText(label, item.id, Parser.isHtmlAttr(item, 'label')) : fallback;
+    }
+    
+    /**
+     * Get the clusters of a model with the cluster each one is nested in,
+     * skipping plain subgraphs in between.
+     * 
+     * @param {Object} model - Model from Parser.buildModel()
+     * @returns {Array} Clusters { id, subgraph, parent }, parents first
+     */
+    function getClusters(model) {
+        const subgraphMap = new Map(model.subgraphs.map(subgraph => [subgraph.id, subgraph]));
+        return model.subgraphs.filter(subgraph => subgraph.isCluster).map(subgraph => {
+            let parent = subgraphMap.get(subgraph.parent);
+            while (parent && !parent.isCluster) {
+                parent = subgraphMap.get(parent.parent);
+            }
+            return { id: subgraph.id, subgraph, parent: parent ? parent.id : null };
+        });
+    }
+    
+    /**
+     * Write a model as JSON: the graph's attributes, then nodes, edges and
+     * clusters with their plain-text labels alongside every attribute.
+     * 
+     * @param {Object} model - Model from Parser.buildModel()
+     * @returns {string} JSON text
+     */
+    function toJson(model) {
+        const data = {
+            id: model.graph.id,
+            directed: model.graph.directed,
+            strict: model.graph.strict,
+            attrs: model.graph.attrs,
+            nodes: model.nodes.map(node => ({
+                id: node.id,
+                label: getLabel(node, node.id),
+                tooltip: node.attrs.tooltip || null,
+                cluster: node.cluster || null,
+                attrs: node.attrs
+            })),
+            edges: model.edges.map(edge => ({
+                id: edge.id,
+                source: edge.source,
+                target: edge.target,
+                sourcePort: edge.sourcePort || null,
+                targetPort: edge.targetPort || null,
+                label: getLabel(edge, null),
+                tooltip: edge.attrs.tooltip || null,
+                attrs: edge.attrs
+            })),
+            clusters: getClusters(model).map(({ id, subgraph, parent }) => ({
+                id,
+                label: getLabel(subgraph, null),
+                parent,
+                nodes: subgraph.nodes
+            }))
+        };
+        return JSON.stringify(data, null, 2);
+    }
+    
+    /**
+     * Escape text for XML content and attribute values.
+     * 
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    function escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+    
+    /**
+     * Write a model as GraphML. Clusters become group nodes holding a nested
+     * graph of their members, which yEd shows as groups; labels and
+     * tooltips are written as data.
+     * 
+     * @param {Object} model - Model from Parser.buildModel()
+     * @returns {string} GraphML document
+     */
+    function toGraphml(model) {
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"',
+            '         xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+            '         xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+            '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+            '  <key id="tooltip" for="node" attr.name="tooltip" attr.type="string"/>',
+            '  <key id="edge_label" for="edge" attr.name="label" attr.type="string"/>',
+            '  <key id="edge_tooltip" for="edge" attr.name="tooltip" attr.type="string"/>'
+        ];
+        const edgeDefault = model.graph.directed ? 'directed' : 'undirected';
+        const graphId = model.graph.id || 'G';
+        
+        const clusters = getClusters(model);
+        const childClusters = new Map();
+        clusters.forEach(cluster => {
+            if (!childClusters.has(cluster.parent)) {
+                childClusters.set(cluster.parent, []);
+            }
+            childClusters.get(cluster.parent).push(cluster);
+        });
+        const data = (key, value, indent) => value === null || value === undefined
+            ? []
+            : [`${indent}<data key="${key}">${escapeXml(value)}</data>`];
+        
+        // Nodes and clusters directly inside a cluster, or the top level for null
+        const writeContents = (clusterId, indent) => {
+            (childClusters.get(clusterId) || []).forEach(cluster => {
+                lines.push(`${indent}<node id="${escapeXml(cluster.id)}">`);
+                lines.push(...data('label', getLabel(cluster.subgraph, cluster.id), `${indent}  `));
+                lines.push(`${indent}  <graph id="${escapeXml(cluster.id)}:" edgedefault="${edgeDefault}">`);
+                writeContents(cluster.id, `${indent}    `);
+                lines.push(`${indent}  </graph>`);
+                lines.push(`${indent}</node>`);
+            });
+            model.nodes.filter(node => (node.cluster || null) === clusterId).forEach(node => {
+                lines.push(`${indent}<node id="${escapeXml(node.id)}">`);
+                lines.push(...data('label', getLabel(node, node.id), `${indent}  `));
+                lines.push(...data('tooltip', node.attrs.tooltip, `${indent}  `));
+                lines.push(`${indent}</node>`);
+            });
+        };
+        
+        lines.push(`  <graph id="${escapeXml(graphId)}" edgedefault="${edgeDefault}">`);
+        writeContents(null, '    ');
+        model.edges.forEach(edge => {
+            lines.push(`    <edge id="${escapeXml(edge.id)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">`);
+            lines.push(...data('edge_label', getLabel(edge, null), '      '));
+            lines.push(...data('edge_tooltip', edge.attrs.tooltip, '      '));
+            lines.push('    </edge>');
+        });
+        lines.push('  </graph>');
+        lines.push('</graphml>');
+        
+        return lines.join('\n') + '\n';
+    }
+    
+    /**
+     * Quote a CSV field when it needs it.
+     * 
+     * @param {string} value - Field value
+     * @returns {string} Field as written in the CSV file
+     */
+    function escapeCsv(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+    
+    /**
+     * Write a model as a CSV edge list, one edge per row with its label,
+     * tooltip and the clusters of both ends. Nodes without edges get a row
+     * of their own with no target, so they aren't lost.
+     * 
+     * @param {Object} model - Model from Parser.buildModel()
+     * @returns {string} CSV text
+     */
+    function toCsv(model) {
+        const clusterOf = new Map(model.nodes.map(node => [node.id, node.cluster || '']));
+        const rows = [['source', 'target', 'label', 'tooltip', 'source_cluster', 'target_cluster']];
+        
+        model.edges.forEach(edge => {
+            rows.push([
+                edge.source,
+                edge.target,
+                getLabel(edge, ''),
+                edge.attrs.tooltip || '',
+                clusterOf.get(edge.source) || '',
+                clusterOf.get(edge.target) || ''
+            ]);
+        });
+        
+        const connected = new Set(model.edges.flatMap(edge => [edge.source, edge.target]));
+        model.nodes.filter(node => !connected.has(node.id)).forEach(node => {
+            rows.push([node.id, '', '', '', node.cluster || '', '']);
+        });
+        
+        return rows.map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+    }
+    
+    /**
+     * Escape text for a quoted Mermaid label.
+     * 
+     * @param {string} text - Label text
+     * @returns {string} Text safe inside double quotes, with line breaks as <br>
+     */
+    function escapeMermaid(text) {
+        return text
+            .replace(/"/g, '#quot;')
+            .replace(/\n/g, '<br>');
+    }
+    
+    /**
+     * Write a model as a Mermaid flowchart. Node IDs are made safe for
+     * Mermaid and the original ID shown as the label when there is none;
+     * clusters become subgraphs and common shapes and edge styles carry
+     * over. Tooltips are left out, since Mermaid only shows them for
+     * clickable nodes.
+     * 
+     * @param {Object} model - Model from Parser.buildModel()
+     * @returns {string} Mermaid source
+     */
+    function toMermaid(model) {
+        const directions = { TB: 'TD', LR: 'LR', BT: 'BT', RL: 'RL' };
+        const direction = directions[String(model.graph.attrs.rankdir || 'TB').toUpperCase()] || 'TD';
+        const lines = [`flowchart ${direction}`];
+        
+        // Mermaid IDs are letters, digits and underscores
+        const usedIds = new Set();
+        const safeId = id => {
+            const base = String(id).replace(/[^A-Za-z0-9_]+/g, '_') || 'node';
+            let candidate = MERMAID_KEYWORDS.has(base.toLowerCase()) ? `${base}_` : base;
+            for (let suffix = 2; usedIds.has(candidate); suffix++) {
+                candidate = `${base}_${suffix}`;
+            }
+            usedIds.add(candidate);
+            return candidate;
+        };
+        const nodeIds = new Map(model.nodes.map(node => [node.id, safeId(node.id)]));
+        const clusters = getClusters(model);
+        const clusterIds = new Map(clusters.map(cluster => [cluster.id, safeId(cluster.id)]));
+        
+        const writeNode = (node, indent) => {
+            const shape = MERMAID_SHAPES[String(node.attrs.shape || 'ellipse').toLowerCase()] || MERMAID_SHAPES.box;
+            const label = escapeMermaid(getLabel(node, node.id));
+            lines.push(`${indent}${nodeIds.get(node.id)}${shape[0]}"${label}"${shape[1]}`);
+        };
+        const writeContents = (clusterId, indent) => {
+            clusters.filter(cluster => cluster.parent === clusterId).forEach(cluster => {
+                const label = escapeMermaid(getLabel(cluster.subgraph, cluster.id));
+                lines.push(`${indent}subgraph ${clusterIds.get(cluster.id)} ["${label}"]`);
+                writeContents(cluster.id, `${indent}    `);
+                lines.push(`${indent}end`);
+            });
+            model.nodes
+                .filter(node => (node.cluster || null) === clusterId)
+                .forEach(node => writeNode(node, indent));
+        };
+        writeContents(null, '    ');
+        
+        model.edges.forEach(edge => {
+            const flags = Parser.getStyleFlags(edge.attrs);
+            let arrow;
+            if (flags.bold) {
+                arrow = model.graph.directed ? '==>' : '===';
+            } else if (flags.dashed || flags.dotted) {
+                arrow = model.graph.directed ? '-.->' : '-.-';
+            } else {
+                arrow = model.graph.directed ? '-->' : '---';
+            }
+            const label = getLabel(edge, '');
+            const labelPart = label ? `|"${escapeMermaid(label)}"|` : '';
+            lines.push(`    ${nodeIds.get(edge.source)} ${arrow}${labelPart} ${nodeIds.get(edge.target)}`);
+        });
+        
+        return lines.join('\n') + '\n';
+    }
+    
+    // Formats on offer, by key
+    const FORMATS = {
+        json: { name: 'JSON', extension: 'json', mimeType: 'application/json', write: toJson },
+        graphml: { name: 'GraphML', extension: 'graphml', mimeType: 'application/graphml+xml', write: toGraphml },
+        csv: { name: 'CSV edge list', extension: 'csv', mimeType: 'text/csv', write: toCsv },
+        mermaid: { name: 'Mermaid', extension: 'mmd', mimeType: 'text/plain', write: toMermaid }
+    };
+    
+    /**
+     * Export a DOT source in one of the formats.
+     * 
+     * @param {string} dotSource - DOT source
+     * @param {string} format - Key of FORMATS
+     * @returns {string} The exported text
+     * @throws {SyntaxError} If the source is not valid DOT
+     * @throws {Error} If the format is unknown
+     */
+    function exportSource(dotSource, format) {
+        if (!FORMATS[format]) {
+            throw new Error(`Unknown export format "${format}"`);
+        }
+        return FORMATS[format].write(Parser.buildModel(Parser.parse(dotSource)));
+    }
+    
+    // Public API
+    return {
+        FORMATS,
+        toJson,
+        toGraphml,
+        toCsv,
+        toMermaid,
+        exportSource
+    };
+})();
+
+// Export for Node-based tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Exporters;
+}
@@ -5,19 +5,44 @@ const Graph = (function() {
     // Private variables
     let graphviz;
     let tooltip;
+    let model = null; // Parsed model of the current graph
     let nodes = [];
     let edges = [];
+    let subgraphs = [];
+    let directed = true; // Whether the current graph is a digraph
+    let index = Parser.buildIndex([], []); // Adjacency index of the current model
+    let hiddenNodes = new Set(); // Invisible nodes, which don't count as a hop
     let currentDotSource = '';
+    let sharedDotSource = ''; // The user's graph, which previews such as comparisons don't replace
+    let displayDotSource = ''; // Source actually rendered, with clusters collapsed
+    let collapsedClusters = new Set(); // IDs of the clusters shown as a single node
+    let placeholders = new Map(); // Placeholder node ID -> ID of the collapsed cluster
+    let fullModel = null; // Parsed model of the current graph with nothing collapsed
+    let displayedIds = new Map(); // ID of a node in a collapsed cluster -> its placeholder ID
+    let onClusterToggle = null;
+    let nodeClickHandler = null; // Node click callback of the last render
+    let focusEnabled = false; // Whether to show only what is highlighted
+    let focus = null; // Focused graph on display { nodes, edges, dotSource }
+    let savedTransform = null; // Zoom of the full graph, restored after focusing
+    let highlight = createHighlight(); // What the current highlighting covers
     let currentSelection = []; // Track multiple selections
     
+    // Upper bound on the paths collected in "all paths" mode
+    const MAX_PATHS = 500;
+    
     /**
      * Initialize the graphviz renderer.
      * 
      * @param {string} dotSource - Initial DOT source
      * @param {Function} onNodeClick - Callback when a node is clicked
+     * @param {Function} [onClusterToggleCallback] - Callback when a cluster is collapsed or expanded
      */
-    function initialize(dotSource, onNodeClick) {
+    function initialize(dotSource, onNodeClick, onClusterToggleCallback) {
         currentDotSource = dotSource;
+        sharedDotSource = dotSource;
+        onClusterToggle = onClusterToggleCallback || null;
+        collapsedClusters = new Set(Utils.loadCollapsedClustersFromUrl());
+        updateDisplaySource();
         
         // Set up the SVG and graphviz
         const width = window.innerWidth;
@@ -42,10 +67,8 @@ const Graph = (function() {
         // Initialize tooltip
         tooltip = d3.select("#tooltip");
         
-        // Parse the DOT source
-        const parsed = Parser.parseDotSource(dotSource);
-        nodes = parsed.nodes;
-        edges = parsed.edges;
+        // Parse the DOT source as displayed
+        setModel(Parser.parseDotSource(displayDotSource));
         
         // Set up window resize handler
         window.addEventListener("resize", function() {
@@ -102,14 +125,14 @@ const Graph = (function() {
                 graphviz.zoomIn();
             });
         }
-
+        
         const zoomOutBtn = document.getElementById("zoom-out");
         if (zoomOutBtn) {
             zoomOutBtn.addEventListener("click", function() {
                 graphviz.zoomOut();
             });
         }
-
+        
         const resetBtn = document.getElementById("reset");
         if (resetBtn) {
             resetBtn.addEventListener("click", function() {
@@ -118,12 +141,34 @@ const Graph = (function() {
                 if (nodeSelect) {
                     nodeSelect.value = "";
                 }
-                const viewModeRadio = document.querySelector('input[name="view-mode"][value="downstream"]');
+                const clusterSelect = document.getElementById("cluster-select");
+                if (clusterSelect) {
+                    clusterSelect.value = "";
+                }
+                const targetSelect = document.getElementById("target-select");
+                if (targetSelect) {
+                    targetSelect.value = "";
+                }
+                const cycleSelect = document.getElementById("cycle-select");
+                if (cycleSelect) {
+                    cycleSelect.value = "";
+                }
+                const queryInput = document.getElementById("query-input");
+                if (queryInput) {
+                    queryInput.value = "";
+                }
+                const queryStatus = document.getElementById("query-status");
+                if (queryStatus) {
+                    queryStatus.textContent = "";
+                }
+                const defaultMode = directed ? "downstream" : "neighbourhood";
+                const viewModeRadio = document.querySelector(`input[name="view-mode"][value="${defaultMode}"]`);
                 if (viewModeRadio) {
                     viewModeRadio.checked = true;
                 }
                 resetHighlights();
                 currentSelection = []; // Clear selections on reset
+                refreshFocus();
             });
         }
         
@@ -134,7 +179,7 @@ const Graph = (function() {
         const shareBtn = document.getElementById("share-graph");
         if (shareBtn) {
             shareBtn.addEventListener("click", function() {
-                Utils.shareGraph(currentDotSource, this);
+                Utils.shareGraph(sharedDotSource, this, Array.from(collapsedClusters));
             });
         }
         
@@ -143,10 +188,28 @@ const Graph = (function() {
             if (event.key === "Escape") {
                 resetHighlights();
                 currentSelection = [];
+                refreshFocus();
             }
         });
     }
     
+    /**
+     * Store a freshly parsed model and index it for traversal.
+     * 
+     * @param {Object} parsedModel - Model from Parser.parseDotSource()
+     */
+    function setModel(parsedModel) {
+        model = parsedModel;
+        nodes = model.nodes;
+        edges = model.edges;
+        subgraphs = model.subgraphs;
+        directed = model.graph ? model.graph.directed : true;
+        index = Parser.buildIndex(nodes, edges, directed);
+        hiddenNodes = new Set(nodes
+            .filter(node => Parser.getStyleFlags(node.attrs).invisible)
+            .map(node => node.id));
+    }
+    
     /**
      * Set up the controls toggle button with multiple fallback methods
      */
@@ -223,9 +286,10 @@ const Graph = (function() {
      * @param {Function} onNodeClick - Callback function when a node is clicked
      */
     function renderGraph(onNodeClick) {
+        nodeClickHandler = onNodeClick;
         try {
             // Add some basic sanitization to prevent common errors
-            const sanitizedDotSource = sanitizeDotSource(currentDotSource);
+            const sanitizedDotSource = sanitizeDotSource(focus ? focus.dotSource : displayDotSource);
             
             // Remove any existing event listeners before rendering
             clearEventListeners();
@@ -259,7 +323,35 @@ const Graph = (function() {
                                 handleNodeClick(nodeId, event, onNodeClick);
                             }
                         });
-                        
+                    
+                    // Double-clicking collapses a cluster, or expands a collapsed one,
+                    // instead of zooming in
+                    graphviz.zoomSelection().on("dblclick.zoom", null);
+                    d3.selectAll(".cluster")
+                        .on("dblclick", function(event) {
+                            event.stopPropagation();
+                            toggleCluster(d3.select(this).select("title").text());
+                        });
+                    d3.selectAll(`.node.${Transform.PLACEHOLDER_CLASS}`)
+                        .on("dblclick", function(event) {
+                            event.stopPropagation();
+                            const clusterId = placeholders.get(getNodeId(this));
+                            if (clusterId) {
+                                toggleCluster(clusterId);
+                            }
+                        });
+                    
+                    // Switching between the focused and the full graph keeps the
+                    // highlighting; the full graph gets its earlier zoom back
+                    if (focus) {
+                        redoHighlighting();
+                        graphviz.resetZoom();
+                    } else if (savedTransform) {
+                        redoHighlighting();
+                        graphviz.zoomSelection().call(graphviz.zoomBehavior().transform, savedTransform);
+                        savedTransform = null;
+                    }
+                    
                     // Set up edge interactions
                     d3.selectAll(".edge")
                         .on("mouseover", function() {
@@ -290,7 +382,12 @@ const Graph = (function() {
             .on("mouseover", null)
             .on("mouseout", null)
             .on("mousemove", null)
-            .on("click", null);
+            .on("click", null)
+            .on("dblclick", null);
+        
+        // Remove event listeners from clusters
+        d3.selectAll(".cluster")
+            .on("dblclick", null);
         
         // Remove event listeners from edges
         d3.selectAll(".edge")
@@ -332,9 +429,31 @@ const Graph = (function() {
         const selection = {
             nodeId: nodeId,
             viewMode: viewMode,
-            maxHops: maxHops
+            maxHops: maxHops,
+            weighting: readWeighting(),
+            edgeFilter: readEdgeFilter()
         };
         
+        // In path mode a click picks the source and a shift-click the target
+        if (viewMode === 'path') {
+            const allPathsCheckbox = document.getElementById("all-paths");
+            const isTarget = event.shiftKey && currentSelection.length > 0;
+            
+            if (isTarget) {
+                currentSelection = [Object.assign({}, currentSelection[0], { targetId: nodeId, maxHops })];
+            } else {
+                currentSelection = [selection];
+            }
+            currentSelection[0].allPaths = !!(allPathsCheckbox && allPathsCheckbox.checked);
+            
+            applySelections();
+            
+            if (onNodeClick) {
+                onNodeClick(nodeId, { target: isTarget });
+            }
+            return;
+        }
+        
         // Handle multi-selection with Ctrl/Cmd or Shift key
         if (event.ctrlKey || event.metaKey || event.shiftKey) {
             // Add to current selection if not already selected
@@ -355,6 +474,73 @@ const Graph = (function() {
         }
     }
     
+    /**
+     * Read the weighted traversal settings from the controls.
+     * 
+     * @returns {Object|null} Weighting { attribute, maxCost, criticalPath }, or null when traversal counts hops
+     */
+    function readWeighting() {
+        const attributeSelect = document.getElementById("weight-attribute");
+        if (!attributeSelect || !attributeSelect.value) {
+            return null;
+        }
+        
+        const budgetInput = document.getElementById("cost-budget");
+        const criticalPathCheckbox = document.getElementById("critical-path");
+        const budget = budgetInput ? parseFloat(budgetInput.value) : NaN;
+        
+        return {
+            attribute: attributeSelect.value,
+            maxCost: isNaN(budget) || budget < 0 ? Infinity : budget,
+            criticalPath: !!(criticalPathCheckbox && criticalPathCheckbox.checked)
+        };
+    }
+    
+    /**
+     * Read the edge filter from the controls: for each facet with unchecked
+     * values, the values that are still checked.
+     * 
+     * @returns {Object|null} Edge filter for Parser.createEdgeFilter(), or null when every edge is followed
+     */
+    function readEdgeFilter() {
+        const checkboxes = document.querySelectorAll('#edge-filter-groups input[type="checkbox"]');
+        const checked = {};
+        const restricted = new Set();
+        
+        checkboxes.forEach(checkbox => {
+            const facet = checkbox.dataset.facet;
+            if (!checked[facet]) {
+                checked[facet] = [];
+            }
+            if (checkbox.checked) {
+                checked[facet].push(checkbox.value);
+            } else {
+                restricted.add(facet);
+            }
+        });
+        
+        if (restricted.size === 0) {
+            return null;
+        }
+        
+        const filter = {};
+        restricted.forEach(facet => {
+            filter[facet] = checked[facet];
+        });
+        return filter;
+    }
+    
+    /**
+     * Cost function for weighted traversal. Edges without a usable value
+     * for the attribute cost nothing; negative values count as zero.
+     * 
+     * @param {string} attribute - Name of the numeric edge attribute
+     * @returns {Function} Function from an edge object to its cost
+     */
+    function edgeCostFunction(attribute) {
+        return edge => Math.max(0, Parser.getNumericAttribute(edge.attrs, attribute) || 0);
+    }
+    
     /**
      * Apply all current selections to the graph.
      */
@@ -362,39 +548,92 @@ const Graph = (function() {
         // Reset all highlights first
         resetHighlights();
         
-        // Process each selection
+        // Process each selection, each with its own settings
+        let summary;
         currentSelection.forEach(selection => {
-            updateView(selection.nodeId, selection.viewMode, selection.maxHops);
+            if (selection.clusterId) {
+                summary = updateClusterView(selection.clusterId, selection.viewMode, selection.maxHops,
+                                            selection.weighting, selection.edgeFilter);
+            } else if (selection.viewMode === 'path') {
+                if (selection.targetId) {
+                    summary = updatePathView(selection.nodeId, selection.targetId, selection.maxHops, selection.allPaths);
+                }
+            } else {
+                summary = updateView(selection.nodeId, selection.viewMode, selection.maxHops,
+                                     selection.weighting, selection.edgeFilter);
+            }
         });
         
         // Always highlight legend elements if present
         highlightLegendElements();
+        
+        return summary;
+    }
+    
+    /**
+     * Change the settings of a selected node or cluster and reapply all
+     * selections. A node or cluster that isn't selected yet replaces the
+     * current selections instead.
+     * 
+     * @param {Object} selection - Selection { nodeId or clusterId, viewMode, maxHops, weighting, edgeFilter }
+     * @returns {Object|undefined} Summary of the highlighting for the last selection
+     */
+    function updateSelection(selection) {
+        const position = currentSelection.findIndex(existing => !existing.targetId && (selection.clusterId
+            ? existing.clusterId === selection.clusterId
+            : !existing.clusterId && existing.nodeId === selection.nodeId));
+        
+        if (position >= 0) {
+            currentSelection[position] = selection;
+        } else {
+            currentSelection = [selection];
+        }
+        
+        return applySelections();
+    }
+    
+    /**
+     * Replace all selections, e.g. to start traversal from several nodes at
+     * once, and apply them.
+     * 
+     * @param {Array} selections - Selections { nodeId or clusterId, viewMode, maxHops, weighting, edgeFilter }
+     * @returns {Object|undefined} Summary of the highlighting for the last selection
+     */
+    function setSelections(selections) {
+        currentSelection = selections;
+        return applySelections();
     }
     
     /**
      * Reset all highlights in the graph.
      */
     function resetHighlights() {
+        highlight = createHighlight();
+        
         d3.selectAll(".node")
             .classed("highlighted", false)
             .classed("faded", false)
             .classed("selected", false)
-            .classed("selected-node", false);
-            
+            .classed("selected-node", false)
+            .classed("cycle-node", false)
+            .classed("critical-node", false);
+        
         d3.selectAll(".edge")
             .classed("highlighted", false)
             .classed("faded", false)
-            .classed("selected-arrow", false);
-            
+            .classed("selected-arrow", false)
+            .classed("cycle-edge", false)
+            .classed("critical-edge", false);
+        
         d3.selectAll(".edge path")
             .classed("highlighted-path", false)
             .classed("direct-connection", false)
             .classed("faded-path", false);
-            
+        
         d3.selectAll(".edge text")
             .classed("highlighted-text", false)
             .classed("faded-text", false);
-            
+        
         d3.selectAll(".cluster")
             .classed("highlighted-cluster", false)
             .classed("faded-cluster", false);
@@ -404,20 +643,38 @@ const Graph = (function() {
      * Highlight legend elements in the graph.
      */
     function highlightLegendElements() {
-        // Find legend nodes and edges (typically in a subgraph named "cluster_legend")
-        d3.selectAll(".cluster").each(function() {
-            const clusterId = d3.select(this).attr("id") || "";
-            if (clusterId.includes("legend") || clusterId.includes("Legend")) {
-                // This is a legend cluster, highlight it and its contents
-                d3.select(this).classed("highlighted-cluster", true).classed("faded-cluster", false);
-                
-                // Highlight all nodes in the legend
-                d3.select(this).selectAll(".node")
+        // Legends are clusters marked with legend=true (or named "cluster_legend")
+        const legends = subgraphs.filter(subgraph => subgraph.legend);
+        if (legends.length === 0) {
+            return;
+        }
+        
+        const clusterElementMap = getClusterElementMap();
+        const legendNodes = new Set();
+        
+        legends.forEach(legend => {
+            const clusterElement = clusterElementMap.get(legend.id);
+            if (clusterElement) {
+                d3.select(clusterElement).classed("highlighted-cluster", true).classed("faded-cluster", false);
+            }
+            legend.nodes.forEach(nodeId => legendNodes.add(nodeId));
+        });
+        
+        // Highlight all nodes in the legend
+        d3.selectAll(".node").each(function() {
+            if (legendNodes.has(getNodeId(this))) {
+                d3.select(this)
                     .classed("highlighted", true)
                     .classed("faded", false);
-                    
-                // Highlight all edges in the legend
-                d3.select(this).selectAll(".edge")
+            }
+        });
+        
+        // Highlight all edges in the legend
+        const edgeElementMap = getEdgeElementMap();
+        edges.forEach(edge => {
+            const edgeElement = edgeElementMap.get(edge.id);
+            if (edgeElement && legendNodes.has(edge.source) && legendNodes.has(edge.target)) {
+                d3.select(edgeElement)
                     .classed("highlighted", true)
                     .classed("faded", false);
             }
@@ -523,8 +780,11 @@ const Graph = (function() {
      * 
      * @param {string} newDotSource - New DOT source
      * @param {Function} onNodeClick - Callback function when a node is clicked
+     * @param {Object} [options] - Update options
+     * @param {boolean} [options.updateUrl=true] - Whether to put the new source in the URL;
+     *   a source that isn't is only previewed, and isn't what gets shared
      */
-    function updateGraph(newDotSource, onNodeClick) {
+    function updateGraph(newDotSource, onNodeClick, options = {}) {
         try {
             // Update the DOT source
             currentDotSource = newDotSource;
@@ -532,26 +792,193 @@ const Graph = (function() {
             // Clear existing event listeners
             clearEventListeners();
             
-            // Update URL with the new graph
-            Utils.updateUrlWithGraph(newDotSource);
+            // Update URL with the new graph, unless it is only being viewed
+            if (options.updateUrl !== false) {
+                sharedDotSource = newDotSource;
+                Utils.updateUrlWithGraph(newDotSource, Array.from(collapsedClusters));
+            }
             
-            // Re-parse the DOT source and update nodes and edges
-            const parsed = Parser.parseDotSource(newDotSource);
-            nodes = parsed.nodes;
-            edges = parsed.edges;
+            // Re-parse the DOT source as displayed and update nodes and edges
+            updateDisplaySource();
+            setModel(Parser.parseDotSource(displayDotSource));
             
-            // Reset selections
+            // Reset selections; a new graph is shown in full until something
+            // is highlighted again
             currentSelection = [];
+            highlight = createHighlight();
+            focus = null;
+            savedTransform = null;
             
             // Render the updated graph with sanitization
             renderGraph(onNodeClick);
             
-            return { nodes, edges };
+            return { nodes, edges, directed };
         } catch (error) {
             console.error("Error updating graph:", error);
             showRenderingError(error);
-            return { nodes: [], edges: [] };
+            return { nodes: [], edges: [], directed: true };
+        }
+    }
+    
+    /**
+     * Work out the source to render from the current DOT source, with the
+     * collapsed clusters replaced by placeholder nodes.
+     */
+    function updateDisplaySource() {
+        const result = Transform.collapseClusters(currentDotSource, Array.from(collapsedClusters));
+        displayDotSource = result.dotSource;
+        placeholders = result.placeholders;
+        fullModel = Parser.parseDotSource(currentDotSource);
+        
+        // Nodes drawn inside a collapsed cluster are shown as its placeholder
+        const placeholderIds = new Map(Array.from(placeholders, ([placeholderId, clusterId]) => [clusterId, placeholderId]));
+        const parents = new Map(fullModel.subgraphs.map(subgraph => [subgraph.id, subgraph.parent]));
+        displayedIds = new Map();
+        fullModel.nodes.forEach(node => {
+            for (let clusterId = node.cluster; clusterId; clusterId = parents.get(clusterId)) {
+                if (placeholderIds.has(clusterId)) {
+                    displayedIds.set(node.id, placeholderIds.get(clusterId));
+                }
+            }
+        });
+    }
+    
+    /**
+     * Get the ID a node of the full graph is shown under: its own, or that of
+     * the placeholder of the collapsed cluster it is in.
+     * 
+     * @param {string} nodeId - ID of a node in the full graph
+     * @returns {string} ID of the node on display
+     */
+    function getDisplayedNodeId(nodeId) {
+        return displayedIds.get(nodeId) || nodeId;
+    }
+    
+    /**
+     * Get the IDs an edge of the full graph is shown under. An edge to or from
+     * a collapsed cluster is shown as the rerouted edges between the same
+     * two nodes on display, and an edge inside one isn't shown at all.
+     * 
+     * @param {string} edgeId - ID of an edge in the full graph
+     * @returns {Array} IDs of the edges on display
+     */
+    function getDisplayedEdgeIds(edgeId) {
+        const edge = fullModel.edges.find(candidate => candidate.id === edgeId);
+        if (!edge || (!displayedIds.has(edge.source) && !displayedIds.has(edge.target))) {
+            return [edgeId];
+        }
+        
+        const source = getDisplayedNodeId(edge.source);
+        const target = getDisplayedNodeId(edge.target);
+        return edges
+            .filter(shown => (shown.source === source && shown.target === target) ||
+                (!directed && shown.source === target && shown.target === source))
+            .map(shown => shown.id);
+    }
+    
+    /**
+     * Collapse a cluster into a single node, or expand it again. The caller
+     * is notified so it can re-render the graph and refresh what depends
+     * on its nodes.
+     * 
+     * @param {string} clusterId - ID of the cluster
+     */
+    function toggleCluster(clusterId) {
+        if (collapsedClusters.has(clusterId)) {
+            collapsedClusters.delete(clusterId);
+        } else {
+            collapsedClusters.add(clusterId);
+        }
+        
+        if (onClusterToggle) {
+            onClusterToggle(clusterId, collapsedClusters.has(clusterId));
+        }
+    }
+    
+    /**
+     * Get the clusters shown collapsed.
+     * 
+     * @returns {Array} Cluster IDs
+     */
+    function getCollapsedClusters() {
+        return Array.from(collapsedClusters);
+    }
+    
+    /**
+     * Create an empty record of what the highlighting covers.
+     * 
+     * @returns {Object} Record { startNodes, nodes, edges, directEdges, marks }
+     */
+    function createHighlight() {
+        return {
+            startNodes: new Set(),
+            nodes: new Set(),
+            edges: new Set(),
+            directEdges: new Set(),
+            marks: [] // Classes added by markElements(), e.g. for cycles
+        };
+    }
+    
+    /**
+     * Apply the recorded highlighting again, after the graph was re-rendered.
+     */
+    function redoHighlighting() {
+        const previous = highlight;
+        highlight = createHighlight();
+        if (previous.nodes.size === 0) {
+            return;
         }
+        
+        applyHighlighting(previous.startNodes, previous.nodes, previous.edges, previous.directEdges);
+        previous.marks.forEach(mark => markElements(mark.nodeIds, mark.edgeIds, mark.nodeClass, mark.edgeClass));
+        highlightLegendElements();
+    }
+    
+    /**
+     * Turn focus mode on or off. In focus mode only the highlighted nodes and
+     * edges are rendered, laid out on their own.
+     * 
+     * @param {boolean} enabled - Whether to focus on the highlighted part
+     */
+    function setFocusMode(enabled) {
+        focusEnabled = enabled;
+        refreshFocus();
+    }
+    
+    /**
+     * Re-render the graph when what focus mode should show has changed: the
+     * highlighted part of the graph, or the full graph when focus mode is off
+     * or nothing is highlighted. Call after changing the highlighting.
+     */
+    function refreshFocus() {
+        const target = focusEnabled && highlight.nodes.size > 0
+            ? { nodes: new Set(highlight.nodes), edges: new Set(highlight.edges) }
+            : null;
+        
+        const sameItems = (a, b) => a.size === b.size && Array.from(a).every(item => b.has(item));
+        const unchanged = focus && target
+            ? sameItems(focus.nodes, target.nodes) && sameItems(focus.edges, target.edges)
+            : focus === target;
+        if (unchanged) {
+            return;
+        }
+        
+        if (target) {
+            try {
+                target.dotSource = Transform.filterSource(displayDotSource, Array.from(target.nodes), Array.from(target.edges));
+            } catch (error) {
+                console.error("Error focusing the graph:", error);
+                return;
+            }
+            
+            // Keep the full graph's zoom for when focus ends
+            if (!focus && graphviz) {
+                savedTransform = d3.zoomTransform(graphviz.zoomSelection().node());
+            }
+        }
+        
+        focus = target;
+        renderGraph(nodeClickHandler);
     }
     
     /**
@@ -577,96 +1004,385 @@ const Graph = (function() {
     }
     
     /**
-     * Get an edge's source and target nodes.
+     * Map each parsed edge to its SVG element.
+     * 
+     * Graphviz titles edges "tail:port->head:port", so parallel edges share a
+     * title; within a title group the SVG elements appear in the order the
+     * edges were defined, which is also the order of the parsed edges.
      * 
-     * @param {SVGElement} edgeElement - The edge SVG element
-     * @returns {Object|null} Object with source and target, or null if not found
+     * @returns {Map} Map of edge ID to SVG element
      */
-    function getEdgeNodes(edgeElement) {
-        // Try to get from title
-        const title = d3.select(edgeElement).select("title");
-        if (!title.empty()) {
-            const titleText = title.text();
-            if (titleText.includes('->')) {
-                const parts = titleText.split("->");
-                if (parts.length === 2) {
-                    return {
-                        source: parts[0].trim(),
-                        target: parts[1].trim()
-                    };
+    function getEdgeElementMap() {
+        // Group the rendered edge elements by title
+        const elementsByTitle = new Map();
+        d3.selectAll(".edge").each(function() {
+            const title = d3.select(this).select("title");
+            if (!title.empty()) {
+                const titleText = title.text();
+                if (!elementsByTitle.has(titleText)) {
+                    elementsByTitle.set(titleText, []);
                 }
+                elementsByTitle.get(titleText).push(this);
             }
-        }
+        });
         
-        return null;
+        const edgeElementMap = new Map();
+        const usedByTitle = new Map();
+        const renderedEdges = focus ? edges.filter(edge => focus.edges.has(edge.id)) : edges;
+        renderedEdges.forEach(edge => {
+            const title = Parser.getEdgeTitle(edge, directed);
+            const elements = elementsByTitle.get(title) || [];
+            const used = usedByTitle.get(title) || 0;
+            if (used < elements.length) {
+                edgeElementMap.set(edge.id, elements[used]);
+                usedByTitle.set(title, used + 1);
+            }
+        });
+        
+        return edgeElementMap;
+    }
+    
+    /**
+     * Map each cluster's name to its SVG element, using the cluster titles.
+     * 
+     * @returns {Map} Map of subgraph ID to SVG element
+     */
+    function getClusterElementMap() {
+        const clusterElementMap = new Map();
+        d3.selectAll(".cluster").each(function() {
+            const title = d3.select(this).select("title");
+            if (!title.empty()) {
+                clusterElementMap.set(title.text(), this);
+            }
+        });
+        return clusterElementMap;
     }
     
     /**
      * Update the view based on selected node and view mode.
      * 
      * @param {string} selectedNodeId - ID of the selected node
-     * @param {string} viewMode - View mode ('all', 'single', 'downstream', 'upstream', 'bidirectional')
+     * @param {string} viewMode - View mode ('all', 'single', 'downstream', 'upstream', 'bidirectional', 'neighbourhood')
      * @param {number} maxHops - Maximum number of hops
+     * @param {Object} [weighting] - Weighted traversal settings, see highlightFrom()
+     * @param {Object} [edgeFilter] - Edge filter, see highlightFrom()
+     * @returns {Object|undefined} Traversal summary from highlightFrom(), if anything was highlighted
      */
-    function updateView(selectedNodeId, viewMode, maxHops) {
-        // Skip if no node selected or showing all
-        if (!selectedNodeId || viewMode === 'all') {
+    function updateView(selectedNodeId, viewMode, maxHops, weighting, edgeFilter) {
+        // Skip if no node selected or showing all; paths go through updatePathView()
+        if (!selectedNodeId || viewMode === 'all' || viewMode === 'path') {
             return;
         }
         
         console.log(`Updating view: node=${selectedNodeId}, mode=${viewMode}, maxHops=${maxHops}`);
         
+        return highlightFrom([selectedNodeId], viewMode, maxHops, weighting, edgeFilter);
+    }
+    
+    /**
+     * Update the view using every node of a cluster as the starting point.
+     * 
+     * @param {string} clusterId - ID of the selected cluster subgraph
+     * @param {string} viewMode - View mode ('all', 'single', 'downstream', 'upstream', 'bidirectional', 'neighbourhood')
+     * @param {number} maxHops - Maximum number of hops
+     * @param {Object} [weighting] - Weighted traversal settings, see highlightFrom()
+     * @param {Object} [edgeFilter] - Edge filter, see highlightFrom()
+     * @returns {Object|undefined} Traversal summary from highlightFrom(), if anything was highlighted
+     */
+    function updateClusterView(clusterId, viewMode, maxHops, weighting, edgeFilter) {
+        const cluster = subgraphs.find(subgraph => subgraph.id === clusterId);
+        
+        // Skip if the cluster is unknown, showing all or finding paths between nodes
+        if (!cluster || viewMode === 'all' || viewMode === 'path') {
+            return;
+        }
+        
+        console.log(`Updating view: cluster=${clusterId}, mode=${viewMode}, maxHops=${maxHops}`);
+        
+        return highlightFrom(cluster.nodes, viewMode, maxHops, weighting, edgeFilter);
+    }
+    
+    /**
+     * Highlight everything reachable from a set of starting nodes.
+     * 
+     * With a weighting, traversal follows the cumulative cost of a numeric
+     * edge attribute: a cost budget takes the place of the hop limit, and
+     * the critical path from a single start node can be highlighted too.
+     * 
+     * @param {Array} startNodeIds - IDs of the selected nodes
+     * @param {string} viewMode - View mode ('single', 'downstream', 'upstream', 'bidirectional', 'neighbourhood')
+     * @param {number} maxHops - Maximum number of hops
+     * @param {Object} [weighting] - Weighting { attribute, maxCost, criticalPath }
+     * @param {Object} [edgeFilter] - Edge filter for Parser.createEdgeFilter(); only matching edges are followed
+     * @returns {Object} Summary { costs, criticalPath }: Map of reached node ID to its lowest
+     *     cumulative cost (weighted traversal only), and the critical path if requested
+     */
+    function highlightFrom(startNodeIds, viewMode, maxHops, weighting, edgeFilter) {
+        const startNodes = new Set(startNodeIds);
+        
         // Ensure maxHops is a valid number
         maxHops = (maxHops === undefined || isNaN(parseInt(maxHops)) || parseInt(maxHops) <= 0) 
             ? 5   // Default if not specified or invalid
             : parseInt(maxHops);
-            
-        // Get graph connections
-        const connections = getGraphConnections();
         
-        // Find nodes to highlight based on the selected view mode
-        const nodesToHighlight = new Set([selectedNodeId]);
+        // Find nodes and edges (by edge ID) to highlight based on the selected view mode
+        const nodesToHighlight = new Set(startNodes);
         const edgesToHighlight = new Set();
         const directEdges = new Set();
+        const costs = new Map();
+        const filter = Parser.createEdgeFilter(edgeFilter);
+        const isFollowed = edgeId => !filter || filter(index.edges.get(edgeId));
+        let criticalPath = null;
         
         if (viewMode === 'single') {
             // For single mode, add direct connections only
-            if (connections.outgoing[selectedNodeId]) {
-                connections.outgoing[selectedNodeId].forEach(targetId => {
-                    nodesToHighlight.add(targetId);
-                    const edgeId = `${selectedNodeId}->${targetId}`;
+            startNodes.forEach(selectedNodeId => {
+                const direct = (index.outgoing.get(selectedNodeId) || [])
+                    .concat(index.incoming.get(selectedNodeId) || [])
+                    .filter(({ edgeId }) => isFollowed(edgeId));
+                direct.forEach(({ neighborId, edgeId }) => {
+                    nodesToHighlight.add(neighborId);
                     edgesToHighlight.add(edgeId);
                     directEdges.add(edgeId);
                 });
+            });
+        } else {
+            // For other modes, do traversal. Undirected graphs are indexed in
+            // both directions, so the neighbourhood is a downstream traversal.
+            const directions = [];
+            if (viewMode === 'downstream' || viewMode === 'bidirectional' || viewMode === 'neighbourhood') {
+                directions.push('downstream');
+            }
+            if (viewMode === 'upstream' || viewMode === 'bidirectional') {
+                directions.push('upstream');
             }
             
-            if (connections.incoming[selectedNodeId]) {
-                connections.incoming[selectedNodeId].forEach(sourceId => {
-                    nodesToHighlight.add(sourceId);
-                    const edgeId = `${sourceId}->${selectedNodeId}`;
-                    edgesToHighlight.add(edgeId);
-                    directEdges.add(edgeId);
+            const traversal = weighting
+                ? { cost: edgeCostFunction(weighting.attribute), maxCost: weighting.maxCost, filter }
+                : { maxHops, freeNodes: hiddenNodes, filter };
+            
+            directions.forEach(direction => {
+                const result = Parser.traverse(index, [...startNodes], Object.assign({ direction }, traversal));
+                result.nodes.forEach(nodeId => nodesToHighlight.add(nodeId));
+                result.edges.forEach(edgeId => edgesToHighlight.add(edgeId));
+                
+                // Keep the cheapest cost over both directions
+                if (weighting) {
+                    result.nodes.forEach(nodeId => {
+                        const cost = result.costs.get(nodeId);
+                        if (!costs.has(nodeId) || costs.get(nodeId) > cost) {
+                            costs.set(nodeId, cost);
+                        }
+                    });
+                }
+                
+                // Edges leaving a start node are its direct connections
+                const adjacency = direction === 'upstream' ? index.incoming : index.outgoing;
+                startNodes.forEach(selectedNodeId => {
+                    (adjacency.get(selectedNodeId) || []).forEach(({ edgeId }) => {
+                        if (result.edges.has(edgeId)) {
+                            directEdges.add(edgeId);
+                        }
+                    });
+                });
+            });
+            
+            // The critical path runs from a single node, in the first direction
+            if (weighting && weighting.criticalPath && startNodes.size === 1 && directions.length > 0) {
+                criticalPath = Parser.findCriticalPath(index, [...startNodes][0], {
+                    direction: directions[0],
+                    cost: edgeCostFunction(weighting.attribute),
+                    filter
                 });
             }
+        }
+        
+        // Self-loops belong to whichever highlighted node they loop on
+        nodesToHighlight.forEach(nodeId => {
+            (index.selfLoops.get(nodeId) || []).filter(isFollowed).forEach(edgeId => {
+                edgesToHighlight.add(edgeId);
+                if (startNodes.has(nodeId)) {
+                    directEdges.add(edgeId);
+                }
+            });
+        });
+        
+        if (criticalPath) {
+            criticalPath.nodes.forEach(nodeId => nodesToHighlight.add(nodeId));
+            criticalPath.edges.forEach(edgeId => edgesToHighlight.add(edgeId));
+        }
+        
+        applyHighlighting(startNodes, nodesToHighlight, edgesToHighlight, directEdges);
+        
+        if (criticalPath) {
+            markElements(criticalPath.nodes, criticalPath.edges, "critical-node", "critical-edge");
+        }
+        
+        return { costs, criticalPath };
+    }
+    
+    /**
+     * Highlight the paths between a source and a target node: the shortest
+     * path, or every simple path within the hop limit with the shortest one
+     * emphasised.
+     * 
+     * @param {string} sourceId - ID of the node the paths start at
+     * @param {string} targetId - ID of the node the paths end at
+     * @param {number} maxHops - Maximum number of hops, used for all paths
+     * @param {boolean} allPaths - Whether to show all simple paths
+     * @returns {Object} Result { paths, truncated }; paths is empty when there is no path
+     */
+    function updatePathView(sourceId, targetId, maxHops, allPaths) {
+        console.log(`Updating view: path ${sourceId} -> ${targetId}, allPaths=${allPaths}, maxHops=${maxHops}`);
+        
+        let paths;
+        if (allPaths) {
+            paths = Parser.findAllPaths(index, sourceId, targetId, maxHops, MAX_PATHS);
         } else {
-            // For other modes, do traversal
-            if (viewMode === 'downstream' || viewMode === 'bidirectional') {
-                traverseConnections('downstream', selectedNodeId, maxHops, connections, 
-                                    nodesToHighlight, edgesToHighlight, directEdges);
+            const shortest = Parser.findShortestPath(index, sourceId, targetId);
+            paths = shortest ? [shortest] : [];
+        }
+        
+        const nodesToHighlight = new Set([sourceId, targetId]);
+        const edgesToHighlight = new Set();
+        paths.forEach(path => {
+            path.nodes.forEach(nodeId => nodesToHighlight.add(nodeId));
+            path.edges.forEach(edgeId => edgesToHighlight.add(edgeId));
+        });
+        
+        // Paths come shortest first
+        const directEdges = new Set(paths.length > 0 ? paths[0].edges : []);
+        
+        applyHighlighting(new Set([sourceId, targetId]), nodesToHighlight, edgesToHighlight, directEdges);
+        
+        return { paths, truncated: paths.length >= MAX_PATHS };
+    }
+    
+    /**
+     * Highlight the nodes and edges of a cycle in their own style. Cycles
+     * are found in the full graph, so parts of one inside a collapsed
+     * cluster light up its placeholder.
+     * 
+     * @param {Object} cycle - Cycle { nodes, edges } from Analysis.findCycles()
+     */
+    function highlightCycle(cycle) {
+        const cycleNodes = new Set(cycle.nodes.map(getDisplayedNodeId));
+        const cycleEdges = new Set([].concat(...cycle.edges.map(getDisplayedEdgeIds)));
+        
+        applyHighlighting(new Set(), cycleNodes, cycleEdges, new Set());
+        markElements(Array.from(cycleNodes), Array.from(cycleEdges), "cycle-node", "cycle-edge");
+    }
+    
+    /**
+     * Pan and zoom so a node is in the middle of the view.
+     * 
+     * @param {string} nodeId - ID of the node to bring into view
+     */
+    function focusNode(nodeId) {
+        focusElement(d3.selectAll(".node").filter(function() {
+            return getNodeId(this) === nodeId;
+        }).node());
+    }
+    
+    /**
+     * Pan and zoom so an edge is in the middle of the view.
+     * 
+     * @param {string} edgeId - ID of the edge to bring into view
+     */
+    function focusEdge(edgeId) {
+        focusElement(getEdgeElementMap().get(edgeId));
+    }
+    
+    /**
+     * Pan and zoom so an SVG element is in the middle of the view.
+     * 
+     * @param {Element} element - Node or edge element
+     */
+    function focusElement(element) {
+        const zoomBehavior = graphviz ? graphviz.zoomBehavior() : null;
+        if (!element || !zoomBehavior) {
+            return;
+        }
+        
+        // Zoom transforms work in the SVG's user units, given by its viewBox
+        const svg = graphviz.zoomSelection();
+        const viewBox = svg.node().viewBox ? svg.node().viewBox.baseVal : null;
+        const view = viewBox && viewBox.width
+            ? viewBox
+            : { x: 0, y: 0, width: window.innerWidth, height: window.innerHeight };
+        
+        // Zoom in until the element takes up about an eighth of the width
+        const box = element.getBBox();
+        const scale = Math.min(8, Math.max(1, view.width / (8 * box.width)));
+        const transform = d3.zoomIdentity
+            .translate(view.x + view.width / 2, view.y + view.height / 2)
+            .scale(scale)
+            .translate(-(box.x + box.width / 2), -(box.y + box.height / 2));
+        
+        svg.transition().duration(750).call(zoomBehavior.transform, transform);
+    }
+    
+    /**
+     * Highlight a set of nodes, such as the matches of a query, and
+     * optionally edges, fading the rest.
+     * 
+     * @param {Array} nodeIds - IDs of the nodes to highlight
+     * @param {Array} [edgeIds=[]] - IDs of the edges to highlight
+     */
+    function highlightNodes(nodeIds, edgeIds = []) {
+        applyHighlighting(new Set(), new Set(nodeIds), new Set(edgeIds), new Set());
+    }
+    
+    /**
+     * Add a class to the SVG elements of some nodes and edges.
+     * 
+     * @param {Array} nodeIds - IDs of the nodes to mark
+     * @param {Array} edgeIds - IDs of the edges to mark
+     * @param {string} nodeClass - Class for the node elements
+     * @param {string} edgeClass - Class for the edge elements
+     */
+    function markElements(nodeIds, edgeIds, nodeClass, edgeClass) {
+        highlight.marks.push({ nodeIds, edgeIds, nodeClass, edgeClass });
+        
+        const markedNodes = new Set(nodeIds);
+        d3.selectAll(".node").each(function() {
+            if (markedNodes.has(getNodeId(this))) {
+                d3.select(this).classed(nodeClass, true);
             }
-            
-            if (viewMode === 'upstream' || viewMode === 'bidirectional') {
-                traverseConnections('upstream', selectedNodeId, maxHops, connections, 
-                                    nodesToHighlight, edgesToHighlight, directEdges);
+        });
+        
+        const edgeElementMap = getEdgeElementMap();
+        edgeIds.forEach(edgeId => {
+            const edgeElement = edgeElementMap.get(edgeId);
+            if (edgeElement) {
+                d3.select(edgeElement).classed(edgeClass, true);
             }
-        }
+        });
+    }
+    
+    /**
+     * Apply highlight classes to nodes, edges and clusters, fading the rest.
+     * Highlights already applied by other selections are kept.
+     * 
+     * @param {Set} startNodes - IDs of the selected nodes
+     * @param {Set} nodesToHighlight - IDs of the nodes to highlight
+     * @param {Set} edgesToHighlight - IDs of the edges to highlight
+     * @param {Set} directEdges - IDs of the edges to emphasise
+     */
+    function applyHighlighting(startNodes, nodesToHighlight, edgesToHighlight, directEdges) {
+        // Remember what is highlighted, to focus on it or redo it after rendering
+        startNodes.forEach(nodeId => highlight.startNodes.add(nodeId));
+        startNodes.forEach(nodeId => highlight.nodes.add(nodeId));
+        nodesToHighlight.forEach(nodeId => highlight.nodes.add(nodeId));
+        edgesToHighlight.forEach(edgeId => highlight.edges.add(edgeId));
+        directEdges.forEach(edgeId => highlight.directEdges.add(edgeId));
         
         // Apply highlighting to nodes
         d3.selectAll(".node").each(function() {
             const nodeId = getNodeId(this);
             if (nodeId) {
                 const isHighlighted = nodesToHighlight.has(nodeId);
-                const isSelected = nodeId === selectedNodeId;
+                const isSelected = startNodes.has(nodeId);
                 
                 const wasHighlighted = d3.select(this).classed("highlighted");
                 const wasSelected = d3.select(this).classed("selected-node");
@@ -679,17 +1395,8 @@ const Graph = (function() {
             }
         });
         
-        // Create a map of edge elements by their source->target for faster lookup
-        const edgeElementMap = new Map();
-        
-        // First pass: build the edge element map
-        d3.selectAll(".edge").each(function() {
-            const edgeNodes = getEdgeNodes(this);
-            if (edgeNodes && edgeNodes.source && edgeNodes.target) {
-                const edgeId = `${edgeNodes.source}->${edgeNodes.target}`;
-                edgeElementMap.set(edgeId, this);
-            }
-        });
+        // Map of edge elements by edge ID for faster lookup
+        const edgeElementMap = getEdgeElementMap();
         
         // Apply highlighting to edges using the edgeElementMap
         edgesToHighlight.forEach(edgeId => {
@@ -704,12 +1411,12 @@ const Graph = (function() {
                     .classed("highlighted", true)
                     .classed("faded", false)
                     .classed("selected-arrow", isDirectConnection);
-                    
+                
                 // Apply additional styles to ensure visibility
                 d3.select(edgeElement).select("path")
                     .classed("highlighted-path", true)
                     .classed("direct-connection", isDirectConnection);
-                    
+                
                 d3.select(edgeElement).selectAll("text")
                     .classed("highlighted-text", true);
             }
@@ -724,7 +1431,7 @@ const Graph = (function() {
                 // Make path semi-transparent
                 edge.select("path")
                     .classed("faded-path", true);
-                    
+                
                 // Make text semi-transparent
                 edge.selectAll("text")
                     .classed("faded-text", true);
@@ -736,192 +1443,49 @@ const Graph = (function() {
     }
     
     /**
-     * Get connections between nodes in the graph.
+     * Update cluster highlighting based on highlighted nodes.
      * 
-     * @returns {Object} Object with outgoing and incoming connections
+     * @param {Set} nodesToHighlight - Set of nodes to highlight
      */
-    function getGraphConnections() {
-        const connections = {
-            outgoing: {}, // source -> [targets]
-            incoming: {}  // target -> [sources]
-        };
-        
-        // Initialize connection arrays for all nodes
-        d3.selectAll(".node").each(function() {
-            const nodeId = getNodeId(this);
-            if (nodeId) {
-                connections.outgoing[nodeId] = [];
-                connections.incoming[nodeId] = [];
-            }
-        });
+    function updateClusterHighlighting(nodesToHighlight) {
+        const clusterElementMap = getClusterElementMap();
         
-        // Use the parsed edges from Parser, which will include invisible edges
-        edges.forEach(edge => {
-            const source = edge.source;
-            const target = edge.target;
+        subgraphs.forEach(subgraph => {
+            const clusterElement = clusterElementMap.get(subgraph.id);
             
-            // Skip if source or target is invalid
-            if (!source || !target || source === target) {
+            // Skip legend clusters which are always highlighted
+            if (!clusterElement || subgraph.legend) {
                 return;
             }
             
-            // Ensure arrays exist
-            if (!connections.outgoing[source]) {
-                connections.outgoing[source] = [];
-            }
-            if (!connections.incoming[target]) {
-                connections.incoming[target] = [];
-            }
+            // Check if any node in this cluster, or its nested clusters, should be highlighted
+            const containsHighlightedNode = subgraph.nodes.some(nodeId => nodesToHighlight.has(nodeId));
             
-            // Add connection if not already added
-            if (!connections.outgoing[source].includes(target)) {
-                connections.outgoing[source].push(target);
-            }
-            if (!connections.incoming[target].includes(source)) {
-                connections.incoming[target].push(source);
-            }
-        });
-        
-        // Also check visible edges in the DOM as a fallback
-        d3.selectAll(".edge").each(function() {
-            const edgeNodes = getEdgeNodes(this);
-            if (edgeNodes && edgeNodes.source && edgeNodes.target) {
-                const source = edgeNodes.source;
-                const target = edgeNodes.target;
-                
-                // Skip if invalid
-                if (source === target) {
-                    return;
-                }
-                
-                // Ensure arrays exist
-                if (!connections.outgoing[source]) {
-                    connections.outgoing[source] = [];
-                }
-                if (!connections.incoming[target]) {
-                    connections.incoming[target] = [];
-                }
-                
-                // Add connection if not already added
-                if (!connections.outgoing[source].includes(target)) {
-                    connections.outgoing[source].push(target);
-                }
-                if (!connections.incoming[target].includes(source)) {
-                    connections.incoming[target].push(source);
-                }
-            }
+            // Apply highlighting
+            const wasHighlighted = d3.select(clusterElement).classed("highlighted-cluster");
+            d3.select(clusterElement)
+                .classed("highlighted-cluster", containsHighlightedNode || wasHighlighted)
+                .classed("faded-cluster", !containsHighlightedNode && !wasHighlighted);
         });
-        
-        return connections;
     }
     
     /**
-     * Traverse connections in the specified direction.
+     * Get the parsed model of the current graph.
      * 
-     * @param {string} direction - 'upstream' or 'downstream'
-     * @param {string} startNodeId - ID of the starting node
-     * @param {number} maxHops - Maximum number of hops
-     * @param {Object} connections - Object with outgoing and incoming connections
-     * @param {Set} nodesToHighlight - Set of nodes to highlight (modified in place)
-     * @param {Set} edgesToHighlight - Set of edges to highlight (modified in place)
-     * @param {Set} directEdges - Set of direct edges (modified in place)
-     */
-    function traverseConnections(direction, startNodeId, maxHops, connections, 
-                                nodesToHighlight, edgesToHighlight, directEdges) {
-        // Track visited nodes with distances
-        const visited = new Map();
-        visited.set(startNodeId, 0);
-        
-        // Queue for BFS - track both node ID and hop distance
-        const queue = [{ id: startNodeId, distance: 0 }];
-        
-        // Create a set of hidden nodes
-        const hiddenNodes = new Set();
-        
-        // Check for hidden nodes in the node list
-        nodes.forEach(node => {
-            if (node.attrs && 
-                (node.attrs.includes('style="invis"') || 
-                 node.attrs.includes('style="invisible"') || 
-                 node.attrs.includes('style=invis') || 
-                 node.attrs.includes('style=invisible') ||
-                 node.attrs.includes('style="hidden"') ||
-                 node.attrs.includes('style=hidden'))) {
-                hiddenNodes.add(node.id);
-            }
-        });
-        
-        while (queue.length > 0) {
-            const { id: currentId, distance } = queue.shift();
-            
-            // Stop if we've reached max hops
-            if (distance >= maxHops) {
-                continue;
-            }
-            
-            // Get neighbors based on direction
-            const neighbors = direction === 'downstream' 
-                ? connections.outgoing[currentId] || []
-                : connections.incoming[currentId] || [];
-            
-            for (const neighborId of neighbors) {
-                // Create edge ID based on direction
-                const edgeId = direction === 'downstream'
-                    ? `${currentId}->${neighborId}`
-                    : `${neighborId}->${currentId}`;
-                
-                // Add the edge
-                edgesToHighlight.add(edgeId);
-                
-                // Mark direct connections from start node
-                if (currentId === startNodeId) {
-                    directEdges.add(edgeId);
-                }
-                
-                // Calculate new distance, but don't count the hop if this is a hidden node
-                const isHiddenNode = hiddenNodes.has(neighborId);
-                const newDistance = isHiddenNode ? distance : distance + 1;
-                
-                // If we haven't visited this neighbor or found a shorter path
-                if (!visited.has(neighborId) || visited.get(neighborId) > newDistance) {
-                    // Add to highlight set and visited
-                    nodesToHighlight.add(neighborId);
-                    visited.set(neighborId, newDistance);
-                    
-                    // Add to queue with appropriate distance
-                    queue.push({ id: neighborId, distance: newDistance });
-                }
-            }
-        }
+     * @returns {Object|null} Model from Parser.parseDotSource()
+     */
+    function getModel() {
+        return model;
     }
     
     /**
-     * Update cluster highlighting based on highlighted nodes.
+     * Get the parsed model of the current graph with no clusters collapsed,
+     * which analyses such as cycles and metrics work on.
      * 
-     * @param {Set} nodesToHighlight - Set of nodes to highlight
+     * @returns {Object|null} Model from Parser.parseDotSource()
      */
-    function updateClusterHighlighting(nodesToHighlight) {
-        d3.selectAll(".cluster").each(function() {
-            // Skip legend clusters which are always highlighted
-            const clusterId = d3.select(this).attr("id") || "";
-            if (clusterId.includes("legend") || clusterId.includes("Legend")) {
-                return;
-            }
-            
-            // Check if any node in this cluster should be highlighted
-            const containsHighlightedNode = Array.from(
-                d3.select(this).selectAll(".node").nodes()
-            ).some(nodeEl => {
-                const nodeId = getNodeId(nodeEl);
-                return nodeId && nodesToHighlight.has(nodeId);
-            });
-            
-            // Apply highlighting
-            const wasHighlighted = d3.select(this).classed("highlighted-cluster");
-            d3.select(this)
-                .classed("highlighted-cluster", containsHighlightedNode || wasHighlighted)
-                .classed("faded-cluster", !containsHighlightedNode && !wasHighlighted);
-        });
+    function getFullModel() {
+        return fullModel;
     }
     
     /**
@@ -943,7 +1507,26 @@ const Graph = (function() {
     }
     
     /**
-     * Get the current DOT source.
+     * Get the subgraphs of the current graph, including clusters.
+     * 
+     * @returns {Array} Subgraph objects, parents before their children
+     */
+    function getSubgraphs() {
+        return subgraphs;
+    }
+    
+    /**
+     * Whether the current graph is directed.
+     * 
+     * @returns {boolean} True for a digraph, false for an undirected graph
+     */
+    function isDirected() {
+        return directed;
+    }
+    
+    /**
+     * Get the current DOT source, as edited; collapsed clusters are only
+     * applied when rendering.
      * 
      * @returns {string} The current DOT source
      */
@@ -951,14 +1534,50 @@ const Graph = (function() {
         return currentDotSource;
     }
     
+    /**
+     * Get the DOT source of the user's graph, leaving out previews such as
+     * a comparison on display. This is what sharing and exports publish.
+     * 
+     * @returns {string} The user's DOT source
+     */
+    function getSharedDotSource() {
+        return sharedDotSource;
+    }
+    
     // Public API
     return {
         initialize,
         updateGraph,
         updateView,
+        updateClusterView,
+        updatePathView,
+        highlightCycle,
+        highlightNodes,
+        focusNode,
+        focusEdge,
+        updateSelection,
+        setSelections,
+        readWeighting,
+        readEdgeFilter,
+        getModel,
+        getFullModel,
+        getDisplayedNodeId,
         getNodes,
         getEdges,
+        getSubgraphs,
+        isDirected,
         getDotSource,
+        getSharedDotSource,
+        toggleCluster,
+        getCollapsedClusters,
+        resetHighlights,
+        setFocusMode,
+        refreshFocus,
         currentSelection
     };
-})(); 
\ No newline at end of file
+})();
+
+// Export for Node-based tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Graph;
+}
@@ -0,0 +1,338 @@
+/**
+ * Image export module: saves the rendered graph as SVG or PNG, or lays it
+ * out on printable pages to save as PDF.
+ */
+const ImageExport = (function() {
+    // Printable area of the page sizes on offer, in points, portrait
+    const PAGE_SIZES = {
+        a4: { name: 'A4', width: 595, height: 842 },
+        a3: { name: 'A3', width: 842, height: 1191 },
+        letter: { name: 'letter', width: 612, height: 792 }
+    };
+    
+    // Page margin when printing, in points
+    const PAGE_MARGIN = 36;
+    
+    // Space left around the whole graph, in points
+    const GRAPH_MARGIN = 8;
+    
+    // Graphviz measures in points, browsers in CSS pixels
+    const PIXELS_PER_POINT = 96 / 72;
+    
+    const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+    
+    /**
+     * Pick the style rules that apply to an exported graph, so it keeps its
+     * highlighted and faded look outside the page.
+     * 
+     * @param {Array} rules - CSS rules with selectorText and cssText
+     * @param {Element} root - Exported SVG element
+     * @returns {string} CSS text of the rules matching an element of root
+     */
+    function selectCssRules(rules, root) {
+        return rules
+            .filter(rule => {
+                if (!rule.selectorText) {
+                    return false;
+                }
+                try {
+                    return root.querySelector(rule.selectorText) !== null;
+                } catch (error) {
+                    // Selectors the DOM can't query, e.g. vendor pseudo-elements
+                    return false;
+                }
+            })
+            .map(rule => rule.cssText)
+            .join('\n');
+    }
+    
+    /**
+     * Collect the style rules of the page. Stylesheets from other origins
+     * can't be read and are skipped.
+     * 
+     * @returns {Array} CSS rules
+     */
+    function getPageCssRules() {
+        const rules = [];
+        Array.from(document.styleSheets).forEach(sheet => {
+            try {
+                rules.push(...Array.from(sheet.cssRules));
+            } catch (error) {
+                console.warn("Could not read stylesheet for export:", sheet.href);
+            }
+        });
+        return rules;
+    }
+    
+    /**
+     * Read the viewBox of an SVG element.
+     * 
+     * @param {Element} svgElement - SVG element
+     * @returns {Object|null} Box { x, y, width, height }, or null without a usable viewBox
+     */
+    function readViewBox(svgElement) {
+        const values = (svgElement.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+        if (values.length !== 4 || values.some(isNaN) || values[2] <= 0 || values[3] <= 0) {
+            return null;
+        }
+        return { x: values[0], y: values[1], width: values[2], height: values[3] };
+    }
+    
+    /**
+     * Make a standalone copy of the rendered graph.
+     * 
+     * The current view keeps the zoom and the size on screen. The whole graph
+     * is shown at Graphviz's own size regardless of zoom, with a small margin.
+     * 
+     * @param {Element} svgElement - The rendered graph's SVG element
+     * @param {Object} [options] - Export options
+     * @param {string} [options.area='graph'] - 'graph' for the whole graph, 'view' for the current view only
+     * @param {string} [options.background='graph'] - 'graph' to keep the graph's own background,
+     *   'transparent', or a CSS color
+     * @param {string} [options.css] - CSS to embed; defaults to the page's rules that apply to the graph
+     * @returns {Object} Copy { svg, width, height, viewBox } with the size in CSS pixels and the viewBox in points
+     */
+    function createSvgDocument(svgElement, options = {}) {
+        const svg = svgElement.cloneNode(true);
+        const graphGroup = svgElement.querySelector('g.graph');
+        const background = options.background || 'graph';
+        let viewBox;
+        let width;
+        let height;
+        
+        if (options.area === 'view') {
+            const rect = svgElement.getBoundingClientRect();
+            viewBox = readViewBox(svgElement) || { x: 0, y: 0, width: rect.width, height: rect.height };
+            width = rect.width || viewBox.width * PIXELS_PER_POINT;
+            height = rect.height || viewBox.height * PIXELS_PER_POINT;
+        } else {
+            // The graph group's box doesn't include its zoom transform
+            const box = graphGroup && graphGroup.getBBox
+                ? graphGroup.getBBox()
+                : Object.assign({ x: 0, y: 0 }, readViewBox(svgElement));
+            viewBox = { x: 0, y: 0, width: box.width + 2 * GRAPH_MARGIN, height: box.height + 2 * GRAPH_MARGIN };
+            width = viewBox.width * PIXELS_PER_POINT;
+            height = viewBox.height * PIXELS_PER_POINT;
+            
+            const copiedGroup = svg.querySelector('g.graph');
+            if (copiedGroup) {
+                copiedGroup.setAttribute('transform', `translate(${GRAPH_MARGIN - box.x} ${GRAPH_MARGIN - box.y})`);
+            }
+        }
+        
+        svg.setAttribute('xmlns', SVG_NAMESPACE);
+        svg.setAttribute('viewBox', `${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}`);
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        svg.removeAttribute('style');
+        
+        // Graphviz draws the background as the graph group's own polygon
+        if (background !== 'graph') {
+            const backgroundPolygon = svg.querySelector('g.graph > polygon');
+            if (backgroundPolygon) {
+                backgroundPolygon.remove();
+            }
+        }
+        if (background !== 'graph' && background !== 'transparent') {
+            const rect = document.createElementNS(SVG_NAMESPACE, 'rect');
+            rect.setAttribute('x', viewBox.x);
+            rect.setAttribute('y', viewBox.y);
+            rect.setAttribute('width', viewBox.width);
+            rect.setAttribute('height', viewBox.height);
+            rect.setAttribute('fill', background);
+            svg.insertBefore(rect, svg.firstChild);
+        }
+        
+        const css = options.css !== undefined ? options.css : selectCssRules(getPageCssRules(), svg);
+        if (css) {
+            const style = document.createElementNS(SVG_NAMESPACE, 'style');
+            style.textContent = css;
+            svg.insertBefore(style, svg.firstChild);
+        }
+        
+        return { svg, width, height, viewBox };
+    }
+    
+    /**
+     * Write an SVG element as a standalone SVG file's text.
+     * 
+     * @param {Element} svg - SVG element
+     * @returns {string} SVG markup with an XML declaration
+     */
+    function serializeSvg(svg) {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n' +
+            new XMLSerializer().serializeToString(svg);
+    }
+    
+    /**
+     * Download the rendered graph as an SVG file.
+     * 
+     * @param {Element} svgElement - The rendered graph's SVG element
+     * @param {Object} [options] - Options for createSvgDocument(), plus filename
+     */
+    function exportSvg(svgElement, options = {}) {
+        const { svg } = createSvgDocument(svgElement, options);
+        Utils.downloadBlob(new Blob([serializeSvg(svg)], { type: 'image/svg+xml;charset=utf-8' }),
+                 `${options.filename || 'graph'}.svg`);
+    }
+    
+    /**
+     * Download the rendered graph as a PNG file.
+     * 
+     * @param {Element} svgElement - The rendered graph's SVG element
+     * @param {Object} [options] - Options for createSvgDocument(), plus filename
+     * @param {number} [options.scale=2] - Pixels per CSS pixel of the exported size
+     * @returns {Promise} Resolves once the download is offered
+     */
+    function exportPng(svgElement, options = {}) {
+        const scale = options.scale || 2;
+        const { svg, width, height } = createSvgDocument(svgElement, options);
+        const url = URL.createObjectURL(new Blob([serializeSvg(svg)], { type: 'image/svg+xml;charset=utf-8' }));
+        
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = function() {
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(width * scale);
+                canvas.height = Math.round(height * scale);
+                canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+                URL.revokeObjectURL(url);
+                
+                canvas.toBlob(blob => {
+                    if (!blob) {
+                        // Browsers give up on canvases beyond their size limit
+                        reject(new Error("The image is too large; try a smaller scale"));
+                        return;
+                    }
+                    Utils.downloadBlob(blob, `${options.filename || 'graph'}.png`);
+                    resolve();
+                }, 'image/png');
+            };
+            image.onerror = function() {
+                URL.revokeObjectURL(url);
+                reject(new Error("Could not draw the graph as an image"));
+            };
+            image.src = url;
+        });
+    }
+    
+    /**
+     * Get the printable area of a page.
+     * 
+     * @param {string} pageSize - Key of PAGE_SIZES
+     * @param {string} orientation - 'portrait' or 'landscape'
+     * @returns {Object} Area { name, width, height } in points, inside the margins
+     */
+    function getPrintableArea(pageSize, orientation) {
+        const page = PAGE_SIZES[pageSize] || PAGE_SIZES.a4;
+        const landscape = orientation === 'landscape';
+        return {
+            name: page.name,
+            width: (landscape ? page.height : page.width) - 2 * PAGE_MARGIN,
+            height: (landscape ? page.width : page.height) - 2 * PAGE_MARGIN
+        };
+    }
+    
+    /**
+     * Split an area into page-sized tiles, row by row. Tiles on the right and
+     * bottom edges are cut to what is left.
+     * 
+     * @param {number} width - Width of the area
+     * @param {number} height - Height of the area
+     * @param {number} pageWidth - Width of a page
+     * @param {number} pageHeight - Height of a page
+     * @returns {Array} Tiles { x, y, width, height, row, column } relative to the area
+     */
+    function computeTiles(width, height, pageWidth, pageHeight) {
+        const columns = Math.max(1, Math.ceil(width / pageWidth));
+        const rows = Math.max(1, Math.ceil(height / pageHeight));
+        const tiles = [];
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const x = column * pageWidth;
+                const y = row * pageHeight;
+                tiles.push({
+                    x,
+                    y,
+                    width: Math.min(pageWidth, width - x),
+                    height: Math.min(pageHeight, height - y),
+                    row,
+                    column
+                });
+            }
+        }
+        return tiles;
+    }
+    
+    /**
+     * Open the graph in a print window, from which it can be printed or
+     * saved as PDF. It is either scaled to fit one page or printed at full
+     * size across as many pages as it takes.
+     * 
+     * @param {Element} svgElement - The rendered graph's SVG element
+     * @param {Object} [options] - Options for createSvgDocument() and filename, plus page settings
+     * @param {string} [options.pageSize='a4'] - Key of PAGE_SIZES
+     * @param {string} [options.orientation='portrait'] - 'portrait' or 'landscape'
+     * @param {boolean} [options.fit=true] - Whether to fit the graph on one page
+     * @returns {number} Number of pages
+     * @throws {Error} If the print window was blocked
+     */
+    function printPages(svgElement, options = {}) {
+        const { svg, viewBox } = createSvgDocument(svgElement, options);
+        const orientation = options.orientation === 'landscape' ? 'landscape' : 'portrait';
+        const area = getPrintableArea(options.pageSize, orientation);
+        const fit = options.fit !== false;
+        
+        const tiles = fit
+            ? [{ x: 0, y: 0, width: viewBox.width, height: viewBox.height }]
+            : computeTiles(viewBox.width, viewBox.height, area.width, area.height);
+        const pages = tiles.map(tile => {
+            const page = svg.cloneNode(true);
+            page.setAttribute('viewBox', `${viewBox.x + tile.x} ${viewBox.y + tile.y} ${tile.width} ${tile.height}`);
+            page.setAttribute('width', fit ? '100%' : `${tile.width}pt`);
+            page.setAttribute('height', fit ? '100%' : `${tile.height}pt`);
+            return `<div class="page">${new XMLSerializer().serializeToString(page)}</div>`;
+        });
+        
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            throw new Error("The print window was blocked; allow pop-ups for this page");
+        }
+        printWindow.document.write(`<!DOCTYPE html>
+<html>
+<head>
+    <title>${options.filename || 'graph'}</title>
+    <style>
+        @page { size: ${area.name} ${orientation}; margin: ${PAGE_MARGIN}pt; }
+        body { margin: 0; }
+        .page { width: ${area.width}pt; height: ${area.height}pt; overflow: hidden; break-after: page; }
+        .page:last-child { break-after: auto; }
+    </style>
+</head>
+<body>${pages.join('')}</body>
+</html>`);
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+        
+        return pages.length;
+    }
+    
+    // Public API
+    return {
+        PAGE_SIZES,
+        selectCssRules,
+        createSvgDocument,
+        serializeSvg,
+        exportSvg,
+        exportPng,
+        getPrintableArea,
+        computeTiles,
+        printPages
+    };
+})();
+
+// Export for Node-based tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageExport;
+}
@@ -0,0 +1,2599 @@
+/**
+ * Importers module: reads graphs written for other tools, such as Mermaid
+ * flowcharts, and dependencies described by project files, such as Compose
+ * files, into a graph model and writes it out as DOT.
+ */
+const Importers = (function() {
+    // Graphviz attributes for Mermaid node shapes, by opening bracket and
+    // then closing bracket; longer brackets come first so "((" isn't read as "("
+    const MERMAID_SHAPES = [
+        { open: '(((', close: { ')))': { shape: 'doublecircle' } } },
+        { open: '((', close: { '))': { shape: 'circle' } } },
+        { open: '([', close: { '])': { style: 'rounded' } } },
+        { open: '[[', close: { ']]': { peripheries: '2' } } },
+        { open: '[(', close: { ')]': { shape: 'cylinder' } } },
+        { open: '[/', close: { '/]': { shape: 'parallelogram' }, '\\]': { shape: 'trapezium' } } },
+        { open: '[\\', close: { '\\]': { shape: 'parallelogram' }, '/]': { shape: 'invtrapezium' } } },
+        { open: '{{', close: { '}}': { shape: 'hexagon' } } },
+        { open: '{', close: { '}': { shape: 'diamond' } } },
+        { open: '[', close: { ']': {} } },
+        { open: '(', close: { ')': { style: 'rounded' } } },
+        { open: '>', close: { ']': { shape: 'cds' } } }
+    ];
+    
+    // Graphviz arrowheads for Mermaid link ends; Graphviz has no cross, so
+    // "x" gets the closest it has
+    const MERMAID_ARROWS = { '>': 'normal', '<': 'normal', o: 'dot', x: 'tee' };
+    
+    // Mermaid's named entities, as in "#quot;"
+    const MERMAID_ENTITIES = { quot: '"', amp: '&', lt: '<', gt: '>', nbsp: ' ' };
+    
+    const MERMAID_DIRECTIONS = { TB: 'TB', TD: 'TB', BT: 'BT', LR: 'LR', RL: 'RL' };
+    
+    // What a format's fields can be used for, with the names shown when
+    // asking which field to use
+    const MAPPINGS = {
+        source: { name: 'Source', required: true },
+        target: { name: 'Target', required: false },
+        label: { name: 'Label', required: false },
+        tooltip: { name: 'Tooltip', required: false },
+        cluster: { name: 'Cluster', required: false },
+        targetCluster: { name: 'Target cluster', required: false }
+    };
+    
+    // Field offered for the labels yEd keeps in its graphics data
+    const YED_LABEL = 'yEd label';
+    
+    // Edges for the kinds of npm dependency, by manifest field; each has its
+    // own color and style, so the edge filters can tell them apart
+    const NPM_DEPENDENCY_KINDS = {
+        dependencies: { name: 'dependency', attrs: {} },
+        devDependencies: { name: 'devDependency', attrs: { style: 'dashed', color: 'gray50' } },
+        peerDependencies: { name: 'peerDependency', attrs: { style: 'dotted', color: 'blue' } },
+        optionalDependencies: { name: 'optionalDependency', attrs: { style: 'dashed', color: 'darkorange' } }
+    };
+    
+    // Nodes for the packages of the project itself
+    const NPM_PACKAGE_ATTRS = {
+        root: { shape: 'box', style: 'filled,bold', fillcolor: 'lightsteelblue' },
+        workspace: { shape: 'box', style: 'filled', fillcolor: 'aliceblue' }
+    };
+    
+    // Packages in more than one version
+    const NPM_CONFLICT_ATTRS = { color: 'red', fontcolor: 'red', penwidth: '2' };
+    
+    // Imports with more nodes than this get a warning about layout time
+    const LARGE_GRAPH = 400;
+    
+    // Extensions of the source files scanned for imports, in the order they
+    // are tried for imports that leave the extension out
+    const MODULE_EXTENSIONS = ['ts', 'tsx', 'js', 'jsx', 'mjs', 'cjs', 'mts', 'cts'];
+    
+    // Folders holding installed or generated files rather than the project's own
+    const SKIPPED_FOLDER = /(^|\/)(node_modules|\.[^/]+)(\/|$)/;
+    
+    // Edges for the kinds of module import; require() counts as static
+    const IMPORT_KINDS = {
+        static: { name: 'import', attrs: {} },
+        dynamic: { name: 'dynamic import', attrs: { style: 'dashed', color: 'blue' } },
+        type: { name: 'type import', attrs: { style: 'dotted', color: 'gray50' } }
+    };
+    
+    // Patterns finding the tokens that start imports, each ending at the
+    // quote of the specifier; calls must close right after it
+    const IMPORT_PATTERNS = [
+        {
+            pattern: /(?<![\w$.])(import|export)\s+(type\s+)?(?:[\w$*\s{},]*?\s*from\s*)?['"]/g,
+            call: false,
+            kind: match => match[2] ? 'type' : 'static'
+        },
+        { pattern: /(?<![\w$.])import\s*\(\s*['"`]/g, call: true, kind: () => 'dynamic' },
+        { pattern: /(?<![\w$.])require\s*\(\s*['"`]/g, call: true, kind: () => 'static' }
+    ];
+    
+    // Keywords after which a slash starts a regular expression, not a division
+    const REGEX_KEYWORDS = ['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+        'throw', 'case', 'do', 'else', 'yield', 'await'];
+    
+    // Nodes for external packages, and for all of them when collapsed
+    const EXTERNAL_ATTRS = { shape: 'component', color: 'gray40', fontcolor: 'gray40' };
+    const EXTERNAL_NODE = 'external_packages';
+    
+    // Nodes that are referred to but not defined, such as imports of files
+    // that weren't found
+    const MISSING_NODE_ATTRS = { style: 'dashed', color: 'red', fontcolor: 'red' };
+    
+    // Edges for the conditions a Compose service waits for before starting
+    const COMPOSE_CONDITIONS = {
+        service_started: {},
+        service_healthy: { color: 'darkgreen' },
+        service_completed_successfully: { color: 'blue' }
+    };
+    
+    /**
+     * Write a model as DOT, with default node attributes declared once at
+     * the top instead of on every node.
+     * 
+     * @param {Object} model - Graph model, as built by Parser.buildModel()
+     * @param {Object} [nodeDefaults] - Attributes for a `node [...]` statement
+     * @returns {string} DOT source
+     */
+    function writeDot(model, nodeDefaults = {}) {
+        const ast = Serializer.modelToAst(model);
+        const defaults = Object.keys(nodeDefaults);
+        if (defaults.length > 0) {
+            // After the graph attributes, before anything they apply to
+            const index = ast.children.filter(stmt => stmt.type === 'attr_stmt').length;
+            ast.children.splice(index, 0, {
+                type: 'attr_stmt',
+                target: 'node',
+                attr_list: defaults.map(key => ({ type: 'attr', id: key, eq: String(nodeDefaults[key]) }))
+            });
+        }
+        return Serializer.stringify(ast);
+    }
+    
+    /**
+     * Escape plain text, e.g. a CSV cell, for use as a DOT label or tooltip.
+     * 
+     * @param {string} text - Plain text
+     * @returns {string} Text with backslashes escaped and line breaks as "\n"
+     */
+    function escapeText(text) {
+        return String(text).replace(/\\/g, '\\\\').replace(/\r?\n/g, '\\n');
+    }
+    
+    /**
+     * Create a builder that collects nodes, edges and clusters read from
+     * another format and turns them into a graph model. Nodes are created
+     * the first time they are mentioned; empty attribute values are left out.
+     * 
+     * @param {boolean} [directed=true] - Whether the graph is directed
+     * @returns {Object} Builder { hasNode, node, edge, cluster, placeIn, clusterOf, build }
+     */
+    function createBuilder(directed = true) {
+        const nodes = new Map(); // Node ID -> { id, attrs, cluster }
+        const edges = [];
+        const clusters = new Map(); // Cluster key -> { id, attrs, parent }
+        const clusterIds = new Set();
+        
+        const setAttrs = (target, attrs) => {
+            Object.keys(attrs || {}).forEach(key => {
+                if (attrs[key] !== undefined && attrs[key] !== null && attrs[key] !== '') {
+                    target[key] = String(attrs[key]);
+                }
+            });
+        };
+        
+        const builder = {
+            hasNode: id => nodes.has(id),
+            
+            node(id, attrs) {
+                if (!nodes.has(id)) {
+                    nodes.set(id, { id, attrs: {}, cluster: null });
+                }
+                const node = nodes.get(id);
+                setAttrs(node.attrs, attrs);
+                // Exports often spell out labels that only repeat the ID
+                if (node.attrs.label === escapeText(id)) {
+                    delete node.attrs.label;
+                }
+                return node;
+            },
+            
+            edge(source, target, attrs) {
+                builder.node(source);
+                builder.node(target);
+                const edge = { source, target, sourcePort: null, targetPort: null, attrs: {} };
+                setAttrs(edge.attrs, attrs);
+                edges.push(edge);
+                return edge;
+            },
+            
+            // Clusters are named by a key from the imported data, e.g. a team
+            // name, and given a DOT ID starting with "cluster"
+            cluster(key, label, parentKey = null) {
+                if (!clusters.has(key)) {
+                    const base = /^cluster/.test(key) ? key : `cluster_${key}`;
+                    const slug = base.replace(/[^\p{L}\p{N}_]+/gu, '_');
+                    let id = slug;
+                    for (let suffix = 2; clusterIds.has(id); suffix++) {
+                        id = `${slug}_${suffix}`;
+                    }
+                    clusterIds.add(id);
+                    clusters.set(key, { id, attrs: {}, parent: parentKey });
+                    if (parentKey !== null && !clusters.has(parentKey)) {
+                        builder.cluster(parentKey);
+                    }
+                }
+                setAttrs(clusters.get(key).attrs, { label });
+                return clusters.get(key).id;
+            },
+            
+            placeIn(nodeId, clusterKey) {
+                builder.cluster(clusterKey);
+                builder.node(nodeId).cluster = clusterKey;
+            },
+            
+            clusterOf: nodeId => nodes.has(nodeId) ? nodes.get(nodeId).cluster : null,
+            
+            build(graphAttrs = {}) {
+                const attrs = {};
+                setAttrs(attrs, graphAttrs);
+                const subgraphs = Array.from(clusters.entries()).map(([key, cluster]) => ({
+                    key,
+                    id: cluster.id,
+                    attrs: cluster.attrs,
+                    parent: cluster.parent === null ? null : clusters.get(cluster.parent).id,
+                    children: [],
+                    nodes: [],
+                    isCluster: true,
+                    label: cluster.attrs.label || null
+                }));
+                const byKey = new Map(subgraphs.map(subgraph => [subgraph.key, subgraph]));
+                // Parents must come before their children
+                const depth = subgraph => subgraph.parent === null ? 0 : 1 + depth(byKey.get(clusters.get(subgraph.key).parent));
+                subgraphs.sort((a, b) => depth(a) - depth(b));
+                subgraphs.forEach(subgraph => {
+                    const parentKey = clusters.get(subgraph.key).parent;
+                    if (parentKey !== null) {
+                        byKey.get(parentKey).children.push(subgraph.id);
+                    }
+                });
+                
+                const modelNodes = Array.from(nodes.values()).map(node => {
+                    // A node belongs to its cluster and every cluster around it
+                    for (let key = node.cluster; key !== null; key = clusters.get(key).parent) {
+                        byKey.get(key).nodes.push(node.id);
+                    }
+                    return { id: node.id, attrs: node.attrs, cluster: node.cluster === null ? null : clusters.get(node.cluster).id };
+                });
+                
+                subgraphs.forEach(subgraph => delete subgraph.key);
+                return {
+                    graph: { id: null, directed, strict: false, attrs },
+                    nodes: modelNodes,
+                    edges,
+                    subgraphs
+                };
+            }
+        };
+        return builder;
+    }
+    
+    /**
+     * Normalize a CSS color for Graphviz, which only reads six and eight
+     * digit hex colors and its own color names.
+     * 
+     * @param {string} value - CSS color, e.g. "#f9f" or "rgb(255, 0, 0)"
+     * @returns {string} Graphviz color
+     */
+    function toDotColor(value) {
+        const hex = /^#([0-9a-f]{3,4})$/i.exec(value);
+        if (hex) {
+            return '#' + hex[1].split('').map(digit => digit + digit).join('').toLowerCase();
+        }
+        const rgb = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)$/i.exec(value);
+        if (rgb) {
+            const channels = rgb.slice(1, 4).map(Number);
+            if (rgb[4] !== undefined) {
+                channels.push(Math.round(parseFloat(rgb[4]) * 255));
+            }
+            return '#' + channels.map(channel => Math.min(channel, 255).toString(16).padStart(2, '0')).join('');
+        }
+        return value;
+    }
+    
+    /**
+     * Translate CSS declarations from a Mermaid classDef, style or
+     * linkStyle statement into Graphviz attributes. Properties Graphviz has
+     * no counterpart for are left out.
+     * 
+     * @param {string} css - Declarations, e.g. "fill:#f9f,stroke:#333,stroke-width:4px"
+     * @param {string} target - 'node', 'cluster' or 'edge'
+     * @returns {Object} Result { attrs, styles } with styles the Graphviz style flags to add
+     */
+    function cssToAttrs(css, target) {
+        const attrs = {};
+        const styles = [];
+        // Commas inside rgb(...) don't separate declarations
+        css.split(/,(?![^(]*\))/).forEach(declaration => {
+            const colon = declaration.indexOf(':');
+            if (colon === -1) {
+                return;
+            }
+            const property = declaration.slice(0, colon).trim().toLowerCase();
+            const value = declaration.slice(colon + 1).replace(/!important/i, '').trim();
+            if (property === 'fill' && target !== 'edge' && value !== 'none') {
+                attrs.fillcolor = toDotColor(value);
+                styles.push('filled');
+            } else if (property === 'stroke') {
+                attrs[target === 'cluster' ? 'pencolor' : 'color'] = toDotColor(value);
+            } else if (property === 'stroke-width' && !isNaN(parseFloat(value))) {
+                attrs.penwidth = String(parseFloat(value));
+            } else if (property === 'stroke-dasharray') {
+                styles.push('dashed');
+            } else if (property === 'color') {
+                attrs.fontcolor = toDotColor(value);
+            } else if (property === 'font-size' && !isNaN(parseFloat(value))) {
+                attrs.fontsize = String(parseFloat(value));
+            }
+        });
+        return { attrs, styles };
+    }
+    
+    /**
+     * Turn Mermaid label text into a DOT label: line breaks become "\n",
+     * other HTML tags, Markdown backticks and entities like "#quot;" are
+     * resolved to plain text.
+     * 
+     * @param {string} text - Label text as written in Mermaid
+     * @returns {string} DOT label
+     */
+    function toDotLabel(text) {
+        return text
+            .replace(/^`([^]*)`$/, '$1')
+            .replace(/\\/g, '\\\\')
+            .replace(/<br\s*\/?>/gi, '\\n')
+            .replace(/<[^>]*>/g, '')
+            .replace(/#(\d+);/g, (entity, code) => String.fromCharCode(Number(code)))
+            .replace(/#([a-z]+);/gi, (entity, name) => MERMAID_ENTITIES[name.toLowerCase()] || entity)
+            .trim();
+    }
+    
+    /**
+     * Split Mermaid text into statements, which end at a line break or a
+     * semicolon outside labels. "%%" comments are dropped.
+     * 
+     * @param {string} text - Mermaid text
+     * @returns {Array} Statements { text, line } with 1-based line numbers
+     */
+    function splitStatements(text) {
+        const statements = [];
+        text.split(/\r?\n/).forEach((lineText, index) => {
+            let start = 0;
+            let end = lineText.length;
+            let depth = 0;
+            let quoted = false;
+            let piped = false;
+            const push = stop => {
+                const statement = lineText.slice(start, stop).trim();
+                if (statement) {
+                    statements.push({ text: statement, line: index + 1 });
+                }
+            };
+            for (let i = 0; i < lineText.length; i++) {
+                const char = lineText[i];
+                if (char === '"') {
+                    quoted = !quoted;
+                } else if (quoted) {
+                    continue;
+                } else if (char === '|' && depth === 0) {
+                    piped = !piped;
+                } else if ('[({'.includes(char)) {
+                    depth++;
+                } else if (')]}'.includes(char)) {
+                    depth = Math.max(depth - 1, 0);
+                } else if (depth > 0 || piped) {
+                    continue;
+                } else if (char === ';') {
+                    push(i);
+                    start = i + 1;
+                } else if (char === '%' && lineText[i + 1] === '%') {
+                    end = i;
+                    break;
+                }
+            }
+            push(end);
+        });
+        return statements;
+    }
+    
+    /**
+     * Read a label that may be quoted, up to one of the closing brackets.
+     * 
+     * @param {string} text - Statement text
+     * @param {number} pos - Position after the opening bracket
+     * @param {Array} closers - Closing brackets that may end the label
+     * @returns {Object} Result { label, closer, end } with end the position after the closer
+     * @throws {Error} If no closing bracket follows
+     */
+    function readLabel(text, pos, closers) {
+        let label;
+        let labelEnd;
+        const quote = /^\s*"/.exec(text.slice(pos));
+        if (quote) {
+            const close = text.indexOf('"', pos + quote[0].length);
+            if (close === -1) {
+                throw new Error('unterminated quoted label');
+            }
+            label = text.slice(pos + quote[0].length, close);
+            labelEnd = close + 1 + /^\s*/.exec(text.slice(close + 1))[0].length;
+            const closer = closers.find(candidate => text.startsWith(candidate, labelEnd));
+            if (!closer) {
+                throw new Error(`expected ${closers.map(candidate => `"${candidate}"`).join(' or ')} after "${label}"`);
+            }
+            return { label, closer, end: labelEnd + closer.length };
+        }
+        
+        let closer = null;
+        labelEnd = -1;
+        closers.forEach(candidate => {
+            const index = text.indexOf(candidate, pos);
+            if (index !== -1 && (labelEnd === -1 || index < labelEnd)) {
+                labelEnd = index;
+                closer = candidate;
+            }
+        });
+        if (!closer) {
+            throw new Error(`missing ${closers.map(candidate => `"${candidate}"`).join(' or ')}`);
+        }
+        return { label: text.slice(pos, labelEnd).trim(), closer, end: labelEnd + closer.length };
+    }
+    
+    /**
+     * Read a node reference, e.g. `A`, `A[Label]` or `A(["Label"]):::done`.
+     * 
+     * @param {string} text - Statement text
+     * @param {number} pos - Position of the node ID
+     * @returns {Object|null} Node { id, attrs, label, classes, end }, with attrs and label null
+     *   when no shape is given, or null if there is no node ID here
+     */
+    function readNode(text, pos) {
+        const idMatch = /^[\p{L}\p{N}_]+(?:-[\p{L}\p{N}_]+)*/u.exec(text.slice(pos));
+        if (!idMatch) {
+            return null;
+        }
+        const node = { id: idMatch[0], attrs: null, label: null, classes: [], end: pos + idMatch[0].length };
+        
+        const shape = MERMAID_SHAPES.find(candidate => text.startsWith(candidate.open, node.end));
+        if (shape) {
+            const { label, closer, end } = readLabel(text, node.end + shape.open.length, Object.keys(shape.close));
+            node.attrs = shape.close[closer];
+            node.label = label;
+            node.end = end;
+        }
+        
+        let classMatch;
+        while ((classMatch = /^:::([\w-]+)/.exec(text.slice(node.end)))) {
+            node.classes.push(classMatch[1]);
+            node.end += classMatch[0].length;
+        }
+        return node;
+    }
+    
+    /**
+     * Read a link between nodes, e.g. `-->`, `-.->|label|`, `== label ==>`
+     * or `<-->`.
+     * 
+     * @param {string} text - Statement text
+     * @param {number} pos - Position after the previous node
+     * @returns {Object|null} Link { kind, head, tail, length, label, end } with kind 'solid',
+     *   'thick', 'dotted' or 'invisible', or null if there is no link here
+     * @throws {Error} If a label is not closed
+     */
+    function readLink(text, pos) {
+        const rest = text.slice(pos);
+        const link = { kind: null, head: '', tail: '', length: 1, label: null, end: pos };
+        const kindOf = body => body[0] === '=' ? 'thick' : body[0] === '~' ? 'invisible' : body[1] === '.' ? 'dotted' : 'solid';
+        
+        const plain = /^\s*([<ox]?)(-{2,}|={2,}|-\.+-|~{3,})([>ox]?)/.exec(rest);
+        // A bare "--" or "==" opens a label written inside the link
+        const opensLabel = plain && !plain[3] && (plain[2] === '--' || plain[2] === '==');
+        // A start marker like "o" in "o--o" only counts with an end marker
+        if (plain && !opensLabel && (!plain[1] || plain[3])) {
+            const body = plain[2];
+            link.kind = kindOf(body);
+            link.tail = plain[1];
+            link.head = plain[3];
+            // "-->" and "---" are the shortest links; every extra dash,
+            // dot or tilde adds a rank
+            link.length = body.length - (link.head && (link.kind === 'solid' || link.kind === 'thick') ? 1 : 2);
+            link.end = pos + plain[0].length;
+            
+            const pipe = /^\s*\|/.exec(text.slice(link.end));
+            if (pipe) {
+                const { label, end } = readLabel(text, link.end + pipe[0].length, ['|']);
+                link.label = label;
+                link.end = end;
+            }
+            return link;
+        }
+        
+        const open = /^\s*([<ox]?)(--|==|-\.)\s*/.exec(rest);
+        if (!open) {
+            return null;
+        }
+        link.kind = kindOf(open[2]);
+        link.tail = open[1];
+        const closers = {
+            solid: /\s*(?:-{2,}([>ox])|-{3,})/,
+            thick: /\s*(?:={2,}([>ox])|={3,})/,
+            dotted: /\s*\.+-([>ox]?)/
+        };
+        const labelStart = pos + open[0].length;
+        const close = closers[link.kind].exec(text.slice(labelStart));
+        if (!close || close.index === 0) {
+            return null;
+        }
+        link.head = close[1] || '';
+        if (link.tail && !link.head) {
+            return null;
+        }
+        link.label = text.slice(labelStart, labelStart + close.index).trim().replace(/^"([^]*)"$/, '$1');
+        link.end = labelStart + close.index + close[0].length;
+        return link;
+    }
+    
+    /**
+     * Read a Mermaid flowchart into a graph model. Node shapes, labels and
+     * links map to their closest Graphviz attributes, subgraphs become
+     * clusters, and classDef, class and style statements become fill,
+     * border and font colors. A link to a subgraph is drawn to the edge of
+     * its cluster. Statements that can't be read are skipped and reported.
+     * 
+     * @param {string} text - Mermaid text starting with "flowchart" or "graph"
+     * @returns {Object} Result { model, nodeDefaults, warnings } with warnings as messages
+     * @throws {SyntaxError} If the text is not a Mermaid flowchart
+     */
+    function readMermaid(text) {
+        const warnings = [];
+        const warn = (line, message) => warnings.push(`Line ${line}: ${message}`);
+        const graphAttrs = {};
+        
+        // YAML front matter may give the diagram a title
+        const lines = text.split(/\r?\n/);
+        const firstLine = lines.findIndex(line => line.trim() !== '');
+        if (firstLine !== -1 && lines[firstLine].trim() === '---') {
+            const closing = lines.findIndex((line, index) => index > firstLine && line.trim() === '---');
+            if (closing !== -1) {
+                lines.slice(firstLine + 1, closing).forEach(line => {
+                    const title = /^title:\s*(.+)$/.exec(line.trim());
+                    if (title) {
+                        graphAttrs.label = toDotLabel(title[1].replace(/^(["'])(.*)\1$/, '$2'));
+                    }
+                });
+                lines.fill('', firstLine, closing + 1);
+            }
+        }
+        
+        const statements = splitStatements(lines.join('\n'));
+        const header = statements.length > 0 ? /^(?:flowchart(?:-elk)?|graph)\b\s*(.*)$/i.exec(statements[0].text) : null;
+        if (!header) {
+            throw new SyntaxError('Not a Mermaid flowchart: it should start with "flowchart" or "graph"');
+        }
+        const setDirection = (direction, line) => {
+            const rankdir = MERMAID_DIRECTIONS[direction.toUpperCase()];
+            if (!rankdir) {
+                warn(line, `unknown direction "${direction}"`);
+            } else if (rankdir !== 'TB') {
+                graphAttrs.rankdir = rankdir;
+            } else {
+                delete graphAttrs.rankdir;
+            }
+        };
+        if (header[1]) {
+            setDirection(header[1], statements[0].line);
+        }
+        
+        const nodes = new Map(); // Node ID -> { id, attrs, label }
+        const edges = [];
+        const subgraphs = []; // { id, dotId, title, parent }
+        const subgraphMap = new Map();
+        const stack = [];
+        const homes = new Map(); // Node ID -> ID of the first subgraph that mentions it
+        const classDefs = new Map();
+        const classes = new Map(); // Node or subgraph ID -> class names
+        const styles = new Map(); // Node or subgraph ID -> CSS
+        const linkStyles = []; // { indices, css, line }
+        
+        const addClasses = (id, names) => {
+            classes.set(id, (classes.get(id) || []).concat(names));
+        };
+        const mentionNode = node => {
+            if (!nodes.has(node.id)) {
+                nodes.set(node.id, { id: node.id, attrs: {}, label: null });
+            }
+            const entry = nodes.get(node.id);
+            // The last shape given wins, as in Mermaid
+            if (node.attrs) {
+                entry.attrs = node.attrs;
+                entry.label = node.label;
+            }
+            if (node.classes.length > 0) {
+                addClasses(node.id, node.classes);
+            }
+            if (stack.length > 0 && !homes.has(node.id)) {
+                homes.set(node.id, stack[stack.length - 1].id);
+            }
+        };
+        
+        statements.slice(1).forEach(({ text: statement, line }) => {
+            let match;
+            if ((match = /^subgraph\b\s*(.*)$/i.exec(statement))) {
+                const title = match[1].trim();
+                const named = /^([\p{L}\p{N}_-]+)\s*\[\s*(.*?)\s*\]$/u.exec(title);
+                let id;
+                let label;
+                if (named) {
+                    id = named[1];
+                    label = named[2].replace(/^"([^]*)"$/, '$1');
+                } else if (/^[\p{L}\p{N}_-]+$/u.test(title)) {
+                    id = label = title;
+                } else {
+                    id = `subGraph${subgraphs.length}`;
+                    label = title.replace(/^"([^]*)"$/, '$1');
+                }
+                if (subgraphMap.has(id)) {
+                    warn(line, `subgraph "${id}" is defined twice; the first definition is kept`);
+                    stack.push(subgraphMap.get(id));
+                    return;
+                }
+                const subgraph = {
+                    id,
+                    dotId: `cluster_${id}`,
+                    title: label,
+                    parent: stack.length > 0 ? stack[stack.length - 1].id : null
+                };
+                subgraphs.push(subgraph);
+                subgraphMap.set(id, subgraph);
+                stack.push(subgraph);
+            } else if (/^end$/i.test(statement)) {
+                if (stack.length === 0) {
+                    warn(line, '"end" without a subgraph');
+                } else {
+                    stack.pop();
+                }
+            } else if ((match = /^direction\s+(\w+)$/i.exec(statement))) {
+                if (stack.length === 0) {
+                    setDirection(match[1], line);
+                } else {
+                    warn(line, 'a direction inside a subgraph is ignored; Graphviz lays out clusters in the direction of the whole graph');
+                }
+            } else if ((match = /^classDef\s+(\S+)\s+(.+)$/i.exec(statement))) {
+                match[1].split(',').forEach(name => classDefs.set(name.trim(), match[2]));
+            } else if ((match = /^class\s+(.+?)\s+([\w-]+)$/i.exec(statement))) {
+                match[1].split(',').forEach(id => addClasses(id.trim(), [match[2]]));
+            } else if ((match = /^style\s+(\S+)\s+(.+)$/i.exec(statement))) {
+                styles.set(match[1], (styles.has(match[1]) ? styles.get(match[1]) + ',' : '') + match[2]);
+            } else if ((match = /^linkStyle\s+(\S+)\s+(.+)$/i.exec(statement))) {
+                linkStyles.push({ indices: match[1], css: match[2], line });
+            } else if (/^(click|accTitle|accDescr)\b/i.test(statement)) {
+                warn(line, `"${statement.split(/[\s:]/)[0]}" statements are not imported`);
+            } else {
+                let chain;
+                try {
+                    chain = readChain(statement);
+                } catch (error) {
+                    warn(line, `skipped "${statement}": ${error.message}`);
+                    return;
+                }
+                chain.groups.forEach(group => group.forEach(mentionNode));
+                chain.links.forEach((link, index) => {
+                    chain.groups[index].forEach(source => chain.groups[index + 1].forEach(target => {
+                        edges.push({ source: source.id, target: target.id, link });
+                    }));
+                });
+            }
+        });
+        stack.forEach(subgraph => warnings.push(`Subgraph "${subgraph.id}" is missing its "end"`));
+        
+        // Nodes of each subgraph, including those of nested subgraphs
+        const members = new Map(subgraphs.map(subgraph => [subgraph.id, []]));
+        nodes.forEach(node => {
+            let subgraphId = subgraphMap.has(node.id) ? null : homes.get(node.id);
+            while (subgraphId) {
+                members.get(subgraphId).push(node.id);
+                subgraphId = subgraphMap.get(subgraphId).parent;
+            }
+        });
+        
+        // Links to a subgraph end at its cluster's border, drawn to one of its nodes
+        const clusterEnd = id => subgraphMap.has(id) && members.get(id).length > 0 ? subgraphMap.get(id) : null;
+        subgraphs.forEach(subgraph => {
+            if (members.get(subgraph.id).length > 0) {
+                nodes.delete(subgraph.id);
+            }
+        });
+        
+        const styleFor = (id, target, base) => {
+            const attrs = Object.assign({}, base);
+            const flags = attrs.style ? [attrs.style] : [];
+            delete attrs.style;
+            const apply = css => {
+                const translated = cssToAttrs(css, target);
+                Object.assign(attrs, translated.attrs);
+                translated.styles.filter(flag => !flags.includes(flag)).forEach(flag => flags.push(flag));
+            };
+            if (target === 'node' && classDefs.has('default')) {
+                apply(classDefs.get('default'));
+            }
+            (classes.get(id) || []).forEach(name => {
+                if (classDefs.has(name)) {
+                    apply(classDefs.get(name));
+                }
+            });
+            if (styles.has(id)) {
+                apply(styles.get(id));
+            }
+            if (flags.length > 0) {
+                attrs.style = flags.join(',');
+            }
+            return attrs;
+        };
+        classes.forEach(names => names.filter(name => !classDefs.has(name)).forEach(name => {
+            const message = `Class "${name}" is used but never defined`;
+            if (!warnings.includes(message)) {
+                warnings.push(message);
+            }
+        }));
+        
+        const modelNodes = Array.from(nodes.values()).map(node => {
+            const attrs = styleFor(node.id, 'node', node.attrs);
+            if (node.label !== null && node.label !== node.id) {
+                attrs.label = toDotLabel(node.label);
+            }
+            return { id: node.id, attrs, cluster: homes.has(node.id) ? subgraphMap.get(homes.get(node.id)).dotId : null };
+        });
+        
+        const modelEdges = edges.map(({ source, target, link }) => {
+            const attrs = {};
+            if (link.label) {
+                attrs.label = toDotLabel(link.label);
+            }
+            if (link.kind !== 'solid') {
+                attrs.style = { thick: 'bold', dotted: 'dashed', invisible: 'invis' }[link.kind];
+            }
+            if (link.length > 1) {
+                attrs.minlen = String(link.length);
+            }
+            if (!link.head && !link.tail) {
+                attrs.dir = 'none';
+            } else if (link.tail) {
+                attrs.dir = 'both';
+                attrs.arrowtail = MERMAID_ARROWS[link.tail];
+            }
+            if (link.head && link.head !== '>') {
+                attrs.arrowhead = MERMAID_ARROWS[link.head];
+            }
+            
+            const edge = { source, target, sourcePort: null, targetPort: null, attrs };
+            const sourceCluster = clusterEnd(source);
+            const targetCluster = clusterEnd(target);
+            if (sourceCluster) {
+                edge.source = members.get(source)[0];
+                attrs.ltail = sourceCluster.dotId;
+                graphAttrs.compound = 'true';
+            }
+            if (targetCluster) {
+                edge.target = members.get(target)[0];
+                attrs.lhead = targetCluster.dotId;
+                graphAttrs.compound = 'true';
+            }
+            return edge;
+        });
+        
+        linkStyles.forEach(({ indices, css, line }) => {
+            const targets = indices === 'default'
+                ? modelEdges
+                : indices.split(',').map(index => {
+                    const edge = modelEdges[Number(index)];
+                    if (!edge) {
+                        warn(line, `there is no link number ${index}`);
+                    }
+                    return edge;
+                }).filter(Boolean);
+            const translated = cssToAttrs(css, 'edge');
+            targets.forEach(edge => {
+                Object.assign(edge.attrs, translated.attrs);
+                if (translated.styles.length > 0 && !edge.attrs.style) {
+                    edge.attrs.style = translated.styles.join(',');
+                }
+            });
+        });
+        
+        const modelSubgraphs = subgraphs.map(subgraph => {
+            const attrs = styleFor(subgraph.id, 'cluster', {});
+            if (subgraph.title) {
+                attrs.label = toDotLabel(subgraph.title);
+            }
+            return {
+                id: subgraph.dotId,
+                attrs,
+                parent: subgraph.parent ? subgraphMap.get(subgraph.parent).dotId : null,
+                children: subgraphs.filter(child => child.parent === subgraph.id).map(child => child.dotId),
+                nodes: members.get(subgraph.id),
+                isCluster: true,
+                label: attrs.label || null
+            };
+        });
+        
+        return {
+            model: {
+                graph: { id: null, directed: true, strict: false, attrs: graphAttrs },
+                nodes: modelNodes,
+                edges: modelEdges,
+                subgraphs: modelSubgraphs
+            },
+            // Mermaid draws nodes as rectangles unless told otherwise
+            nodeDefaults: { shape: 'box' },
+            warnings
+        };
+    }
+    
+    /**
+     * Read a statement of nodes and links, e.g. `A --> B & C -->|yes| D`.
+     * 
+     * @param {string} text - Statement text
+     * @returns {Object} Result { groups, links } where links[i] joins every node of groups[i]
+     *   to every node of groups[i + 1]
+     * @throws {Error} If the statement is not a chain of nodes and links
+     */
+    function readChain(text) {
+        const groups = [];
+        const links = [];
+        let pos = 0;
+        const skipSpace = () => {
+            pos += /^\s*/.exec(text.slice(pos))[0].length;
+        };
+        
+        for (;;) {
+            const group = [];
+            for (;;) {
+                skipSpace();
+                const node = readNode(text, pos);
+                if (!node) {
+                    throw new Error(pos >= text.length ? 'a link has no node at its end' : `expected a node at "${text.slice(pos)}"`);
+                }
+                group.push(node);
+                pos = node.end;
+                skipSpace();
+                if (text[pos] !== '&') {
+                    break;
+                }
+                pos++;
+            }
+            groups.push(group);
+            if (pos >= text.length) {
+                return { groups, links };
+            }
+            
+            const link = readLink(text, pos);
+            if (!link) {
+                throw new Error(`unexpected "${text.slice(pos)}"`);
+            }
+            links.push(link);
+            pos = link.end;
+        }
+    }
+    
+    /**
+     * Split CSV text into rows of fields. Quoted fields may hold the
+     * delimiter, doubled quotes and line breaks.
+     * 
+     * @param {string} text - CSV text
+     * @param {string} delimiter - Field delimiter
+     * @returns {Object} Result { rows, error } with rows { fields, line }, and error
+     *   { line, message } if a quote is left open, in which case the rest is lost
+     */
+    function parseCsv(text, delimiter) {
+        const rows = [];
+        let fields = [];
+        let field = '';
+        let quoted = false;
+        let line = 1;
+        let rowLine = 1;
+        let quoteLine = 1;
+        
+        const endRow = () => {
+            fields.push(field);
+            // Blank lines carry no data
+            if (fields.length > 1 || fields[0].trim() !== '') {
+                rows.push({ fields, line: rowLine });
+            }
+            fields = [];
+            field = '';
+            rowLine = line;
+        };
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    if (char === '\n') {
+                        line++;
+                    }
+                    field += char;
+                }
+            } else if (char === '"' && field.trim() === '') {
+                quoted = true;
+                field = '';
+                quoteLine = line;
+            } else if (char === delimiter) {
+                fields.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                line++;
+                endRow();
+            } else {
+                field += char;
+            }
+        }
+        if (quoted) {
+            return { rows, error: { line: quoteLine, message: 'a quoted field is never closed; the rest of the file was not read' } };
+        }
+        if (field !== '' || fields.length > 0) {
+            endRow();
+        }
+        return { rows, error: null };
+    }
+    
+    /**
+     * Guess the delimiter of CSV text from its first line: comma,
+     * semicolon or tab, whichever occurs most.
+     * 
+     * @param {string} text - CSV text
+     * @returns {string} Delimiter
+     */
+    function detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/).find(line => line.trim() !== '') || '';
+        const counts = [',', ';', '\t'].map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length - 1 }));
+        return counts.reduce((best, candidate) => candidate.count > best.count ? candidate : best).delimiter;
+    }
+    
+    /**
+     * Pick the first field whose name matches a pattern.
+     * 
+     * @param {Array} fields - Field names
+     * @param {RegExp} pattern - Pattern to match
+     * @returns {string} Field name, or '' if none matches
+     */
+    function findField(fields, pattern) {
+        return fields.find(field => pattern.test(field)) || '';
+    }
+    
+    /**
+     * List the columns of a CSV edge list and guess which holds what.
+     * 
+     * @param {string} text - CSV text with a header row
+     * @returns {Object} Result { fields, mapping }
+     * @throws {SyntaxError} If there is no header row
+     */
+    function csvFields(text) {
+        const { rows } = parseCsv(text, detectDelimiter(text));
+        if (rows.length === 0) {
+            throw new SyntaxError('The CSV has no header row');
+        }
+        const fields = rows[0].fields.map(field => field.trim());
+        return {
+            fields,
+            mapping: {
+                source: findField(fields, /^(source|from|src)$/i) || fields[0] || '',
+                target: findField(fields, /^(target|to|dest|destination)$/i) || fields[1] || '',
+                label: findField(fields, /^label$/i),
+                tooltip: findField(fields, /^(tooltip|description)$/i),
+                cluster: findField(fields, /^(source_?cluster|cluster|group)$/i),
+                targetCluster: findField(fields, /^target_?cluster$/i)
+            }
+        };
+    }
+    
+    /**
+     * Read a CSV edge list, one edge per row. A row with a source but no
+     * target adds a lone node. Rows that don't fit the header or lack a
+     * source are skipped and reported.
+     * 
+     * @param {string} text - CSV text with a header row
+     * @param {Object} mapping - Column names { source, target, label, tooltip, cluster, targetCluster };
+     *   label and tooltip are the edge's, the clusters are those of the source and target nodes
+     * @returns {Object} Result { model, warnings }
+     * @throws {SyntaxError} If there is no header row or no source column
+     */
+    function readCsv(text, mapping) {
+        const { rows, error } = parseCsv(text, detectDelimiter(text));
+        if (rows.length === 0) {
+            throw new SyntaxError('The CSV has no header row');
+        }
+        const header = rows[0].fields.map(field => field.trim());
+        const column = name => mapping[name] ? header.indexOf(mapping[name]) : -1;
+        const columns = {};
+        Object.keys(MAPPINGS).forEach(name => {
+            columns[name] = column(name);
+        });
+        if (columns.source === -1) {
+            throw new SyntaxError(`There is no source column "${mapping.source || ''}"`);
+        }
+        
+        const warnings = [];
+        const builder = createBuilder();
+        const placeIn = (nodeId, clusterKey, line) => {
+            const current = builder.clusterOf(nodeId);
+            if (current !== null && current !== clusterKey) {
+                warnings.push(`Line ${line}: "${nodeId}" is already in cluster "${current}"; "${clusterKey}" is ignored`);
+            } else {
+                builder.placeIn(nodeId, clusterKey);
+            }
+        };
+        
+        rows.slice(1).forEach(({ fields, line }) => {
+            if (fields.length !== header.length) {
+                warnings.push(`Line ${line}: expected ${header.length} fields but found ${fields.length}; the row was skipped`);
+                return;
+            }
+            const value = name => columns[name] === -1 ? '' : fields[columns[name]].trim();
+            const source = value('source');
+            const target = value('target');
+            if (!source) {
+                warnings.push(`Line ${line}: the source is empty; the row was skipped`);
+                return;
+            }
+            
+            if (target) {
+                builder.edge(source, target, { label: escapeText(value('label')), tooltip: escapeText(value('tooltip')) });
+            } else {
+                builder.node(source);
+            }
+            if (value('cluster')) {
+                placeIn(source, value('cluster'), line);
+            }
+            if (target && value('targetCluster')) {
+                placeIn(target, value('targetCluster'), line);
+            }
+        });
+        if (error) {
+            warnings.push(`Line ${error.line}: ${error.message}`);
+        }
+        
+        return { model: builder.build(), warnings };
+    }
+    
+    /**
+     * Find the graph in a parsed JSON document: JSON Graph Format
+     * ({ graph } or { graphs }), Cytoscape ({ elements }), D3 ({ nodes, links })
+     * or this editor's own export ({ nodes, edges }).
+     * 
+     * @param {Object} data - Parsed JSON
+     * @param {Array} warnings - Warnings to add to
+     * @returns {Object} Graph { directed, label, nodes, edges, clusters } with nodes and edges as arrays
+     * @throws {SyntaxError} If no graph is found
+     */
+    function findJsonGraph(data, warnings) {
+        let graph = data;
+        if (data && data.graph && typeof data.graph === 'object') {
+            graph = data.graph;
+        } else if (data && Array.isArray(data.graphs) && data.graphs.length > 0) {
+            if (data.graphs.length > 1) {
+                warnings.push(`The file holds ${data.graphs.length} graphs; only the first was imported`);
+            }
+            graph = data.graphs[0];
+        } else if (data && data.elements && typeof data.elements === 'object') {
+            graph = data.elements;
+        }
+        if (!graph || typeof graph !== 'object' || (!graph.nodes && !graph.edges && !graph.links)) {
+            throw new SyntaxError('No graph found: expected "nodes" and "edges" or "links"');
+        }
+        
+        // Cytoscape wraps each element's fields in "data"
+        const unwrap = item => item && typeof item === 'object' && item.data && typeof item.data === 'object' && item.id === undefined
+            ? item.data
+            : item;
+        // JSON Graph Format 2 keys nodes by ID
+        const nodes = Array.isArray(graph.nodes)
+            ? graph.nodes.map(unwrap)
+            : Object.keys(graph.nodes || {}).map(id => Object.assign({ id }, graph.nodes[id]));
+        const edges = (graph.edges || graph.links || []).map(unwrap);
+        
+        return {
+            directed: graph.directed !== false,
+            label: typeof graph.label === 'string' ? graph.label : null,
+            nodes,
+            edges: Array.isArray(edges) ? edges : [],
+            clusters: Array.isArray(graph.clusters) ? graph.clusters : []
+        };
+    }
+    
+    /**
+     * Read a field of a JSON object by a dotted path, e.g. "metadata.team".
+     * 
+     * @param {Object} item - JSON object
+     * @param {string} path - Field path
+     * @returns {string} The value as text, or '' if it's missing or not a plain value
+     */
+    function getJsonField(item, path) {
+        const value = path.split('.').reduce((current, key) => current && typeof current === 'object' ? current[key] : undefined, item);
+        return value === null || value === undefined || typeof value === 'object' ? '' : String(value);
+    }
+    
+    /**
+     * Parse a JSON document, reporting errors as syntax errors.
+     * 
+     * @param {string} text - JSON text
+     * @returns {Object} Parsed JSON
+     * @throws {SyntaxError} If the text is not valid JSON
+     */
+    function parseJson(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new SyntaxError(`Not valid JSON: ${error.message}`);
+        }
+    }
+    
+    /**
+     * List the fields of the nodes and edges of a JSON graph, with nested
+     * objects one level deep as "metadata.team", and guess which is which.
+     * 
+     * @param {string} text - JSON text
+     * @returns {Object} Result { fields, mapping }
+     * @throws {SyntaxError} If the text is not a JSON graph
+     */
+    function jsonFields(text) {
+        const graph = findJsonGraph(parseJson(text), []);
+        const fields = [];
+        const add = field => {
+            if (!fields.includes(field)) {
+                fields.push(field);
+            }
+        };
+        graph.nodes.concat(graph.edges).forEach(item => {
+            Object.keys(item && typeof item === 'object' ? item : {}).forEach(key => {
+                const value = item[key];
+                if (value && typeof value === 'object' && !Array.isArray(value)) {
+                    Object.keys(value).filter(inner => typeof value[inner] !== 'object').forEach(inner => add(`${key}.${inner}`));
+                } else if (typeof value !== 'object' && !['id', 'source', 'target'].includes(key)) {
+                    add(key);
+                }
+            });
+        });
+        return {
+            fields,
+            mapping: {
+                label: findField(fields, /^label$/i) || findField(fields, /^(name|title)$/i) || findField(fields, /\.label$/i),
+                tooltip: findField(fields, /^(tooltip|description)$/i) || findField(fields, /\.(tooltip|description)$/i),
+                cluster: findField(fields, /^(cluster|group|parent)$/i) || findField(fields, /\.(cluster|group)$/i)
+            }
+        };
+    }
+    
+    /**
+     * Read a JSON graph. Nodes without an ID and edges without both ends
+     * are skipped, and edges to nodes missing from the node list add them;
+     * both are reported.
+     * 
+     * @param {string} text - JSON text, see findJsonGraph() for the layouts read
+     * @param {Object} mapping - Field paths { label, tooltip, cluster }; label and tooltip
+     *   apply to nodes and edges, cluster to nodes
+     * @returns {Object} Result { model, warnings }
+     * @throws {SyntaxError} If the text is not a JSON graph
+     */
+    function readJson(text, mapping) {
+        const warnings = [];
+        const graph = findJsonGraph(parseJson(text), warnings);
+        const builder = createBuilder(graph.directed);
+        const field = (item, name) => mapping[name] ? getJsonField(item, mapping[name]) : '';
+        const endpoint = value => value && typeof value === 'object' ? value.id : value;
+        
+        // Clusters listed with their labels and nesting, as this editor exports them
+        graph.clusters.filter(cluster => cluster && cluster.id !== undefined).forEach(cluster => {
+            builder.cluster(String(cluster.id), cluster.label ? escapeText(cluster.label) : '', cluster.parent ? String(cluster.parent) : null);
+        });
+        
+        graph.nodes.forEach((node, index) => {
+            const id = node && typeof node === 'object' ? node.id : undefined;
+            if (id === undefined || id === null || id === '') {
+                warnings.push(`Node ${index + 1}: it has no "id"; it was skipped`);
+                return;
+            }
+            builder.node(String(id), { label: escapeText(field(node, 'label')), tooltip: escapeText(field(node, 'tooltip')) });
+            if (field(node, 'cluster')) {
+                builder.placeIn(String(id), field(node, 'cluster'));
+            }
+        });
+        
+        graph.edges.forEach((edge, index) => {
+            const source = edge && typeof edge === 'object' ? endpoint(edge.source) : undefined;
+            const target = edge && typeof edge === 'object' ? endpoint(edge.target) : undefined;
+            if (source === undefined || source === null || target === undefined || target === null) {
+                warnings.push(`Edge ${index + 1}: it needs a "source" and a "target"; it was skipped`);
+                return;
+            }
+            [source, target].filter(id => !builder.hasNode(String(id))).forEach(id => {
+                warnings.push(`Edge ${index + 1}: node "${id}" is not in the node list; it was added`);
+            });
+            builder.edge(String(source), String(target), { label: escapeText(field(edge, 'label')), tooltip: escapeText(field(edge, 'tooltip')) });
+        });
+        
+        return { model: builder.build({ label: graph.label ? escapeText(graph.label) : '' }), warnings };
+    }
+    
+    /**
+     * Parse a GraphML document and collect its keys. yEd keeps labels in
+     * graphics data rather than plain keys; those are offered as the field
+     * "yEd label".
+     * 
+     * @param {string} text - GraphML text
+     * @returns {Object} Result { root, keys, fields } with keys mapping key IDs to { name, for, default }
+     * @throws {SyntaxError} If the text is not a GraphML document
+     */
+    function parseGraphml(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        const parseError = doc.getElementsByTagName('parsererror')[0];
+        if (parseError) {
+            throw new SyntaxError(`Not valid XML: ${parseError.textContent.trim().split('\n')[0]}`);
+        }
+        const root = doc.documentElement;
+        if (root.localName !== 'graphml') {
+            throw new SyntaxError('Not a GraphML document: it should start with <graphml>');
+        }
+        
+        const keys = new Map();
+        const fields = [];
+        Array.from(root.children).filter(child => child.localName === 'key').forEach(key => {
+            const graphics = key.getAttribute('yfiles.type');
+            const name = graphics === 'nodegraphics' || graphics === 'edgegraphics'
+                ? YED_LABEL
+                : key.getAttribute('attr.name') || key.getAttribute('id');
+            const defaultElement = Array.from(key.children).find(child => child.localName === 'default');
+            keys.set(key.getAttribute('id'), {
+                name,
+                for: key.getAttribute('for') || 'all',
+                default: defaultElement ? defaultElement.textContent : null
+            });
+            if (!fields.includes(name)) {
+                fields.push(name);
+            }
+        });
+        return { root, keys, fields };
+    }
+    
+    /**
+     * List the data keys of a GraphML document and guess which is which.
+     * 
+     * @param {string} text - GraphML text
+     * @returns {Object} Result { fields, mapping }
+     * @throws {SyntaxError} If the text is not a GraphML document
+     */
+    function graphmlFields(text) {
+        const { fields } = parseGraphml(text);
+        return {
+            fields,
+            mapping: {
+                label: findField(fields, /^label$/i) || (fields.includes(YED_LABEL) ? YED_LABEL : '') || findField(fields, /^name$/i),
+                tooltip: findField(fields, /^(tooltip|description)$/i),
+                cluster: findField(fields, /^(cluster|group)$/i)
+            }
+        };
+    }
+    
+    /**
+     * Read a GraphML document, e.g. from yEd. Nodes holding a nested graph
+     * (yEd's groups) become clusters; otherwise the cluster field puts nodes
+     * in clusters by value. Elements without the IDs they need are skipped,
+     * edges to unknown nodes add them, and both are reported.
+     * 
+     * @param {string} text - GraphML text
+     * @param {Object} mapping - Key names { label, tooltip, cluster }; label and tooltip apply
+     *   to nodes and edges, cluster to nodes
+     * @returns {Object} Result { model, warnings }
+     * @throws {SyntaxError} If the text is not a GraphML document with a graph
+     */
+    function readGraphml(text, mapping) {
+        const { root, keys } = parseGraphml(text);
+        const topGraph = Array.from(root.children).find(child => child.localName === 'graph');
+        if (!topGraph) {
+            throw new SyntaxError('The GraphML document has no <graph>');
+        }
+        const directed = topGraph.getAttribute('edgedefault') !== 'undirected';
+        const builder = createBuilder(directed);
+        const warnings = [];
+        const childrenNamed = (element, name) => Array.from(element.children).filter(child => child.localName === name);
+        
+        // Data values of an element by key name, with the keys' defaults
+        const readData = (element, kind) => {
+            const values = {};
+            keys.forEach(key => {
+                if ((key.for === kind || key.for === 'all') && key.default !== null && key.name !== YED_LABEL) {
+                    values[key.name] = key.default;
+                }
+            });
+            childrenNamed(element, 'data').forEach(data => {
+                const key = keys.get(data.getAttribute('key'));
+                if (!key) {
+                    return;
+                }
+                if (key.name === YED_LABEL) {
+                    const label = Array.from(data.getElementsByTagName('*'))
+                        .find(child => child.localName === 'NodeLabel' || child.localName === 'EdgeLabel');
+                    if (label && label.textContent.trim()) {
+                        values[YED_LABEL] = label.textContent.trim();
+                    }
+                } else {
+                    values[key.name] = data.textContent;
+                }
+            });
+            return values;
+        };
+        const field = (values, name) => mapping[name] && values[mapping[name]] !== undefined ? values[mapping[name]].trim() : '';
+        const attrsOf = values => ({ label: escapeText(field(values, 'label')), tooltip: escapeText(field(values, 'tooltip')) });
+        
+        let nodeCount = 0;
+        let edgeCount = 0;
+        const edges = [];
+        const readGraph = (graph, clusterKey) => {
+            Array.from(graph.children).forEach(element => {
+                if (element.localName === 'node') {
+                    nodeCount++;
+                    const id = element.getAttribute('id');
+                    if (!id) {
+                        warnings.push(`Node ${nodeCount}: it has no id; it was skipped`);
+                        return;
+                    }
+                    const values = readData(element, 'node');
+                    const nested = childrenNamed(element, 'graph')[0];
+                    if (nested) {
+                        builder.cluster(id, escapeText(field(values, 'label')), clusterKey);
+                        readGraph(nested, id);
+                        return;
+                    }
+                    builder.node(id, attrsOf(values));
+                    if (clusterKey !== null) {
+                        builder.placeIn(id, clusterKey);
+                    } else if (field(values, 'cluster')) {
+                        builder.placeIn(id, field(values, 'cluster'));
+                    }
+                } else if (element.localName === 'edge') {
+                    edgeCount++;
+                    edges.push({ element, number: edgeCount });
+                } else if (element.localName === 'hyperedge') {
+                    warnings.push('Hyperedges are not supported; they were skipped');
+                }
+            });
+        };
+        readGraph(topGraph, null);
+        
+        // Edges may refer to nodes declared after them
+        edges.forEach(({ element, number }) => {
+            const source = element.getAttribute('source');
+            const target = element.getAttribute('target');
+            if (!source || !target) {
+                warnings.push(`Edge ${number}: it needs a source and a target; it was skipped`);
+                return;
+            }
+            [source, target].filter(id => !builder.hasNode(id)).forEach(id => {
+                warnings.push(`Edge ${number}: node "${id}" is not declared; it was added`);
+            });
+            const edge = builder.edge(source, target, attrsOf(readData(element, 'edge')));
+            const edgeDirected = element.getAttribute('directed');
+            if (directed && edgeDirected === 'false') {
+                edge.attrs.dir = 'none';
+            } else if (!directed && edgeDirected === 'true') {
+                edge.attrs.dir = 'forward';
+            }
+        });
+        
+        return { model: builder.build(), warnings: Array.from(new Set(warnings)) };
+    }
+    
+    /**
+     * Get the name of an npm package from its lockfile key, e.g.
+     * "node_modules/a/node_modules/@scope/b" or a workspace's "packages/b".
+     * 
+     * @param {string} key - Key of the lockfile's "packages" object
+     * @returns {string} Package name
+     */
+    function npmNameFromKey(key) {
+        const index = key.lastIndexOf('node_modules/');
+        return index === -1 ? key.split('/').pop() : key.slice(index + 'node_modules/'.length);
+    }
+    
+    /**
+     * Read npm manifests and lockfiles into a dependency graph, one node
+     * per package with edges from each package to its dependencies. Files
+     * are told apart by their content, so a package.json and its
+     * package-lock.json can be read together.
+     * 
+     * The root package and workspaces are drawn as boxes, workspaces grouped
+     * in a cluster per folder (e.g. "packages/") when their paths are known.
+     * Each kind of dependency has its own edge color and style. A package
+     * installed in several versions, or required with different ranges when
+     * no lockfile says what was installed, is marked in red.
+     * 
+     * @param {Array} files - Files { name, text }; names may be paths, e.g. "packages/a/package.json"
+     * @returns {Object} Result { model, warnings }
+     * @throws {SyntaxError} If none of the files is an npm manifest or lockfile
+     */
+    function readNpmFiles(files) {
+        const warnings = [];
+        const packages = new Map(); // Name -> { kind: 'root'|'workspace'|'external', path, versions }
+        const dependencies = new Map(); // From, to and kind -> { from, to, kind, range, direct }
+        const ranges = new Map(); // Dependency name -> Map of range -> names of the packages asking for it
+        
+        const addPackage = (name, kind, version, path = null) => {
+            if (!packages.has(name)) {
+                packages.set(name, { kind, path, versions: new Set() });
+            }
+            const entry = packages.get(name);
+            // Once a package is known to be the root or a workspace, it stays one
+            if (entry.kind === 'external' || (entry.kind === 'workspace' && kind === 'root')) {
+                entry.kind = kind;
+            }
+            entry.path = entry.path === null ? path : entry.path;
+            if (version) {
+                entry.versions.add(version);
+            }
+        };
+        const addDependencies = (from, manifest, direct) => {
+            Object.keys(NPM_DEPENDENCY_KINDS).forEach(kind => {
+                const declared = manifest[kind] && typeof manifest[kind] === 'object' ? manifest[kind] : {};
+                Object.keys(declared).filter(to => to !== from).forEach(to => {
+                    const range = String(declared[to]);
+                    dependencies.set(`${from}\u0000${to}\u0000${kind}`, { from, to, kind, range, direct });
+                    if (!packages.has(to)) {
+                        addPackage(to, 'external', null);
+                    }
+                    if (direct) {
+                        if (!ranges.has(to)) {
+                            ranges.set(to, new Map());
+                        }
+                        const dependents = ranges.get(to);
+                        dependents.set(range, (dependents.get(range) || []).concat(from));
+                    }
+                });
+            });
+        };
+        
+        const documents = [];
+        files.forEach(file => {
+            let data;
+            try {
+                data = JSON.parse(file.text);
+            } catch (error) {
+                warnings.push(`${file.name || 'Pasted text'}: not valid JSON (${error.message}); it was skipped`);
+                return;
+            }
+            if (!data || typeof data !== 'object') {
+                warnings.push(`${file.name || 'Pasted text'}: not an npm manifest or lockfile; it was skipped`);
+                return;
+            }
+            // Paths come from folder uploads; the folder of the file is the package's
+            const path = file.name && file.name.includes('/') ? file.name.slice(0, file.name.lastIndexOf('/')) : null;
+            documents.push({ name: file.name, data, path, lockfile: data.lockfileVersion !== undefined });
+        });
+        
+        const manifests = documents.filter(doc => !doc.lockfile);
+        const lockfiles = documents.filter(doc => doc.lockfile);
+        if (documents.length === 0) {
+            throw new SyntaxError('No npm manifest or lockfile found');
+        }
+        
+        // With several manifests the root is the one listing workspaces, or
+        // else the one in the folder above all others
+        let rootManifest = manifests.length === 1 ? manifests[0] : manifests.find(doc => doc.data.workspaces);
+        if (!rootManifest && manifests.length > 1) {
+            const sorted = manifests.filter(doc => doc.path !== null).sort((a, b) => a.path.length - b.path.length);
+            if (sorted.length > 0 && manifests.every(doc => doc === sorted[0] || (doc.path || '').startsWith(sorted[0].path + '/'))) {
+                rootManifest = sorted[0];
+            }
+        }
+        const rootPath = rootManifest ? rootManifest.path : null;
+        const relativePath = path => {
+            if (path === null) {
+                return null;
+            }
+            return rootPath !== null && path.startsWith(rootPath + '/') ? path.slice(rootPath.length + 1) : path;
+        };
+        
+        manifests.forEach(doc => {
+            const fallback = doc.path ? doc.path.split('/').pop() : 'package';
+            const name = typeof doc.data.name === 'string' && doc.data.name ? doc.data.name : fallback;
+            addPackage(name, doc === rootManifest ? 'root' : 'workspace', doc.data.version, doc === rootManifest ? null : relativePath(doc.path));
+            addDependencies(name, doc.data, true);
+        });
+        
+        lockfiles.forEach(doc => {
+            const rootName = doc.data.name || (rootManifest && rootManifest.data.name) || 'root';
+            if (doc.data.packages && typeof doc.data.packages === 'object') {
+                const entries = doc.data.packages;
+                Object.keys(entries).forEach(key => {
+                    const entry = entries[key] || {};
+                    // Workspaces show up twice: as a folder and as a link to it
+                    if (entry.link) {
+                        return;
+                    }
+                    if (key === '') {
+                        addPackage(rootName, 'root', entry.version);
+                        addDependencies(rootName, entry, true);
+                    } else if (!key.includes('node_modules/')) {
+                        const name = entry.name || npmNameFromKey(key);
+                        addPackage(name, 'workspace', entry.version, key);
+                        addDependencies(name, entry, true);
+                    } else {
+                        const name = entry.name || npmNameFromKey(key);
+                        addPackage(name, 'external', entry.version);
+                        addDependencies(name, entry, false);
+                    }
+                });
+            } else if (doc.data.dependencies && typeof doc.data.dependencies === 'object') {
+                // Version 1 lockfiles nest packages and don't record what the
+                // root depends on directly, only what is installed at the top
+                warnings.push(`${doc.name || 'Pasted text'}: lockfile version 1 doesn't list the root's own dependencies; ` +
+                    'packages installed at the top level and not required by others are shown as its dependencies');
+                addPackage(rootName, 'root', doc.data.version);
+                const required = new Set();
+                const visit = installed => Object.keys(installed).forEach(name => {
+                    const entry = installed[name] || {};
+                    addPackage(name, 'external', entry.version);
+                    addDependencies(name, { dependencies: entry.requires || {} }, false);
+                    Object.keys(entry.requires || {}).forEach(dependency => required.add(dependency));
+                    if (entry.dependencies) {
+                        visit(entry.dependencies);
+                    }
+                });
+                visit(doc.data.dependencies);
+                Object.keys(doc.data.dependencies).filter(name => !required.has(name)).forEach(name => {
+                    const entry = doc.data.dependencies[name];
+                    const kind = entry.dev ? 'devDependencies' : entry.optional ? 'optionalDependencies' : 'dependencies';
+                    addDependencies(rootName, { [kind]: { [name]: entry.version } }, false);
+                });
+            } else {
+                warnings.push(`${doc.name || 'Pasted text'}: the lockfile lists no packages`);
+            }
+        });
+        
+        if (packages.size > LARGE_GRAPH) {
+            warnings.push(`${packages.size} packages take a while to lay out; import the package.json files alone to see direct dependencies only`);
+        }
+        
+        const builder = createBuilder();
+        packages.forEach((entry, name) => {
+            const versions = Array.from(entry.versions);
+            const attrs = {
+                label: escapeText(versions.length > 0 ? `${name}\n${versions.join(', ')}` : name),
+                tooltip: escapeText(versions.map(version => `${name}@${version}`).join(', '))
+            };
+            if (entry.kind !== 'external') {
+                Object.assign(attrs, NPM_PACKAGE_ATTRS[entry.kind]);
+            }
+            
+            // Only what was installed counts once a lockfile says
+            const requested = ranges.get(name);
+            if (versions.length > 1) {
+                Object.assign(attrs, NPM_CONFLICT_ATTRS, { tooltip: escapeText(`${name} is installed in ${versions.length} versions: ${versions.join(', ')}`) });
+            } else if (versions.length === 0 && requested && requested.size > 1) {
+                const listed = Array.from(requested.entries()).map(([range, dependents]) => `${range} by ${dependents.join(', ')}`);
+                Object.assign(attrs, NPM_CONFLICT_ATTRS, { tooltip: escapeText(`${name} is required as ${listed.join('; ')}`) });
+            }
+            builder.node(name, attrs);
+            
+            if (entry.kind === 'workspace') {
+                const folder = entry.path && entry.path.includes('/') ? entry.path.slice(0, entry.path.lastIndexOf('/')) : '';
+                builder.cluster(folder || 'workspaces', folder ? `${folder}/` : 'Workspaces');
+                builder.placeIn(name, folder || 'workspaces');
+            }
+        });
+        
+        dependencies.forEach(({ from, to, kind, range, direct }) => {
+            builder.edge(from, to, Object.assign({
+                label: direct ? escapeText(range) : '',
+                tooltip: escapeText(`${NPM_DEPENDENCY_KINDS[kind].name} ${range}`)
+            }, NPM_DEPENDENCY_KINDS[kind].attrs));
+        });
+        
+        return { model: builder.build({ rankdir: 'LR' }), warnings };
+    }
+    
+    /**
+     * Whether a folder holds installed or generated files, such as
+     * node_modules or .git, which imports of a project leave out.
+     * 
+     * @param {string} path - Folder path
+     * @returns {boolean} True if the folder is skipped
+     */
+    function isSkippedFolder(path) {
+        return SKIPPED_FOLDER.test(path);
+    }
+    
+    /**
+     * Whether a file is a JavaScript or TypeScript source to scan for
+     * imports. Declaration files and skipped folders are left out.
+     * 
+     * @param {string} path - File path
+     * @returns {boolean} True if the file is scanned
+     */
+    function isModuleFile(path) {
+        const folder = path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+        const extension = path.includes('.') ? path.split('.').pop().toLowerCase() : '';
+        return MODULE_EXTENSIONS.includes(extension) && !/\.d\.[mc]?ts$/i.test(path) && !isSkippedFolder(folder);
+    }
+    
+    /**
+     * Blank out the comments of JavaScript source and the contents of its
+     * strings and regular expression literals, so imports are only found in
+     * code, and keep the strings by where they start. A slash is taken for
+     * the start of a regular expression where a division can't be, judging
+     * by what comes before it.
+     * 
+     * @param {string} code - Source code
+     * @returns {Object} Result { code, strings } with code the same length as
+     *   before and strings mapping the offset of each opening quote to { value, end }
+     */
+    function blankCode(code) {
+        const chars = code.split('');
+        const strings = new Map();
+        // Line breaks stay, so nothing joins lines
+        const blank = (from, to) => {
+            for (let j = from; j < to; j++) {
+                if (chars[j] !== '\n') {
+                    chars[j] = ' ';
+                }
+            }
+        };
+        
+        let i = 0;
+        while (i < code.length) {
+            const char = code[i];
+            if (char === '/' && (code[i + 1] === '/' || code[i + 1] === '*')) {
+                const close = code[i + 1] === '/' ? '\n' : '*/';
+                const found = code.indexOf(close, i + 2);
+                const end = found === -1 ? code.length : found + (close === '*/' ? 2 : 0);
+                blank(i, end);
+                i = end;
+            } else if (char === '/' && startsRegex(chars, i)) {
+                // The literal ends at a slash outside a character class; one
+                // running into the end of the line was a division after all
+                let j = i + 1;
+                let inClass = false;
+                while (j < code.length && code[j] !== '\n' && (inClass || code[j] !== '/')) {
+                    if (code[j] === '[' || code[j] === ']') {
+                        inClass = code[j] === '[';
+                    }
+                    j += code[j] === '\\' ? 2 : 1;
+                }
+                if (code[j] === '/') {
+                    blank(i + 1, j);
+                    i = j + 1;
+                } else {
+                    i++;
+                }
+            } else if (char === '"' || char === "'" || char === '`') {
+                let j = i + 1;
+                while (j < code.length && code[j] !== char && (char === '`' || code[j] !== '\n')) {
+                    j += code[j] === '\\' ? 2 : 1;
+                }
+                const end = Math.min(j, code.length);
+                strings.set(i, { value: code.slice(i + 1, end), end: end + 1 });
+                blank(i + 1, end);
+                i = end + 1;
+            } else {
+                i++;
+            }
+        }
+        return { code: chars.join(''), strings };
+    }
+    
+    /**
+     * Tell whether a slash starts a regular expression literal: at the start
+     * of the code, after an operator or punctuation that a value can't end
+     * with, or after a keyword such as return.
+     * 
+     * @param {Array} chars - Characters of the code, comments already blanked
+     * @param {number} offset - Offset of the slash
+     * @returns {boolean} True if a regular expression starts there
+     */
+    function startsRegex(chars, offset) {
+        let j = offset - 1;
+        while (j >= 0 && /\s/.test(chars[j])) {
+            j--;
+        }
+        if (j < 0 || /[(,=:[!&|?{};+\-*%<>~^]/.test(chars[j])) {
+            return true;
+        }
+        let start = j;
+        while (start > 0 && /[\w$]/.test(chars[start - 1])) {
+            start--;
+        }
+        return REGEX_KEYWORDS.includes(chars.slice(start, j + 1).join(''));
+    }
+    
+    /**
+     * Find the imports of a JavaScript or TypeScript module: import and
+     * export ... from statements, dynamic import() and require() calls with
+     * a literal specifier. Text inside comments and strings isn't read as
+     * code.
+     * 
+     * @param {string} code - Source code
+     * @returns {Array} Imports { specifier, kind } with kind a key of IMPORT_KINDS
+     */
+    function findImports(code) {
+        const blanked = blankCode(code);
+        const imports = [];
+        IMPORT_PATTERNS.forEach(({ pattern, call, kind }) => {
+            pattern.lastIndex = 0;
+            let match;
+            while ((match = pattern.exec(blanked.code)) !== null) {
+                const literal = blanked.strings.get(match.index + match[0].length - 1);
+                // Template literals with placeholders aren't known until run time
+                if (!literal || !literal.value.trim() || literal.value.includes('${') ||
+                    (call && !/^\s*\)/.test(blanked.code.slice(literal.end)))) {
+                    continue;
+                }
+                imports.push({ specifier: literal.value.trim(), kind: kind(match), index: match.index });
+            }
+        });
+        // In the order they appear in the file
+        return imports.sort((a, b) => a.index - b.index).map(({ specifier, kind }) => ({ specifier, kind }));
+    }
+    
+    /**
+     * Join a path onto a folder, resolving "." and ".." segments.
+     * 
+     * @param {string} folder - Folder path, "" for the top
+     * @param {string} path - Relative path
+     * @returns {string|null} Joined path, or null if it leaves the top folder
+     */
+    function joinPath(folder, path) {
+        const segments = folder ? folder.split('/') : [];
+        for (const segment of path.split('/')) {
+            if (segment === '..') {
+                if (segments.length === 0) {
+                    return null;
+                }
+                segments.pop();
+            } else if (segment !== '.' && segment !== '') {
+                segments.push(segment);
+            }
+        }
+        return segments.join('/');
+    }
+    
+    /**
+     * Find the file an import path points to, trying it as written, with
+     * each source extension and as a folder's index file. Imports of ".js"
+     * files also find the ".ts" file TypeScript compiles to them.
+     * 
+     * @param {string|null} path - Imported path, relative to the top folder
+     * @param {Set} paths - Paths of the scanned files
+     * @returns {string|null} Path of the file, or null if none is found
+     */
+    function resolveModule(path, paths) {
+        if (path === null) {
+            return null;
+        }
+        const candidates = [path];
+        MODULE_EXTENSIONS.forEach(extension => candidates.push(`${path}.${extension}`));
+        MODULE_EXTENSIONS.forEach(extension => candidates.push(`${path}/index.${extension}`));
+        const compiled = path.match(/^(.*)\.([mc]?)js(x?)$/);
+        if (compiled) {
+            candidates.push(`${compiled[1]}.${compiled[2]}ts${compiled[3]}`);
+        }
+        return candidates.find(candidate => paths.has(candidate)) || null;
+    }
+    
+    /**
+     * Name of the package a bare import specifier comes from, e.g. "react"
+     * for "react-dom/client" or "@scope/pkg" for "@scope/pkg/sub". Node's
+     * built-in modules lose their "node:" prefix.
+     * 
+     * @param {string} specifier - Import specifier
+     * @returns {string} Package name
+     */
+    function packageName(specifier) {
+        const segments = specifier.replace(/^node:/, '').split('/');
+        return specifier.startsWith('@') ? segments.slice(0, 2).join('/') : segments[0];
+    }
+    
+    /**
+     * Read the imports between JavaScript and TypeScript files, e.g. from a
+     * dropped project folder, into a graph of modules with a cluster for
+     * each folder. Relative imports are resolved among the files; imports of
+     * other packages become external nodes, one node for all of them, or
+     * nothing.
+     * 
+     * @param {Array} files - Files { name, text }, named by path
+     * @param {Object} [options] - Options
+     * @param {string} [options.external='collapse'] - "include", "collapse" or "ignore" external packages
+     * @returns {Object} Result { model, nodeDefaults, warnings }
+     * @throws {SyntaxError} If there are no source files
+     */
+    function readModules(files, options = {}) {
+        const external = options.external || 'collapse';
+        const warnings = [];
+        const sources = files.filter(file => isModuleFile(file.name))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        if (sources.length === 0) {
+            throw new SyntaxError('No JavaScript or TypeScript files found');
+        }
+        
+        // A dropped folder names every path; the folder itself needs no cluster
+        const firstSegment = sources[0].name.split('/')[0];
+        const sharedFolder = sources.every(file => file.name.startsWith(firstSegment + '/')) ? firstSegment + '/' : '';
+        const paths = new Set(sources.map(file => file.name.slice(sharedFolder.length)));
+        
+        if (paths.size > LARGE_GRAPH) {
+            warnings.push(`${paths.size} modules take a while to lay out; import a subfolder to see part of the project`);
+        }
+        
+        const builder = createBuilder();
+        const folderOf = path => path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+        const addFolder = folder => {
+            const parent = folderOf(folder);
+            if (parent) {
+                addFolder(parent);
+            }
+            builder.cluster(folder, `${folder.split('/').pop()}/`, parent || null);
+        };
+        paths.forEach(path => {
+            builder.node(path, { label: escapeText(path.split('/').pop()), tooltip: escapeText(path) });
+            if (folderOf(path)) {
+                addFolder(folderOf(path));
+                builder.placeIn(path, folderOf(path));
+            }
+        });
+        
+        const imports = new Map(); // Source, target and kind -> { from, to, kind, specifiers }
+        const addImport = (from, to, kind, specifier) => {
+            const key = `${from}\u0000${to}\u0000${kind}`;
+            if (!imports.has(key)) {
+                imports.set(key, { from, to, kind, specifiers: new Set() });
+            }
+            imports.get(key).specifiers.add(specifier);
+        };
+        const packages = new Set();
+        const aliases = new Set();
+        
+        sources.forEach(file => {
+            const path = file.name.slice(sharedFolder.length);
+            findImports(file.text).forEach(({ specifier, kind }) => {
+                if (specifier.startsWith('.') || specifier.startsWith('/')) {
+                    const imported = joinPath(specifier.startsWith('/') ? '' : folderOf(path), specifier);
+                    const found = resolveModule(imported, paths);
+                    if (found) {
+                        addImport(path, found, kind, specifier);
+                        return;
+                    }
+                    // Stylesheets, images, JSON and the like aren't modules to show
+                    const extension = /\.([^./]+)$/.exec(specifier);
+                    if (extension && !MODULE_EXTENSIONS.includes(extension[1].toLowerCase())) {
+                        return;
+                    }
+                    const missing = imported === null ? specifier : imported;
+                    warnings.push(`${path}: "${specifier}" wasn't found among the imported files`);
+                    builder.node(missing, Object.assign({ tooltip: escapeText(`Not found: ${missing}`) }, MISSING_NODE_ATTRS));
+                    addImport(path, missing, kind, specifier);
+                    return;
+                }
+                
+                // Bare specifiers can also be paths from the top folder, as a
+                // TypeScript baseUrl allows
+                const found = resolveModule(joinPath('', specifier), paths);
+                if (found) {
+                    addImport(path, found, kind, specifier);
+                    return;
+                }
+                if (/^[@~]\//.test(specifier) || specifier.startsWith('#')) {
+                    aliases.add(specifier.startsWith('#') ? specifier.split('/')[0] : specifier.slice(0, 2));
+                    return;
+                }
+                
+                const name = packageName(specifier);
+                packages.add(name);
+                if (external === 'include') {
+                    builder.node(name, Object.assign({ tooltip: escapeText(`Package ${name}`) }, EXTERNAL_ATTRS));
+                    addImport(path, name, kind, specifier);
+                } else if (external === 'collapse') {
+                    addImport(path, EXTERNAL_NODE, kind, name);
+                }
+            });
+        });
+        
+        if (aliases.size > 0) {
+            warnings.push(`Imports through path aliases (${Array.from(aliases).sort().join(', ')}) aren't resolved and were left out`);
+        }
+        if (external === 'collapse' && packages.size > 0) {
+            const names = Array.from(packages).sort();
+            builder.node(EXTERNAL_NODE, Object.assign({
+                label: escapeText(`External packages\n(${names.length})`),
+                tooltip: escapeText(names.join(', '))
+            }, EXTERNAL_ATTRS));
+        }
+        
+        imports.forEach(({ from, to, kind, specifiers }) => {
+            builder.edge(from, to, Object.assign({
+                tooltip: escapeText(`${IMPORT_KINDS[kind].name} ${Array.from(specifiers).join(', ')}`)
+            }, IMPORT_KINDS[kind].attrs));
+        });
+        
+        return { model: builder.build({ rankdir: 'LR' }), nodeDefaults: { shape: 'box' }, warnings };
+    }
+    
+    /**
+     * Cut the comment off a line of YAML, leaving "#" inside quoted scalars
+     * and words alone.
+     * 
+     * @param {string} line - Line of YAML
+     * @returns {string} Line without its comment
+     */
+    function stripYamlComment(line) {
+        let quote = null;
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quote === '"') {
+                if (char === '\\') {
+                    i++;
+                } else if (char === '"') {
+                    quote = null;
+                }
+            } else if (quote === "'") {
+                if (char === "'" && line[i + 1] === "'") {
+                    i++;
+                } else if (char === "'") {
+                    quote = null;
+                }
+            } else if ((char === '"' || char === "'") && (i === 0 || /[\s[{,]/.test(line[i - 1]))) {
+                quote = char;
+            } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+                return line.slice(0, i);
+            }
+        }
+        return line;
+    }
+    
+    /**
+     * Read a YAML scalar. Quoted scalars are unescaped; plain ones are kept
+     * as strings, so numbers and booleans come back as written.
+     * 
+     * @param {string} text - Scalar as written
+     * @returns {string|null} Value, or null for an empty or null scalar
+     */
+    function parseYamlScalar(text) {
+        const value = text.trim();
+        const doubleQuoted = /^"((?:[^"\\]|\\.)*)"/.exec(value);
+        if (doubleQuoted) {
+            try {
+                return JSON.parse(`"${doubleQuoted[1].replace(/\t/g, '\\t')}"`);
+            } catch (error) {
+                // YAML has escapes JSON lacks, such as "\x41"
+                return doubleQuoted[1];
+            }
+        }
+        const singleQuoted = /^'((?:[^']|'')*)'/.exec(value);
+        if (singleQuoted) {
+            return singleQuoted[1].replace(/''/g, "'");
+        }
+        return ['', '~', 'null', 'Null', 'NULL'].includes(value) ? null : value;
+    }
+    
+    /**
+     * How many more flow collections a piece of YAML opens than it closes.
+     * 
+     * @param {string} text - YAML text
+     * @returns {number} Depth at the end of the text
+     */
+    function yamlFlowDepth(text) {
+        let depth = 0;
+        let quote = null;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quote) {
+                if (char === '\\' && quote === '"') {
+                    i++;
+                } else if (char === quote) {
+                    quote = null;
+                }
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '[' || char === '{') {
+                depth++;
+            } else if (char === ']' || char === '}') {
+                depth--;
+            }
+        }
+        return depth;
+    }
+    
+    /**
+     * Read a YAML flow collection, such as ["a", "b"] or {a: 1}; JSON is
+     * one too.
+     * 
+     * @param {string} text - Collection as written, on one line
+     * @param {Map} anchors - Values of the anchors defined so far, for aliases
+     * @returns {Array|Object} Value
+     * @throws {SyntaxError} If the collection isn't closed properly
+     */
+    function parseYamlFlow(text, anchors) {
+        let pos = 0;
+        const skipSpace = () => {
+            while (pos < text.length && /\s/.test(text[pos])) {
+                pos++;
+            }
+        };
+        const expect = char => {
+            skipSpace();
+            if (text[pos] !== char) {
+                throw new SyntaxError(`expected "${char}" in "${text}"`);
+            }
+            pos++;
+        };
+        // Keys end at a colon followed by a space, values at a comma or bracket
+        const readScalar = isKey => {
+            skipSpace();
+            const quoted = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*')/.exec(text.slice(pos));
+            if (quoted) {
+                pos += quoted[0].length;
+                return parseYamlScalar(quoted[0]);
+            }
+            const start = pos;
+            while (pos < text.length && !',[]{}'.includes(text[pos]) &&
+                !(isKey && text[pos] === ':' && /[\s,\]}]/.test(text[pos + 1] || ' '))) {
+                pos++;
+            }
+            const raw = text.slice(start, pos).trim();
+            if (raw.startsWith('*')) {
+                if (!anchors.has(raw.slice(1))) {
+                    throw new SyntaxError(`unknown alias "${raw}"`);
+                }
+                return anchors.get(raw.slice(1));
+            }
+            return parseYamlScalar(raw);
+        };
+        const readValue = () => {
+            skipSpace();
+            if (text[pos] === '[') {
+                pos++;
+                const items = [];
+                skipSpace();
+                while (pos < text.length && text[pos] !== ']') {
+                    items.push(readValue());
+                    skipSpace();
+                    if (text[pos] !== ']') {
+                        expect(',');
+                        skipSpace();
+                    }
+                }
+                expect(']');
+                return items;
+            }
+            if (text[pos] === '{') {
+                pos++;
+                const mapping = {};
+                skipSpace();
+                while (pos < text.length && text[pos] !== '}') {
+                    const key = String(readScalar(true));
+                    skipSpace();
+                    let value = null;
+                    if (text[pos] === ':') {
+                        pos++;
+                        value = readValue();
+                    }
+                    mapping[key] = value;
+                    skipSpace();
+                    if (text[pos] !== '}') {
+                        expect(',');
+                        skipSpace();
+                    }
+                }
+                expect('}');
+                return mapping;
+            }
+            return readScalar(false);
+        };
+        
+        const value = readValue();
+        skipSpace();
+        if (pos < text.length) {
+            throw new SyntaxError(`unexpected "${text.slice(pos)}" after a flow collection`);
+        }
+        return value;
+    }
+    
+    /**
+     * Split a line of a YAML block mapping into its key and the rest.
+     * 
+     * @param {string} content - Line without its indentation
+     * @returns {Object|null} Entry { key, rest }, or null if the line isn't a mapping entry
+     */
+    function splitYamlKey(content) {
+        const quoted = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*')\s*:(?:\s+|$)/.exec(content);
+        if (quoted) {
+            return { key: String(parseYamlScalar(quoted[1])), rest: content.slice(quoted[0].length).trim() };
+        }
+        if (/^["'[{*&!|>%@`]/.test(content)) {
+            return null;
+        }
+        const plain = /^(.+?)\s*:(?:\s+|$)/.exec(content);
+        return plain ? { key: plain[1], rest: content.slice(plain[0].length).trim() } : null;
+    }
+    
+    /**
+     * Parse the part of YAML that configuration files such as Compose files
+     * use: block and flow collections, quoted, plain and block scalars,
+     * anchors, aliases and merge keys. Tags are ignored and only the first
+     * document is read. Scalars stay strings, as written.
+     * 
+     * @param {string} text - YAML text
+     * @returns {*} Value of the first document, or null if it is empty
+     * @throws {SyntaxError} If the text isn't YAML this parser reads, e.g. on wrong indentation
+     */
+    function parseYaml(text) {
+        const lines = text.replace(/\r\n?/g, '\n').split('\n');
+        const anchors = new Map();
+        let index = 0;
+        let lineIndex = 0;
+        let started = false;
+        const fail = message => {
+            throw new SyntaxError(`Line ${lineIndex + 1}: ${message}`);
+        };
+        const isSequenceItem = content => /^-(\s|$)/.test(content);
+        
+        // Next line with content as { indent, content }, or null at the end
+        // of the first document
+        const peek = () => {
+            while (index < lines.length) {
+                const content = stripYamlComment(lines[index]).replace(/\s+$/, '');
+                if (/^(---|\.\.\.)(\s|$)/.test(content)) {
+                    if (started) {
+                        return null;
+                    }
+                } else if (content.trim() !== '' && !(!started && content.startsWith('%'))) {
+                    started = true;
+                    return { indent: content.length - content.trimStart().length, content: content.trim() };
+                }
+                index++;
+            }
+            return null;
+        };
+        const next = () => {
+            const line = peek();
+            lineIndex = index++;
+            return line;
+        };
+        const checkIndentation = (line, indent) => {
+            if (line && line.indent > indent) {
+                lineIndex = index;
+                fail('unexpected indentation');
+            }
+        };
+        
+        let parseBlock;
+        
+        const parseBlockScalar = (header, indent) => {
+            const collected = [];
+            let blockIndent = null;
+            while (index < lines.length) {
+                const raw = lines[index];
+                const lineIndent = raw.length - raw.trimStart().length;
+                if (raw.trim() !== '' && lineIndent <= indent) {
+                    break;
+                }
+                if (raw.trim() !== '' && blockIndent === null) {
+                    blockIndent = lineIndent;
+                }
+                collected.push(raw.trim() === '' ? '' : raw.slice(Math.min(blockIndent, lineIndent)));
+                lineIndex = index++;
+            }
+            while (collected.length > 0 && collected[collected.length - 1] === '') {
+                collected.pop();
+            }
+            let value = collected.join('\n');
+            // Folded scalars join lines with spaces; blank lines stay breaks
+            if (header.startsWith('>')) {
+                value = value.replace(/([^\n])\n(?=[^\n])/g, '$1 ');
+            }
+            return header.includes('-') || value === '' ? value : `${value}\n`;
+        };
+        
+        const parseFlow = text => {
+            let flow = text;
+            while (yamlFlowDepth(flow) > 0 && index < lines.length) {
+                flow += ` ${stripYamlComment(lines[index]).trim()}`;
+                lineIndex = index++;
+            }
+            try {
+                return parseYamlFlow(flow, anchors);
+            } catch (error) {
+                return fail(error.message);
+            }
+        };
+        
+        const parseValue = (rest, indent, inMapping) => {
+            let value = rest;
+            const anchor = /^&(\S+)\s*/.exec(value);
+            if (anchor) {
+                value = value.slice(anchor[0].length);
+            }
+            // Tags, such as Compose's !reset, don't change what is read
+            value = value.replace(/^!\S*\s*/, '');
+            
+            let result;
+            if (value.startsWith('*')) {
+                if (!anchors.has(value.slice(1))) {
+                    fail(`unknown alias "${value}"`);
+                }
+                result = anchors.get(value.slice(1));
+            } else if (value === '') {
+                const line = peek();
+                if (line && line.indent > indent) {
+                    result = parseBlock(line.indent);
+                } else if (line && inMapping && line.indent === indent && isSequenceItem(line.content)) {
+                    // Sequences may line up with the key they belong to
+                    result = parseSequence(indent);
+                } else {
+                    result = null;
+                }
+            } else if (/^[|>][-+0-9]*$/.test(value)) {
+                result = parseBlockScalar(value, indent);
+            } else if (/^[[{]/.test(value)) {
+                result = parseFlow(value);
+            } else {
+                result = parseYamlScalar(value);
+            }
+            
+            if (anchor) {
+                anchors.set(anchor[1], result);
+            }
+            return result;
+        };
+        
+        // A mapping in a sequence starts on the item's line, after the dash
+        const parseMapping = (indent, firstEntry = null) => {
+            const mapping = {};
+            const merges = [];
+            const addEntry = content => {
+                const entry = splitYamlKey(content);
+                if (!entry) {
+                    fail(`expected "key: value" but found "${content}"`);
+                }
+                const value = parseValue(entry.rest, indent, true);
+                if (entry.key === '<<') {
+                    merges.push(...(Array.isArray(value) ? value : [value]));
+                } else {
+                    mapping[entry.key] = value;
+                }
+            };
+            
+            if (firstEntry !== null) {
+                addEntry(firstEntry);
+            }
+            let line;
+            while ((line = peek()) && line.indent === indent && !isSequenceItem(line.content)) {
+                next();
+                addEntry(line.content);
+            }
+            checkIndentation(line, indent);
+            
+            // Keys of the mapping itself win, then earlier merged mappings
+            const merged = merges.filter(value => value && typeof value === 'object' && !Array.isArray(value)).reverse();
+            return merged.length > 0 ? Object.assign({}, ...merged, mapping) : mapping;
+        };
+        
+        const parseSequence = indent => {
+            const items = [];
+            let line;
+            while ((line = peek()) && line.indent === indent && isSequenceItem(line.content)) {
+                next();
+                const rest = line.content.slice(1).trimStart();
+                if (rest !== '' && splitYamlKey(rest)) {
+                    items.push(parseMapping(indent + line.content.length - rest.length, rest));
+                } else {
+                    items.push(parseValue(rest, indent, false));
+                }
+            }
+            checkIndentation(line, indent);
+            return items;
+        };
+        
+        parseBlock = indent => isSequenceItem(peek().content) ? parseSequence(indent) : parseMapping(indent);
+        
+        const first = peek();
+        if (!first) {
+            return null;
+        }
+        let value;
+        if (/^[[{]/.test(first.content)) {
+            next();
+            value = parseFlow(first.content);
+        } else {
+            value = parseBlock(first.indent);
+        }
+        if (peek()) {
+            lineIndex = index;
+            fail('unexpected content after the document');
+        }
+        return value;
+    }
+    
+    /**
+     * Write a Compose port mapping, which is either a string such as
+     * "8080:80" or a mapping with target, published and protocol.
+     * 
+     * @param {string|Object} port - Port as written in the Compose file
+     * @returns {string} Port mapping, e.g. "8080:80/udp"
+     */
+    function formatComposePort(port) {
+        if (!port || typeof port !== 'object') {
+            return String(port);
+        }
+        const published = port.published ? `${port.published}:` : '';
+        const protocol = port.protocol && port.protocol !== 'tcp' ? `/${port.protocol}` : '';
+        return `${published}${port.target}${protocol}`;
+    }
+    
+    /**
+     * Read a Docker Compose file into a graph of its services. depends_on
+     * becomes edges labeled with the condition the service waits for,
+     * links become dotted edges, and networks become clusters; a service
+     * on several networks is drawn in the first one it lists.
+     * 
+     * @param {string} text - Compose file, in YAML or JSON
+     * @returns {Object} Result { model, nodeDefaults, warnings }
+     * @throws {SyntaxError} If the file isn't YAML or lists no services
+     */
+    function readCompose(text) {
+        const warnings = [];
+        const isMapping = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const data = parseYaml(text);
+        if (!isMapping(data) || !isMapping(data.services) || Object.keys(data.services).length === 0) {
+            throw new SyntaxError('No services found; Compose files list them under "services"');
+        }
+        const services = data.services;
+        const declaredNetworks = isMapping(data.networks) ? data.networks : {};
+        
+        const builder = createBuilder();
+        const networksOf = new Map();
+        Object.keys(services).forEach(name => {
+            const service = isMapping(services[name]) ? services[name] : {};
+            const details = [name];
+            if (service.image) {
+                details.push(`image: ${service.image}`);
+            }
+            const build = isMapping(service.build) ? service.build.context : service.build;
+            if (build) {
+                details.push(`build: ${build}`);
+            }
+            if (Array.isArray(service.ports) && service.ports.length > 0) {
+                details.push(`ports: ${service.ports.map(formatComposePort).join(', ')}`);
+            }
+            if (Array.isArray(service.profiles) && service.profiles.length > 0) {
+                details.push(`profiles: ${service.profiles.join(', ')}`);
+            }
+            
+            // Services without networks of their own join the default one
+            let networks = [];
+            if (Array.isArray(service.networks)) {
+                networks = service.networks.map(String);
+            } else if (isMapping(service.networks)) {
+                networks = Object.keys(service.networks);
+            } else if (!service.network_mode) {
+                networks = ['default'];
+            }
+            if (service.network_mode) {
+                details.push(`network_mode: ${service.network_mode}`);
+            } else if (networks.length > 1) {
+                details.push(`networks: ${networks.join(', ')}`);
+            }
+            networks.filter(network => network !== 'default' && !declaredNetworks.hasOwnProperty(network)).forEach(network => {
+                warnings.push(`Service "${name}": network "${network}" isn't declared under "networks"`);
+            });
+            networksOf.set(name, networks);
+            
+            builder.node(name, { tooltip: escapeText(details.join('\n')) });
+        });
+        
+        // A graph whose only network is the default one needs no cluster
+        const usedNetworks = new Set(Array.from(networksOf.values()).flat());
+        if (usedNetworks.size > 1 || Object.keys(declaredNetworks).length > 0) {
+            const severalNetworks = [];
+            networksOf.forEach((networks, name) => {
+                if (networks.length === 0) {
+                    return;
+                }
+                const declared = isMapping(declaredNetworks[networks[0]]) ? declaredNetworks[networks[0]] : {};
+                const external = declared.external && String(declared.external) !== 'false';
+                builder.cluster(networks[0], external ? `${networks[0]} (external)` : networks[0]);
+                builder.placeIn(name, networks[0]);
+                if (networks.length > 1) {
+                    severalNetworks.push(name);
+                }
+            });
+            if (severalNetworks.length > 0) {
+                warnings.push(severalNetworks.length === 1
+                    ? `Service ${severalNetworks[0]} is on several networks; it is drawn in the first one it lists`
+                    : `Services ${severalNetworks.join(', ')} are on several networks; each is drawn in the first one it lists`);
+            }
+        }
+        
+        const requireService = (name, dependency) => {
+            if (!services.hasOwnProperty(dependency) && !builder.hasNode(dependency)) {
+                warnings.push(`Service "${name}": "${dependency}" isn't a service in this file`);
+                builder.node(dependency, Object.assign({ tooltip: 'Not defined in this file' }, MISSING_NODE_ATTRS));
+            }
+        };
+        Object.keys(services).forEach(name => {
+            const service = isMapping(services[name]) ? services[name] : {};
+            const dependsOn = Array.isArray(service.depends_on)
+                ? service.depends_on.map(dependency => [String(dependency), {}])
+                : Object.entries(isMapping(service.depends_on) ? service.depends_on : {})
+                    .map(([dependency, options]) => [dependency, isMapping(options) ? options : {}]);
+            
+            const linked = new Set();
+            dependsOn.forEach(([dependency, options]) => {
+                requireService(name, dependency);
+                const condition = options.condition || 'service_started';
+                const restart = String(options.restart) === 'true' ? `; restarted when ${dependency} is` : '';
+                builder.edge(name, dependency, Object.assign({
+                    label: condition,
+                    tooltip: escapeText(`${name} waits for ${dependency}: ${condition}${restart}`)
+                }, COMPOSE_CONDITIONS[condition], String(options.required) === 'false' ? { style: 'dashed' } : {}));
+                linked.add(dependency);
+            });
+            
+            // Links imply a dependency, so they only add an edge when there
+            // isn't one already
+            (Array.isArray(service.links) ? service.links : []).forEach(link => {
+                const [dependency, alias] = String(link).split(':');
+                if (linked.has(dependency)) {
+                    return;
+                }
+                requireService(name, dependency);
+                builder.edge(name, dependency, {
+                    label: 'link',
+                    style: 'dotted',
+                    tooltip: escapeText(alias ? `${name} links to ${dependency} as ${alias}` : `${name} links to ${dependency}`)
+                });
+                linked.add(dependency);
+            });
+        });
+        
+        const graphAttrs = typeof data.name === 'string' ? { label: escapeText(data.name) } : {};
+        return { model: builder.build(graphAttrs), nodeDefaults: { shape: 'box' }, warnings };
+    }
+    
+    // Formats on offer, by key. Formats with fields() list the fields of a
+    // document and guess a mapping; read() takes the mapping chosen. Formats
+    // with readFiles() can also read several files together, and accepts()
+    // picks the files they read out of a folder
+    const FORMATS = {
+        mermaid: { name: 'Mermaid flowchart', extensions: ['mmd', 'mermaid'], read: readMermaid },
+        compose: {
+            name: 'Docker Compose',
+            extensions: ['yml', 'yaml'],
+            fileNames: ['compose.yml', 'compose.yaml', 'docker-compose.yml', 'docker-compose.yaml'],
+            read: readCompose
+        },
+        npm: {
+            name: 'npm packages',
+            extensions: [],
+            fileNames: ['package.json', 'package-lock.json', 'npm-shrinkwrap.json'],
+            read: text => readNpmFiles([{ name: '', text }]),
+            readFiles: readNpmFiles,
+            accepts: path => FORMATS.npm.fileNames.includes(path.split('/').pop().toLowerCase()) &&
+                !isSkippedFolder(path.slice(0, Math.max(path.lastIndexOf('/'), 0)))
+        },
+        modules: {
+            name: 'JavaScript modules',
+            extensions: MODULE_EXTENSIONS,
+            read: text => readModules([{ name: 'module.js', text }]),
+            readFiles: readModules,
+            accepts: isModuleFile
+        },
+        graphml: {
+            name: 'GraphML',
+            extensions: ['graphml', 'xml'],
+            mappings: ['label', 'tooltip', 'cluster'],
+            fields: graphmlFields,
+            read: readGraphml
+        },
+        json: {
+            name: 'JSON graph',
+            extensions: ['json'],
+            mappings: ['label', 'tooltip', 'cluster'],
+            fields: jsonFields,
+            read: readJson
+        },
+        csv: {
+            name: 'CSV edge list',
+            extensions: ['csv', 'tsv'],
+            mappings: ['source', 'target', 'label', 'tooltip', 'cluster', 'targetCluster'],
+            fields: csvFields,
+            read: readCsv
+        }
+    };
+    
+    /**
+     * Pick the import format for a file from its name, e.g. "package.json",
+     * or else its extension.
+     * 
+     * @param {string} fileName - File name, possibly with a path
+     * @returns {string|null} Key of FORMATS, or null if no format fits
+     */
+    function formatForFile(fileName) {
+        const baseName = fileName.split('/').pop().toLowerCase();
+        const byName = Object.keys(FORMATS).find(key => (FORMATS[key].fileNames || []).includes(baseName));
+        if (byName) {
+            return byName;
+        }
+        const extension = baseName.includes('.') ? baseName.split('.').pop() : '';
+        return Object.keys(FORMATS).find(key => FORMATS[key].extensions.includes(extension)) || null;
+    }
+    
+    /**
+     * Write what a format read as DOT, with counts for reporting.
+     * 
+     * @param {Object} result - Result { model, nodeDefaults, warnings } of a reader
+     * @returns {Object} Result { dotSource, warnings, nodeCount, edgeCount }
+     */
+    function toImportResult({ model, nodeDefaults, warnings }) {
+        return {
+            dotSource: writeDot(model, nodeDefaults),
+            warnings,
+            nodeCount: model.nodes.length,
+            edgeCount: model.edges.length
+        };
+    }
+    
+    /**
+     * Import text in one of the formats as DOT.
+     * 
+     * @param {string} text - Text to import
+     * @param {string} format - Key of FORMATS
+     * @param {Object} [mapping] - Fields to use for the format's mappings, see MAPPINGS;
+     *   guessed by the format's fields() when not given
+     * @returns {Object} Result { dotSource, warnings, nodeCount, edgeCount }
+     * @throws {SyntaxError} If the text can't be read in that format
+     * @throws {Error} If the format is unknown
+     */
+    function importText(text, format, mapping) {
+        if (!FORMATS[format]) {
+            throw new Error(`Unknown import format "${format}"`);
+        }
+        if (!mapping && FORMATS[format].fields) {
+            mapping = FORMATS[format].fields(text).mapping;
+        }
+        return toImportResult(FORMATS[format].read(text, mapping));
+    }
+    
+    /**
+     * Import several files in one of the formats as a single DOT graph.
+     * 
+     * @param {Array} files - Files { name, text }
+     * @param {string} format - Key of FORMATS
+     * @param {Object} [options] - Options of the format's readFiles(), e.g. { external } for modules
+     * @returns {Object} Result { dotSource, warnings, nodeCount, edgeCount }
+     * @throws {SyntaxError} If the files can't be read in that format
+     * @throws {Error} If the format is unknown or reads one file at a time
+     */
+    function importFiles(files, format, options = {}) {
+        if (!FORMATS[format]) {
+            throw new Error(`Unknown import format "${format}"`);
+        }
+        if (!FORMATS[format].readFiles) {
+            throw new Error(`${FORMATS[format].name} is imported one file at a time`);
+        }
+        return toImportResult(FORMATS[format].readFiles(files, options));
+    }
+    
+    // Public API
+    return {
+        FORMATS,
+        MAPPINGS,
+        readMermaid,
+        findImports,
+        isSkippedFolder,
+        formatForFile,
+        importText,
+        importFiles
+    };
+})();
+
+// Export for Node-based tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Importers;
+}
@@ -0,0 +1,215 @@
+/**
+ * Merge module: combines several DOT sources, e.g. one per team, into a
+ * single graph.
+ */
+const Merge = (function() {
+    /**
+     * Collect the IDs of the nodes declared with a node statement, as
+     * opposed to only being mentioned by edges.
+     * 
+     * @param {Object} ast - Graph AST from Parser.parse()
+     * @returns {Set} IDs of the declared nodes
+     */
+    function collectDeclaredNodes(ast) {
+        const declared = new Set();
+        const visit = stmts => stmts.forEach(stmt => {
+            if (stmt.type === 'node_stmt') {
+                declared.add(stmt.node_id.id);
+            } else if (stmt.type === 'subgraph') {
+                visit(stmt.children);
+            } else if (stmt.type === 'edge_stmt') {
+                stmt.edge_list.filter(operand => operand.type === 'subgraph').forEach(operand => visit(operand.children));
+            }
+        });
+        visit(ast.children);
+        return declared;
+    }
+    
+    /**
+     * Merge the attributes of a model item into another, recording values
+     * that disagree. The value from the earlier source is kept, along with
+     * whether it is an HTML string.
+     * 
+     * @param {Object} target - Graph, node or edge merged so far
+     * @param {Object} item - The same item from the next source
+     * @param {Object} origins - Name of the source each attribute in target came from
+     * @param {string} sourceName - Name of the next source
+     * @param {Function} onConflict - Called with (attr, keptValue, keptSource, otherValue) for each disagreement
+     */
+    function mergeAttrs(target, item, origins, sourceName, onConflict) {
+        Object.keys(item.attrs).forEach(key => {
+            if (!(key in target.attrs)) {
+                target.attrs[key] = item.attrs[key];
+                origins[key] = sourceName;
+                if (Parser.isHtmlAttr(item, key)) {
+                    target.htmlAttrs = (target.htmlAttrs || []).concat(key);
+                }
+            } else if (target.attrs[key] !== item.attrs[key]) {
+                onConflict(key, target.attrs[key], origins[key], item.attrs[key]);
+            }
+        });
+    }
+    
+    /**
+     * Turn a source name into something usable in a cluster ID.
+     * 
+     * @param {string} name - Source name, e.g. a file name
+     * @returns {string} Name with only letters, digits and underscores
+     */
+    function slugify(name) {
+        return name.replace(/\.[^.]*$/, '').replace(/[^A-Za-z0-9_]+/g, '_').replace(/^_+|_+$/g, '') || 'source';
+    }
+    
+    /**
+     * Merge several DOT sources into one graph. Nodes with the same ID are
+     * unified, as are edges with the same edge ID (e.g. "a->b"); clusters
+     * with the same ID are combined. When sources disagree on an attribute,
+     * the value from the earlier source is kept and the disagreement is
+     * reported as a conflict.
+     * 
+     * With clusterPerSource, each source's nodes and subgraphs are wrapped
+     * in a cluster labelled with the source name. A node used by several
+     * sources goes in the cluster of the first source that declares it with
+     * a node statement, or else the first one that mentions it.
+     * 
+     * @param {Array} sources - Sources { name, source }
+     * @param {Object} [options] - Merge options
+     * @param {boolean} [options.clusterPerSource=false] - Wrap each source in its own cluster
+     * @returns {Object} Result { dotSource, conflicts } with conflicts { kind, id, attr, values: [{ source, value }] }
+     * @throws {SyntaxError} If a source is not valid DOT; the message names the source
+     */
+    function mergeSources(sources, options = {}) {
+        const parsed = sources.map(({ name, source }) => {
+            try {
+                const ast = Parser.parse(source);
+                return { name, ast, model: Parser.buildModel(ast) };
+            } catch (error) {
+                const sourceError = new SyntaxError(`${name}: ${error.message}`);
+                sourceError.location = error.location;
+                throw sourceError;
+            }
+        });
+        
+        const conflicts = [];
+        const conflictMap = new Map();
+        const reportConflict = (kind, id, sourceName) => (attr, keptValue, keptSource, otherValue) => {
+            const key = `${kind}\u0000${id}\u0000${attr}`;
+            if (!conflictMap.has(key)) {
+                const conflict = { kind, id, attr, values: [{ source: keptSource, value: keptValue }] };
+                conflictMap.set(key, conflict);
+                conflicts.push(conflict);
+            }
+            conflictMap.get(key).values.push({ source: sourceName, value: otherValue });
+        };
+        
+        const graph = { id: null, directed: false, strict: false, attrs: {} };
+        const graphOrigins = {};
+        const nodes = [];
+        const nodeMap = new Map();
+        const edges = [];
+        const edgeMap = new Map();
+        const subgraphs = [];
+        const subgraphMap = new Map();
+        const homes = new Map(); // Node ID -> index of the source whose cluster it goes in
+        
+        parsed.forEach(({ name, ast, model }, sourceIndex) => {
+            const sourceGraph = model.graph;
+            graph.id = graph.id || sourceGraph.id;
+            graph.directed = graph.directed || sourceGraph.directed;
+            graph.strict = graph.strict || sourceGraph.strict;
+            mergeAttrs(graph, sourceGraph, graphOrigins, name, reportConflict('graph', '', name));
+            
+            const declared = collectDeclaredNodes(ast);
+            model.nodes.forEach(node => {
+                if (!nodeMap.has(node.id)) {
+                    nodeMap.set(node.id, { node: { id: node.id, attrs: {} }, origins: {} });
+                    nodes.push(nodeMap.get(node.id).node);
+                }
+                const entry = nodeMap.get(node.id);
+                mergeAttrs(entry.node, node, entry.origins, name, reportConflict('node', node.id, name));
+                
+                if (!homes.has(node.id) || (declared.has(node.id) && !homes.get(node.id).declared)) {
+                    homes.set(node.id, { sourceIndex, declared: declared.has(node.id) });
+                }
+            });
+            
+            model.edges.forEach(edge => {
+                if (!edgeMap.has(edge.id)) {
+                    const merged = Object.assign({}, edge, { attrs: {} });
+                    // Attributes are merged in below, HTML flags with them
+                    delete merged.htmlAttrs;
+                    edgeMap.set(edge.id, { edge: merged, origins: {} });
+                    edges.push(merged);
+                }
+                const entry = edgeMap.get(edge.id);
+                mergeAttrs(entry.edge, edge, entry.origins, name, reportConflict('edge', edge.id, name));
+            });
+            
+            // Anonymous subgraphs are numbered per source, so keep them apart
+            const rename = id => id && id.startsWith('%') ? `%${sourceIndex + 1}.${id.slice(1)}` : id;
+            model.subgraphs.forEach(subgraph => {
+                const id = rename(subgraph.id);
+                if (subgraphMap.has(id)) {
+                    const existing = subgraphMap.get(id);
+                    existing.nodes = Array.from(new Set(existing.nodes.concat(subgraph.nodes)));
+                    return;
+                }
+                const copy = Object.assign({}, subgraph, {
+                    id,
+                    parent: rename(subgraph.parent),
+                    children: subgraph.children.map(rename),
+                    nodes: subgraph.nodes.slice(),
+                    sourceIndex
+                });
+                subgraphMap.set(id, copy);
+                subgraphs.push(copy);
+            });
+        });
+        
+        // The sources are merged into one graph type; mention it when they disagree
+        const kinds = parsed.map(({ model }) => model.graph.directed ? 'digraph' : 'graph');
+        if (new Set(kinds).size > 1) {
+            conflicts.unshift({
+                kind: 'graph',
+                id: '',
+                attr: 'type',
+                values: parsed.map(({ name }, index) => ({ source: name, value: kinds[index] }))
+            });
+        }
+        
+        if (options.clusterPerSource) {
+            const usedIds = new Set(subgraphs.map(subgraph => subgraph.id));
+            const wrappers = parsed.map(({ name }) => {
+                let id = `cluster_${slugify(name)}`;
+                for (let suffix = 2; usedIds.has(id); suffix++) {
+                    id = `cluster_${slugify(name)}_${suffix}`;
+                }
+                usedIds.add(id);
+                return { id, attrs: { label: name }, parent: null, children: [], nodes: [], isCluster: true, label: name };
+            });
+            
+            // Top-level subgraphs move into their source's wrapper
+            subgraphs.filter(subgraph => !subgraph.parent).forEach(subgraph => {
+                subgraph.parent = wrappers[subgraph.sourceIndex].id;
+            });
+            nodes.forEach(node => {
+                wrappers[homes.get(node.id).sourceIndex].nodes.push(node.id);
+            });
+            
+            subgraphs.unshift(...wrappers);
+        }
+        
+        const dotSource = Serializer.fromModel({ graph, nodes, edges, subgraphs });
+        return { dotSource, conflicts };
+    }
+    
+    // Public API
+    return {
+        mergeSources
+    };
+})();
+
+// Export for Node-based tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Merge;
+}
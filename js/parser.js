@@ -2,75 +2,1195 @@
  * Parser module for DOT language.
  */
 const Parser = (function() {
+    // Keywords are case-independent in DOT
+    const KEYWORDS = ['strict', 'graph', 'digraph', 'node', 'edge', 'subgraph'];
+    
+    // Single-character punctuation tokens
+    const PUNCTUATION = '{}[];,=:';
+    
+    // Edge attributes that traversal can be filtered on
+    const EDGE_FACETS = ['label', 'color', 'style'];
+    
     /**
-     * Parses DOT source to extract nodes and edges.
+     * Create a source position object.
+     * 
+     * @param {number} offset - Character offset from the start of the source
+     * @param {number} line - Line number (1-indexed)
+     * @param {number} column - Column number (1-indexed)
+     * @returns {Object} Position with offset, line and column
+     */
+    function position(offset, line, column) {
+        return { offset, line, column };
+    }
+    
+    /**
+     * Create a syntax error carrying a source location, in the same shape
+     * the editor already understands (error.location.start.line/column).
+     * 
+     * @param {string} message - Error message
+     * @param {Object} location - Location with start and end positions
+     * @returns {SyntaxError} The error object
+     */
+    function createSyntaxError(message, location) {
+        const error = new SyntaxError(message);
+        error.location = location;
+        return error;
+    }
+    
+    /**
+     * Split DOT source into tokens, collecting comments separately.
+     * 
+     * @param {string} source - The DOT source code
+     * @returns {Object} Object with tokens and comments arrays
+     */
+    function tokenize(source) {
+        const tokens = [];
+        const comments = [];
+        let offset = 0;
+        let line = 1;
+        let column = 1;
+        
+        // Advance the cursor by n characters, tracking line and column
+        function advance(n) {
+            for (let i = 0; i < n; i++) {
+                if (source[offset] === '\n') {
+                    line++;
+                    column = 1;
+                } else {
+                    column++;
+                }
+                offset++;
+            }
+        }
+        
+        function isIdStart(char) {
+            return /[A-Za-z_]/.test(char) || char.charCodeAt(0) >= 0x80;
+        }
+        
+        function isIdPart(char) {
+            return /[A-Za-z_0-9]/.test(char) || char.charCodeAt(0) >= 0x80;
+        }
+        
+        while (offset < source.length) {
+            const char = source[offset];
+            const next = source[offset + 1] || '';
+            const start = position(offset, line, column);
+            
+            // Whitespace
+            if (/\s/.test(char)) {
+                advance(1);
+                continue;
+            }
+            
+            // Line comments, including '#' preprocessor output lines
+            if ((char === '/' && next === '/') || (char === '#' && column === 1)) {
+                let end = source.indexOf('\n', offset);
+                if (end === -1) end = source.length;
+                const text = source.slice(offset, end);
+                advance(end - offset);
+                comments.push({ type: 'comment', kind: 'line', value: text, location: { start, end: position(offset, line, column) } });
+                continue;
+            }
+            
+            // Block comments
+            if (char === '/' && next === '*') {
+                const end = source.indexOf('*/', offset + 2);
+                if (end === -1) {
+                    throw createSyntaxError('Unclosed block comment', { start, end: start });
+                }
+                const text = source.slice(offset, end + 2);
+                advance(end + 2 - offset);
+                comments.push({ type: 'comment', kind: 'block', value: text, location: { start, end: position(offset, line, column) } });
+                continue;
+            }
+            
+            // Edge operators
+            if (char === '-' && (next === '>' || next === '-')) {
+                advance(2);
+                tokens.push({ type: 'edgeop', value: char + next, location: { start, end: position(offset, line, column) } });
+                continue;
+            }
+            
+            // Quoted strings (only \" is an escape; \\ is kept as written so
+            // it can end a string; backslash-newline continues the line)
+            if (char === '"') {
+                let value = '';
+                let i = offset + 1;
+                while (i < source.length && source[i] !== '"') {
+                    if (source[i] === '\\' && source[i + 1] === '\\') {
+                        value += '\\\\';
+                        i += 2;
+                    } else if (source[i] === '\\' && source[i + 1] === '"') {
+                        value += '"';
+                        i += 2;
+                    } else if (source[i] === '\\' && source[i + 1] === '\n') {
+                        i += 2;
+                    } else if (source[i] === '\\' && source[i + 1] === '\r' && source[i + 2] === '\n') {
+                        i += 3;
+                    } else {
+                        value += source[i];
+                        i++;
+                    }
+                }
+                if (i >= source.length) {
+                    throw createSyntaxError('Unclosed string literal', { start, end: start });
+                }
+                advance(i + 1 - offset);
+                tokens.push({ type: 'string', value, location: { start, end: position(offset, line, column) } });
+                continue;
+            }
+            
+            // HTML strings with nested angle brackets
+            if (char === '<') {
+                let depth = 0;
+                let i = offset;
+                do {
+                    if (source[i] === '<') depth++;
+                    else if (source[i] === '>') depth--;
+                    i++;
+                } while (depth > 0 && i < source.length);
+                if (depth > 0) {
+                    throw createSyntaxError('Unclosed HTML string', { start, end: start });
+                }
+                const value = source.slice(offset + 1, i - 1);
+                advance(i - offset);
+                tokens.push({ type: 'html', value, location: { start, end: position(offset, line, column) } });
+                continue;
+            }
+            
+            // Numerals
+            const numeral = /^-?(\.[0-9]+|[0-9]+(\.[0-9]*)?)/.exec(source.slice(offset, offset + 64));
+            if (numeral && (char !== '-' || /[.0-9]/.test(next))) {
+                advance(numeral[0].length);
+                tokens.push({ type: 'id', value: numeral[0], location: { start, end: position(offset, line, column) } });
+                continue;
+            }
+            
+            // Alphanumeric identifiers and keywords
+            if (isIdStart(char)) {
+                let i = offset;
+                while (i < source.length && isIdPart(source[i])) i++;
+                const value = source.slice(offset, i);
+                advance(i - offset);
+                const type = KEYWORDS.includes(value.toLowerCase()) ? 'keyword' : 'id';
+                tokens.push({ type, value: type === 'keyword' ? value.toLowerCase() : value, location: { start, end: position(offset, line, column) } });
+                continue;
+            }
+            
+            // Punctuation
+            if (PUNCTUATION.includes(char)) {
+                advance(1);
+                tokens.push({ type: char, value: char, location: { start, end: position(offset, line, column) } });
+                continue;
+            }
+            
+            // '+' joins quoted strings
+            if (char === '+') {
+                advance(1);
+                tokens.push({ type: '+', value: char, location: { start, end: position(offset, line, column) } });
+                continue;
+            }
+            
+            throw createSyntaxError(`Unexpected character "${char}"`, { start, end: start });
+        }
+        
+        const end = position(offset, line, column);
+        tokens.push({ type: 'eof', value: '', location: { start: end, end } });
+        
+        return { tokens, comments };
+    }
+    
+    /**
+     * Parse DOT source into an abstract syntax tree.
+     * 
+     * The tree follows the DOT grammar: a graph node holds a list of
+     * statements (node_stmt, edge_stmt, attr_stmt, attr and subgraph), and
+     * every node carries a location with start/end offset, line and column.
+     * The source holds a single graph: anything but comments after it is
+     * an error rather than being dropped.
      * 
      * @param {string} dotSource - The DOT source code to parse
-     * @returns {Object} Object containing arrays of nodes and edges
+     * @returns {Object} The graph AST node
+     * @throws {SyntaxError} If the source is not valid DOT, with error.location set
      */
-    function parseDotSource(dotSource) {
+    function parse(dotSource) {
+        const { tokens, comments } = tokenize(dotSource || '');
+        let index = 0;
+        
+        function peek(ahead = 0) {
+            return tokens[Math.min(index + ahead, tokens.length - 1)];
+        }
+        
+        function describe(token) {
+            return token.type === 'eof' ? 'end of input' : `"${token.value}"`;
+        }
+        
+        function expect(type, value) {
+            const token = peek();
+            if (token.type !== type || (value !== undefined && token.value !== value)) {
+                throw createSyntaxError(`Expected "${value || type}" but found ${describe(token)}`, token.location);
+            }
+            index++;
+            return token;
+        }
+        
+        function accept(type, value) {
+            const token = peek();
+            if (token.type === type && (value === undefined || token.value === value)) {
+                index++;
+                return token;
+            }
+            return null;
+        }
+        
+        function isIdToken(token) {
+            return token.type === 'id' || token.type === 'string' || token.type === 'html';
+        }
+        
+        function span(startToken, endToken) {
+            return { start: startToken.location.start, end: endToken.location.end };
+        }
+        
+        // ID: alphanumeric, numeral, quoted string (with '+' concatenation) or HTML string
+        function parseId() {
+            const token = peek();
+            if (!isIdToken(token)) {
+                throw createSyntaxError(`Expected an identifier but found ${describe(token)}`, token.location);
+            }
+            index++;
+            const id = { value: token.value, quoted: token.type === 'string', html: token.type === 'html', location: token.location };
+            
+            if (token.type === 'string') {
+                while (peek().type === '+' && peek(1).type === 'string') {
+                    index++;
+                    const part = expect('string');
+                    id.value += part.value;
+                    id.location = span(token, part);
+                }
+            }
+            
+            return id;
+        }
+        
+        // attr_list: '[' [a_list] ']' [attr_list]
+        function parseAttrList() {
+            const attrs = [];
+            while (peek().type === '[') {
+                index++;
+                while (peek().type !== ']') {
+                    const key = parseId();
+                    expect('=');
+                    const value = parseId();
+                    attrs.push({
+                        type: 'attr',
+                        id: key.value,
+                        eq: value.value,
+                        html: value.html,
+                        quoted: value.quoted,
+                        location: { start: key.location.start, end: value.location.end }
+                    });
+                    if (!accept(',')) accept(';');
+                }
+                expect(']');
+            }
+            return attrs;
+        }
+        
+        // node_id: ID [port]
+        function parseNodeId() {
+            const id = parseId();
+            const nodeId = { type: 'node_id', id: id.value, location: id.location };
+            if (accept(':')) {
+                const port = parseId();
+                nodeId.port = port.value;
+                nodeId.location = { start: id.location.start, end: port.location.end };
+                if (accept(':')) {
+                    const compass = parseId();
+                    nodeId.compass = compass.value;
+                    nodeId.location = { start: id.location.start, end: compass.location.end };
+                }
+            }
+            return nodeId;
+        }
+        
+        // subgraph: [subgraph [ID]] '{' stmt_list '}'
+        function parseSubgraph() {
+            const startToken = peek();
+            const subgraph = { type: 'subgraph', children: [] };
+            if (accept('keyword', 'subgraph')) {
+                if (isIdToken(peek())) {
+                    subgraph.id = parseId().value;
+                }
+            }
+            expect('{');
+            subgraph.children = parseStmtList();
+            const endToken = expect('}');
+            subgraph.location = span(startToken, endToken);
+            return subgraph;
+        }
+        
+        function isSubgraphStart() {
+            const token = peek();
+            return token.type === '{' || (token.type === 'keyword' && token.value === 'subgraph');
+        }
+        
+        // Node ID or subgraph as an edge operand
+        function parseEdgeOperand() {
+            return isSubgraphStart() ? parseSubgraph() : parseNodeId();
+        }
+        
+        function parseStmt() {
+            const token = peek();
+            
+            // attr_stmt: (graph | node | edge) attr_list
+            if (token.type === 'keyword' && ['graph', 'node', 'edge'].includes(token.value)) {
+                index++;
+                if (peek().type !== '[') {
+                    throw createSyntaxError(`Expected "[" after "${token.value}" but found ${describe(peek())}`, peek().location);
+                }
+                const attrList = parseAttrList();
+                return {
+                    type: 'attr_stmt',
+                    target: token.value,
+                    attr_list: attrList,
+                    location: span(token, tokens[index - 1])
+                };
+            }
+            
+            // ID '=' ID
+            if (isIdToken(token) && peek(1).type === '=') {
+                const key = parseId();
+                expect('=');
+                const value = parseId();
+                return {
+                    type: 'attr',
+                    id: key.value,
+                    eq: value.value,
+                    html: value.html,
+                    quoted: value.quoted,
+                    location: { start: key.location.start, end: value.location.end }
+                };
+            }
+            
+            // node_stmt, edge_stmt or a standalone subgraph
+            const first = parseEdgeOperand();
+            
+            if (peek().type === 'edgeop') {
+                const edgeList = [first];
+                const edgeOps = [];
+                while (peek().type === 'edgeop') {
+                    const opToken = tokens[index++];
+                    // Graphviz rejects '->' in a graph and '--' in a digraph
+                    if (opToken.value !== (graph.directed ? '->' : '--')) {
+                        throw createSyntaxError(
+                            `Edge operator "${opToken.value}" is not allowed in ${graph.directed ? 'a digraph' : 'an undirected graph'}`,
+                            opToken.location
+                        );
+                    }
+                    edgeOps.push(opToken.value);
+                    edgeList.push(parseEdgeOperand());
+                }
+                const attrList = parseAttrList();
+                return {
+                    type: 'edge_stmt',
+                    edge_list: edgeList,
+                    edge_ops: edgeOps,
+                    attr_list: attrList,
+                    location: span(token, tokens[index - 1])
+                };
+            }
+            
+            if (first.type === 'subgraph') {
+                return first;
+            }
+            
+            const attrList = parseAttrList();
+            return {
+                type: 'node_stmt',
+                node_id: first,
+                attr_list: attrList,
+                location: span(token, tokens[index - 1])
+            };
+        }
+        
+        // stmt_list: [stmt [';'] stmt_list]
+        function parseStmtList() {
+            const stmts = [];
+            while (peek().type !== '}' && peek().type !== 'eof') {
+                stmts.push(parseStmt());
+                accept(';');
+            }
+            return stmts;
+        }
+        
+        // graph: [strict] (graph | digraph) [ID] '{' stmt_list '}'
+        const startToken = peek();
+        const graph = { type: 'graph', strict: false, directed: false, children: [] };
+        
+        if (accept('keyword', 'strict')) {
+            graph.strict = true;
+        }
+        
+        const kindToken = peek();
+        if (kindToken.type === 'keyword' && (kindToken.value === 'graph' || kindToken.value === 'digraph')) {
+            index++;
+            graph.directed = kindToken.value === 'digraph';
+        } else {
+            throw createSyntaxError(`Expected "graph" or "digraph" but found ${describe(kindToken)}`, kindToken.location);
+        }
+        
+        if (isIdToken(peek())) {
+            graph.id = parseId().value;
+        }
+        
+        expect('{');
+        graph.children = parseStmtList();
+        const endToken = expect('}');
+        graph.location = span(startToken, endToken);
+        graph.comments = comments;
+        
+        const trailingToken = peek();
+        if (trailingToken.type !== 'eof') {
+            throw createSyntaxError(`Expected end of input but found ${describe(trailingToken)}`, trailingToken.location);
+        }
+        
+        return graph;
+    }
+    
+    /**
+     * Convert an AST attribute list into a map of attr AST nodes by key,
+     * which keeps whether each value was an HTML string.
+     * 
+     * @param {Array} attrList - Array of attr AST nodes
+     * @param {Object} [base] - Attributes to start from (e.g. inherited defaults)
+     * @returns {Object} Map of attr AST nodes, later keys overriding earlier ones
+     */
+    function attrsToMap(attrList, base) {
+        const attrs = Object.assign({}, base);
+        attrList.forEach(attr => {
+            attrs[attr.id] = attr;
+        });
+        return attrs;
+    }
+    
+    /**
+     * Replace the attr AST nodes of a model item with their values, listing
+     * the keys whose values were HTML strings in htmlAttrs.
+     * 
+     * @param {Object} item - Graph, node, edge or subgraph being built
+     */
+    function finishAttrs(item) {
+        const attrs = {};
+        const htmlAttrs = [];
+        Object.keys(item.attrs).forEach(key => {
+            attrs[key] = item.attrs[key].eq;
+            if (item.attrs[key].html) {
+                htmlAttrs.push(key);
+            }
+        });
+        item.attrs = attrs;
+        if (htmlAttrs.length > 0) {
+            item.htmlAttrs = htmlAttrs;
+        }
+    }
+    
+    /**
+     * Whether an attribute of a model item was written as an HTML string,
+     * e.g. label=<<b>bold</b>>.
+     * 
+     * @param {Object} item - Graph, node, edge or subgraph from the model
+     * @param {string} key - Attribute name
+     * @returns {boolean} True if the value is HTML
+     */
+    function isHtmlAttr(item, key) {
+        return Boolean(item && item.htmlAttrs && item.htmlAttrs.includes(key));
+    }
+    
+    /**
+     * Whether an attribute value is a DOT boolean "true".
+     * 
+     * @param {string} value - Attribute value
+     * @returns {boolean} True for "true", "yes" or a non-zero number
+     */
+    function isTrue(value) {
+        if (value === undefined || value === null) return false;
+        const normalized = String(value).trim().toLowerCase();
+        if (normalized === 'true' || normalized === 'yes') return true;
+        return !isNaN(parseFloat(normalized)) && parseFloat(normalized) !== 0;
+    }
+    
+    /**
+     * Create an empty graph model.
+     * 
+     * @returns {Object} Model with no graph, nodes, edges or subgraphs
+     */
+    function emptyModel() {
+        return { graph: null, nodes: [], edges: [], subgraphs: [] };
+    }
+    
+    /**
+     * Build the normalized graph model from a DOT AST.
+     * 
+     * Nodes are listed in order of first appearance, including nodes that are
+     * only referenced by edges. Edge chains and subgraph operands are expanded
+     * into individual source/target pairs; each edge gets an id (its Graphviz
+     * title, with "#2", "#3"... appended for parallel edges) and its ports.
+     * Every node, edge and subgraph gets an attribute map with the
+     * `node [...]`, `edge [...]` and `graph [...]` defaults that were in scope
+     * when it was created already applied, the same way Graphviz resolves them.
+     * Items list the attributes whose values were HTML strings in htmlAttrs,
+     * which is left out when there are none.
+     * 
+     * Subgraphs form a tree through their parent and children IDs, and list
+     * every node inside them, including nodes of nested subgraphs. Clusters
+     * are flagged with isCluster, and each node records the innermost
+     * cluster it belongs to.
+     * 
+     * @param {Object} ast - The graph AST returned by parse()
+     * @returns {Object} Object containing the graph, and arrays of nodes, edges and subgraphs
+     */
+    function buildModel(ast) {
+        if (!ast) {
+            return emptyModel();
+        }
+        
         const nodes = [];
+        const nodeMap = new Map();
         const edges = [];
+        const edgeTitleCounts = new Map();
+        const subgraphs = [];
+        const subgraphMap = new Map();
+        let anonymousCount = 0;
+        const graph = {
+            id: ast.id || null,
+            directed: ast.directed,
+            strict: ast.strict,
+            attrs: {}
+        };
+        
+        function addNode(nodeId, location, scope) {
+            if (!nodeMap.has(nodeId)) {
+                // Node defaults only apply to nodes created after them
+                const node = { id: nodeId, attrs: Object.assign({}, scope.node), location };
+                nodeMap.set(nodeId, node);
+                nodes.push(node);
+            }
+            return nodeMap.get(nodeId);
+        }
+        
+        function addEdge(source, target, attrs, location) {
+            // Strict graphs merge repeated edges between the same pair of nodes
+            if (graph.strict) {
+                const existing = edges.find(edge =>
+                    (edge.source === source.id && edge.target === target.id) ||
+                    (!graph.directed && edge.source === target.id && edge.target === source.id));
+                if (existing) {
+                    Object.assign(existing.attrs, attrs);
+                    return;
+                }
+            }
+            
+            const edge = {
+                source: source.id,
+                target: target.id,
+                sourcePort: source.port || null,
+                targetPort: target.port || null,
+                attrs: Object.assign({}, attrs),
+                location
+            };
+            
+            // Parallel edges share a title, so number the repeats
+            const title = getEdgeTitle(edge, graph.directed);
+            const count = (edgeTitleCounts.get(title) || 0) + 1;
+            edgeTitleCounts.set(title, count);
+            edge.id = count === 1 ? title : `${title}#${count}`;
+            
+            edges.push(edge);
+        }
+        
+        // Walk a statement list, returning the IDs of all nodes it mentions
+        function walk(stmts, scope, owner) {
+            const mentioned = new Set();
+            
+            stmts.forEach(stmt => {
+                if (stmt.type === 'attr_stmt') {
+                    Object.assign(scope[stmt.target], attrsToMap(stmt.attr_list));
+                    if (stmt.target === 'graph') {
+                        Object.assign(owner.attrs, attrsToMap(stmt.attr_list));
+                    }
+                } else if (stmt.type === 'attr') {
+                    scope.graph[stmt.id] = stmt;
+                    owner.attrs[stmt.id] = stmt;
+                } else if (stmt.type === 'node_stmt') {
+                    const node = addNode(stmt.node_id.id, stmt.location, scope);
+                    Object.assign(node.attrs, attrsToMap(stmt.attr_list));
+                    mentioned.add(node.id);
+                } else if (stmt.type === 'edge_stmt') {
+                    // Each operand is a list of endpoints: one node, or every node of a subgraph
+                    const operands = stmt.edge_list.map(operand => {
+                        if (operand.type === 'subgraph') {
+                            return Array.from(walkSubgraph(operand, scope)).map(id => ({ id }));
+                        }
+                        addNode(operand.id, operand.location, scope);
+                        const port = operand.compass ? `${operand.port}:${operand.compass}` : operand.port;
+                        return [{ id: operand.id, port }];
+                    });
+                    
+                    const attrs = attrsToMap(stmt.attr_list, scope.edge);
+                    
+                    for (let i = 0; i < operands.length - 1; i++) {
+                        operands[i].forEach(source => {
+                            operands[i + 1].forEach(target => {
+                                addEdge(source, target, attrs, stmt.location);
+                            });
+                        });
+                    }
+                    
+                    operands.forEach(endpoints => endpoints.forEach(endpoint => mentioned.add(endpoint.id)));
+                } else if (stmt.type === 'subgraph') {
+                    walkSubgraph(stmt, scope).forEach(id => mentioned.add(id));
+                }
+            });
+            
+            return mentioned;
+        }
+        
+        function walkSubgraph(subgraph, parentScope) {
+            // A subgraph starts with a copy of the defaults in effect where it is declared
+            const scope = {
+                graph: Object.assign({}, parentScope.graph),
+                node: Object.assign({}, parentScope.node),
+                edge: Object.assign({}, parentScope.edge),
+                parent: null
+            };
+            
+            // Repeating a subgraph name adds to the existing subgraph, as in Graphviz;
+            // anonymous subgraphs are named "%1", "%2"... like Graphviz does internally
+            let entry = subgraph.id ? subgraphMap.get(subgraph.id) : null;
+            if (!entry) {
+                entry = {
+                    id: subgraph.id || `%${++anonymousCount}`,
+                    attrs: Object.assign({}, parentScope.graph),
+                    parent: parentScope.parent ? parentScope.parent.id : null,
+                    children: [],
+                    nodes: [],
+                    location: subgraph.location
+                };
+                subgraphMap.set(entry.id, entry);
+                subgraphs.push(entry);
+                if (parentScope.parent) {
+                    parentScope.parent.children.push(entry.id);
+                }
+            }
+            scope.parent = entry;
+            
+            const mentioned = walk(subgraph.children, scope, entry);
+            entry.nodes = Array.from(new Set(entry.nodes.concat(Array.from(mentioned))));
+            return mentioned;
+        }
+        
+        
+        // Whether one subgraph is nested somewhere inside another
+        function isDescendant(subgraphId, ancestorId) {
+            let current = subgraphMap.get(subgraphId);
+            while (current && current.parent) {
+                if (current.parent === ancestorId) return true;
+                current = subgraphMap.get(current.parent);
+            }
+            return false;
+        }
+        
+        walk(ast.children, { graph: {}, node: {}, edge: {}, parent: null }, graph);
+        [graph].concat(nodes, edges, subgraphs).forEach(finishAttrs);
+        
+        subgraphs.forEach(entry => {
+            entry.isCluster = entry.id.startsWith('cluster') || isTrue(entry.attrs.cluster);
+            entry.label = entry.attrs.label || null;
+            // Legends are marked explicitly with legend=true; a cluster named
+            // exactly "cluster_legend" is still treated as one for older graphs
+            entry.legend = entry.isCluster &&
+                (isTrue(entry.attrs.legend) || entry.id.toLowerCase() === 'cluster_legend');
+        });
         
-        // Extract nodes
-        const nodeRegex = /"([^"]+)"\s*\[([^\]]+)\]/g;
-        let match;
-        while ((match = nodeRegex.exec(dotSource)) !== null) {
-            const nodeId = match[1];
-            const nodeAttrs = match[2];
-            nodes.push({
-                id: nodeId,
-                attrs: nodeAttrs
+        // A node belongs to the innermost cluster containing it. Parents are
+        // listed before their children, so nested clusters override their
+        // ancestors; between sibling clusters the first one wins, as in Graphviz.
+        nodes.forEach(node => {
+            node.cluster = null;
+        });
+        subgraphs.filter(entry => entry.isCluster).forEach(cluster => {
+            cluster.nodes.forEach(nodeId => {
+                const node = nodeMap.get(nodeId);
+                if (!node.cluster || isDescendant(cluster.id, node.cluster)) {
+                    node.cluster = cluster.id;
+                }
             });
+        });
+        
+        return { graph, nodes, edges, subgraphs };
+    }
+    
+    /**
+     * Get the title Graphviz gives an edge in SVG output, e.g. "a:out->b".
+     * 
+     * @param {Object} edge - Edge with source, target and optional ports
+     * @param {boolean} [directed=true] - Whether the graph is directed
+     * @returns {string} The edge title
+     */
+    function getEdgeTitle(edge, directed = true) {
+        const source = edge.sourcePort ? `${edge.source}:${edge.sourcePort}` : edge.source;
+        const target = edge.targetPort ? `${edge.target}:${edge.targetPort}` : edge.target;
+        return `${source}${directed ? '->' : '--'}${target}`;
+    }
+    
+    /**
+     * Parses DOT source to extract nodes and edges.
+     * 
+     * @param {string} dotSource - The DOT source code to parse
+     * @returns {Object} Object containing the graph, and arrays of nodes, edges and subgraphs
+     */
+    function parseDotSource(dotSource) {
+        if (!dotSource || !dotSource.trim()) {
+            return emptyModel();
+        }
+        
+        try {
+            return buildModel(parse(dotSource));
+        } catch (error) {
+            console.warn("Could not parse DOT source:", error.message);
+            return emptyModel();
+        }
+    }
+    
+    /**
+     * Split an attribute map's style attribute into its individual styles.
+     * 
+     * @param {Object} attrs - Attribute map of a node, edge or subgraph
+     * @returns {Array} Lower-cased style names, e.g. ['filled', 'invis']
+     */
+    function getStyles(attrs) {
+        if (!attrs || !attrs.style) {
+            return [];
+        }
+        
+        // Split on commas outside parentheses, e.g. "filled,setlinewidth(2)"
+        return (String(attrs.style).match(/[^,(]+(\([^)]*\))?/g) || [])
+            .map(style => style.trim().toLowerCase())
+            .filter(style => style);
+    }
+    
+    /**
+     * Read the common style flags from an attribute map. This is the one
+     * place that decides what counts as invisible, dashed, bold, etc.
+     * 
+     * @param {Object} attrs - Attribute map of a node, edge or subgraph
+     * @returns {Object} Flags: invisible, dashed, dotted, bold, filled, rounded
+     */
+    function getStyleFlags(attrs) {
+        const styles = getStyles(attrs);
+        return {
+            invisible: styles.some(style => ['invis', 'invisible', 'hidden'].includes(style)),
+            dashed: styles.includes('dashed'),
+            dotted: styles.includes('dotted'),
+            bold: styles.includes('bold') || styles.some(style => style.startsWith('setlinewidth')),
+            filled: styles.includes('filled'),
+            rounded: styles.includes('rounded')
+        };
+    }
+    
+    /**
+     * Get an edge's values for a filter facet. An edge has one label and
+     * one color, but can have several styles; a missing value is ''.
+     * 
+     * @param {Object} edge - Edge object with attrs
+     * @param {string} facet - One of EDGE_FACETS
+     * @returns {Array} Values of the facet
+     */
+    function getEdgeFacetValues(edge, facet) {
+        if (facet === 'style') {
+            const styles = getStyles(edge.attrs);
+            return styles.length > 0 ? styles : [''];
+        }
+        const value = edge.attrs ? edge.attrs[facet] : undefined;
+        return [value === undefined ? '' : String(value)];
+    }
+    
+    /**
+     * List the edge labels, colors and styles used in a graph.
+     * 
+     * @param {Array} edges - Array of edge objects with attrs
+     * @returns {Object} Map of facet name to its sorted distinct values, '' for edges without one
+     */
+    function getEdgeFacets(edges) {
+        const facets = {};
+        EDGE_FACETS.forEach(facet => {
+            const values = new Set();
+            edges.forEach(edge => getEdgeFacetValues(edge, facet).forEach(value => values.add(value)));
+            facets[facet] = [...values].sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+        });
+        return facets;
+    }
+    
+    /**
+     * Turn an edge filter into a predicate for traversal. The filter lists
+     * the allowed values of each restricted facet; an edge passes when all
+     * of its values are allowed, so unchecking "dashed" excludes an edge
+     * styled "dashed,bold".
+     * 
+     * @param {Object|null} filter - Map of facet name to allowed values; facets left out aren't restricted
+     * @returns {Function|null} Predicate on edge objects, or null when nothing is filtered
+     */
+    function createEdgeFilter(filter) {
+        if (!filter || Object.keys(filter).length === 0) {
+            return null;
+        }
+        
+        const allowed = Object.keys(filter).map(facet => [facet, new Set(filter[facet])]);
+        return edge => allowed.every(([facet, values]) =>
+            getEdgeFacetValues(edge, facet).every(value => values.has(value)));
+    }
+    
+    /**
+     * Build the adjacency index of a graph model, once per parse, for
+     * traverse() and the path functions. Undirected edges are indexed in
+     * both directions; self-loops never lead anywhere and are kept apart.
+     * 
+     * @param {Array} nodes - Array of node objects with id
+     * @param {Array} edges - Array of edge objects with source, target and id
+     * @param {boolean} [directed] - Whether edges only run source -> target
+     * @returns {Object} Index { directed, nodes, edges, outgoing, incoming, selfLoops } of Maps;
+     *     outgoing and incoming map a node ID to [{ neighborId, edgeId }]
+     */
+    function buildIndex(nodes, edges, directed = true) {
+        const index = {
+            directed,
+            nodes: new Map(),
+            edges: new Map(),
+            outgoing: new Map(),
+            incoming: new Map(),
+            selfLoops: new Map()
+        };
+        
+        const addNode = nodeId => {
+            if (!index.outgoing.has(nodeId)) {
+                index.outgoing.set(nodeId, []);
+                index.incoming.set(nodeId, []);
+            }
+        };
+        const connect = (source, target, edgeId) => {
+            index.outgoing.get(source).push({ neighborId: target, edgeId });
+            index.incoming.get(target).push({ neighborId: source, edgeId });
+        };
+        
+        nodes.forEach(node => {
+            index.nodes.set(node.id, node);
+            addNode(node.id);
+        });
+        
+        edges.forEach(edge => {
+            index.edges.set(edge.id, edge);
+            addNode(edge.source);
+            addNode(edge.target);
+            
+            if (edge.source === edge.target) {
+                if (!index.selfLoops.has(edge.source)) {
+                    index.selfLoops.set(edge.source, []);
+                }
+                index.selfLoops.get(edge.source).push(edge.id);
+                return;
+            }
+            
+            connect(edge.source, edge.target, edge.id);
+            if (!directed) {
+                connect(edge.target, edge.source, edge.id);
+            }
+        });
+        
+        return index;
+    }
+    
+    /**
+     * Push an entry onto a binary min-heap ordered by entry.cost.
+     * 
+     * @param {Array} heap - Heap array
+     * @param {Object} entry - Entry with a numeric cost
+     */
+    function heapPush(heap, entry) {
+        heap.push(entry);
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (heap[parent].cost <= entry.cost) break;
+            heap[i] = heap[parent];
+            i = parent;
+        }
+        heap[i] = entry;
+    }
+    
+    /**
+     * Remove and return the cheapest entry of a binary min-heap.
+     * 
+     * @param {Array} heap - Heap array, not empty
+     * @returns {Object} The entry with the lowest cost
+     */
+    function heapPop(heap) {
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            let i = 0;
+            while (true) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                const costAt = j => (j === i ? last.cost : heap[j].cost);
+                if (left < heap.length && heap[left].cost < costAt(smallest)) smallest = left;
+                if (right < heap.length && heap[right].cost < costAt(smallest)) smallest = right;
+                if (smallest === i) break;
+                heap[i] = heap[smallest];
+                i = smallest;
+            }
+            heap[i] = last;
+        }
+        return top;
+    }
+    
+    /**
+     * Traversal over an index from one or more start nodes, visiting nodes
+     * in order of cost. Without a cost function every hop costs 1, so this
+     * is a breadth-first search. Every edge leaving a node within the
+     * limits is part of the result, including edges back to nodes that were
+     * already reached.
+     * 
+     * @param {Object} index - Index from buildIndex()
+     * @param {Array} startNodeIds - IDs of the nodes to start from
+     * @param {Object} [options] - Traversal options
+     * @param {string} [options.direction] - 'downstream' follows edges forwards, 'upstream' backwards
+     * @param {number} [options.maxHops] - Maximum number of hops from a start node
+     * @param {Set} [options.freeNodes] - Nodes that can be passed through without counting a hop
+     * @param {Function} [options.cost] - Non-negative cost of an edge, given the edge object
+     * @param {number} [options.maxCost] - Maximum cumulative cost from a start node
+     * @param {Function} [options.filter] - Only follow edges for which this returns true, given the edge object
+     * @returns {Object} Result { nodes, edges, distances, costs, predecessors }: the Set of
+     *     reached node IDs (start nodes excluded), the Set of traversed edge IDs, Maps of
+     *     node ID to hop distance and to cumulative cost along the cheapest route, and a Map
+     *     of node ID to the { nodeId, edgeId } it was reached from
+     */
+    function traverse(index, startNodeIds, options = {}) {
+        const {
+            direction = 'downstream',
+            maxHops = Infinity,
+            freeNodes = new Set(),
+            cost = null,
+            maxCost = Infinity,
+            filter = null
+        } = options;
+        const adjacency = direction === 'upstream' ? index.incoming : index.outgoing;
+        
+        // Without a cost function, cost is the hop count
+        const hopCost = neighborId => (freeNodes.has(neighborId) ? 0 : 1);
+        const edgeCost = cost
+            ? (edgeId, neighborId) => cost(index.edges.get(edgeId))
+            : (edgeId, neighborId) => hopCost(neighborId);
+        
+        const startNodes = new Set(startNodeIds);
+        const distances = new Map();
+        const costs = new Map();
+        const predecessors = new Map();
+        const reached = new Set();
+        const traversedEdges = new Set();
+        const heap = [];
+        
+        startNodes.forEach(nodeId => {
+            distances.set(nodeId, 0);
+            costs.set(nodeId, 0);
+            heapPush(heap, { id: nodeId, cost: 0 });
+        });
+        
+        while (heap.length > 0) {
+            const { id: currentId, cost: currentCost } = heapPop(heap);
+            const distance = distances.get(currentId);
+            
+            // Skip entries superseded by a cheaper route, and stop at the hop limit
+            if (currentCost > costs.get(currentId) || distance >= maxHops) {
+                continue;
+            }
+            
+            for (const { neighborId, edgeId } of adjacency.get(currentId) || []) {
+                if (filter && !filter(index.edges.get(edgeId))) {
+                    continue;
+                }
+                
+                const newCost = currentCost + edgeCost(edgeId, neighborId);
+                if (newCost > maxCost) {
+                    continue;
+                }
+                
+                traversedEdges.add(edgeId);
+                
+                if (!costs.has(neighborId) || costs.get(neighborId) > newCost) {
+                    costs.set(neighborId, newCost);
+                    distances.set(neighborId, distance + hopCost(neighborId));
+                    predecessors.set(neighborId, { nodeId: currentId, edgeId });
+                    if (!startNodes.has(neighborId)) {
+                        reached.add(neighborId);
+                    }
+                    heapPush(heap, { id: neighborId, cost: newCost });
+                }
+            }
         }
         
-        // Extract edges
-        const edgeRegex = /"([^"]+)"\s*->\s*"([^"]+)"/g;
-        while ((match = edgeRegex.exec(dotSource)) !== null) {
-            const source = match[1];
-            const target = match[2];
-            edges.push({
-                source: source,
-                target: target
+        return { nodes: reached, edges: traversedEdges, distances, costs, predecessors };
+    }
+    
+    /**
+     * Find the critical path from a node: the most costly chain of edges
+     * that can be followed from it. Longest paths are only well defined
+     * without cycles, so edges that close a cycle are left out, and the
+     * result says whether any were.
+     * 
+     * @param {Object} index - Index from buildIndex()
+     * @param {string} startId - ID of the node the path starts at
+     * @param {Object} [options] - Path options
+     * @param {string} [options.direction] - 'downstream' follows edges forwards, 'upstream' backwards
+     * @param {Function} [options.cost] - Non-negative cost of an edge, given the edge object (default 1)
+     * @param {Function} [options.filter] - Only follow edges for which this returns true, given the edge object
+     * @returns {Object} Path { nodes, edges, cost, cyclesIgnored }
+     */
+    function findCriticalPath(index, startId, options = {}) {
+        const { direction = 'downstream', cost = () => 1, filter = null } = options;
+        const unfiltered = direction === 'upstream' ? index.incoming : index.outgoing;
+        const adjacency = filter
+            ? new Map([...unfiltered].map(([nodeId, connections]) => [
+                nodeId,
+                connections.filter(({ edgeId }) => filter(index.edges.get(edgeId)))
+            ]))
+            : unfiltered;
+        
+        const best = new Map(); // node ID -> cost of the longest chain from it
+        const next = new Map(); // node ID -> { nodeId, edgeId } along that chain
+        const onStack = new Set([startId]);
+        let cyclesIgnored = false;
+        
+        // Depth-first search with an explicit stack; a node's chain is known
+        // once all of its neighbours are done
+        const stack = [{ id: startId, position: 0 }];
+        while (stack.length > 0) {
+            const frame = stack[stack.length - 1];
+            const connections = adjacency.get(frame.id) || [];
+            
+            if (frame.position < connections.length) {
+                const { neighborId } = connections[frame.position++];
+                if (onStack.has(neighborId)) {
+                    cyclesIgnored = true;
+                } else if (!best.has(neighborId)) {
+                    onStack.add(neighborId);
+                    stack.push({ id: neighborId, position: 0 });
+                }
+                continue;
+            }
+            
+            let longest = 0;
+            connections.forEach(({ neighborId, edgeId }) => {
+                if (!best.has(neighborId)) return; // closes a cycle
+                
+                const chainCost = cost(index.edges.get(edgeId)) + best.get(neighborId);
+                if (!next.has(frame.id) || chainCost > longest) {
+                    longest = chainCost;
+                    next.set(frame.id, { nodeId: neighborId, edgeId });
+                }
             });
+            best.set(frame.id, longest);
+            onStack.delete(frame.id);
+            stack.pop();
         }
         
-        return { nodes, edges };
+        // Follow the chain from the start
+        const path = { nodes: [startId], edges: [], cost: best.get(startId), cyclesIgnored };
+        let step = next.get(startId);
+        while (step) {
+            path.nodes.push(step.nodeId);
+            path.edges.push(step.edgeId);
+            step = next.get(step.nodeId);
+        }
+        return path;
     }
     
     /**
-     * Find downstream nodes (nodes that depend on the selected service).
+     * Read a numeric attribute value.
+     * 
+     * @param {Object} attrs - Attribute map
+     * @param {string} name - Attribute name
+     * @returns {number|null} The value, or null if it is missing or not a number
+     */
+    function getNumericAttribute(attrs, name) {
+        const value = attrs ? attrs[name] : undefined;
+        if (value === undefined || String(value).trim() === '') {
+            return null;
+        }
+        const number = Number(value);
+        return isFinite(number) ? number : null;
+    }
+    
+    /**
+     * List the edge attributes that hold a number on at least one edge, as
+     * candidates for weighted traversal.
      * 
+     * @param {Array} edges - Array of edge objects with attrs
+     * @returns {Array} Attribute names, sorted
+     */
+    function getNumericEdgeAttributes(edges) {
+        const names = new Set();
+        edges.forEach(edge => {
+            Object.keys(edge.attrs || {}).forEach(name => {
+                if (getNumericAttribute(edge.attrs, name) !== null) {
+                    names.add(name);
+                }
+            });
+        });
+        return [...names].sort();
+    }
+    
+    /**
+     * Add the results of a traversal to the result set and hop map used by
+     * findDownstreamNodes() and findUpstreamNodes().
+     * 
+     * @param {string} direction - 'downstream' or 'upstream'
      * @param {string} serviceId - ID of the starting node
      * @param {Set} resultSet - Set to store found node IDs
      * @param {Map} hopsMap - Map to track hop distances
      * @param {number} maxHops - Maximum number of hops to traverse
      * @param {Array} edges - Array of edge objects with source and target
      */
-    function findDownstreamNodes(serviceId, resultSet, hopsMap, maxHops, edges) {
+    function collectNodes(direction, serviceId, resultSet, hopsMap, maxHops, edges) {
         const currentHops = hopsMap.get(serviceId) || 0;
-        if (currentHops >= maxHops) return;
-        
-        // Find direct dependencies
-        const directDependencies = edges.filter(edge => edge.source === serviceId);
+        const indexedEdges = edges.map((edge, i) => Object.assign({ id: i }, edge));
+        const result = traverse(buildIndex([], indexedEdges), [serviceId], {
+            direction,
+            maxHops: maxHops - currentHops
+        });
         
-        directDependencies.forEach(edge => {
-            const targetId = edge.target;
-            const targetHops = currentHops + 1;
-            
-            // Only process if target is not yet visited or we found a shorter path
-            if (!hopsMap.has(targetId) || hopsMap.get(targetId) > targetHops) {
-                resultSet.add(targetId);
-                hopsMap.set(targetId, targetHops);
-                
-                // Recursively find dependencies of dependencies if under max hops
-                if (targetHops < maxHops) {
-                    findDownstreamNodes(targetId, resultSet, hopsMap, maxHops, edges);
-                }
+        result.nodes.forEach(nodeId => {
+            const hops = currentHops + result.distances.get(nodeId);
+            if (!hopsMap.has(nodeId) || hopsMap.get(nodeId) > hops) {
+                resultSet.add(nodeId);
+                hopsMap.set(nodeId, hops);
             }
         });
     }
     
+    /**
+     * Find downstream nodes (nodes that depend on the selected service).
+     * 
+     * @param {string} serviceId - ID of the starting node
+     * @param {Set} resultSet - Set to store found node IDs
+     * @param {Map} hopsMap - Map to track hop distances
+     * @param {number} maxHops - Maximum number of hops to traverse
+     * @param {Array} edges - Array of edge objects with source and target
+     */
+    function findDownstreamNodes(serviceId, resultSet, hopsMap, maxHops, edges) {
+        collectNodes('downstream', serviceId, resultSet, hopsMap, maxHops, edges);
+    }
+    
     /**
      * Find upstream nodes (nodes that the selected service depends on).
      * 
@@ -81,33 +1201,133 @@ const Parser = (function() {
      * @param {Array} edges - Array of edge objects with source and target
      */
     function findUpstreamNodes(serviceId, resultSet, hopsMap, maxHops, edges) {
-        const currentHops = hopsMap.get(serviceId) || 0;
-        if (currentHops >= maxHops) return;
+        collectNodes('upstream', serviceId, resultSet, hopsMap, maxHops, edges);
+    }
+    
+    /**
+     * Find a shortest path (fewest hops) between two nodes.
+     * 
+     * @param {Object} index - Index from buildIndex()
+     * @param {string} sourceId - ID of the node the path starts at
+     * @param {string} targetId - ID of the node the path ends at
+     * @returns {Object|null} Path { nodes, edges } of node and edge IDs, or null if there is none
+     */
+    function findShortestPath(index, sourceId, targetId) {
+        const { distances, predecessors } = traverse(index, [sourceId]);
+        
+        if (!distances.has(targetId)) {
+            return null;
+        }
+        
+        // Walk back from the target
+        const path = { nodes: [targetId], edges: [] };
+        let step = predecessors.get(targetId);
+        while (step) {
+            path.nodes.unshift(step.nodeId);
+            path.edges.unshift(step.edgeId);
+            step = predecessors.get(step.nodeId);
+        }
+        return path;
+    }
+    
+    /**
+     * Find all simple paths (no repeated nodes) between two nodes, up to a
+     * hop limit. Parallel edges give separate paths. Paths are returned
+     * shortest first; a search stopped at the path limit still includes a
+     * shortest path. The search is depth-first, kept on an explicit stack
+     * so long chains can't overflow the call stack.
+     * 
+     * @param {Object} index - Index from buildIndex()
+     * @param {string} sourceId - ID of the node the paths start at
+     * @param {string} targetId - ID of the node the paths end at
+     * @param {number} maxHops - Maximum number of edges in a path
+     * @param {number} [maxPaths] - Stop after finding this many paths
+     * @returns {Array} Paths { nodes, edges } of node and edge IDs
+     */
+    function findAllPaths(index, sourceId, targetId, maxHops, maxPaths = Infinity) {
+        // Distance to the target lets the search skip nodes that can't reach
+        // it within the hops that are left
+        const distanceToTarget = traverse(index, [targetId], { direction: 'upstream' }).distances;
+        
+        if (!distanceToTarget.has(sourceId)) {
+            return [];
+        }
+        if (sourceId === targetId) {
+            return [{ nodes: [sourceId], edges: [] }];
+        }
+        
+        const paths = [];
+        const nodePath = [sourceId];
+        const edgePath = [];
+        const onPath = new Set(nodePath);
         
-        // Find direct dependencies
-        const directDependencies = edges.filter(edge => edge.target === serviceId);
+        // One frame per node on the path, with the next neighbour to try
+        const frame = nodeId => ({ nodeId, neighbors: index.outgoing.get(nodeId) || [], next: 0 });
+        const stack = [frame(sourceId)];
         
-        directDependencies.forEach(edge => {
-            const sourceId = edge.source;
-            const sourceHops = currentHops + 1;
+        while (stack.length > 0 && paths.length < maxPaths) {
+            const current = stack[stack.length - 1];
+            if (current.next >= current.neighbors.length) {
+                stack.pop();
+                onPath.delete(current.nodeId);
+                nodePath.pop();
+                edgePath.pop();
+                continue;
+            }
             
-            // Only process if source is not yet visited or we found a shorter path
-            if (!hopsMap.has(sourceId) || hopsMap.get(sourceId) > sourceHops) {
-                resultSet.add(sourceId);
-                hopsMap.set(sourceId, sourceHops);
-                
-                // Recursively find dependencies of dependencies if under max hops
-                if (sourceHops < maxHops) {
-                    findUpstreamNodes(sourceId, resultSet, hopsMap, maxHops, edges);
-                }
+            const { neighborId, edgeId } = current.neighbors[current.next++];
+            const remaining = distanceToTarget.get(neighborId);
+            if (onPath.has(neighborId) || remaining === undefined || edgePath.length + 1 + remaining > maxHops) {
+                continue;
             }
-        });
+            
+            if (neighborId === targetId) {
+                paths.push({ nodes: [...nodePath, neighborId], edges: [...edgePath, edgeId] });
+                continue;
+            }
+            
+            nodePath.push(neighborId);
+            edgePath.push(edgeId);
+            onPath.add(neighborId);
+            stack.push(frame(neighborId));
+        }
+        
+        // A search cut short may not have reached a shortest path yet
+        if (paths.length > 0 && paths.length >= maxPaths) {
+            const shortest = findShortestPath(index, sourceId, targetId);
+            const key = path => path.edges.join('\n');
+            if (!paths.some(path => key(path) === key(shortest))) {
+                paths[paths.length - 1] = shortest;
+            }
+        }
+        
+        return paths.sort((a, b) => a.edges.length - b.edges.length);
     }
-
+    
     // Public API
     return {
+        parse,
+        buildModel,
         parseDotSource,
+        isHtmlAttr,
+        getEdgeTitle,
+        getStyles,
+        getStyleFlags,
+        getEdgeFacets,
+        createEdgeFilter,
+        buildIndex,
+        traverse,
         findDownstreamNodes,
-        findUpstreamNodes
+        findUpstreamNodes,
+        findShortestPath,
+        findAllPaths,
+        findCriticalPath,
+        getNumericAttribute,
+        getNumericEdgeAttributes
     };
-})(); 
\ No newline at end of file
+})();
+
+// Export for Node-based tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Parser;
+}
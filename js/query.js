@@ -0,0 +1,363 @@
+/**
+ * Query module: a small predicate language for selecting nodes of the
+ * graph model, e.g. `fillcolor=red and outdegree>3` or
+ * `downstream("Service A") and not upstream("Service E")`.
+ */
+const Query = (function() {
+    // Comparison operators, longest first so "!=" wins over "="
+    const OPERATORS = ['~=', '!=', '>=', '<=', '=', '>', '<'];
+    
+    // Functions selecting nodes by their relation to another node
+    const FUNCTIONS = ['downstream', 'upstream'];
+    
+    /**
+     * Create a query syntax error pointing at a character offset.
+     * 
+     * @param {string} message - Error message
+     * @param {number} offset - Offset of the problem in the query text
+     * @returns {SyntaxError} The error, with an offset property
+     */
+    function createQueryError(message, offset) {
+        const error = new SyntaxError(`${message} (at position ${offset + 1})`);
+        error.offset = offset;
+        return error;
+    }
+    
+    /**
+     * Split query text into tokens.
+     * 
+     * @param {string} text - Query text
+     * @returns {Array} Tokens { type, value, offset } with type 'id', 'string', 'op' or a punctuation character
+     */
+    function tokenize(text) {
+        const tokens = [];
+        let i = 0;
+        
+        while (i < text.length) {
+            const char = text[i];
+            
+            if (/\s/.test(char)) {
+                i++;
+            } else if (char === '"' || char === "'") {
+                // Quoted string, with backslash escapes
+                const start = i;
+                let value = '';
+                i++;
+                while (i < text.length && text[i] !== char) {
+                    if (text[i] === '\\' && i + 1 < text.length) {
+                        i++;
+                    }
+                    value += text[i++];
+                }
+                if (i >= text.length) {
+                    throw createQueryError('Unterminated string', start);
+                }
+                i++;
+                tokens.push({ type: 'string', value, offset: start });
+            } else if ('(),'.includes(char)) {
+                tokens.push({ type: char, value: char, offset: i });
+                i++;
+            } else {
+                const operator = OPERATORS.find(op => text.startsWith(op, i));
+                if (operator) {
+                    tokens.push({ type: 'op', value: operator, offset: i });
+                    i += operator.length;
+                    continue;
+                }
+                
+                // Bare word: attribute names, keywords, unquoted values and numbers
+                const match = /^[^\s"'(),=!~<>]+/.exec(text.slice(i));
+                if (!match) {
+                    throw createQueryError(`Unexpected character "${char}"`, i);
+                }
+                tokens.push({ type: 'id', value: match[0], offset: i });
+                i += match[0].length;
+            }
+        }
+        
+        return tokens;
+    }
+    
+    /**
+     * Parse query text into an expression tree. The grammar is:
+     * 
+     *   or         := and ("or" and)*
+     *   and        := not ("and" not)*
+     *   not        := "not" not | primary
+     *   primary    := "(" or ")" | function | comparison
+     *   function   := ("downstream" | "upstream") "(" value ["," number] ")"
+     *   comparison := field [operator value]
+     * 
+     * A field without an operator tests that the attribute is set.
+     * 
+     * @param {string} text - Query text
+     * @returns {Object} Expression tree
+     * @throws {SyntaxError} If the query is malformed; error.offset is the position
+     */
+    function parse(text) {
+        const tokens = tokenize(text);
+        let position = 0;
+        
+        const peek = () => tokens[position];
+        const isKeyword = (token, keyword) =>
+            token && token.type === 'id' && token.value.toLowerCase() === keyword;
+        const expect = (type, description) => {
+            const token = tokens[position];
+            if (!token || token.type !== type) {
+                throw createQueryError(`Expected ${description}`, token ? token.offset : text.length);
+            }
+            position++;
+            return token;
+        };
+        const expectValue = () => {
+            const token = tokens[position];
+            if (!token || (token.type !== 'id' && token.type !== 'string')) {
+                throw createQueryError('Expected a value', token ? token.offset : text.length);
+            }
+            position++;
+            return token.value;
+        };
+        
+        const parseOr = () => {
+            let left = parseAnd();
+            while (isKeyword(peek(), 'or')) {
+                position++;
+                left = { type: 'or', left, right: parseAnd() };
+            }
+            return left;
+        };
+        
+        const parseAnd = () => {
+            let left = parseNot();
+            while (isKeyword(peek(), 'and')) {
+                position++;
+                left = { type: 'and', left, right: parseNot() };
+            }
+            return left;
+        };
+        
+        const parseNot = () => {
+            if (isKeyword(peek(), 'not')) {
+                position++;
+                return { type: 'not', operand: parseNot() };
+            }
+            return parsePrimary();
+        };
+        
+        const parsePrimary = () => {
+            const token = peek();
+            if (!token) {
+                throw createQueryError('Unexpected end of query', text.length);
+            }
+            
+            if (token.type === '(') {
+                position++;
+                const expression = parseOr();
+                expect(')', '")"');
+                return expression;
+            }
+            
+            if (token.type !== 'id' && token.type !== 'string') {
+                throw createQueryError(`Unexpected "${token.value}"`, token.offset);
+            }
+            position++;
+            
+            // Function call
+            const next = peek();
+            if (next && next.type === '(') {
+                const name = token.value.toLowerCase();
+                if (!FUNCTIONS.includes(name)) {
+                    throw createQueryError(`Unknown function "${token.value}"`, token.offset);
+                }
+                position++;
+                const nodeId = expectValue();
+                let maxHops = Infinity;
+                if (peek() && peek().type === ',') {
+                    position++;
+                    const hopsToken = peek();
+                    maxHops = Number(expectValue());
+                    if (!Number.isInteger(maxHops) || maxHops < 1) {
+                        throw createQueryError('Expected a hop count', hopsToken.offset);
+                    }
+                }
+                expect(')', '")"');
+                return { type: 'function', name, nodeId, maxHops };
+            }
+            
+            // Comparison, or a bare field testing presence
+            if (next && next.type === 'op') {
+                position++;
+                return { type: 'compare', field: token.value, operator: next.value, value: expectValue() };
+            }
+            return { type: 'has', field: token.value };
+        };
+        
+        if (tokens.length === 0) {
+            throw createQueryError('Empty query', 0);
+        }
+        
+        const expression = parseOr();
+        if (position < tokens.length) {
+            throw createQueryError(`Unexpected "${tokens[position].value}"`, tokens[position].offset);
+        }
+        return expression;
+    }
+    
+    /**
+     * Precompute what queries need from a model: the traversal index, node
+     * degrees and cluster membership.
+     * 
+     * @param {Object} model - Model from Parser.parseDotSource()
+     * @returns {Object} Evaluation context
+     */
+    function createContext(model) {
+        const directed = model.graph ? model.graph.directed : true;
+        const index = Parser.buildIndex(model.nodes, model.edges, directed);
+        
+        const clustersByNode = new Map();
+        (model.subgraphs || []).filter(subgraph => subgraph.isCluster).forEach(cluster => {
+            cluster.nodes.forEach(nodeId => {
+                if (!clustersByNode.has(nodeId)) {
+                    clustersByNode.set(nodeId, []);
+                }
+                clustersByNode.get(nodeId).push(cluster);
+            });
+        });
+        
+        return { index, clustersByNode, traversals: new Map() };
+    }
+    
+    /**
+     * Get the values of a field for a node. Clusters give several values
+     * per enclosing cluster: its ID, the ID without "cluster_", and its label.
+     * 
+     * @param {Object} node - Node object
+     * @param {string} field - Field name
+     * @param {Object} context - Context from createContext()
+     * @returns {Array} Values as strings or numbers; empty when the field isn't set
+     */
+    function getFieldValues(node, field, context) {
+        const { index } = context;
+        const selfLoops = (index.selfLoops.get(node.id) || []).length;
+        
+        switch (field.toLowerCase()) {
+            case 'id':
+                return [node.id];
+            case 'cluster':
+                return (context.clustersByNode.get(node.id) || []).flatMap(cluster =>
+                    [cluster.id, cluster.id.replace(/^cluster_?/, ''), cluster.label].filter(Boolean));
+            case 'indegree':
+                return [index.incoming.get(node.id).length + selfLoops];
+            case 'outdegree':
+                return [index.outgoing.get(node.id).length + selfLoops];
+            case 'degree':
+                // Undirected edges are already indexed in both directions
+                return [index.outgoing.get(node.id).length + selfLoops +
+                    (index.directed ? index.incoming.get(node.id).length + selfLoops : 0)];
+            default:
+                return node.attrs && node.attrs[field] !== undefined ? [String(node.attrs[field])] : [];
+        }
+    }
+    
+    /**
+     * Compare one field value with a query value.
+     * 
+     * @param {string|number} actual - Value from the node
+     * @param {string} operator - Comparison operator
+     * @param {string} expected - Value from the query
+     * @returns {boolean} Whether the comparison holds
+     */
+    function compareValue(actual, operator, expected) {
+        switch (operator) {
+            case '=':
+                return String(actual) === expected;
+            case '!=':
+                return String(actual) !== expected;
+            case '~=':
+                return String(actual).toLowerCase().includes(expected.toLowerCase());
+            default: {
+                // Ordering only makes sense between numbers
+                const left = Number(actual);
+                const right = Number(expected);
+                if (String(actual).trim() === '' || isNaN(left) || isNaN(right)) {
+                    return false;
+                }
+                if (operator === '>') return left > right;
+                if (operator === '<') return left < right;
+                if (operator === '>=') return left >= right;
+                return left <= right;
+            }
+        }
+    }
+    
+    /**
+     * Test whether a node matches an expression.
+     * 
+     * @param {Object} expression - Expression tree from parse()
+     * @param {Object} node - Node object
+     * @param {Object} context - Context from createContext()
+     * @returns {boolean} Whether the node matches
+     */
+    function matches(expression, node, context) {
+        switch (expression.type) {
+            case 'or':
+                return matches(expression.left, node, context) || matches(expression.right, node, context);
+            case 'and':
+                return matches(expression.left, node, context) && matches(expression.right, node, context);
+            case 'not':
+                return !matches(expression.operand, node, context);
+            case 'has':
+                return getFieldValues(node, expression.field, context).length > 0;
+            case 'compare': {
+                const values = getFieldValues(node, expression.field, context);
+                // A node without the field is "not equal" to anything
+                if (values.length === 0) {
+                    return expression.operator === '!=';
+                }
+                return expression.operator === '!='
+                    ? values.every(value => compareValue(value, '!=', expression.value))
+                    : values.some(value => compareValue(value, expression.operator, expression.value));
+            }
+            case 'function': {
+                // Each traversal is run once per evaluation
+                const key = `${expression.name}\u0000${expression.nodeId}\u0000${expression.maxHops}`;
+                if (!context.traversals.has(key)) {
+                    context.traversals.set(key, Parser.traverse(context.index, [expression.nodeId], {
+                        direction: expression.name,
+                        maxHops: expression.maxHops
+                    }).nodes);
+                }
+                return context.traversals.get(key).has(node.id);
+            }
+            default:
+                return false;
+        }
+    }
+    
+    /**
+     * Evaluate a query against a graph model.
+     * 
+     * @param {string|Object} query - Query text, or an expression tree from parse()
+     * @param {Object} model - Model from Parser.parseDotSource()
+     * @returns {Array} IDs of the matching nodes, in model order
+     * @throws {SyntaxError} If the query text is malformed
+     */
+    function evaluate(query, model) {
+        const expression = typeof query === 'string' ? parse(query) : query;
+        const context = createContext(model);
+        return model.nodes
+            .filter(node => matches(expression, node, context))
+            .map(node => node.id);
+    }
+    
+    // Public API
+    return {
+        parse,
+        evaluate
+    };
+})();
+
+// Export for Node-based tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Query;
+}
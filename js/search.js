@@ -0,0 +1,298 @@
+/**
+ * Node search module: a combobox for picking a node by fuzzy matching on
+ * its ID, label and tooltip, with recently picked nodes listed first.
+ */
+const NodeSearch = (function() {
+    const MAX_RESULTS = 50;
+    const MAX_RECENT = 5;
+    
+    // Bonus that lifts recently picked nodes above similar matches
+    const RECENT_BONUS = 20;
+    
+    // Searchable fields and how much a match on each counts
+    const FIELDS = [
+        { name: 'id', weight: 1 },
+        { name: 'label', weight: 0.9 },
+        { name: 'tooltip', weight: 0.6 }
+    ];
+    
+    let input;
+    let resultsList;
+    let onSelect;
+    let searchableNodes = [];
+    let recent = [];
+    let selectedId = '';
+    let results = [];
+    let activeIndex = -1;
+    
+    /**
+     * Get the searchable text of a node.
+     * 
+     * @param {Object} node - Node object
+     * @returns {Object} Text { id, label, tooltip }; label and tooltip are empty when unset
+     */
+    function getSearchText(node) {
+        const attrs = node.attrs || {};
+        // "\N" is Graphviz's default label, the node ID itself
+        const label = attrs.label && attrs.label !== '\\N'
+            ? String(attrs.label).replace(/<[^>]*>/g, ' ').trim()
+            : '';
+        return { id: node.id, label, tooltip: attrs.tooltip ? String(attrs.tooltip) : '' };
+    }
+    
+    /**
+     * Rank nodes against a search query. Without a query the recent nodes come
+     * first, followed by the rest in alphabetical order.
+     * 
+     * @param {Array} nodes - Node objects
+     * @param {string} query - Search query
+     * @param {Array} recentIds - IDs of recently picked nodes, most recent first
+     * @param {number} maxResults - Maximum number of results
+     * @returns {Array} Results { node, field, text, recent } best first; field is the best matching field
+     */
+    function rankNodes(nodes, query, recentIds = [], maxResults = MAX_RESULTS) {
+        const recentRank = new Map(recentIds.map((id, rank) => [id, rank]));
+        const byId = (a, b) => a.node.id.localeCompare(b.node.id, undefined, { sensitivity: 'base' });
+        
+        if (!query.trim()) {
+            return nodes
+                .map(node => ({ node, field: 'id', text: node.id, recent: recentRank.has(node.id) }))
+                .sort((a, b) => {
+                    const rankA = recentRank.has(a.node.id) ? recentRank.get(a.node.id) : Infinity;
+                    const rankB = recentRank.has(b.node.id) ? recentRank.get(b.node.id) : Infinity;
+                    return rankA !== rankB ? rankA - rankB : byId(a, b);
+                })
+                .slice(0, maxResults);
+        }
+        
+        const ranked = [];
+        nodes.forEach(node => {
+            const searchText = getSearchText(node);
+            let best = null;
+            FIELDS.forEach(({ name, weight }) => {
+                const score = searchText[name] ? Utils.fuzzyScore(query, searchText[name]) : null;
+                if (score !== null && (!best || score * weight > best.score)) {
+                    best = { score: score * weight, field: name, text: searchText[name] };
+                }
+            });
+            
+            if (best) {
+                const isRecent = recentRank.has(node.id);
+                ranked.push({
+                    node,
+                    field: best.field,
+                    text: best.text,
+                    recent: isRecent,
+                    score: best.score + (isRecent ? RECENT_BONUS : 0)
+                });
+            }
+        });
+        
+        return ranked
+            .sort((a, b) => b.score - a.score || byId(a, b))
+            .slice(0, maxResults)
+            .map(({ node, field, text, recent: isRecent }) => ({ node, field, text, recent: isRecent }));
+    }
+    
+    /**
+     * Set up the combobox.
+     * 
+     * @param {Element} inputElement - Text input of the combobox
+     * @param {Element} listElement - List showing the results
+     * @param {Function} onSelectCallback - Called with the node ID when a result is picked
+     */
+    function initialize(inputElement, listElement, onSelectCallback) {
+        input = inputElement;
+        resultsList = listElement;
+        onSelect = onSelectCallback;
+        
+        input.addEventListener("input", showResults);
+        input.addEventListener("focus", function() {
+            // Select the text so typing starts a new search
+            input.select();
+            showResults();
+        });
+        input.addEventListener("blur", function() {
+            hideResults();
+            // Restore the picked node after an abandoned search
+            input.value = selectedId;
+        });
+        input.addEventListener("keydown", handleKeyDown);
+        
+        // Pick on mousedown, before the input loses focus
+        resultsList.addEventListener("mousedown", function(event) {
+            const item = event.target.closest("li[data-index]");
+            if (item) {
+                event.preventDefault();
+                pick(results[Number(item.dataset.index)].node.id);
+            }
+        });
+    }
+    
+    /**
+     * Handle keyboard navigation in the combobox.
+     * 
+     * @param {KeyboardEvent} event - Key event
+     */
+    function handleKeyDown(event) {
+        if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+            event.preventDefault();
+            if (resultsList.hidden) {
+                showResults();
+            } else if (results.length > 0) {
+                const step = event.key === "ArrowDown" ? 1 : -1;
+                setActiveIndex((activeIndex + step + results.length) % results.length);
+            }
+        } else if (event.key === "Enter") {
+            event.preventDefault();
+            if (!resultsList.hidden && results[activeIndex]) {
+                pick(results[activeIndex].node.id);
+            }
+        } else if (event.key === "Escape") {
+            // Don't let the graph's escape handler see this one
+            event.stopPropagation();
+            hideResults();
+            input.value = selectedId;
+        }
+    }
+    
+    /**
+     * Rank the nodes against the input text and show the results.
+     */
+    function showResults() {
+        // A focused input still showing the picked node lists everything
+        const query = input.value === selectedId ? '' : input.value;
+        results = rankNodes(searchableNodes, query, recent);
+        
+        resultsList.innerHTML = '';
+        results.forEach((result, position) => {
+            const item = document.createElement("li");
+            item.id = `node-search-result-${position}`;
+            item.dataset.index = position;
+            item.setAttribute("role", "option");
+            item.classList.toggle("recent", result.recent);
+            item.textContent = result.node.id;
+            
+            // Say why a node matched when it wasn't by its ID
+            if (result.field !== 'id') {
+                const detail = document.createElement("span");
+                detail.className = "node-search-detail";
+                detail.textContent = result.text;
+                item.appendChild(detail);
+            }
+            resultsList.appendChild(item);
+        });
+        
+        if (results.length === 0) {
+            const empty = document.createElement("li");
+            empty.className = "node-search-empty";
+            empty.textContent = "No matching nodes";
+            resultsList.appendChild(empty);
+        }
+        
+        resultsList.hidden = false;
+        input.setAttribute("aria-expanded", "true");
+        setActiveIndex(results.length > 0 ? 0 : -1);
+    }
+    
+    /**
+     * Hide the results list.
+     */
+    function hideResults() {
+        resultsList.hidden = true;
+        input.setAttribute("aria-expanded", "false");
+        input.removeAttribute("aria-activedescendant");
+        activeIndex = -1;
+    }
+    
+    /**
+     * Mark a result as the active one for keyboard navigation.
+     * 
+     * @param {number} position - Index of the result, or -1 for none
+     */
+    function setActiveIndex(position) {
+        activeIndex = position;
+        resultsList.querySelectorAll("li[data-index]").forEach(item => {
+            const isActive = Number(item.dataset.index) === position;
+            item.classList.toggle("active", isActive);
+            item.setAttribute("aria-selected", String(isActive));
+            if (isActive) {
+                input.setAttribute("aria-activedescendant", item.id);
+                if (item.scrollIntoView) {
+                    item.scrollIntoView({ block: "nearest" });
+                }
+            }
+        });
+    }
+    
+    /**
+     * Pick a node from the results.
+     * 
+     * @param {string} nodeId - ID of the picked node
+     */
+    function pick(nodeId) {
+        setValue(nodeId);
+        hideResults();
+        input.blur();
+        
+        if (onSelect) {
+            onSelect(nodeId);
+        }
+    }
+    
+    /**
+     * Set the nodes to search, leaving out invisible ones. A picked node
+     * that no longer exists is cleared.
+     * 
+     * @param {Array} nodes - Node objects
+     */
+    function setNodes(nodes) {
+        searchableNodes = nodes.filter(node => !Parser.getStyleFlags(node.attrs).invisible);
+        
+        const nodeIds = new Set(searchableNodes.map(node => node.id));
+        recent = recent.filter(nodeId => nodeIds.has(nodeId));
+        if (!nodeIds.has(getValue())) {
+            setValue('');
+        }
+    }
+    
+    /**
+     * Get the picked node.
+     * 
+     * @returns {string} ID of the picked node, or an empty string
+     */
+    function getValue() {
+        // The input can be cleared directly, e.g. by the reset button
+        return input && input.value === selectedId ? selectedId : '';
+    }
+    
+    /**
+     * Pick a node without notifying, e.g. when it was clicked in the graph.
+     * 
+     * @param {string} nodeId - ID of the node, or an empty string to clear
+     */
+    function setValue(nodeId) {
+        selectedId = nodeId || '';
+        if (input) {
+            input.value = selectedId;
+        }
+        
+        if (selectedId) {
+            recent = [selectedId, ...recent.filter(id => id !== selectedId)].slice(0, MAX_RECENT);
+        }
+    }
+    
+    // Public API
+    return {
+        rankNodes,
+        initialize,
+        setNodes,
+        getValue,
+        setValue
+    };
+})();
+
+// Export for Node-based tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NodeSearch;
+}
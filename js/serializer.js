@@ -0,0 +1,409 @@
+/**
+ * Serializer module for writing DOT source.
+ */
+const Serializer = (function() {
+    // Keywords can't be used as bare IDs
+    const KEYWORDS = ['strict', 'graph', 'digraph', 'node', 'edge', 'subgraph'];
+    
+    /**
+     * Quote a DOT ID if it isn't a plain identifier or numeral.
+     * 
+     * @param {string} value - The ID or attribute value
+     * @param {boolean} [html=false] - Whether the value is an HTML string
+     * @returns {string} The ID as it should be written in DOT
+     */
+    function quoteId(value, html = false) {
+        const text = String(value);
+        if (html) {
+            return `<${text}>`;
+        }
+        if (/^[A-Za-z_\u0080-\uffff][A-Za-z_0-9\u0080-\uffff]*$/.test(text) && !KEYWORDS.includes(text.toLowerCase())) {
+            return text;
+        }
+        if (/^-?(\.[0-9]+|[0-9]+(\.[0-9]*)?)$/.test(text)) {
+            return text;
+        }
+        return `"${text.replace(/"/g, '\\"')}"`;
+    }
+    
+    /**
+     * Order attributes canonically: label first, then alphabetically. When a
+     * key is repeated the last value wins, as it does in Graphviz.
+     * 
+     * @param {Array} attrList - Array of attr AST nodes
+     * @returns {Array} Deduplicated, sorted attr AST nodes
+     */
+    function sortAttrs(attrList) {
+        const byKey = new Map();
+        attrList.forEach(attr => byKey.set(attr.id, attr));
+        return Array.from(byKey.values()).sort((a, b) => {
+            if (a.id === 'label') return -1;
+            if (b.id === 'label') return 1;
+            return a.id.localeCompare(b.id);
+        });
+    }
+    
+    /**
+     * Write an attribute list, e.g. [label="A", shape=box].
+     * 
+     * @param {Array} attrList - Array of attr AST nodes
+     * @returns {string} The attribute list, or an empty string if there are none
+     */
+    function formatAttrList(attrList) {
+        if (!attrList || attrList.length === 0) {
+            return '';
+        }
+        const attrs = sortAttrs(attrList).map(attr => `${quoteId(attr.id)}=${quoteId(attr.eq, attr.html)}`);
+        return `[${attrs.join(', ')}]`;
+    }
+    
+    /**
+     * Write a node ID with its optional port and compass point.
+     * 
+     * @param {Object} nodeId - node_id AST node
+     * @returns {string} The node ID, e.g. "Service A":out:n
+     */
+    function formatNodeId(nodeId) {
+        let text = quoteId(nodeId.id);
+        if (nodeId.port !== undefined) {
+            text += ':' + quoteId(nodeId.port);
+        }
+        if (nodeId.compass !== undefined) {
+            text += ':' + quoteId(nodeId.compass);
+        }
+        return text;
+    }
+    
+    /**
+     * Serialize a DOT AST as canonical, consistently indented DOT.
+     * 
+     * Statements keep their order, since defaults only apply to what follows
+     * them. Comments from the AST are kept before the statement they
+     * precede, or at the end of the line they were on. A blank line between
+     * statements in the original source is kept as a single blank line.
+     * 
+     * @param {Object} ast - Graph AST from Parser.parse()
+     * @param {Object} [options] - Formatting options
+     * @param {string} [options.indent='  '] - Indentation unit
+     * @returns {string} The formatted DOT source
+     */
+    function stringify(ast, options = {}) {
+        const indentUnit = options.indent !== undefined ? options.indent : '  ';
+        const comments = (ast.comments || []).slice().sort((a, b) => a.location.start.offset - b.location.start.offset);
+        const lines = [];
+        let lastLine = null; // Source line of the last thing written, for blank lines
+        
+        // Remove and return the comments that start before an offset
+        function takeCommentsBefore(offset) {
+            const taken = [];
+            while (comments.length > 0 && comments[0].location.start.offset < offset) {
+                taken.push(comments.shift());
+            }
+            return taken;
+        }
+        
+        // Write a line, keeping one blank line where the source had a gap
+        function writeLine(text, depth, location) {
+            const closing = text === '}';
+            if (location && !closing && lastLine !== null && location.start.line > lastLine + 1 && lines.length > 0) {
+                lines.push('');
+            }
+            lines.push(indentUnit.repeat(depth) + text);
+            if (location) {
+                lastLine = location.end.line;
+            }
+        }
+        
+        function writeComments(taken, depth) {
+            taken.forEach(comment => {
+                comment.value.split('\n').forEach((commentLine, index) => {
+                    writeLine(index === 0 ? commentLine : commentLine.replace(/^\s*/, ' '), depth, index === 0 ? comment.location : null);
+                });
+                lastLine = comment.location.end.line;
+            });
+        }
+        
+        // Append a comment that sits at the end of the statement's last line,
+        // unless another statement comes before it on that line
+        function writeTrailingComment(location, nextOffset = Infinity) {
+            const comment = comments[0];
+            if (comment && comment.kind === 'line' && comment.location.start.line === location.end.line &&
+                comment.location.start.offset < nextOffset) {
+                comments.shift();
+                lines[lines.length - 1] += ' ' + comment.value;
+            }
+        }
+        
+        // Subgraphs used as edge operands are written inline: { a b }
+        function formatInlineSubgraph(subgraph) {
+            const stmts = subgraph.children.map(formatInlineStmt).join('; ');
+            const head = subgraph.id ? `subgraph ${quoteId(subgraph.id)} ` : '';
+            return stmts ? `${head}{ ${stmts} }` : `${head}{}`;
+        }
+        
+        function formatInlineStmt(stmt) {
+            switch (stmt.type) {
+                case 'node_stmt':
+                    return [formatNodeId(stmt.node_id), formatAttrList(stmt.attr_list)].filter(Boolean).join(' ');
+                case 'edge_stmt':
+                    return formatEdgeStmt(stmt);
+                case 'attr_stmt':
+                    return `${stmt.target} ${formatAttrList(stmt.attr_list)}`;
+                case 'attr':
+                    return `${quoteId(stmt.id)}=${quoteId(stmt.eq, stmt.html)}`;
+                case 'subgraph':
+                    return formatInlineSubgraph(stmt);
+                default:
+                    return '';
+            }
+        }
+        
+        function formatEdgeStmt(stmt) {
+            const edgeOp = ast.directed ? '->' : '--';
+            const operands = stmt.edge_list.map(operand => {
+                return operand.type === 'subgraph' ? formatInlineSubgraph(operand) : formatNodeId(operand);
+            });
+            return [operands.join(` ${edgeOp} `), formatAttrList(stmt.attr_list)].filter(Boolean).join(' ');
+        }
+        
+        // Where the first statement of a block starts, or its closing brace
+        // when it has none; a comment after that isn't the opening line's
+        function firstStmtOffset(block) {
+            const first = block.children.find(child => child.location);
+            return first ? first.location.start.offset : block.location.end.offset;
+        }
+        
+        // Statements built from a model have no location, and so no comments.
+        // The last statement's comments end at its block's closing brace.
+        function writeStmts(stmts, depth, endOffset = Infinity) {
+            stmts.forEach((stmt, index) => {
+                const location = stmt.location;
+                const next = stmts[index + 1];
+                if (stmt.type === 'subgraph') {
+                    if (location) {
+                        writeComments(takeCommentsBefore(location.start.offset), depth);
+                    }
+                    const head = stmt.id ? `subgraph ${quoteId(stmt.id)} {` : '{';
+                    writeLine(head, depth, location ? { start: location.start, end: location.start } : null);
+                    if (location) {
+                        writeTrailingComment({ end: location.start }, firstStmtOffset(stmt));
+                    }
+                    writeStmts(stmt.children, depth + 1, location ? location.end.offset : Infinity);
+                    if (location) {
+                        writeComments(takeCommentsBefore(location.end.offset), depth + 1);
+                    }
+                    writeLine('}', depth, location ? { start: location.end, end: location.end } : null);
+                } else {
+                    // Comments inside a statement move in front of it
+                    if (location) {
+                        writeComments(takeCommentsBefore(location.end.offset), depth);
+                    }
+                    writeLine(formatInlineStmt(stmt) + ';', depth, location);
+                }
+                if (location) {
+                    writeTrailingComment(location, next && next.location ? next.location.start.offset : endOffset);
+                }
+            });
+        }
+        
+        const header = [
+            ast.strict ? 'strict' : '',
+            ast.directed ? 'digraph' : 'graph',
+            ast.id !== undefined && ast.id !== null ? quoteId(ast.id) : ''
+        ].filter(Boolean).join(' ');
+        
+        if (ast.location) {
+            writeComments(takeCommentsBefore(ast.location.start.offset), 0);
+        }
+        writeLine(`${header} {`, 0, ast.location ? { start: ast.location.start, end: ast.location.start } : null);
+        if (ast.location) {
+            writeTrailingComment({ end: ast.location.start }, firstStmtOffset(ast));
+        }
+        writeStmts(ast.children, 1, ast.location ? ast.location.end.offset : Infinity);
+        if (ast.location) {
+            writeComments(takeCommentsBefore(ast.location.end.offset), 1);
+        }
+        writeLine('}', 0, ast.location ? { start: ast.location.end, end: ast.location.end } : null);
+        if (ast.location) {
+            writeTrailingComment(ast.location);
+        }
+        writeComments(comments.splice(0), 0);
+        
+        return lines.join('\n') + '\n';
+    }
+    
+    /**
+     * Pretty-print DOT source.
+     * 
+     * @param {string} dotSource - The DOT source to format
+     * @param {Object} [options] - Formatting options, see stringify()
+     * @returns {string} The formatted DOT source
+     * @throws {SyntaxError} If the source is not valid DOT, which includes
+     *   anything but comments after the graph; it would be lost otherwise
+     */
+    function formatDotSource(dotSource, options) {
+        return stringify(Parser.parse(dotSource), options);
+    }
+    
+    /**
+     * Build an AST attribute list from an attribute map.
+     * 
+     * @param {Object} attrs - Attribute map
+     * @param {Object} [inherited] - Attributes to leave out when they have the same value
+     * @param {Array} [htmlAttrs] - Keys of the values to write as HTML strings
+     * @returns {Array} Array of attr AST nodes
+     */
+    function attrListFromMap(attrs, inherited = {}, htmlAttrs = []) {
+        return Object.keys(attrs || {})
+            .filter(key => inherited[key] !== attrs[key])
+            .map(key => ({ type: 'attr', id: key, eq: String(attrs[key]), html: htmlAttrs.includes(key) }));
+    }
+    
+    /**
+     * Build a DOT AST from a graph model, so features that change the model
+     * can write it back out with stringify(). Each node is declared in the
+     * innermost subgraph that contains it and mentioned again in other
+     * subgraphs that list it, such as rank=same groups; edges follow at the
+     * top level. Attribute maps in the model already include inherited
+     * defaults, so they are written out in full, with the values listed in
+     * an item's htmlAttrs as HTML strings.
+     * 
+     * @param {Object} model - Model from Parser.parseDotSource()
+     * @returns {Object} Graph AST
+     */
+    function modelToAst(model) {
+        const graph = model.graph || { id: 'G', directed: true, strict: false, attrs: {} };
+        const subgraphs = model.subgraphs || [];
+        const subgraphMap = new Map(subgraphs.map(subgraph => [subgraph.id, subgraph]));
+        
+        const isDescendant = (subgraphId, ancestorId) => {
+            let current = subgraphMap.get(subgraphId);
+            while (current && current.parent) {
+                if (current.parent === ancestorId) return true;
+                current = subgraphMap.get(current.parent);
+            }
+            return false;
+        };
+        
+        // Find the innermost subgraph for every node
+        const home = new Map();
+        subgraphs.forEach(subgraph => {
+            subgraph.nodes.forEach(nodeId => {
+                if (!home.has(nodeId) || isDescendant(subgraph.id, home.get(nodeId))) {
+                    home.set(nodeId, subgraph.id);
+                }
+            });
+        });
+        
+        // Create subgraph AST nodes, keeping the tree
+        const subgraphAsts = new Map();
+        subgraphs.forEach(subgraph => {
+            const parent = subgraphMap.get(subgraph.parent);
+            const inherited = parent ? parent.attrs : graph.attrs;
+            subgraphAsts.set(subgraph.id, {
+                type: 'subgraph',
+                // Anonymous subgraphs stay anonymous
+                id: subgraph.id.startsWith('%') ? undefined : subgraph.id,
+                children: attrListFromMap(subgraph.attrs, inherited, subgraph.htmlAttrs)
+            });
+        });
+        
+        const root = [];
+        if (Object.keys(graph.attrs || {}).length > 0) {
+            root.push({ type: 'attr_stmt', target: 'graph', attr_list: attrListFromMap(graph.attrs, {}, graph.htmlAttrs) });
+        }
+        
+        subgraphs.forEach(subgraph => {
+            const container = subgraph.parent ? subgraphAsts.get(subgraph.parent).children : root;
+            container.push(subgraphAsts.get(subgraph.id));
+        });
+        
+        model.nodes.forEach(node => {
+            const stmt = {
+                type: 'node_stmt',
+                node_id: { type: 'node_id', id: node.id },
+                attr_list: attrListFromMap(node.attrs, {}, node.htmlAttrs)
+            };
+            const container = home.has(node.id) ? subgraphAsts.get(home.get(node.id)).children : root;
+            container.push(stmt);
+        });
+        
+        // Subgraphs with attributes of their own, e.g. { rank=same; a; b },
+        // or a name also need the nodes that are declared elsewhere.
+        // Anonymous subgraphs without attributes, such as edge operands,
+        // change nothing.
+        const subgraphNodes = new Map(subgraphs.map(subgraph => [subgraph.id, new Set(subgraph.nodes)]));
+        subgraphs.forEach(subgraph => {
+            const ast = subgraphAsts.get(subgraph.id);
+            if (ast.id === undefined && ast.children.every(child => child.type !== 'attr')) {
+                return;
+            }
+            // Nodes of nested subgraphs are mentioned there
+            subgraph.nodes
+                .filter(nodeId => home.get(nodeId) !== subgraph.id &&
+                    !subgraph.children.some(childId => subgraphNodes.has(childId) && subgraphNodes.get(childId).has(nodeId)))
+                .forEach(nodeId => {
+                    ast.children.push({ type: 'node_stmt', node_id: { type: 'node_id', id: nodeId }, attr_list: [] });
+                });
+        });
+        
+        // Anonymous subgraphs left empty (edge operands whose nodes live
+        // elsewhere) carry no information
+        const prune = children => children.filter(child => {
+            if (child.type !== 'subgraph') return true;
+            child.children = prune(child.children);
+            return child.id !== undefined || child.children.length > 0;
+        });
+        root.splice(0, root.length, ...prune(root));
+        
+        model.edges.forEach(edge => {
+            const endpoint = (id, port) => {
+                const nodeId = { type: 'node_id', id };
+                if (port) {
+                    const [name, compass] = port.split(':');
+                    nodeId.port = name;
+                    if (compass !== undefined) nodeId.compass = compass;
+                }
+                return nodeId;
+            };
+            root.push({
+                type: 'edge_stmt',
+                edge_list: [endpoint(edge.source, edge.sourcePort), endpoint(edge.target, edge.targetPort)],
+                attr_list: attrListFromMap(edge.attrs, {}, edge.htmlAttrs)
+            });
+        });
+        
+        return {
+            type: 'graph',
+            id: graph.id,
+            strict: graph.strict,
+            directed: graph.directed,
+            children: root
+        };
+    }
+    
+    /**
+     * Write a graph model as DOT source.
+     * 
+     * @param {Object} model - Model from Parser.parseDotSource()
+     * @param {Object} [options] - Formatting options, see stringify()
+     * @returns {string} DOT source
+     */
+    function fromModel(model, options = {}) {
+        return stringify(modelToAst(model), options);
+    }
+    
+    // Public API
+    return {
+        quoteId,
+        stringify,
+        formatDotSource,
+        modelToAst,
+        fromModel
+    };
+})();
+
+// Export for Node-based tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Serializer;
+}
@@ -0,0 +1,270 @@
+/**
+ * Transform module: rewrites a graph model for display without touching
+ * the DOT source the user edits, e.g. collapsing clusters into single nodes.
+ */
+const Transform = (function() {
+    // Class given to the nodes standing in for collapsed clusters; Graphviz
+    // copies it onto the SVG element
+    const PLACEHOLDER_CLASS = 'collapsed-cluster';
+    
+    /**
+     * Collect the IDs of a subgraph and every subgraph nested inside it.
+     * 
+     * @param {Array} subgraphs - Subgraphs of the model
+     * @param {string} subgraphId - ID of the outermost subgraph
+     * @returns {Set} Subgraph IDs, including subgraphId itself
+     */
+    function collectDescendants(subgraphs, subgraphId) {
+        const descendants = new Set([subgraphId]);
+        // Parents are listed before their children
+        subgraphs.forEach(subgraph => {
+            if (descendants.has(subgraph.parent)) {
+                descendants.add(subgraph.id);
+            }
+        });
+        return descendants;
+    }
+    
+    /**
+     * Collapse clusters of a model into single placeholder nodes. Edges to
+     * and from the cluster's nodes are rerouted to the placeholder and edges
+     * inside it are dropped. Parallel edges that rerouting creates are merged
+     * into one when they look exactly the same; edges that differ stay apart.
+     * A cluster nested in another collapsed cluster disappears with it.
+     * 
+     * @param {Object} model - Model from Parser.buildModel()
+     * @param {Array} clusterIds - IDs of the clusters to collapse; unknown IDs are ignored
+     * @returns {Object} Result { model, placeholders } with placeholders mapping placeholder node IDs to cluster IDs
+     */
+    function collapseModel(model, clusterIds) {
+        const subgraphMap = new Map(model.subgraphs.map(subgraph => [subgraph.id, subgraph]));
+        const requested = new Set(clusterIds.filter(id => subgraphMap.has(id) && subgraphMap.get(id).isCluster));
+        
+        // Only the outermost collapsed clusters matter
+        const hasCollapsedAncestor = subgraph => {
+            let parent = subgraphMap.get(subgraph.parent);
+            while (parent) {
+                if (requested.has(parent.id)) return true;
+                parent = subgraphMap.get(parent.parent);
+            }
+            return false;
+        };
+        const collapsed = model.subgraphs.filter(subgraph => requested.has(subgraph.id) && !hasCollapsedAncestor(subgraph));
+        
+        const placeholders = new Map();
+        if (collapsed.length === 0) {
+            return { model, placeholders };
+        }
+        
+        const nodeIds = new Set(model.nodes.map(node => node.id));
+        const removedSubgraphs = new Set();
+        const replacement = new Map(); // Node ID -> placeholder ID
+        const placeholderNodes = new Map(); // Cluster ID -> placeholder node
+        
+        collapsed.forEach(cluster => {
+            const descendants = collectDescendants(model.subgraphs, cluster.id);
+            descendants.forEach(id => removedSubgraphs.add(id));
+            
+            // The placeholder is named after the cluster unless a node already is
+            let placeholderId = cluster.id;
+            for (let suffix = 2; nodeIds.has(placeholderId); suffix++) {
+                placeholderId = `${cluster.id}_${suffix}`;
+            }
+            nodeIds.add(placeholderId);
+            placeholders.set(placeholderId, cluster.id);
+            
+            // Nodes drawn inside the cluster, by their innermost cluster
+            const members = model.nodes.filter(node => node.cluster && descendants.has(node.cluster));
+            members.forEach(node => replacement.set(node.id, placeholderId));
+            
+            const name = cluster.label || cluster.id.replace(/^cluster_?/, '') || cluster.id;
+            const count = members.length === 1 ? '1 node' : `${members.length} nodes`;
+            placeholderNodes.set(cluster.id, {
+                id: placeholderId,
+                attrs: {
+                    label: `${name}\\n(${count})`,
+                    shape: 'box3d',
+                    style: 'filled',
+                    fillcolor: cluster.attrs.fillcolor || cluster.attrs.bgcolor || '#f0f0f0',
+                    tooltip: 'Double-click to expand',
+                    class: PLACEHOLDER_CLASS
+                },
+                cluster: null
+            });
+        });
+        
+        // Placeholders go where their cluster was, next to its siblings
+        const nodes = [];
+        const placed = new Set();
+        model.nodes.forEach(node => {
+            if (!replacement.has(node.id)) {
+                nodes.push(node);
+                return;
+            }
+            const placeholderId = replacement.get(node.id);
+            if (!placed.has(placeholderId)) {
+                placed.add(placeholderId);
+                nodes.push(placeholderNodes.get(placeholders.get(placeholderId)));
+            }
+        });
+        // Clusters without nodes of their own still get a placeholder
+        collapsed.forEach(cluster => {
+            const placeholder = placeholderNodes.get(cluster.id);
+            if (!placed.has(placeholder.id)) {
+                nodes.push(placeholder);
+            }
+        });
+        
+        const subgraphs = model.subgraphs
+            .filter(subgraph => !removedSubgraphs.has(subgraph.id))
+            .map(subgraph => {
+                const kept = subgraph.nodes.filter(nodeId => !replacement.has(nodeId));
+                const added = collapsed
+                    .filter(cluster => collectDescendants(model.subgraphs, subgraph.id).has(cluster.id))
+                    .map(cluster => placeholderNodes.get(cluster.id).id);
+                return Object.assign({}, subgraph, {
+                    children: subgraph.children.filter(id => !removedSubgraphs.has(id)),
+                    nodes: kept.concat(added)
+                });
+            });
+        
+        // Reroute edges, merging those that now join the same two nodes and
+        // look the same
+        const directed = model.graph ? model.graph.directed : true;
+        const edges = [];
+        const rerouted = new Set();
+        const titleCounts = new Map();
+        model.edges.forEach(edge => {
+            if (!replacement.has(edge.source) && !replacement.has(edge.target)) {
+                edges.push(edge);
+                return;
+            }
+            const source = replacement.get(edge.source) || edge.source;
+            const target = replacement.get(edge.target) || edge.target;
+            if (source === target) {
+                return;
+            }
+            
+            const moved = Object.assign({}, edge, {
+                source,
+                target,
+                // Ports belong to the original node's shape
+                sourcePort: replacement.has(edge.source) ? null : edge.sourcePort,
+                targetPort: replacement.has(edge.target) ? null : edge.targetPort
+            });
+            const ends = [`${source}:${moved.sourcePort}`, `${target}:${moved.targetPort}`];
+            if (!directed) {
+                ends.sort();
+            }
+            const attrs = Object.keys(edge.attrs).sort()
+                .map(key => [key, edge.attrs[key], Parser.isHtmlAttr(edge, key)]);
+            const key = JSON.stringify([ends, attrs]);
+            if (rerouted.has(key)) {
+                return;
+            }
+            rerouted.add(key);
+            
+            // Edges that stay apart are numbered like parallel edges
+            const title = Parser.getEdgeTitle(moved, directed);
+            const count = (titleCounts.get(title) || 0) + 1;
+            titleCounts.set(title, count);
+            moved.id = count === 1 ? title : `${title}#${count}`;
+            edges.push(moved);
+        });
+        
+        return { model: { graph: model.graph, nodes, edges, subgraphs }, placeholders };
+    }
+    
+    /**
+     * Collapse clusters of a DOT source.
+     * 
+     * @param {string} dotSource - DOT source
+     * @param {Array} clusterIds - IDs of the clusters to collapse
+     * @returns {Object} Result { dotSource, placeholders }; the source is returned unchanged when it doesn't parse or nothing is collapsed
+     */
+    function collapseClusters(dotSource, clusterIds) {
+        if (clusterIds.length === 0) {
+            return { dotSource, placeholders: new Map() };
+        }
+        
+        let ast;
+        try {
+            ast = Parser.parse(dotSource);
+        } catch (error) {
+            console.warn("Could not collapse clusters:", error.message);
+            return { dotSource, placeholders: new Map() };
+        }
+        
+        const result = collapseModel(Parser.buildModel(ast), clusterIds);
+        if (result.placeholders.size === 0) {
+            return { dotSource, placeholders: result.placeholders };
+        }
+        
+        return {
+            dotSource: Serializer.fromModel(result.model),
+            placeholders: result.placeholders
+        };
+    }
+    
+    /**
+     * Keep only some nodes and edges of a model, e.g. those a traversal
+     * reached. Subgraphs are kept around the remaining nodes, so they are
+     * still drawn in their clusters, and drop out when they have none left.
+     * Edges are only kept when both of their nodes are.
+     * 
+     * @param {Object} model - Model from Parser.buildModel()
+     * @param {Array} nodeIds - IDs of the nodes to keep
+     * @param {Array} edgeIds - IDs of the edges to keep
+     * @returns {Object} Filtered model
+     */
+    function filterModel(model, nodeIds, edgeIds) {
+        const keptNodes = new Set(nodeIds);
+        const keptEdges = new Set(edgeIds);
+        
+        const nodes = model.nodes.filter(node => keptNodes.has(node.id));
+        const edges = model.edges.filter(edge =>
+            keptEdges.has(edge.id) && keptNodes.has(edge.source) && keptNodes.has(edge.target));
+        
+        const subgraphs = model.subgraphs
+            .map(subgraph => Object.assign({}, subgraph, {
+                nodes: subgraph.nodes.filter(nodeId => keptNodes.has(nodeId))
+            }))
+            .filter(subgraph => subgraph.nodes.length > 0);
+        const subgraphIds = new Set(subgraphs.map(subgraph => subgraph.id));
+        subgraphs.forEach(subgraph => {
+            subgraph.children = subgraph.children.filter(id => subgraphIds.has(id));
+        });
+        
+        return { graph: model.graph, nodes, edges, subgraphs };
+    }
+    
+    /**
+     * Keep only some nodes and edges of a DOT source. The graph, cluster and
+     * default attributes carry over, so the result looks the same, only
+     * laid out afresh.
+     * 
+     * @param {string} dotSource - DOT source
+     * @param {Array} nodeIds - IDs of the nodes to keep
+     * @param {Array} edgeIds - IDs of the edges to keep, as given by Parser.buildModel()
+     * @returns {string} DOT source of the remaining graph
+     * @throws {SyntaxError} If the source is not valid DOT
+     */
+    function filterSource(dotSource, nodeIds, edgeIds) {
+        const model = filterModel(Parser.buildModel(Parser.parse(dotSource)), nodeIds, edgeIds);
+        return Serializer.fromModel(model);
+    }
+    
+    // Public API
+    return {
+        PLACEHOLDER_CLASS,
+        collapseModel,
+        collapseClusters,
+        filterModel,
+        filterSource
+    };
+})();
+
+// Export for Node-based tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Transform;
+}
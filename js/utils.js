@@ -42,35 +42,86 @@ const Utils = (function() {
     }
     
     /**
-     * Updates the URL with compressed graph data.
+     * Reads the IDs of the clusters shown collapsed from URL parameters.
+     * 
+     * @returns {Array} Cluster IDs, empty if none are collapsed
+     */
+    function loadCollapsedClustersFromUrl() {
+        const urlParams = new URLSearchParams(window.location.search);
+        return urlParams.getAll('collapsed').filter(Boolean);
+    }
+    
+    /**
+     * Builds the URL carrying a graph and its collapsed clusters.
      * 
      * @param {string} graphData - The DOT source to encode in the URL
+     * @param {Array} collapsedClusters - IDs of the clusters shown collapsed
+     * @returns {string} The URL
      */
-    function updateUrlWithGraph(graphData) {
+    function buildGraphUrl(graphData, collapsedClusters) {
         // Use LZ-based compression to reduce URL size
         const compressedGraph = LZString.compressToEncodedURIComponent(graphData);
+        const collapsedParams = collapsedClusters
+            .map(clusterId => '&collapsed=' + encodeURIComponent(clusterId))
+            .join('');
         
-        // Create URL with compressed data
-        const newUrl = window.location.origin + 
-                      window.location.pathname + 
-                      '?c=' + compressedGraph;
+        return window.location.origin + 
+               window.location.pathname + 
+               '?c=' + compressedGraph + collapsedParams;
+    }
+    
+    /**
+     * Updates the URL with compressed graph data.
+     * 
+     * @param {string} graphData - The DOT source to encode in the URL
+     * @param {Array} [collapsedClusters] - IDs of the clusters shown collapsed
+     */
+    function updateUrlWithGraph(graphData, collapsedClusters = []) {
+        const newUrl = buildGraphUrl(graphData, collapsedClusters);
         
         // Update URL without reloading the page
         window.history.pushState({ graph: graphData }, '', newUrl);
     }
     
+    /**
+     * Reads the DOT source out of a share link, e.g. one pasted to compare
+     * against the current graph.
+     * 
+     * @param {string} text - Text that may be a share link
+     * @returns {string|null} The DOT source, or null if the text isn't a share link
+     */
+    function getDotSourceFromShareUrl(text) {
+        let url;
+        try {
+            url = new URL(text.trim());
+        } catch (e) {
+            return null;
+        }
+        
+        const compressedDot = url.searchParams.get('c');
+        if (compressedDot) {
+            try {
+                return LZString.decompressFromEncodedURIComponent(compressedDot) || null;
+            } catch (e) {
+                console.error("Error decompressing graph from share link:", e);
+                return null;
+            }
+        }
+        
+        // Legacy links carry the source uncompressed
+        return url.searchParams.get('graph');
+    }
+    
     /**
      * Creates a shareable URL for the current graph and copies it to clipboard.
      * 
      * @param {string} dotSource - The current DOT source
      * @param {Element} button - The button element that was clicked
+     * @param {Array} [collapsedClusters] - IDs of the clusters shown collapsed
      */
-    function shareGraph(dotSource, button) {
+    function shareGraph(dotSource, button, collapsedClusters = []) {
         // Create shareable URL with current graph
-        const compressedGraph = LZString.compressToEncodedURIComponent(dotSource);
-        const shareableUrl = window.location.origin + 
-                            window.location.pathname + 
-                            '?c=' + compressedGraph;
+        const shareableUrl = buildGraphUrl(dotSource, collapsedClusters);
         
         // Copy to clipboard
         navigator.clipboard.writeText(shareableUrl)
@@ -87,11 +138,156 @@ const Utils = (function() {
                 alert('Failed to copy URL. Please copy it manually: ' + shareableUrl);
             });
     }
-
+    
+    /**
+     * Offer a file for download.
+     * 
+     * @param {Blob} blob - File contents
+     * @param {string} filename - Suggested file name
+     */
+    function downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Give the download a moment to start before releasing the data
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    /**
+     * Read files the user picked as text. Files from a folder upload are
+     * named by their path, starting with the folder's name.
+     * 
+     * @param {FileList|Array} fileList - Picked files
+     * @param {Function} [accept] - Called with each file's name; files it rejects aren't read
+     * @returns {Promise<Array>} Files { name, text }
+     */
+    function readFiles(fileList, accept = () => true) {
+        const files = Array.from(fileList)
+            .map(file => ({ file, name: file.webkitRelativePath || file.name }))
+            .filter(({ name }) => accept(name));
+        return Promise.all(files.map(({ file, name }) => file.text().then(text => ({ name, text }))));
+    }
+    
+    /**
+     * Read files dropped on the page as text, walking into dropped folders
+     * with the browser's file system entries API. Files found in folders are
+     * named by their path, starting with the dropped folder's name; the
+     * filters only apply to those.
+     * 
+     * @param {DataTransfer} dataTransfer - Data of the drop event; read it before the handler returns
+     * @param {Object} [filters] - Filters for what is inside dropped folders
+     * @param {Function} [filters.acceptFile] - Called with a file's path; files it rejects aren't read
+     * @param {Function} [filters.acceptFolder] - Called with a folder's path; folders it rejects aren't walked
+     * @returns {Promise<Array>} Files { name, text }
+     */
+    function readDroppedFiles(dataTransfer, filters = {}) {
+        const acceptFile = filters.acceptFile || (() => true);
+        const acceptFolder = filters.acceptFolder || (() => true);
+        // Entries are only available while the drop event is handled
+        const entries = Array.from(dataTransfer.items || [])
+            .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+            .filter(Boolean);
+        if (entries.length === 0) {
+            return readFiles(dataTransfer.files);
+        }
+        
+        const files = [];
+        const readEntry = (entry, inFolder) => {
+            const path = entry.fullPath.replace(/^\//, '');
+            if (entry.isFile) {
+                if (inFolder && !acceptFile(path)) {
+                    return Promise.resolve();
+                }
+                return new Promise((resolve, reject) => entry.file(resolve, reject))
+                    .then(file => file.text())
+                    .then(text => {
+                        files.push({ name: path, text });
+                    });
+            }
+            if (inFolder && !acceptFolder(path)) {
+                return Promise.resolve();
+            }
+            // readEntries() hands out a folder's entries in batches until none are left
+            const reader = entry.createReader();
+            const readBatch = () => new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+                .then(batch => batch.length === 0 ? null : Promise.all(batch.map(child => readEntry(child, true))).then(readBatch));
+            return readBatch();
+        };
+        return Promise.all(entries.map(entry => readEntry(entry, false))).then(() => files);
+    }
+    
+    /**
+     * Scores how well a search query fuzzily matches a piece of text. The
+     * query's characters must appear in the text in order; runs of
+     * consecutive characters, matches at the start of words and substring
+     * matches score higher, as do shorter texts.
+     * 
+     * @param {string} query - Search query; whitespace is ignored
+     * @param {string} text - Text to match against
+     * @returns {number|null} Score, higher is better, or null if the text doesn't match
+     */
+    function fuzzyScore(query, text) {
+        const needle = query.toLowerCase().replace(/\s+/g, '');
+        const haystack = String(text).toLowerCase();
+        
+        if (!needle) {
+            return 0;
+        }
+        if (haystack === needle) {
+            return 1000;
+        }
+        
+        let score = 0;
+        let position = 0;
+        let previous = -2;
+        for (const char of needle) {
+            const found = haystack.indexOf(char, position);
+            if (found < 0) {
+                return null;
+            }
+            
+            const before = text[found - 1];
+            const isWordStart = found === 0 || /[^a-z0-9]/i.test(before) ||
+                (/[a-z]/.test(before) && /[A-Z]/.test(text[found]));
+            
+            score += 1;
+            if (found === previous + 1) score += 5;
+            if (isWordStart) score += 8;
+            score -= 2 * Math.min(found - position, 5);
+            
+            previous = found;
+            position = found + 1;
+        }
+        
+        const substring = haystack.indexOf(needle);
+        if (substring === 0) {
+            score += 30;
+        } else if (substring > 0) {
+            score += 20;
+        }
+        
+        return score - (haystack.length - needle.length) * 0.1;
+    }
+    
     // Public API
     return {
         loadGraphFromUrl,
+        loadCollapsedClustersFromUrl,
         updateUrlWithGraph,
-        shareGraph
+        shareGraph,
+        getDotSourceFromShareUrl,
+        downloadBlob,
+        readFiles,
+        readDroppedFiles,
+        fuzzyScore
     };
-})(); 
\ No newline at end of file
+})();
+
+// Export for Node-based tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Utils;
+}
@@ -0,0 +1,112 @@
+/**
+ * Tests for the Analysis module.
+ */
+
+describe('Analysis Module', () => {
+    const modelOf = dotSource => Parser.parseDotSource(dotSource);
+    
+    describe('findStronglyConnectedComponents', () => {
+        test('should group nodes that can reach each other', () => {
+            const { nodes, edges } = modelOf('digraph { a -> b -> c -> a; c -> d -> e -> d }');
+            const components = Analysis.findStronglyConnectedComponents(nodes, edges)
+                .map(component => [...component].sort().join(''));
+            
+            expect(components.sort()).toEqual(['abc', 'de']);
+        });
+        
+        test('should give one component per node in an acyclic graph', () => {
+            const { nodes, edges } = modelOf('digraph { a -> b -> c; a -> c }');
+            expect(Analysis.findStronglyConnectedComponents(nodes, edges)).toHaveLength(3);
+        });
+    });
+    
+    describe('findCycles', () => {
+        test('should find every elementary cycle, shortest first', () => {
+            const { nodes, edges } = modelOf('digraph { 1 -> 2 -> 3 -> 1; 1 -> 3; 3 -> 2; 2 -> 1 }');
+            const cycles = Analysis.findCycles(nodes, edges).map(cycle => cycle.nodes.join(''));
+            
+            expect(cycles).toHaveLength(5);
+            expect(cycles.slice(0, 3).sort()).toEqual(['12', '13', '23']);
+            expect(cycles.slice(3).sort()).toEqual(['123', '132']);
+        });
+        
+        test('should include self-loops and parallel edges', () => {
+            const { nodes, edges } = modelOf('digraph { a -> a; a -> b; a -> b; b -> a }');
+            const cycles = Analysis.findCycles(nodes, edges);
+            
+            expect(cycles).toEqual([
+                { nodes: ['a'], edges: ['a->a'] },
+                { nodes: ['a', 'b'], edges: ['a->b', 'a->b#2', 'b->a'] }
+            ]);
+        });
+        
+        test('should find no cycles in an acyclic graph', () => {
+            const { nodes, edges } = modelOf('digraph { a -> b -> c; a -> c }');
+            expect(Analysis.findCycles(nodes, edges)).toEqual([]);
+        });
+        
+        test('should stop after the maximum number of cycles', () => {
+            const { nodes, edges } = modelOf('digraph { 1 -> 2 -> 3 -> 1; 1 -> 3; 3 -> 2; 2 -> 1 }');
+            expect(Analysis.findCycles(nodes, edges, 2)).toHaveLength(2);
+        });
+    });
+    
+    describe('analyzeCycles', () => {
+        test('should report only components that contain a cycle', () => {
+            const { nodes, edges } = modelOf('digraph { a -> b -> a; b -> c; d -> d }');
+            const result = Analysis.analyzeCycles(nodes, edges, true);
+            
+            expect(result.components.map(component => [...component].sort().join('')).sort()).toEqual(['ab', 'd']);
+            expect(result.cycles).toHaveLength(2);
+            expect(result.truncated).toBe(false);
+        });
+        
+        test('should not report cycles for undirected graphs', () => {
+            const { nodes, edges } = modelOf('graph { a -- b -- c -- a }');
+            expect(Analysis.analyzeCycles(nodes, edges, false).cycles).toEqual([]);
+        });
+    });
+    
+    describe('findNewCycles', () => {
+        test('should recognise existing cycles regardless of node order', () => {
+            const before = modelOf('digraph { a -> b -> c -> a }');
+            const after = modelOf('digraph { c -> a -> b -> c; c -> d -> c }');
+            const newCycles = Analysis.findNewCycles(
+                Analysis.findCycles(before.nodes, before.edges),
+                Analysis.findCycles(after.nodes, after.edges)
+            );
+            
+            expect(newCycles.map(cycle => [...cycle.nodes].sort().join(''))).toEqual(['cd']);
+        });
+    });
+    
+    describe('computeNodeMetrics', () => {
+        test('should compute degrees, reachability and betweenness', () => {
+            const { nodes, edges } = modelOf('digraph { a -> b -> c; a -> b; d -> b }');
+            const metrics = Analysis.computeNodeMetrics(nodes, edges, true);
+            
+            expect(metrics).toEqual([
+                { id: 'a', inDegree: 0, outDegree: 2, downstream: 2, upstream: 0, betweenness: 0 },
+                { id: 'b', inDegree: 3, outDegree: 1, downstream: 1, upstream: 2, betweenness: 2 },
+                { id: 'c', inDegree: 1, outDegree: 0, downstream: 0, upstream: 3, betweenness: 0 },
+                { id: 'd', inDegree: 0, outDegree: 1, downstream: 2, upstream: 0, betweenness: 0 }
+            ]);
+        });
+        
+        test('should split betweenness between equally short paths', () => {
+            const { nodes, edges } = modelOf('digraph { a -> b -> d; a -> c -> d }');
+            const metrics = Analysis.computeNodeMetrics(nodes, edges, true);
+            const betweenness = Object.fromEntries(metrics.map(m => [m.id, m.betweenness]));
+            
+            expect(betweenness).toEqual({ a: 0, b: 0.5, c: 0.5, d: 0 });
+        });
+        
+        test('should treat undirected edges as going both ways', () => {
+            const { nodes, edges } = modelOf('graph { a -- b -- c -- d }');
+            const metrics = Analysis.computeNodeMetrics(nodes, edges, false);
+            
+            expect(metrics[1]).toEqual({ id: 'b', inDegree: 2, outDegree: 2, downstream: 3, upstream: 3, betweenness: 2 });
+            expect(metrics[0].betweenness).toBe(0);
+        });
+    });
+});
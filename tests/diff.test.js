@@ -0,0 +1,101 @@
+/**
+ * Tests for the Diff module.
+ */
+
+describe('Diff Module', () => {
+    const before = `
+        digraph G {
+            subgraph cluster_old { label="Old"; x }
+            a [color=red];
+            a -> b; b -> c; c -> x;
+        }
+    `;
+    const after = `
+        digraph G {
+            rankdir=LR;
+            subgraph cluster_new { b }
+            a [color=blue];
+            a -> b; b -> d [label="new"];
+        }
+    `;
+    
+    describe('compareAttrs', () => {
+        test('should list added, removed and changed attributes by name', () => {
+            expect(Diff.compareAttrs({ a: '1', b: '2', c: '3' }, { c: '3', b: '4', d: '5' })).toEqual([
+                { name: 'a', before: '1', after: undefined },
+                { name: 'b', before: '2', after: '4' },
+                { name: 'd', before: undefined, after: '5' }
+            ]);
+        });
+    });
+    
+    describe('compareModels', () => {
+        const changes = Diff.compareModels(Parser.parseDotSource(before), Parser.parseDotSource(after));
+        const summary = changes.map(change => `${change.kind} ${change.id} ${change.status}`);
+        
+        test('should find added, removed and changed nodes and edges', () => {
+            expect(summary).toEqual([
+                'graph  changed',
+                'node b changed',
+                'node a changed',
+                'node d added',
+                'node x removed',
+                'node c removed',
+                'edge b->d added',
+                'edge b->c removed',
+                'edge c->x removed'
+            ]);
+        });
+        
+        test('should report attribute and cluster changes', () => {
+            expect(changes[0].attrs).toEqual([{ name: 'rankdir', before: undefined, after: 'LR' }]);
+            expect(changes[1].attrs).toEqual([{ name: 'cluster', before: undefined, after: 'cluster_new' }]);
+            expect(changes[2].attrs).toEqual([{ name: 'color', before: 'red', after: 'blue' }]);
+        });
+        
+        test('should match parallel edges in order', () => {
+            const result = Diff.compareModels(
+                Parser.parseDotSource('digraph { a -> b; a -> b [color=red] }'),
+                Parser.parseDotSource('digraph { a -> b }'));
+            expect(result).toEqual([{ kind: 'edge', id: 'a->b#2', status: 'removed', attrs: [] }]);
+        });
+        
+        test('should find no changes between equivalent sources', () => {
+            expect(Diff.compareModels(
+                Parser.parseDotSource('digraph { a -> b [label=x] }'),
+                Parser.parseDotSource('digraph {\n  a;\n  a -> b [label="x"];\n}'))).toEqual([]);
+        });
+    });
+    
+    describe('compareSources', () => {
+        test('should combine both versions and mark the changes with classes', () => {
+            const { dotSource } = Diff.compareSources(before, after);
+            const merged = Parser.parseDotSource(dotSource);
+            const classOf = items => Object.fromEntries(items.map(item => [item.id, item.attrs.class]));
+            
+            expect(classOf(merged.nodes)).toEqual({
+                a: 'diff-changed', b: 'diff-changed', d: 'diff-added', x: 'diff-removed', c: 'diff-removed'
+            });
+            expect(classOf(merged.edges)).toEqual({
+                'a->b': undefined, 'b->d': 'diff-added', 'b->c': 'diff-removed', 'c->x': 'diff-removed'
+            });
+        });
+        
+        test('should bring back removed clusters around removed nodes', () => {
+            const merged = Parser.parseDotSource(Diff.compareSources(before, after).dotSource);
+            const oldCluster = merged.subgraphs.find(subgraph => subgraph.id === 'cluster_old');
+            
+            expect(oldCluster).toMatchObject({ label: 'Old', nodes: ['x'] });
+            expect(oldCluster.attrs.class).toBe('diff-removed');
+        });
+        
+        test('should keep existing classes and HTML labels', () => {
+            const { dotSource } = Diff.compareSources('digraph { a [class=x] }', 'digraph { a [class=x, label=<<b>A</b>>] }');
+            expect(dotSource).toContain('a [label=<<b>A</b>>, class="x diff-changed"];');
+        });
+        
+        test('should throw on invalid source', () => {
+            expect(() => Diff.compareSources('digraph { a -> }', after)).toThrow(SyntaxError);
+        });
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for the Exporters module.
+ */
+
+describe('Exporters Module', () => {
+    const source = `
+        digraph G {
+            rankdir=LR;
+            subgraph cluster_backend {
+                label="Back end";
+                api [label="API\\nv2", tooltip="Public API", shape=box];
+                db [shape=cylinder];
+            }
+            web [label=<<b>Web</b> app>];
+            end;
+            web -> api [label="calls, \\"often\\""];
+            api -> db [style=dashed];
+            end -> web;
+        }
+    `;
+    
+    describe('toJson', () => {
+        test('should include labels, tooltips and clusters', () => {
+            const data = JSON.parse(Exporters.exportSource(source, 'json'));
+            
+            expect(data.directed).toBe(true);
+            expect(data.nodes.find(node => node.id === 'api')).toMatchObject({
+                label: 'API\nv2',
+                tooltip: 'Public API',
+                cluster: 'cluster_backend'
+            });
+            expect(data.nodes.find(node => node.id === 'web').label).toBe('Web app');
+            expect(data.edges[0]).toMatchObject({ source: 'web', target: 'api', label: 'calls, "often"' });
+            expect(data.clusters).toEqual([
+                { id: 'cluster_backend', label: 'Back end', parent: null, nodes: ['api', 'db'] }
+            ]);
+        });
+    });
+    
+    describe('toGraphml', () => {
+        test('should nest cluster members in a group node', () => {
+            const graphml = Exporters.exportSource(source, 'graphml');
+            const doc = new DOMParser().parseFromString(graphml, 'application/xml');
+            
+            expect(doc.getElementsByTagName('parsererror')).toHaveLength(0);
+            const group = Array.from(doc.getElementsByTagName('node')).find(node => node.getAttribute('id') === 'cluster_backend');
+            const members = Array.from(group.getElementsByTagName('node')).map(node => node.getAttribute('id'));
+            expect(members).toEqual(['api', 'db']);
+            expect(doc.getElementsByTagName('graph')[0].getAttribute('edgedefault')).toBe('directed');
+        });
+        
+        test('should escape labels and write tooltips', () => {
+            const graphml = Exporters.exportSource(source, 'graphml');
+            
+            expect(graphml).toContain('<data key="edge_label">calls, &quot;often&quot;</data>');
+            expect(graphml).toContain('<data key="tooltip">Public API</data>');
+        });
+    });
+    
+    describe('toCsv', () => {
+        test('should write one row per edge and quote fields when needed', () => {
+            const lines = Exporters.exportSource(source, 'csv').trim().split('\r\n');
+            
+            expect(lines[0]).toBe('source,target,label,tooltip,source_cluster,target_cluster');
+            expect(lines[1]).toBe('web,api,"calls, ""often""",,,cluster_backend');
+            expect(lines[2]).toBe('api,db,,,cluster_backend,cluster_backend');
+        });
+        
+        test('should list nodes without edges on their own', () => {
+            const csv = Exporters.exportSource('graph { a -- b; c }', 'csv');
+            expect(csv.trim().split('\r\n')).toEqual([
+                'source,target,label,tooltip,source_cluster,target_cluster',
+                'a,b,,,,',
+                'c,,,,,'
+            ]);
+        });
+    });
+    
+    describe('toMermaid', () => {
+        test('should write a flowchart with subgraphs, shapes and edge styles', () => {
+            const mermaid = Exporters.exportSource(source, 'mermaid');
+            
+            expect(mermaid).toBe([
+                'flowchart LR',
+                '    subgraph cluster_backend ["Back end"]',
+                '        api["API<br>v2"]',
+                '        db[("db")]',
+                '    end',
+                '    web("Web app")',
+                '    end_("end")',
+                '    web -->|"calls, #quot;often#quot;"| api',
+                '    api -.-> db',
+                '    end_ --> web',
+                ''
+            ].join('\n'));
+        });
+        
+        test('should make IDs safe and unique', () => {
+            const mermaid = Exporters.exportSource('graph { "a b" -- "a-b" }', 'mermaid');
+            
+            expect(mermaid).toContain('a_b("a b")');
+            expect(mermaid).toContain('a_b_2("a-b")');
+            expect(mermaid).toContain('a_b --- a_b_2');
+        });
+    });
+    
+    describe('exportSource', () => {
+        test('should reject unknown formats', () => {
+            expect(() => Exporters.exportSource('digraph {}', 'xlsx')).toThrow('Unknown export format');
+        });
+        
+        test('should throw on invalid DOT', () => {
+            expect(() => Exporters.exportSource('digraph {', 'json')).toThrow(SyntaxError);
+        });
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests for the ImageExport module.
+ */
+
+describe('ImageExport Module', () => {
+    /**
+     * Build a small SVG like the ones Graphviz renders.
+     * 
+     * @returns {Element} SVG element
+     */
+    function createGraphSvg() {
+        const container = document.createElement('div');
+        container.innerHTML = `
+            <svg width="800" height="600" viewBox="0.00 0.00 200.00 100.00" style="cursor: move">
+                <g id="graph0" class="graph" transform="translate(4 96) scale(2)">
+                    <polygon fill="white" points="-4,4 -4,-96 196,-96 196,4 -4,4"></polygon>
+                    <g id="node1" class="node highlighted"><title>a</title><ellipse></ellipse></g>
+                    <g id="edge1" class="edge faded"><title>a-&gt;b</title><path></path></g>
+                </g>
+            </svg>
+        `;
+        return container.querySelector('svg');
+    }
+    
+    describe('selectCssRules', () => {
+        test('should keep the rules matching an element of the graph', () => {
+            const rules = [
+                { selectorText: '.node.highlighted', cssText: '.node.highlighted { stroke: gold; }' },
+                { selectorText: '.edge.faded path', cssText: '.edge.faded path { opacity: 0.2; }' },
+                { selectorText: '.cycle-node', cssText: '.cycle-node { fill: red; }' },
+                { selectorText: '#metrics-table tr.selected', cssText: '#metrics-table tr.selected { }' },
+                { cssText: '@media print { }' }
+            ];
+            
+            expect(ImageExport.selectCssRules(rules, createGraphSvg()))
+                .toBe('.node.highlighted { stroke: gold; }\n.edge.faded path { opacity: 0.2; }');
+        });
+        
+        test('should skip selectors that cannot be queried', () => {
+            const rules = [{ selectorText: '::-moz-selection', cssText: '::-moz-selection { }' }];
+            expect(ImageExport.selectCssRules(rules, createGraphSvg())).toBe('');
+        });
+    });
+    
+    describe('createSvgDocument', () => {
+        test('should keep the viewBox of the current view', () => {
+            const result = ImageExport.createSvgDocument(createGraphSvg(), { area: 'view', css: '' });
+            
+            expect(result.viewBox).toEqual({ x: 0, y: 0, width: 200, height: 100 });
+            expect(result.svg.getAttribute('viewBox')).toBe('0 0 200 100');
+            expect(result.svg.querySelector('g.graph').getAttribute('transform')).toBe('translate(4 96) scale(2)');
+            expect(result.svg.hasAttribute('style')).toBe(false);
+        });
+        
+        test('should replace the background with a solid color', () => {
+            const { svg } = ImageExport.createSvgDocument(createGraphSvg(), { area: 'view', background: '#000000', css: '' });
+            
+            expect(svg.querySelector('g.graph > polygon')).toBeNull();
+            expect(svg.firstChild.tagName).toBe('rect');
+            expect(svg.firstChild.getAttribute('fill')).toBe('#000000');
+        });
+        
+        test('should drop the background when transparent', () => {
+            const { svg } = ImageExport.createSvgDocument(createGraphSvg(), { area: 'view', background: 'transparent', css: '' });
+            
+            expect(svg.querySelector('g.graph > polygon')).toBeNull();
+            expect(svg.querySelector('rect')).toBeNull();
+        });
+        
+        test('should embed the CSS in a style element', () => {
+            const { svg } = ImageExport.createSvgDocument(createGraphSvg(), { area: 'view', css: '.node { fill: red; }' });
+            
+            expect(svg.firstChild.tagName).toBe('style');
+            expect(svg.firstChild.textContent).toBe('.node { fill: red; }');
+        });
+        
+        test('should leave the rendered graph untouched', () => {
+            const original = createGraphSvg();
+            ImageExport.createSvgDocument(original, { background: 'transparent', css: '' });
+            
+            expect(original.querySelector('g.graph > polygon')).not.toBeNull();
+            expect(original.getAttribute('style')).toBe('cursor: move');
+        });
+    });
+    
+    describe('getPrintableArea', () => {
+        test('should swap the sides for landscape and leave out the margins', () => {
+            expect(ImageExport.getPrintableArea('a4', 'portrait')).toEqual({ name: 'A4', width: 523, height: 770 });
+            expect(ImageExport.getPrintableArea('a4', 'landscape')).toEqual({ name: 'A4', width: 770, height: 523 });
+        });
+        
+        test('should fall back to A4 for unknown sizes', () => {
+            expect(ImageExport.getPrintableArea('tabloid', 'portrait').name).toBe('A4');
+        });
+    });
+    
+    describe('computeTiles', () => {
+        test('should cover the area row by row, cutting the edge tiles', () => {
+            expect(ImageExport.computeTiles(250, 150, 100, 100)).toEqual([
+                { x: 0, y: 0, width: 100, height: 100, row: 0, column: 0 },
+                { x: 100, y: 0, width: 100, height: 100, row: 0, column: 1 },
+                { x: 200, y: 0, width: 50, height: 100, row: 0, column: 2 },
+                { x: 0, y: 100, width: 100, height: 50, row: 1, column: 0 },
+                { x: 100, y: 100, width: 100, height: 50, row: 1, column: 1 },
+                { x: 200, y: 100, width: 50, height: 50, row: 1, column: 2 }
+            ]);
+        });
+        
+        test('should use a single tile when the area fits on a page', () => {
+            expect(ImageExport.computeTiles(80, 60, 100, 100)).toHaveLength(1);
+        });
+    });
+});
@@ -0,0 +1,575 @@
+/**
+ * Tests for the Importers module.
+ */
+
+describe('Importers Module', () => {
+    describe('readMermaid', () => {
+        const read = text => Importers.readMermaid(text);
+        const nodeMap = model => new Map(model.nodes.map(node => [node.id, node]));
+        
+        test('should read nodes, links and the direction', () => {
+            const { model, warnings } = read('flowchart LR\n    A[Start] --> B{Check}; B -->|yes| C\n    B -- no --> A');
+            
+            expect(warnings).toEqual([]);
+            expect(model.graph.attrs.rankdir).toBe('LR');
+            expect(model.nodes.map(node => node.id)).toEqual(['A', 'B', 'C']);
+            expect(nodeMap(model).get('B').attrs).toEqual({ label: 'Check', shape: 'diamond' });
+            expect(model.edges.map(edge => [edge.source, edge.target, edge.attrs.label])).toEqual([
+                ['A', 'B', undefined],
+                ['B', 'C', 'yes'],
+                ['B', 'A', 'no']
+            ]);
+        });
+        
+        test('should map node shapes', () => {
+            const { model } = read('graph TD\n a((a)) --- b[(b)] --- c([c]) --- d{{d}} --- e[/e\\] --- f>f]');
+            const nodes = nodeMap(model);
+            
+            expect(nodes.get('a').attrs.shape).toBe('circle');
+            expect(nodes.get('b').attrs.shape).toBe('cylinder');
+            expect(nodes.get('c').attrs.style).toBe('rounded');
+            expect(nodes.get('d').attrs.shape).toBe('hexagon');
+            expect(nodes.get('e').attrs.shape).toBe('trapezium');
+            expect(nodes.get('f').attrs.shape).toBe('cds');
+        });
+        
+        test('should map link styles, ends and lengths', () => {
+            const { model } = read('flowchart\n a ==> b -.-> c --- d <--> e ---> f --o g\n a & b --> c & d');
+            const attrs = model.edges.map(edge => edge.attrs);
+            
+            expect(attrs[0].style).toBe('bold');
+            expect(attrs[1].style).toBe('dashed');
+            expect(attrs[2].dir).toBe('none');
+            expect(attrs[3]).toEqual({ dir: 'both', arrowtail: 'normal' });
+            expect(attrs[4].minlen).toBe('2');
+            expect(attrs[5].arrowhead).toBe('dot');
+            // "&" links every node on one side to every node on the other
+            expect(model.edges.slice(6).map(edge => `${edge.source}->${edge.target}`))
+                .toEqual(['a->c', 'a->d', 'b->c', 'b->d']);
+        });
+        
+        test('should turn subgraphs into nested clusters', () => {
+            const { model } = read([
+                'flowchart TB',
+                '    subgraph outer [Outer group]',
+                '        a --> b',
+                '        subgraph inner',
+                '            c',
+                '        end',
+                '    end',
+                '    c --> d'
+            ].join('\n'));
+            
+            expect(model.subgraphs.map(subgraph => [subgraph.id, subgraph.parent, subgraph.attrs.label])).toEqual([
+                ['cluster_outer', null, 'Outer group'],
+                ['cluster_inner', 'cluster_outer', 'inner']
+            ]);
+            expect(model.subgraphs[0].nodes).toEqual(['a', 'b', 'c']);
+            expect(nodeMap(model).get('d').cluster).toBeNull();
+        });
+        
+        test('should draw links to a subgraph to its cluster border', () => {
+            const { model } = read('flowchart\n subgraph one\n a\n end\n one --> b');
+            
+            expect(model.nodes.map(node => node.id)).toEqual(['a', 'b']);
+            expect(model.edges[0]).toMatchObject({ source: 'a', target: 'b', attrs: { ltail: 'cluster_one' } });
+            expect(model.graph.attrs.compound).toBe('true');
+        });
+        
+        test('should apply classDef, class and style statements', () => {
+            const { model, warnings } = read([
+                'flowchart',
+                '    a:::hot --> b --> c',
+                '    class b hot',
+                '    classDef hot fill:#f96,stroke:rgb(255, 0, 0),color:#fff',
+                '    style c fill:#eee,stroke-dasharray: 5 5',
+                '    class c missing'
+            ].join('\n'));
+            const nodes = nodeMap(model);
+            
+            expect(nodes.get('a').attrs).toEqual({ fillcolor: '#ff9966', color: '#ff0000', fontcolor: '#ffffff', style: 'filled' });
+            expect(nodes.get('b').attrs.fillcolor).toBe('#ff9966');
+            expect(nodes.get('c').attrs).toEqual({ fillcolor: '#eeeeee', style: 'filled,dashed' });
+            expect(warnings).toEqual(['Class "missing" is used but never defined']);
+        });
+        
+        test('should convert label markup to DOT labels', () => {
+            const { model } = read('flowchart\n a["Line one<br/>#quot;two#quot;"] -->|"a | b"| b');
+            
+            expect(model.nodes[0].attrs.label).toBe('Line one\\n"two"');
+            expect(model.edges[0].attrs.label).toBe('a | b');
+        });
+        
+        test('should skip comments and report statements it cannot read', () => {
+            const { model, warnings } = read('%% A diagram\nflowchart\n a --> b %% trailing\n a -->\n end\n click a callback');
+            
+            expect(model.edges).toHaveLength(1);
+            expect(warnings).toEqual([
+                'Line 4: skipped "a -->": a link has no node at its end',
+                'Line 5: "end" without a subgraph',
+                'Line 6: "click" statements are not imported'
+            ]);
+        });
+        
+        test('should throw on text that is not a flowchart', () => {
+            expect(() => read('sequenceDiagram\n A->>B: hi')).toThrow(SyntaxError);
+        });
+    });
+    
+    describe('CSV edge lists', () => {
+        const csv = 'from,to,label,team\r\napi,db,"reads, writes",backend\r\nweb,api,,frontend\r\nlone,,,\r\n';
+        
+        test('should guess the columns from the header', () => {
+            expect(Importers.FORMATS.csv.fields(csv)).toEqual({
+                fields: ['from', 'to', 'label', 'team'],
+                mapping: { source: 'from', target: 'to', label: 'label', tooltip: '', cluster: '', targetCluster: '' }
+            });
+        });
+        
+        test('should read edges, lone nodes and clusters by the chosen columns', () => {
+            const { model, warnings } = Importers.FORMATS.csv.read(csv, { source: 'from', target: 'to', label: 'label', cluster: 'team' });
+            
+            expect(warnings).toEqual([]);
+            expect(model.nodes.map(node => [node.id, node.cluster])).toEqual([
+                ['api', 'cluster_backend'],
+                ['db', null],
+                ['web', 'cluster_frontend'],
+                ['lone', null]
+            ]);
+            expect(model.edges.map(edge => edge.attrs)).toEqual([{ label: 'reads, writes' }, {}]);
+        });
+        
+        test('should report malformed rows instead of dropping them silently', () => {
+            const { model, warnings } = Importers.FORMATS.csv.read('source;target\na;b\n;c\nd;e;f\ng;"h\n', { source: 'source', target: 'target' });
+            
+            expect(model.edges).toHaveLength(1);
+            expect(warnings).toEqual([
+                'Line 3: the source is empty; the row was skipped',
+                'Line 4: expected 2 fields but found 3; the row was skipped',
+                'Line 5: a quoted field is never closed; the rest of the file was not read'
+            ]);
+        });
+        
+        test('should report nodes given two clusters', () => {
+            const { warnings } = Importers.FORMATS.csv.read('source,target,cluster\na,b,x\na,c,y\n', { source: 'source', target: 'target', cluster: 'cluster' });
+            
+            expect(warnings).toEqual(['Line 3: "a" is already in cluster "x"; "y" is ignored']);
+        });
+    });
+    
+    describe('JSON graphs', () => {
+        const jgf = JSON.stringify({
+            graph: {
+                directed: false,
+                nodes: { a: { label: 'Alpha', metadata: { team: 'core' } }, b: {} },
+                edges: [{ source: 'a', target: 'b', label: 'uses' }, { source: 'a' }, { source: 'b', target: 'c' }]
+            }
+        });
+        
+        test('should list node and edge fields, nested ones by path', () => {
+            const { fields, mapping } = Importers.FORMATS.json.fields(jgf);
+            
+            expect(fields).toEqual(['label', 'metadata.team']);
+            expect(mapping.label).toBe('label');
+        });
+        
+        test('should read JSON Graph Format with the chosen fields and report bad edges', () => {
+            const { model, warnings } = Importers.FORMATS.json.read(jgf, { label: 'label', cluster: 'metadata.team' });
+            
+            expect(model.graph.directed).toBe(false);
+            expect(model.nodes.map(node => [node.id, node.attrs.label, node.cluster])).toEqual([
+                ['a', 'Alpha', 'cluster_core'],
+                ['b', undefined, null],
+                ['c', undefined, null]
+            ]);
+            expect(model.edges[0].attrs.label).toBe('uses');
+            expect(warnings).toEqual([
+                'Edge 2: it needs a "source" and a "target"; it was skipped',
+                'Edge 3: node "c" is not in the node list; it was added'
+            ]);
+        });
+        
+        test('should read D3 links and skip nodes without an ID', () => {
+            const { model, warnings } = Importers.FORMATS.json.read(
+                JSON.stringify({ nodes: [{ id: 1 }, { id: 2 }, { name: 'x' }], links: [{ source: 1, target: 2 }] }), {});
+            
+            expect(model.edges.map(edge => [edge.source, edge.target])).toEqual([['1', '2']]);
+            expect(warnings).toEqual(['Node 3: it has no "id"; it was skipped']);
+        });
+        
+        test('should reject JSON without a graph', () => {
+            expect(() => Importers.FORMATS.json.read('{"a": 1}', {})).toThrow('No graph found');
+            expect(() => Importers.FORMATS.json.read('{', {})).toThrow(SyntaxError);
+        });
+    });
+    
+    describe('GraphML', () => {
+        const yed = `<?xml version="1.0" encoding="UTF-8"?>
+            <graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:y="http://www.yworks.com/xml/graphml">
+              <key for="node" id="d5" attr.name="description" attr.type="string"/>
+              <key for="node" id="d6" yfiles.type="nodegraphics"/>
+              <key for="edge" id="d10" yfiles.type="edgegraphics"/>
+              <graph id="G" edgedefault="directed">
+                <node id="n0">
+                  <data key="d5">Entry point</data>
+                  <data key="d6"><y:ShapeNode><y:NodeLabel>Web</y:NodeLabel></y:ShapeNode></data>
+                </node>
+                <node id="n1" yfiles.foldertype="group">
+                  <data key="d6"><y:ProxyAutoBoundsNode><y:Realizers><y:GroupNode><y:NodeLabel>Back end</y:NodeLabel></y:GroupNode></y:Realizers></y:ProxyAutoBoundsNode></data>
+                  <graph id="n1:" edgedefault="directed">
+                    <node id="n1::n0"><data key="d6"><y:ShapeNode><y:NodeLabel>API</y:NodeLabel></y:ShapeNode></data></node>
+                  </graph>
+                </node>
+                <edge id="e0" source="n0" target="n1::n0">
+                  <data key="d10"><y:PolyLineEdge><y:EdgeLabel>calls</y:EdgeLabel></y:PolyLineEdge></data>
+                </edge>
+                <edge id="e1" source="n0"/>
+              </graph>
+            </graphml>`;
+        
+        test('should offer yEd labels as a field', () => {
+            expect(Importers.FORMATS.graphml.fields(yed)).toEqual({
+                fields: ['description', 'yEd label'],
+                mapping: { label: 'yEd label', tooltip: 'description', cluster: '' }
+            });
+        });
+        
+        test('should read yEd groups as clusters and report bad edges', () => {
+            const { model, warnings } = Importers.FORMATS.graphml.read(yed, { label: 'yEd label', tooltip: 'description' });
+            
+            expect(model.nodes.map(node => [node.id, node.attrs, node.cluster])).toEqual([
+                ['n0', { label: 'Web', tooltip: 'Entry point' }, null],
+                ['n1::n0', { label: 'API' }, 'cluster_n1']
+            ]);
+            expect(model.subgraphs[0].attrs.label).toBe('Back end');
+            expect(model.edges[0].attrs.label).toBe('calls');
+            expect(warnings).toEqual(['Edge 2: it needs a source and a target; it was skipped']);
+        });
+        
+        test('should reject documents that are not GraphML', () => {
+            expect(() => Importers.FORMATS.graphml.read('<svg/>', {})).toThrow('Not a GraphML document');
+            expect(() => Importers.FORMATS.graphml.read('<graphml>', {})).toThrow(SyntaxError);
+        });
+    });
+    
+    describe('npm packages', () => {
+        const file = (name, data) => ({ name, text: JSON.stringify(data) });
+        const edgeMap = model => new Map(model.edges.map(edge => [`${edge.source}->${edge.target}`, edge.attrs]));
+        
+        test('should read workspace manifests into clusters by folder', () => {
+            const { model, warnings } = Importers.FORMATS.npm.readFiles([
+                file('repo/package.json', { name: 'mono', workspaces: ['packages/*'], devDependencies: { jest: '^29.0.0' } }),
+                file('repo/packages/a/package.json', { name: '@m/a', version: '1.0.0', dependencies: { '@m/b': '*' }, peerDependencies: { react: '^18' } }),
+                file('repo/packages/b/package.json', { name: '@m/b', optionalDependencies: { fsevents: '^2' } })
+            ]);
+            const edges = edgeMap(model);
+            
+            expect(warnings).toEqual([]);
+            expect(model.subgraphs.map(subgraph => [subgraph.id, subgraph.attrs.label, subgraph.nodes])).toEqual([
+                ['cluster_packages', 'packages/', ['@m/a', '@m/b']]
+            ]);
+            expect(model.nodes.find(node => node.id === 'mono').attrs.style).toBe('filled,bold');
+            expect(edges.get('mono->jest')).toMatchObject({ label: '^29.0.0', style: 'dashed' });
+            expect(edges.get('@m/a->@m/b')).toEqual({ label: '*', tooltip: 'dependency *' });
+            expect(edges.get('@m/a->react').style).toBe('dotted');
+            expect(edges.get('@m/b->fsevents').color).toBe('darkorange');
+        });
+        
+        test('should mark dependencies required with different ranges', () => {
+            const { model } = Importers.FORMATS.npm.readFiles([
+                file('a/package.json', { name: 'a', dependencies: { lodash: '^4.0.0' } }),
+                file('b/package.json', { name: 'b', dependencies: { lodash: '^3.0.0' } })
+            ]);
+            const lodash = model.nodes.find(node => node.id === 'lodash');
+            
+            expect(lodash.attrs.color).toBe('red');
+            expect(lodash.attrs.tooltip).toBe('lodash is required as ^4.0.0 by a; ^3.0.0 by b');
+        });
+        
+        test('should read a lockfile and mark packages installed in several versions', () => {
+            const { model } = Importers.FORMATS.npm.readFiles([file('package-lock.json', {
+                name: 'app',
+                lockfileVersion: 3,
+                packages: {
+                    '': { name: 'app', dependencies: { lodash: '^4.0.0' }, devDependencies: { jest: '^29.0.0' } },
+                    'node_modules/lodash': { version: '4.17.21' },
+                    'node_modules/jest': { version: '29.7.0', dev: true, dependencies: { lodash: '^3.0.0' } },
+                    'node_modules/jest/node_modules/lodash': { version: '3.10.1', dev: true }
+                }
+            })]);
+            const edges = edgeMap(model);
+            
+            expect(model.nodes.find(node => node.id === 'lodash').attrs).toMatchObject({
+                label: 'lodash\\n4.17.21, 3.10.1',
+                color: 'red'
+            });
+            // Only the project's own dependencies are labelled with their range
+            expect(edges.get('app->lodash').label).toBe('^4.0.0');
+            expect(edges.get('jest->lodash').label).toBeUndefined();
+        });
+        
+        test('should not mark different ranges that a lockfile resolved to one version', () => {
+            const { model } = Importers.FORMATS.npm.readFiles([
+                file('a/package.json', { name: 'a', dependencies: { c: '^2.0.0' } }),
+                file('b/package.json', { name: 'b', dependencies: { c: '^2.1.0' } }),
+                file('package-lock.json', { lockfileVersion: 2, packages: { 'node_modules/c': { version: '2.1.0' } } })
+            ]);
+            
+            expect(model.nodes.find(node => node.id === 'c').attrs.color).toBeUndefined();
+        });
+        
+        test('should skip files that are not JSON and pick the format by file name', () => {
+            const { warnings } = Importers.FORMATS.npm.readFiles([file('package.json', { name: 'a' }), { name: 'bad.json', text: '{' }]);
+            
+            expect(warnings).toHaveLength(1);
+            expect(warnings[0]).toMatch(/^bad\.json: not valid JSON/);
+            expect(Importers.formatForFile('apps/web/package.json')).toBe('npm');
+            expect(() => Importers.importFiles([{ name: 'a.mmd', text: '' }], 'mermaid')).toThrow('one file at a time');
+        });
+    });
+    
+    describe('JavaScript modules', () => {
+        const project = [
+            { name: 'app/src/index.ts', text: "import { api } from './api';\nimport type { User } from './types.js';\nimport React from 'react';\nconst Admin = () => import('./admin/page');" },
+            { name: 'app/src/api.ts', text: "// import old from './old';\nconst axios = require('axios');\nexport * from './admin/util';\nimport './styles.css';" },
+            { name: 'app/src/types.ts', text: "import { z } from '@scope/zod/v4'; import fs from 'node:fs';" },
+            { name: 'app/src/admin/page.tsx', text: "import { api } from '../api'; import missing from './gone';" },
+            { name: 'app/src/admin/util.js', text: "const url = 'http://x'; // require('ignored')\nimport x from '@/lib/x';" },
+            { name: 'app/node_modules/react/index.js', text: '' },
+            { name: 'app/src/global.d.ts', text: "import 'anything';" }
+        ];
+        const edgeMap = model => new Map(model.edges.map(edge => [`${edge.source}->${edge.target}`, edge.attrs]));
+        
+        test('should find static, dynamic and type imports outside comments', () => {
+            expect(Importers.findImports("import a, { b } from 'a';\n/* import c from 'c' */\nexport { d } from \"d\";\nimport type { E } from 'e';\nawait import(`f`);\nconst g = require('g'); x.require('h');\nconst s = '// not a comment'; import 'i';")).toEqual([
+                { specifier: 'a', kind: 'static' },
+                { specifier: 'd', kind: 'static' },
+                { specifier: 'e', kind: 'type' },
+                { specifier: 'f', kind: 'dynamic' },
+                { specifier: 'g', kind: 'static' },
+                { specifier: 'i', kind: 'static' }
+            ]);
+        });
+        
+        test('should not read imports inside strings', () => {
+            const code = "const s = \"import z from './instring'\";\nconst t = `require('./template')`;\nimport a from './a';";
+            
+            expect(Importers.findImports(code)).toEqual([{ specifier: './a', kind: 'static' }]);
+            const { model, warnings } = Importers.FORMATS.modules.readFiles([{ name: 'src/index.js', text: code }, { name: 'src/a.js', text: '' }]);
+            expect(model.nodes.map(node => node.id)).toEqual(['a.js', 'index.js']);
+            expect(warnings).toEqual([]);
+        });
+        
+        test('should not read quotes inside regular expressions as strings', () => {
+            const code = "const re = /'/; import d from \"./d\";\nconst half = total / 2; import e from './e';\nconst r = x.match(/[/\"]/g); require('./f');";
+            
+            expect(Importers.findImports(code)).toEqual([
+                { specifier: './d', kind: 'static' },
+                { specifier: './e', kind: 'static' },
+                { specifier: './f', kind: 'static' }
+            ]);
+        });
+        
+        test('should resolve relative imports into a graph with a cluster per folder', () => {
+            const { model, warnings } = Importers.FORMATS.modules.readFiles(project, { external: 'ignore' });
+            const edges = edgeMap(model);
+            
+            expect(model.subgraphs.map(subgraph => [subgraph.id, subgraph.attrs.label, subgraph.parent])).toEqual([
+                ['cluster_src', 'src/', null],
+                ['cluster_src_admin', 'admin/', 'cluster_src']
+            ]);
+            expect(model.nodes.find(node => node.id === 'src/admin/page.tsx')).toMatchObject({
+                cluster: 'cluster_src_admin',
+                attrs: { label: 'page.tsx', tooltip: 'src/admin/page.tsx' }
+            });
+            expect(edges.get('src/index.ts->src/api.ts')).toEqual({ tooltip: 'import ./api' });
+            expect(edges.get('src/index.ts->src/types.ts').style).toBe('dotted');
+            expect(edges.get('src/index.ts->src/admin/page.tsx').style).toBe('dashed');
+            expect(edges.get('src/api.ts->src/admin/util.js')).toBeDefined();
+            expect(edges.has('src/admin/page.tsx->src/admin/gone')).toBe(true);
+            expect(model.nodes.find(node => node.id === 'src/admin/gone').attrs.color).toBe('red');
+            expect(model.nodes.some(node => node.id.includes('node_modules') || node.id.endsWith('.d.ts'))).toBe(false);
+            expect(warnings).toEqual([
+                'src/admin/page.tsx: "./gone" wasn\'t found among the imported files',
+                'Imports through path aliases (@/) aren\'t resolved and were left out'
+            ]);
+        });
+        
+        test('should include, collapse or ignore external packages', () => {
+            const ids = external => Importers.FORMATS.modules.readFiles(project, { external }).model.nodes
+                .map(node => node.id).filter(id => !id.startsWith('src/'));
+            const collapsed = Importers.FORMATS.modules.readFiles(project).model.nodes.find(node => node.id === 'external_packages');
+            
+            expect(ids('include')).toEqual(['axios', 'react', '@scope/zod', 'fs']);
+            expect(ids('ignore')).toEqual([]);
+            expect(collapsed.attrs).toMatchObject({ label: 'External packages\\n(4)', tooltip: '@scope/zod, axios, fs, react' });
+        });
+        
+        test('should read files from a folder upload only', () => {
+            expect(Importers.FORMATS.modules.accepts('src/a.mjs')).toBe(true);
+            expect(Importers.FORMATS.modules.accepts('src/a.d.ts')).toBe(false);
+            expect(Importers.FORMATS.modules.accepts('.git/hooks/a.js')).toBe(false);
+            expect(Importers.FORMATS.npm.accepts('web/package.json')).toBe(true);
+            expect(Importers.FORMATS.npm.accepts('node_modules/x/package.json')).toBe(false);
+            expect(() => Importers.importFiles([{ name: 'README.md', text: '' }], 'modules')).toThrow('No JavaScript or TypeScript files');
+        });
+    });
+    
+    describe('Docker Compose', () => {
+        const compose = [
+            'name: shop',
+            'x-defaults: &defaults',
+            '  restart: always',
+            '  networks: [backend]',
+            'services:',
+            '  web:',
+            '    image: "nginx:1.25"  # the proxy',
+            '    ports:',
+            '    - "80:80"',
+            '    - target: 443',
+            '      published: 8443',
+            '      protocol: udp',
+            '    networks:',
+            '      frontend:',
+            '      backend:',
+            '        aliases: [www]',
+            '    depends_on:',
+            '      api:',
+            '        condition: service_healthy',
+            '        restart: true',
+            '      worker:',
+            '        condition: service_started',
+            '        required: false',
+            '  api:',
+            '    <<: *defaults',
+            '    build:',
+            '      context: ./api',
+            '    command: >',
+            '      node server.js',
+            '      --port 3000',
+            '    depends_on: [db]',
+            '    links:',
+            '      - db',
+            '      - "cache:redis"',
+            '  worker:',
+            '    <<: *defaults',
+            '    image: app/worker',
+            '    depends_on:',
+            '      - db',
+            '  db:',
+            "    image: 'postgres:16'",
+            '    networks:',
+            '      - backend',
+            'networks:',
+            '  frontend: {}',
+            '  backend:',
+            '    external: true'
+        ].join('\n');
+        const edgeMap = model => new Map(model.edges.map(edge => [`${edge.source}->${edge.target}`, edge.attrs]));
+        
+        test('should read services with their image, ports and networks', () => {
+            const { model } = Importers.FORMATS.compose.read(compose);
+            const web = model.nodes.find(node => node.id === 'web');
+            
+            expect(model.graph.attrs).toEqual({ label: 'shop' });
+            expect(model.nodes.map(node => node.id)).toEqual(['web', 'api', 'worker', 'db', 'cache']);
+            expect(web.attrs.tooltip).toBe('web\\nimage: nginx:1.25\\nports: 80:80, 8443:443/udp\\nnetworks: frontend, backend');
+            expect(model.nodes.find(node => node.id === 'api').attrs.tooltip).toBe('api\\nbuild: ./api');
+        });
+        
+        test('should turn depends_on and links into edges labeled with their condition', () => {
+            const { model, warnings } = Importers.FORMATS.compose.read(compose);
+            const edges = edgeMap(model);
+            
+            expect(edges.get('web->api')).toEqual({
+                label: 'service_healthy',
+                color: 'darkgreen',
+                tooltip: 'web waits for api: service_healthy; restarted when api is'
+            });
+            expect(edges.get('web->worker')).toMatchObject({ label: 'service_started', style: 'dashed' });
+            expect(edges.get('api->db').label).toBe('service_started');
+            expect(edges.get('api->cache')).toEqual({ label: 'link', style: 'dotted', tooltip: 'api links to cache as redis' });
+            expect(model.edges).toHaveLength(5);
+            expect(model.nodes.find(node => node.id === 'cache').attrs.color).toBe('red');
+            expect(warnings).toContain('Service "api": "cache" isn\'t a service in this file');
+        });
+        
+        test('should make a cluster of each network, merging shared settings', () => {
+            const { model, warnings } = Importers.FORMATS.compose.read(compose);
+            
+            expect(model.subgraphs.map(subgraph => [subgraph.id, subgraph.attrs.label, subgraph.nodes])).toEqual([
+                ['cluster_frontend', 'frontend', ['web']],
+                ['cluster_backend', 'backend (external)', ['api', 'worker', 'db']]
+            ]);
+            expect(warnings).toContain('Service web is on several networks; it is drawn in the first one it lists');
+        });
+        
+        test('should leave out the cluster when all services share the default network', () => {
+            const { model, warnings } = Importers.FORMATS.compose.read('services:\n  a:\n    depends_on: [b]\n  b: {image: redis}\n');
+            
+            expect(model.subgraphs).toEqual([]);
+            expect(warnings).toEqual([]);
+            expect(model.edges[0]).toMatchObject({ source: 'a', target: 'b' });
+        });
+        
+        test('should read Compose files written as JSON', () => {
+            const { model } = Importers.FORMATS.compose.read('{\n  "services": {\n    "a": {"depends_on": {"b": {"condition": "service_completed_successfully"}}},\n    "b": {}\n  }\n}');
+            
+            expect(model.edges[0].attrs).toMatchObject({ label: 'service_completed_successfully', color: 'blue' });
+        });
+        
+        test('should report YAML errors and files without services', () => {
+            expect(() => Importers.FORMATS.compose.read('services:\n  a:\n    image: x\n      ports: []')).toThrow('Line 4: unexpected indentation');
+            expect(() => Importers.FORMATS.compose.read('services:\n  a: [b, c')).toThrow('Line 2');
+            expect(() => Importers.FORMATS.compose.read('version: "3"\n')).toThrow('No services found');
+        });
+    });
+    
+    describe('importText', () => {
+        test('should write DOT that parses back to the same graph', () => {
+            const result = Importers.importText('---\ntitle: Demo\n---\nflowchart LR\n subgraph g [Group]\n a(A) --> b\n end', 'mermaid');
+            const model = Parser.parseDotSource(result.dotSource);
+            
+            expect(result).toMatchObject({ nodeCount: 2, edgeCount: 1, warnings: [] });
+            expect(model.graph.attrs).toEqual({ label: 'Demo', rankdir: 'LR' });
+            expect(model.nodes.map(node => [node.id, node.attrs.shape, node.cluster])).toEqual([
+                ['a', 'box', 'cluster_g'],
+                ['b', 'box', 'cluster_g']
+            ]);
+        });
+        
+        test('should round-trip a Mermaid export', () => {
+            const source = 'digraph { rankdir=LR; subgraph cluster_x { label="X"; a [shape=diamond] } a -> b [label="go", style=dashed] }';
+            const mermaid = Exporters.exportSource(source, 'mermaid');
+            const model = Parser.parseDotSource(Importers.importText(mermaid, 'mermaid').dotSource);
+            
+            expect(model.nodes.find(node => node.id === 'a')).toMatchObject({ cluster: 'cluster_cluster_x', attrs: { shape: 'diamond' } });
+            expect(model.edges[0].attrs).toMatchObject({ label: 'go', style: 'dashed' });
+        });
+        
+        test('should round-trip the data exports', () => {
+            const source = 'digraph { subgraph cluster_app { label="App"; api [tooltip="Public API"] } web -> api [label="calls"] }';
+            ['csv', 'json', 'graphml'].forEach(format => {
+                const result = Importers.importText(Exporters.exportSource(source, format), format);
+                const model = Parser.parseDotSource(result.dotSource);
+                
+                expect(result.warnings).toEqual([]);
+                expect(model.nodes.find(node => node.id === 'api').cluster).toBe('cluster_app');
+                expect(model.edges[0]).toMatchObject({ source: 'web', target: 'api', attrs: { label: 'calls' } });
+            });
+        });
+        
+        test('should reject unknown formats', () => {
+            expect(() => Importers.importText('', 'visio')).toThrow('Unknown import format');
+        });
+    });
+    
+    describe('formatForFile', () => {
+        test('should pick the format from the extension', () => {
+            expect(Importers.formatForFile('diagram.MMD')).toBe('mermaid');
+            expect(Importers.formatForFile('src/index.ts')).toBe('modules');
+            expect(Importers.formatForFile('docker-compose.override.yml')).toBe('compose');
+            expect(Importers.formatForFile('notes.txt')).toBeNull();
+        });
+    });
+});
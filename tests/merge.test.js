@@ -0,0 +1,85 @@
+/**
+ * Tests for the Merge module.
+ */
+
+describe('Merge Module', () => {
+    const teamA = {
+        name: 'team-a.dot',
+        source: `digraph A {
+            rankdir=LR;
+            "Service A" [color=red, label=<<b>A</b>>];
+            subgraph cluster_db { db }
+            "Service A" -> db;
+        }`
+    };
+    const teamB = {
+        name: 'team-b.dot',
+        source: `digraph B {
+            rankdir=TB;
+            db [shape=cylinder];
+            "Service A" [color=blue];
+            worker -> db;
+            "Service A" -> db [label="reads"];
+        }`
+    };
+    
+    describe('mergeSources', () => {
+        test('should unify nodes and edges with the same ID', () => {
+            const merged = Parser.parseDotSource(Merge.mergeSources([teamA, teamB]).dotSource);
+            
+            expect(merged.nodes.map(node => node.id)).toEqual(['db', 'Service A', 'worker']);
+            expect(merged.nodes[0].attrs).toEqual({ shape: 'cylinder' });
+            expect(merged.edges.map(edge => edge.id)).toEqual(['Service A->db', 'worker->db']);
+            expect(merged.edges[0].attrs).toEqual({ label: 'reads' });
+            expect(merged.subgraphs[0]).toMatchObject({ id: 'cluster_db', nodes: ['db'] });
+        });
+        
+        test('should keep the first value and report conflicting attributes', () => {
+            const { dotSource, conflicts } = Merge.mergeSources([teamA, teamB]);
+            
+            expect(conflicts).toEqual([
+                { kind: 'graph', id: '', attr: 'rankdir', values: [
+                    { source: 'team-a.dot', value: 'LR' }, { source: 'team-b.dot', value: 'TB' }
+                ] },
+                { kind: 'node', id: 'Service A', attr: 'color', values: [
+                    { source: 'team-a.dot', value: 'red' }, { source: 'team-b.dot', value: 'blue' }
+                ] }
+            ]);
+            expect(dotSource).toContain('"Service A" [label=<<b>A</b>>, color=red];');
+        });
+        
+        test('should report mixing directed and undirected graphs', () => {
+            const { dotSource, conflicts } = Merge.mergeSources([
+                { name: 'a', source: 'graph { a -- b }' },
+                { name: 'b', source: 'digraph { b -> c }' }
+            ]);
+            expect(dotSource).toMatch(/^digraph/);
+            expect(conflicts[0]).toMatchObject({ attr: 'type', values: [{ value: 'graph' }, { value: 'digraph' }] });
+        });
+        
+        test('should put each source in its own cluster', () => {
+            const merged = Parser.parseDotSource(
+                Merge.mergeSources([teamA, teamB], { clusterPerSource: true }).dotSource);
+            const cluster = id => merged.subgraphs.find(subgraph => subgraph.id === id);
+            
+            expect(cluster('cluster_team_a')).toMatchObject({ label: 'team-a.dot', nodes: ['db', 'Service A'] });
+            expect(cluster('cluster_db').parent).toBe('cluster_team_a');
+            expect(cluster('cluster_team_b')).toMatchObject({ label: 'team-b.dot', nodes: ['worker'] });
+        });
+        
+        test('should place a shared node with the source that declares it', () => {
+            const merged = Parser.parseDotSource(Merge.mergeSources([
+                { name: 'callers', source: 'digraph { api -> auth }' },
+                { name: 'auth', source: 'digraph { auth [shape=box] }' }
+            ], { clusterPerSource: true }).dotSource);
+            
+            expect(merged.nodes.find(node => node.id === 'auth').cluster).toBe('cluster_auth');
+            expect(merged.nodes.find(node => node.id === 'api').cluster).toBe('cluster_callers');
+        });
+        
+        test('should name the source that fails to parse', () => {
+            expect(() => Merge.mergeSources([teamA, { name: 'broken.dot', source: 'digraph { a -> }' }]))
+                .toThrow(/^broken\.dot: /);
+        });
+    });
+});
@@ -27,9 +27,9 @@ describe('Parser Module', () => {
             
             // Check edges
             expect(result.edges).toHaveLength(3);
-            expect(result.edges[0]).toEqual({ source: 'Node1', target: 'Node2' });
-            expect(result.edges[1]).toEqual({ source: 'Node2', target: 'Node3' });
-            expect(result.edges[2]).toEqual({ source: 'Node1', target: 'Node3' });
+            expect(result.edges[0]).toMatchObject({ source: 'Node1', target: 'Node2', attrs: {} });
+            expect(result.edges[1]).toMatchObject({ source: 'Node2', target: 'Node3', attrs: {} });
+            expect(result.edges[2]).toMatchObject({ source: 'Node1', target: 'Node3', attrs: {} });
         });
         
         test('should handle empty DOT source', () => {
@@ -44,6 +44,259 @@ describe('Parser Module', () => {
             expect(result.nodes).toEqual([]);
             expect(result.edges).toEqual([]);
         });
+        test('should parse unquoted IDs, edge chains and undirected edges', () => {
+            const result = Parser.parseDotSource('graph G { a -- b -- c; d }');
+            
+            expect(result.nodes.map(n => n.id)).toEqual(['a', 'b', 'c', 'd']);
+            expect(result.edges).toMatchObject([
+                { source: 'a', target: 'b', attrs: {} },
+                { source: 'b', target: 'c', attrs: {} }
+            ]);
+        });
+        
+        test('should expand subgraph operands in edge statements', () => {
+            const result = Parser.parseDotSource('digraph { a -> { b c } -> d }');
+            
+            expect(result.edges).toMatchObject([
+                { source: 'a', target: 'b', attrs: {} },
+                { source: 'a', target: 'c', attrs: {} },
+                { source: 'b', target: 'd', attrs: {} },
+                { source: 'c', target: 'd', attrs: {} }
+            ]);
+            expect(result.subgraphs).toHaveLength(1);
+            expect(result.subgraphs[0].nodes).toEqual(['b', 'c']);
+        });
+        
+        test('should not treat default statements as nodes', () => {
+            const result = Parser.parseDotSource(`
+                digraph G {
+                  node [shape=box];
+                  edge [color=red];
+                  graph [rankdir=LR];
+                  rankdir=TB;
+                  a -> b;
+                }
+            `);
+            
+            expect(result.nodes.map(n => n.id)).toEqual(['a', 'b']);
+        });
+        
+        test('should handle brackets inside quoted attributes and HTML labels', () => {
+            const result = Parser.parseDotSource(`
+                digraph G {
+                  "A" [label="list[0]", tooltip="a \\"quoted\\" ]"];
+                  B [label=<<b>bold</b> [x]>];
+                  "A" -> B;
+                }
+            `);
+            
+            expect(result.nodes.map(n => n.id)).toEqual(['A', 'B']);
+            expect(result.edges).toHaveLength(1);
+            expect(result.edges[0]).toMatchObject({ source: 'A', target: 'B' });
+        });
+        
+        test('should ignore comments', () => {
+            const dotSource = [
+                '# 1 "services.gv"',
+                'digraph G {',
+                '  // "X" -> "Y";',
+                '  /* "Z" [label="z"]; */',
+                '  a -> b;',
+                '}'
+            ].join('\n');
+            
+            const result = Parser.parseDotSource(dotSource);
+            expect(result.nodes.map(n => n.id)).toEqual(['a', 'b']);
+        });
+        
+        test('should build attribute maps with inherited defaults', () => {
+            const result = Parser.parseDotSource(`
+                digraph G {
+                  rankdir=LR;
+                  node [shape=box, style=filled];
+                  edge [color=gray];
+                  a [label="A", style="filled,invis"];
+                  a -> b [label="calls"];
+                  subgraph cluster_x {
+                    label="X";
+                    node [fillcolor=red];
+                    c;
+                    a;
+                  }
+                  node [shape=circle];
+                  d;
+                }
+            `);
+            
+            const byId = id => result.nodes.find(n => n.id === id);
+            expect(result.graph).toEqual({ id: 'G', directed: true, strict: false, attrs: { rankdir: 'LR' } });
+            expect(byId('a').attrs).toEqual({ shape: 'box', style: 'filled,invis', label: 'A' });
+            expect(byId('b').attrs).toEqual({ shape: 'box', style: 'filled' });
+            expect(byId('c').attrs).toEqual({ shape: 'box', style: 'filled', fillcolor: 'red' });
+            expect(byId('d').attrs).toEqual({ shape: 'circle', style: 'filled' });
+            expect(result.edges[0].attrs).toEqual({ color: 'gray', label: 'calls' });
+            expect(result.subgraphs[0].attrs).toEqual({ rankdir: 'LR', label: 'X' });
+        });
+        
+        test('should give edges stable IDs, ports and attributes', () => {
+            const result = Parser.parseDotSource(`
+                digraph G {
+                  "a":out -> "b":in:n [label="auth"];
+                  a -> b [label="auth"];
+                  a -> b [label="metrics"];
+                  a -> a;
+                }
+            `);
+            
+            expect(result.edges.map(e => e.id)).toEqual(['a:out->b:in:n', 'a->b', 'a->b#2', 'a->a']);
+            expect(result.edges[0]).toMatchObject({ sourcePort: 'out', targetPort: 'in:n' });
+            expect(result.edges[1]).toMatchObject({ sourcePort: null, targetPort: null, attrs: { label: 'auth' } });
+            expect(result.edges[2].attrs).toEqual({ label: 'metrics' });
+        });
+        
+        test('should merge repeated edges in strict graphs', () => {
+            const result = Parser.parseDotSource('strict graph { a -- b [color=red]; b -- a [label=x] }');
+            
+            expect(result.edges).toHaveLength(1);
+            expect(result.edges[0]).toMatchObject({ id: 'a--b', attrs: { color: 'red', label: 'x' } });
+        });
+        
+        test('should record the subgraph tree and cluster membership', () => {
+            const result = Parser.parseDotSource(`
+                digraph G {
+                  subgraph cluster_backend {
+                    label="Backend";
+                    api;
+                    subgraph cluster_db {
+                      db;
+                    }
+                    { rank=same; cache; }
+                  }
+                  subgraph cluster_key {
+                    legend=true;
+                    k1 -> k2;
+                  }
+                  subgraph cluster_backend { worker; }
+                  api -> db;
+                  ext;
+                }
+            `);
+            
+            const byId = id => result.subgraphs.find(s => s.id === id);
+            expect(result.subgraphs.map(s => s.id)).toEqual(['cluster_backend', 'cluster_db', '%1', 'cluster_key']);
+            expect(byId('cluster_backend')).toMatchObject({
+                parent: null,
+                children: ['cluster_db', '%1'],
+                nodes: ['api', 'db', 'cache', 'worker'],
+                isCluster: true,
+                label: 'Backend',
+                legend: false
+            });
+            expect(byId('cluster_db')).toMatchObject({ parent: 'cluster_backend', nodes: ['db'] });
+            expect(byId('%1').isCluster).toBe(false);
+            expect(byId('cluster_key').legend).toBe(true);
+            
+            const clusterOf = id => result.nodes.find(n => n.id === id).cluster;
+            expect(clusterOf('api')).toBe('cluster_backend');
+            expect(clusterOf('db')).toBe('cluster_db');
+            expect(clusterOf('cache')).toBe('cluster_backend');
+            expect(clusterOf('worker')).toBe('cluster_backend');
+            expect(clusterOf('ext')).toBe(null);
+        });
+        
+        test('should return an empty model for invalid DOT source', () => {
+            const warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+            const result = Parser.parseDotSource('digraph G { a -> }');
+            
+            expect(result).toEqual({ graph: null, nodes: [], edges: [], subgraphs: [] });
+            expect(warnSpy).toHaveBeenCalled();
+            
+            warnSpy.mockRestore();
+        });
+    });
+    
+    describe('parse', () => {
+        test('should produce an AST with source locations', () => {
+            const ast = Parser.parse('strict digraph G {\n  a:out -> b [label="x"];\n}');
+            
+            expect(ast.type).toBe('graph');
+            expect(ast.strict).toBe(true);
+            expect(ast.directed).toBe(true);
+            expect(ast.id).toBe('G');
+            
+            const stmt = ast.children[0];
+            expect(stmt.type).toBe('edge_stmt');
+            expect(stmt.edge_list[0]).toMatchObject({ type: 'node_id', id: 'a', port: 'out' });
+            expect(stmt.attr_list[0]).toMatchObject({ id: 'label', eq: 'x' });
+            expect(stmt.location.start).toEqual({ offset: 21, line: 2, column: 3 });
+        });
+        
+        test('should concatenate quoted strings joined with +', () => {
+            const ast = Parser.parse('digraph { a [label="one" + "two"] }');
+            expect(ast.children[0].attr_list[0].eq).toBe('onetwo');
+        });
+        
+        test('should keep escaped backslashes, also at the end of a string', () => {
+            const ast = Parser.parse('digraph { a [label="x\\\\"]; b [label="a\\\\\\"b"] }');
+            
+            expect(ast.children[0].attr_list[0].eq).toBe('x\\\\');
+            expect(ast.children[1].attr_list[0].eq).toBe('a\\\\"b');
+            expect(Parser.parse(Serializer.stringify(ast)).children[1].attr_list[0].eq).toBe('a\\\\"b');
+        });
+        
+        test('should throw a SyntaxError with a location for invalid input', () => {
+            expect.assertions(3);
+            try {
+                Parser.parse('digraph G {\n  a -> ;\n}');
+            } catch (error) {
+                expect(error).toBeInstanceOf(SyntaxError);
+                expect(error.location.start.line).toBe(2);
+                expect(error.location.start.column).toBe(8);
+            }
+        });
+        
+        test('should reject text after the graph but allow comments', () => {
+            expect.assertions(4);
+            try {
+                Parser.parse('digraph A { a -> b }\ndigraph B { c }');
+            } catch (error) {
+                expect(error).toBeInstanceOf(SyntaxError);
+                expect(error.location.start.line).toBe(2);
+                expect(error.location.start.column).toBe(1);
+            }
+            expect(Parser.parse('digraph { a } // done\n/* end */\n').children).toHaveLength(1);
+        });
+        
+        test('should reject edge operators that do not match the graph kind', () => {
+            expect(() => Parser.parse('graph { a -> b }')).toThrow(SyntaxError);
+            expect(() => Parser.parse('digraph { a -- b }')).toThrow(SyntaxError);
+            expect(Parser.parse('graph { a -- b }').directed).toBe(false);
+        });
+    });
+    
+    describe('getStyleFlags', () => {
+        test('should read flags from comma-separated style lists', () => {
+            const flags = Parser.getStyleFlags({ style: 'filled, Dashed,setlinewidth(2)' });
+            expect(flags).toEqual({
+                invisible: false,
+                dashed: true,
+                dotted: false,
+                bold: true,
+                filled: true,
+                rounded: false
+            });
+        });
+        
+        test('should treat invis, invisible and hidden as invisible', () => {
+            expect(Parser.getStyleFlags({ style: 'filled,invis' }).invisible).toBe(true);
+            expect(Parser.getStyleFlags({ style: 'invisible' }).invisible).toBe(true);
+            expect(Parser.getStyleFlags({ style: 'hidden' }).invisible).toBe(true);
+        });
+        
+        test('should not match style names inside other attributes', () => {
+            expect(Parser.getStyleFlags({ label: 'style=invis' }).invisible).toBe(false);
+            expect(Parser.getStyleFlags(undefined).invisible).toBe(false);
+        });
     });
     
     describe('findDownstreamNodes', () => {
@@ -174,4 +427,254 @@ describe('Parser Module', () => {
             expect(resultSet.size).toBe(0);
         });
     });
+    
+    describe('buildIndex', () => {
+        test('should index outgoing and incoming connections by edge ID', () => {
+            const { nodes, edges } = Parser.parseDotSource('digraph { a -> b; a -> b; b -> b; c }');
+            const index = Parser.buildIndex(nodes, edges);
+            
+            expect(index.outgoing.get('a')).toEqual([
+                { neighborId: 'b', edgeId: 'a->b' },
+                { neighborId: 'b', edgeId: 'a->b#2' }
+            ]);
+            expect(index.incoming.get('b').map(connection => connection.neighborId)).toEqual(['a', 'a']);
+            expect(index.selfLoops.get('b')).toEqual(['b->b']);
+            expect(index.outgoing.get('c')).toEqual([]);
+            expect(index.edges.get('a->b#2').source).toBe('a');
+        });
+        
+        test('should index undirected edges in both directions', () => {
+            const { nodes, edges } = Parser.parseDotSource('graph { a -- b }');
+            const index = Parser.buildIndex(nodes, edges, false);
+            
+            expect(index.outgoing.get('b')).toEqual([{ neighborId: 'a', edgeId: 'a--b' }]);
+            expect(index.incoming.get('a')).toEqual([{ neighborId: 'b', edgeId: 'a--b' }]);
+        });
+    });
+    
+    describe('traverse', () => {
+        const { nodes, edges } = Parser.parseDotSource(`
+            digraph {
+              A -> B -> C -> D;
+              A -> C;
+              D -> A;
+            }
+        `);
+        const index = Parser.buildIndex(nodes, edges);
+        
+        test('should return reached nodes, edges, distances and predecessors', () => {
+            const result = Parser.traverse(index, ['A']);
+            
+            expect([...result.nodes].sort()).toEqual(['B', 'C', 'D']);
+            expect(result.edges.size).toBe(5);
+            expect(result.distances.get('D')).toBe(2);
+            expect(result.predecessors.get('D')).toEqual({ nodeId: 'C', edgeId: 'C->D' });
+            expect(result.predecessors.get('C')).toEqual({ nodeId: 'A', edgeId: 'A->C' });
+        });
+        
+        test('should respect the hop limit and direction', () => {
+            const result = Parser.traverse(index, ['D'], { direction: 'upstream', maxHops: 1 });
+            
+            expect([...result.nodes]).toEqual(['C']);
+            expect([...result.edges]).toEqual(['C->D']);
+        });
+        
+        test('should start from several nodes at once', () => {
+            const result = Parser.traverse(index, ['B', 'D'], { maxHops: 1 });
+            
+            expect([...result.nodes].sort()).toEqual(['A', 'C']);
+            expect(result.distances.get('B')).toBe(0);
+        });
+        
+        test('should not count hops through free nodes', () => {
+            const result = Parser.traverse(index, ['A'], { maxHops: 2, freeNodes: new Set(['B', 'C']) });
+            
+            expect(result.distances.get('C')).toBe(0);
+            expect(result.distances.get('D')).toBe(1);
+            expect(result.nodes.has('D')).toBe(true);
+        });
+    });
+    
+    describe('findShortestPath', () => {
+        const { nodes, edges } = Parser.parseDotSource(`
+            digraph {
+              A -> B -> C -> D;
+              A -> C;
+              E -> A;
+            }
+        `);
+        const index = Parser.buildIndex(nodes, edges);
+        
+        test('should find the path with the fewest hops', () => {
+            const path = Parser.findShortestPath(index, 'A', 'D');
+            expect(path.nodes).toEqual(['A', 'C', 'D']);
+            expect(path.edges).toEqual(['A->C', 'C->D']);
+        });
+        
+        test('should follow edge direction', () => {
+            expect(Parser.findShortestPath(index, 'D', 'A')).toBeNull();
+            expect(Parser.findShortestPath(index, 'A', 'E')).toBeNull();
+        });
+        
+        test('should follow undirected edges both ways', () => {
+            const path = Parser.findShortestPath(Parser.buildIndex(nodes, edges, false), 'D', 'E');
+            expect(path.nodes).toEqual(['D', 'C', 'A', 'E']);
+        });
+        
+        test('should return an empty path from a node to itself', () => {
+            expect(Parser.findShortestPath(index, 'A', 'A')).toEqual({ nodes: ['A'], edges: [] });
+        });
+    });
+    
+    describe('findAllPaths', () => {
+        const { nodes, edges } = Parser.parseDotSource(`
+            digraph {
+              A -> B -> C -> D;
+              A -> C;
+              A -> D;
+              C -> A;
+            }
+        `);
+        const index = Parser.buildIndex(nodes, edges);
+        
+        test('should find every simple path, shortest first', () => {
+            const paths = Parser.findAllPaths(index, 'A', 'D', Number.MAX_SAFE_INTEGER);
+            expect(paths.map(path => path.nodes.join(''))).toEqual(['AD', 'ACD', 'ABCD']);
+        });
+        
+        test('should respect the hop limit', () => {
+            const paths = Parser.findAllPaths(index, 'A', 'D', 2);
+            expect(paths.map(path => path.nodes.join(''))).toEqual(['AD', 'ACD']);
+        });
+        
+        test('should treat parallel edges as separate paths', () => {
+            const parallel = Parser.parseDotSource('digraph { A -> B; A -> B [color=red] }');
+            const paths = Parser.findAllPaths(Parser.buildIndex(parallel.nodes, parallel.edges), 'A', 'B', 1);
+            expect(paths.map(path => path.edges)).toEqual([['A->B'], ['A->B#2']]);
+        });
+        
+        test('should stop after the maximum number of paths, keeping a shortest one', () => {
+            // The search reaches ABCD and ACD first; AD is filled in
+            const paths = Parser.findAllPaths(index, 'A', 'D', 10, 2);
+            expect(paths.map(path => path.nodes.join(''))).toEqual(['AD', 'ABCD']);
+        });
+        
+        test('should follow long chains without overflowing the stack', () => {
+            const count = 100000;
+            const chainNodes = Array.from({ length: count }, (_, i) => ({ id: `n${i}` }));
+            const chainEdges = chainNodes.slice(1).map((node, i) => ({ id: `e${i}`, source: `n${i}`, target: node.id }));
+            const paths = Parser.findAllPaths(Parser.buildIndex(chainNodes, chainEdges), 'n0', `n${count - 1}`, Number.MAX_SAFE_INTEGER);
+            expect(paths).toHaveLength(1);
+            expect(paths[0].edges).toHaveLength(count - 1);
+        });
+        
+        test('should return no paths when the target is unreachable', () => {
+            expect(Parser.findAllPaths(index, 'D', 'A', 10)).toEqual([]);
+        });
+    });
+    
+    describe('weighted traversal', () => {
+        const { nodes, edges } = Parser.parseDotSource(`
+            digraph {
+              A -> B [latency=5];
+              A -> C [latency=1];
+              C -> B [latency=1];
+              B -> D [latency=10];
+              C -> D [latency=20];
+              D -> A [latency=1];
+            }
+        `);
+        const index = Parser.buildIndex(nodes, edges);
+        const latency = edge => Parser.getNumericAttribute(edge.attrs, 'latency') || 0;
+        
+        test('should reach nodes by cheapest cumulative cost', () => {
+            const result = Parser.traverse(index, ['A'], { cost: latency });
+            
+            expect(result.costs.get('B')).toBe(2);
+            expect(result.costs.get('D')).toBe(12);
+            expect(result.distances.get('B')).toBe(2);
+            expect(result.predecessors.get('B')).toEqual({ nodeId: 'C', edgeId: 'C->B' });
+        });
+        
+        test('should stop at the cost budget', () => {
+            const result = Parser.traverse(index, ['A'], { cost: latency, maxCost: 5 });
+            
+            expect([...result.nodes].sort()).toEqual(['B', 'C']);
+            expect(result.edges.has('B->D')).toBe(false);
+            expect(result.edges.has('A->B')).toBe(true);
+        });
+        
+        test('should find the critical path, ignoring edges that close a cycle', () => {
+            const path = Parser.findCriticalPath(index, 'A', { cost: latency });
+            
+            expect(path.nodes).toEqual(['A', 'C', 'D']);
+            expect(path.cost).toBe(21);
+            expect(path.cyclesIgnored).toBe(true);
+        });
+        
+        test('should follow the critical path upstream', () => {
+            const dag = Parser.parseDotSource('digraph { a -> c [w=1]; b -> c [w=3]; x -> b [w=1] }');
+            const path = Parser.findCriticalPath(Parser.buildIndex(dag.nodes, dag.edges), 'c', {
+                direction: 'upstream',
+                cost: edge => Number(edge.attrs.w)
+            });
+            
+            expect(path).toEqual({ nodes: ['c', 'b', 'x'], edges: ['b->c', 'x->b'], cost: 4, cyclesIgnored: false });
+        });
+        
+        test('should list numeric edge attributes', () => {
+            const model = Parser.parseDotSource('digraph { a -> b [weight=2, label="x"]; b -> c [cost="1.5", color=red] }');
+            
+            expect(Parser.getNumericEdgeAttributes(model.edges)).toEqual(['cost', 'weight']);
+            expect(Parser.getNumericAttribute({ cost: '1.5' }, 'cost')).toBe(1.5);
+            expect(Parser.getNumericAttribute({ cost: 'high' }, 'cost')).toBeNull();
+            expect(Parser.getNumericAttribute({}, 'cost')).toBeNull();
+        });
+    });
+    
+    describe('edge filters', () => {
+        const { nodes, edges } = Parser.parseDotSource(`
+            digraph {
+              A -> B [label="auth"];
+              A -> C [label="users", style="dashed,bold"];
+              B -> D [label="auth", color=red];
+              C -> D [style=dashed];
+            }
+        `);
+        const index = Parser.buildIndex(nodes, edges);
+        
+        test('should list the labels, colors and styles in use', () => {
+            expect(Parser.getEdgeFacets(edges)).toEqual({
+                label: ['', 'auth', 'users'],
+                color: ['', 'red'],
+                style: ['', 'bold', 'dashed']
+            });
+        });
+        
+        test('should follow every edge without a filter', () => {
+            expect(Parser.createEdgeFilter(null)).toBeNull();
+            expect(Parser.createEdgeFilter({})).toBeNull();
+        });
+        
+        test('should follow only edges with checked values', () => {
+            const filter = Parser.createEdgeFilter({ label: ['auth'] });
+            const result = Parser.traverse(index, ['A'], { filter });
+            
+            expect([...result.nodes].sort()).toEqual(['B', 'D']);
+            expect([...result.edges]).toEqual(['A->B', 'B->D']);
+        });
+        
+        test('should exclude an edge when any of its styles is unchecked', () => {
+            const filter = Parser.createEdgeFilter({ style: ['', 'bold'] });
+            
+            expect(edges.filter(filter).map(edge => edge.id)).toEqual(['A->B', 'B->D']);
+        });
+        
+        test('should apply the filter to the critical path', () => {
+            const filter = Parser.createEdgeFilter({ style: [''] });
+            const path = Parser.findCriticalPath(index, 'A', { filter });
+            
+            expect(path.nodes).toEqual(['A', 'B', 'D']);
+        });
+    });
 }); 
\ No newline at end of file
@@ -0,0 +1,86 @@
+/**
+ * Tests for the Query module.
+ */
+
+describe('Query Module', () => {
+    const model = Parser.parseDotSource(`
+        digraph G {
+            subgraph cluster_backend {
+                label="Backend Services";
+                b [fillcolor=red, cpu=4];
+                c [cpu=12];
+            }
+            a [tooltip="Auth service"];
+            a -> b; a -> c; a -> d;
+            b -> c; d -> e;
+        }
+    `);
+    
+    describe('parse', () => {
+        test('should give "and" precedence over "or"', () => {
+            expect(Query.parse('a=1 or b=2 and not c')).toEqual({
+                type: 'or',
+                left: { type: 'compare', field: 'a', operator: '=', value: '1' },
+                right: {
+                    type: 'and',
+                    left: { type: 'compare', field: 'b', operator: '=', value: '2' },
+                    right: { type: 'not', operand: { type: 'has', field: 'c' } }
+                }
+            });
+        });
+        
+        test('should parse function calls with an optional hop count', () => {
+            expect(Query.parse('downstream("Service A", 2)')).toEqual({
+                type: 'function', name: 'downstream', nodeId: 'Service A', maxHops: 2
+            });
+            expect(Query.parse('UPSTREAM(x)').maxHops).toBe(Infinity);
+        });
+        
+        test('should report syntax errors with their position', () => {
+            expect(() => Query.parse('fillcolor =')).toThrow(SyntaxError);
+            expect(() => Query.parse('(a=1')).toThrow('Expected ")" (at position 5)');
+            expect(() => Query.parse('a=1 b=2')).toThrow('Unexpected "b" (at position 5)');
+            expect(() => Query.parse('nearby(a)')).toThrow('Unknown function "nearby"');
+            expect(() => Query.parse('label="open')).toThrow('Unterminated string');
+            expect(() => Query.parse('  ')).toThrow('Empty query');
+        });
+    });
+    
+    describe('evaluate', () => {
+        test('should match attribute values exactly, by substring or by presence', () => {
+            expect(Query.evaluate('fillcolor=red', model)).toEqual(['b']);
+            expect(Query.evaluate('tooltip~=auth', model)).toEqual(['a']);
+            expect(Query.evaluate('fillcolor', model)).toEqual(['b']);
+            expect(Query.evaluate('fillcolor!=red', model)).toEqual(['c', 'a', 'd', 'e']);
+        });
+        
+        test('should compare numbers', () => {
+            expect(Query.evaluate('cpu>=4 and cpu<10', model)).toEqual(['b']);
+            expect(Query.evaluate('outdegree>1', model)).toEqual(['a']);
+            expect(Query.evaluate('indegree=0', model)).toEqual(['a']);
+        });
+        
+        test('should match clusters by ID, short ID or label', () => {
+            expect(Query.evaluate('cluster=backend', model)).toEqual(['b', 'c']);
+            expect(Query.evaluate('cluster=cluster_backend and cpu>4', model)).toEqual(['c']);
+            expect(Query.evaluate('cluster~=services', model)).toEqual(['b', 'c']);
+            expect(Query.evaluate('not cluster', model)).toEqual(['a', 'd', 'e']);
+        });
+        
+        test('should select nodes by reachability', () => {
+            expect(Query.evaluate('downstream(a) and not upstream("c")', model)).toEqual(['c', 'd', 'e']);
+            expect(Query.evaluate('downstream(a, 1)', model)).toEqual(['b', 'c', 'd']);
+            expect(Query.evaluate('upstream(e) or id=e', model)).toEqual(['a', 'd', 'e']);
+            expect(Query.evaluate('downstream(missing)', model)).toEqual([]);
+        });
+        
+        test('should count each undirected edge once in the degree', () => {
+            const undirected = Parser.parseDotSource('graph { a -- b; a -- c; b -- c }');
+            expect(Query.evaluate('degree=2 and indegree=2 and outdegree=2', undirected)).toEqual(['a', 'b', 'c']);
+        });
+        
+        test('should accept a parsed expression', () => {
+            expect(Query.evaluate(Query.parse('id=d'), model)).toEqual(['d']);
+        });
+    });
+});
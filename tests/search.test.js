@@ -0,0 +1,44 @@
+/**
+ * Tests for the NodeSearch module.
+ */
+
+describe('NodeSearch Module', () => {
+    const nodes = Parser.parseDotSource(`
+        digraph {
+            "Service A" [label="Payments"];
+            "Service B" [tooltip="Handles authentication"];
+            AuthService;
+            Database [label="<b>Main</b> store"];
+        }
+    `).nodes;
+    const ids = results => results.map(result => result.node.id);
+    
+    describe('rankNodes', () => {
+        test('should list recent nodes first, then the rest alphabetically, without a query', () => {
+            expect(ids(NodeSearch.rankNodes(nodes, '', ['Database']))).toEqual(
+                ['Database', 'AuthService', 'Service A', 'Service B']);
+        });
+        
+        test('should rank fuzzy matches on the ID best first', () => {
+            expect(ids(NodeSearch.rankNodes(nodes, 'auth'))).toEqual(['AuthService', 'Service B']);
+            expect(ids(NodeSearch.rankNodes(nodes, 'srvb'))).toEqual(['Service B']);
+        });
+        
+        test('should match labels and tooltips and say which field matched', () => {
+            expect(NodeSearch.rankNodes(nodes, 'paym')).toEqual([
+                { node: nodes[0], field: 'label', text: 'Payments', recent: false }
+            ]);
+            expect(NodeSearch.rankNodes(nodes, 'main store')[0]).toMatchObject({ field: 'label', text: 'Main  store' });
+            expect(NodeSearch.rankNodes(nodes, 'handles')[0]).toMatchObject({ node: nodes[1], field: 'tooltip' });
+        });
+        
+        test('should lift recent nodes above similar matches', () => {
+            expect(ids(NodeSearch.rankNodes(nodes, 'service'))[0]).toBe('Service A');
+            expect(ids(NodeSearch.rankNodes(nodes, 'service', ['AuthService']))[0]).toBe('AuthService');
+        });
+        
+        test('should limit the number of results', () => {
+            expect(NodeSearch.rankNodes(nodes, '', [], 2)).toHaveLength(2);
+        });
+    });
+});
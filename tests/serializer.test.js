@@ -0,0 +1,144 @@
+/**
+ * Tests for the Serializer module.
+ */
+
+describe('Serializer Module', () => {
+    describe('quoteId', () => {
+        test('should leave plain identifiers and numerals unquoted', () => {
+            expect(Serializer.quoteId('abc')).toBe('abc');
+            expect(Serializer.quoteId('_node1')).toBe('_node1');
+            expect(Serializer.quoteId('12')).toBe('12');
+            expect(Serializer.quoteId('-1.5')).toBe('-1.5');
+        });
+        
+        test('should quote identifiers that need it', () => {
+            expect(Serializer.quoteId('a b')).toBe('"a b"');
+            expect(Serializer.quoteId('node')).toBe('"node"');
+            expect(Serializer.quoteId('say "hi"')).toBe('"say \\"hi\\""');
+        });
+        
+        test('should wrap HTML strings in angle brackets', () => {
+            expect(Serializer.quoteId('<b>x</b>', true)).toBe('<<b>x</b>>');
+        });
+    });
+    
+    describe('formatDotSource', () => {
+        const source = [
+            '// header',
+            'digraph G {',
+            'rankdir=LR',
+            '    a [shape=box, label="A"] // first',
+            '',
+            '',
+            'subgraph cluster_x { b; c }',
+            '  a -> {b c} [color=red]',
+            '  d [label=<<b>x</b>>]',
+            '}'
+        ].join('\n');
+        
+        test('should indent, terminate statements and keep comments', () => {
+            expect(Serializer.formatDotSource(source)).toBe([
+                '// header',
+                'digraph G {',
+                '  rankdir=LR;',
+                '  a [label=A, shape=box]; // first',
+                '',
+                '  subgraph cluster_x {',
+                '    b;',
+                '    c;',
+                '  }',
+                '  a -> { b; c } [color=red];',
+                '  d [label=<<b>x</b>>];',
+                '}',
+                ''
+            ].join('\n'));
+        });
+        
+        test('should use the given indentation', () => {
+            const formatted = Serializer.formatDotSource(source, { indent: '\t' });
+            expect(formatted).toContain('\n\tsubgraph cluster_x {\n\t\tb;\n');
+        });
+        
+        test('should be idempotent', () => {
+            const formatted = Serializer.formatDotSource(source);
+            expect(Serializer.formatDotSource(formatted)).toBe(formatted);
+        });
+        
+        test('should keep the last value of a repeated attribute', () => {
+            const formatted = Serializer.formatDotSource('digraph { a [color=red, color=blue] }');
+            expect(formatted).toContain('a [color=blue];');
+        });
+        
+        test('should keep a comment with the statement before it on the opening line', () => {
+            const formatted = Serializer.formatDotSource('digraph { a [label=<<b>x</b>>]; a -> b [label="l"] // trailing\n}');
+            expect(formatted).toBe([
+                'digraph {',
+                '  a [label=<<b>x</b>>];',
+                '  a -> b [label=l]; // trailing',
+                '}',
+                ''
+            ].join('\n'));
+            
+            const subgraph = Serializer.formatDotSource('digraph {\n  subgraph s { a; b } // both\n}');
+            expect(subgraph).toContain('  subgraph s {\n    a;\n    b;\n  } // both\n');
+        });
+        
+        test('should throw on invalid source', () => {
+            expect(() => Serializer.formatDotSource('digraph { a -> }')).toThrow(SyntaxError);
+        });
+        
+        test('should refuse to drop text after the graph', () => {
+            expect(() => Serializer.formatDotSource('digraph A { a -> b } digraph B { c }')).toThrow(SyntaxError);
+            expect(() => Serializer.formatDotSource('digraph { a } garbage here')).toThrow(SyntaxError);
+        });
+    });
+    
+    describe('fromModel', () => {
+        test('should write a model that parses back to the same graph', () => {
+            const source = `
+                strict graph G {
+                  node [shape=box];
+                  subgraph cluster_x { label="X"; a; b }
+                  a -- b [weight=2];
+                  b:out -- c;
+                }
+            `;
+            const model = Parser.parseDotSource(source);
+            const written = Serializer.fromModel(model);
+            const reparsed = Parser.parseDotSource(written);
+            
+            expect(written).toMatch(/^strict graph G \{/);
+            expect(reparsed.nodes).toEqual(model.nodes.map(node => expect.objectContaining({ id: node.id, attrs: node.attrs })));
+            expect(reparsed.edges.map(edge => edge.id)).toEqual(model.edges.map(edge => edge.id));
+            expect(reparsed.edges[0].attrs).toEqual({ weight: '2' });
+            expect(reparsed.subgraphs[0]).toMatchObject({ id: 'cluster_x', label: 'X', nodes: ['a', 'b'] });
+        });
+        
+        test('should drop empty anonymous subgraphs', () => {
+            const model = Parser.parseDotSource('digraph { subgraph cluster_x { b; c } a -> {b c} }');
+            expect(Serializer.fromModel(model)).not.toMatch(/\{\s*\}/);
+        });
+        
+        test('should write the attributes that were HTML strings as HTML strings', () => {
+            const model = Parser.parseDotSource('digraph { node [label=<<i>n</i>>]; a; b [label="<b>q</b>"]; c [label=<<b>q</b>>]; a -> b [label=<x<br/>y>] }');
+            const written = Serializer.fromModel(model);
+            
+            expect(model.nodes.map(node => node.htmlAttrs)).toEqual([['label'], undefined, ['label']]);
+            expect(written).toContain('a [label=<<i>n</i>>];');
+            expect(written).toContain('b [label="<b>q</b>"];');
+            expect(written).toContain('c [label=<<b>q</b>>];');
+            expect(written).toContain('a -> b [label=<x<br/>y>];');
+        });
+        
+        test('should mention nodes again in the other subgraphs that list them', () => {
+            const model = Parser.parseDotSource('digraph { subgraph cluster_b { b1; b2 } { rank=same; x; b2 } a -> {b1 x} }');
+            const reparsed = Parser.parseDotSource(Serializer.fromModel(model));
+            
+            expect(reparsed.subgraphs.map(subgraph => [subgraph.attrs.rank, subgraph.nodes])).toEqual([
+                [undefined, ['b1', 'b2']],
+                ['same', ['x', 'b2']]
+            ]);
+            expect(reparsed.nodes.find(node => node.id === 'b2').cluster).toBe('cluster_b');
+        });
+    });
+});
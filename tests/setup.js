@@ -108,7 +108,8 @@ global.window = {
 global.monaco = {
     languages: {
         register: jest.fn(),
-        setMonarchTokensProvider: jest.fn()
+        setMonarchTokensProvider: jest.fn(),
+        registerDocumentFormattingEditProvider: jest.fn()
     },
     editor: {
         create: jest.fn(() => ({
@@ -129,6 +130,16 @@ global.require.call = jest.fn((paths, callback) => {
 // Make the modules globally available for tests
 global.Utils = require('../js/utils');
 global.Parser = require('../js/parser');
+global.Serializer = require('../js/serializer');
+global.Analysis = require('../js/analysis');
+global.Query = require('../js/query');
+global.NodeSearch = require('../js/search');
+global.Diff = require('../js/diff');
+global.Merge = require('../js/merge');
+global.Transform = require('../js/transform');
+global.ImageExport = require('../js/image');
+global.Exporters = require('../js/exporters');
+global.Importers = require('../js/importers');
 global.Editor = require('../js/editor');
 global.Graph = require('../js/graph');
 global.App = require('../js/app'); 
\ No newline at end of file
@@ -0,0 +1,160 @@
+/**
+ * Tests for the Transform module.
+ */
+
+describe('Transform Module', () => {
+    const source = `
+        digraph G {
+            subgraph cluster_backend {
+                label="Backend";
+                api; db;
+                subgraph cluster_cache { redis }
+                api -> db; api -> redis;
+            }
+            web -> api [color=blue];
+            web -> db [color=blue, label="direct"];
+            redis -> web;
+        }
+    `;
+    
+    describe('collapseModel', () => {
+        const model = Parser.parseDotSource(source);
+        
+        test('should replace the cluster nodes with a placeholder', () => {
+            const result = Transform.collapseModel(model, ['cluster_backend']);
+            
+            expect(result.placeholders).toEqual(new Map([['cluster_backend', 'cluster_backend']]));
+            expect(result.model.nodes.map(node => node.id)).toEqual(['cluster_backend', 'web']);
+            expect(result.model.subgraphs).toEqual([]);
+            
+            const placeholder = result.model.nodes[0];
+            expect(placeholder.attrs.label).toBe('Backend\\n(3 nodes)');
+            expect(placeholder.attrs.class).toBe(Transform.PLACEHOLDER_CLASS);
+        });
+        
+        test('should reroute edges, drop inner ones and keep parallel ones that differ', () => {
+            const { model: collapsed } = Transform.collapseModel(model, ['cluster_backend']);
+            
+            expect(collapsed.edges.map(edge => edge.id)).toEqual(['web->cluster_backend', 'web->cluster_backend#2', 'cluster_backend->web']);
+            expect(collapsed.edges[0].attrs).toEqual({ color: 'blue' });
+            expect(collapsed.edges[1].attrs).toEqual({ color: 'blue', label: 'direct' });
+        });
+        
+        test('should merge parallel edges that look the same', () => {
+            const same = Parser.parseDotSource('digraph { subgraph cluster_a { x; y } z -> x [color=red]; z -> y [color=red]; z -> y }');
+            const { model: collapsed } = Transform.collapseModel(same, ['cluster_a']);
+            
+            expect(collapsed.edges.map(edge => [edge.id, edge.attrs])).toEqual([
+                ['z->cluster_a', { color: 'red' }],
+                ['z->cluster_a#2', {}]
+            ]);
+        });
+        
+        test('should keep a collapsed nested cluster inside its parent', () => {
+            const { model: collapsed } = Transform.collapseModel(model, ['cluster_cache']);
+            
+            expect(collapsed.subgraphs.map(subgraph => subgraph.id)).toEqual(['cluster_backend']);
+            expect(collapsed.subgraphs[0].nodes).toEqual(['api', 'db', 'cluster_cache']);
+            expect(collapsed.edges.map(edge => edge.id)).toContain('api->cluster_cache');
+        });
+        
+        test('should ignore clusters inside a collapsed cluster and unknown IDs', () => {
+            const result = Transform.collapseModel(model, ['cluster_cache', 'cluster_backend', 'cluster_missing']);
+            
+            expect(Array.from(result.placeholders.values())).toEqual(['cluster_backend']);
+        });
+        
+        test('should not reuse the ID of an existing node', () => {
+            const clashing = Parser.parseDotSource('digraph { subgraph cluster_a { x } cluster_a_node; cluster_a }');
+            const result = Transform.collapseModel(clashing, ['cluster_a']);
+            
+            expect(Array.from(result.placeholders.keys())).toEqual(['cluster_a_2']);
+        });
+        
+        test('should merge edges in either direction of an undirected graph', () => {
+            const undirected = Parser.parseDotSource('graph { subgraph cluster_a { x; y } z -- x; y -- z }');
+            const { model: collapsed } = Transform.collapseModel(undirected, ['cluster_a']);
+            
+            expect(collapsed.edges).toHaveLength(1);
+        });
+    });
+    
+    describe('collapseClusters', () => {
+        test('should write DOT that parses back to the collapsed graph', () => {
+            const result = Transform.collapseClusters(source, ['cluster_backend']);
+            const reparsed = Parser.parseDotSource(result.dotSource);
+            
+            expect(reparsed.nodes.map(node => node.id)).toEqual(['cluster_backend', 'web']);
+            expect(reparsed.edges).toHaveLength(3);
+        });
+        
+        test('should keep nodes of the collapsed graph in their rank groups', () => {
+            const result = Transform.collapseClusters(
+                'digraph { subgraph cluster_a { a1 } subgraph cluster_b { b1; b2 } { rank=same; x; b2 } a1 -> b1 }', ['cluster_a']);
+            const rankGroup = Parser.parseDotSource(result.dotSource).subgraphs.find(subgraph => subgraph.attrs.rank === 'same');
+            
+            expect(rankGroup.nodes).toEqual(['x', 'b2']);
+        });
+        
+        test('should return the source unchanged when nothing is collapsed', () => {
+            expect(Transform.collapseClusters(source, []).dotSource).toBe(source);
+            expect(Transform.collapseClusters(source, ['cluster_missing']).dotSource).toBe(source);
+        });
+        
+        test('should return invalid source unchanged', () => {
+            const warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+            expect(Transform.collapseClusters('digraph {', ['cluster_a']).dotSource).toBe('digraph {');
+            warnSpy.mockRestore();
+        });
+    });
+    
+    describe('filterModel', () => {
+        const model = Parser.parseDotSource(source);
+        
+        test('should keep the given nodes and edges inside their clusters', () => {
+            const filtered = Transform.filterModel(model, ['web', 'api', 'redis'], ['web->api', 'api->redis']);
+            
+            expect(filtered.nodes.map(node => node.id)).toEqual(['api', 'redis', 'web']);
+            expect(filtered.edges.map(edge => edge.id)).toEqual(['api->redis', 'web->api']);
+            expect(filtered.subgraphs.map(subgraph => subgraph.id)).toEqual(['cluster_backend', 'cluster_cache']);
+            expect(filtered.subgraphs[0].nodes).toEqual(['api', 'redis']);
+        });
+        
+        test('should drop clusters left empty and edges to dropped nodes', () => {
+            const filtered = Transform.filterModel(model, ['web', 'api'], ['web->api', 'api->redis']);
+            
+            expect(filtered.subgraphs.map(subgraph => subgraph.id)).toEqual(['cluster_backend']);
+            expect(filtered.subgraphs[0].children).toEqual([]);
+            expect(filtered.edges.map(edge => edge.id)).toEqual(['web->api']);
+        });
+    });
+    
+    describe('filterSource', () => {
+        test('should keep rank groups when every node is kept', () => {
+            const dotSource = Transform.filterSource(
+                'digraph { subgraph cluster_a { a; b; } { rank=same; a; c } a -> b; c -> a; }', ['a', 'b', 'c'], ['a->b', 'c->a']);
+            const reparsed = Parser.parseDotSource(dotSource);
+            
+            expect(reparsed.subgraphs.map(subgraph => [subgraph.id, subgraph.nodes])).toEqual([
+                ['cluster_a', ['a', 'b']],
+                ['%1', ['c', 'a']]
+            ]);
+            expect(reparsed.subgraphs[1].attrs.rank).toBe('same');
+        });
+        
+        test('should keep cluster and default attributes', () => {
+            const dotSource = Transform.filterSource(`
+                digraph {
+                    node [shape=box];
+                    subgraph cluster_a { label="A"; x; y }
+                    x -> y; y -> z;
+                }
+            `, ['x', 'y'], ['x->y']);
+            const reparsed = Parser.parseDotSource(dotSource);
+            
+            expect(reparsed.nodes.map(node => node.id)).toEqual(['x', 'y']);
+            expect(reparsed.nodes[0].attrs.shape).toBe('box');
+            expect(reparsed.subgraphs[0].label).toBe('A');
+        });
+    });
+});
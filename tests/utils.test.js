@@ -110,4 +110,47 @@ describe('Utils Module', () => {
             alertSpy.mockRestore();
         });
     });
+    
+    describe('loadCollapsedClustersFromUrl', () => {
+        test('should read every collapsed cluster from the URL', () => {
+            window.location.search = '?c=compressed_x&collapsed=cluster_a&collapsed=cluster%20b';
+            expect(Utils.loadCollapsedClustersFromUrl()).toEqual(['cluster_a', 'cluster b']);
+        });
+        
+        test('should return an empty list when none are collapsed', () => {
+            window.location.search = '?c=compressed_x';
+            expect(Utils.loadCollapsedClustersFromUrl()).toEqual([]);
+        });
+    });
+    
+    describe('getDotSourceFromShareUrl', () => {
+        test('should read compressed and legacy share links', () => {
+            expect(Utils.getDotSourceFromShareUrl(' http://example.com/index.html?c=compressed_digraph ')).toBe('digraph');
+            expect(Utils.getDotSourceFromShareUrl('http://example.com/?graph=digraph%20%7B%7D')).toBe('digraph {}');
+        });
+        
+        test('should return null for text that is not a share link', () => {
+            expect(Utils.getDotSourceFromShareUrl('digraph { a -> b }')).toBeNull();
+            expect(Utils.getDotSourceFromShareUrl('http://example.com/')).toBeNull();
+        });
+    });
+    
+    describe('fuzzyScore', () => {
+        test('should match characters in order, ignoring case and whitespace', () => {
+            expect(Utils.fuzzyScore('srva', 'Service A')).not.toBeNull();
+            expect(Utils.fuzzyScore('serv a', 'Service A')).not.toBeNull();
+            expect(Utils.fuzzyScore('avs', 'Service A')).toBeNull();
+        });
+        
+        test('should prefer exact, prefix and word-start matches', () => {
+            const score = text => Utils.fuzzyScore('auth', text);
+            expect(score('auth')).toBeGreaterThan(score('AuthService'));
+            expect(score('AuthService')).toBeGreaterThan(score('OAuthService'));
+            expect(score('OAuthService')).toBeGreaterThan(score('a-u-t-h'));
+        });
+        
+        test('should give an empty query a neutral score', () => {
+            expect(Utils.fuzzyScore('  ', 'anything')).toBe(0);
+        });
+    });
 }); 
\ No newline at end of file